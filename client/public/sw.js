@@ -446,16 +446,29 @@ async function removeOfflineAction(actionId) {
 self.addEventListener('push', (event) => {
   console.log('Push notification received');
   
+  // Server-sent payload: { title, body, tag, data, actions, requireInteraction }
+  let payload = {};
+  if (event.data) {
+    try {
+      payload = event.data.json();
+    } catch (error) {
+      payload = { body: event.data.text() };
+    }
+  }
+
   const options = {
-    body: 'You have new medical updates',
+    body: payload.body || 'You have new medical updates',
     icon: '/icon-192x192.png',
     badge: '/badge-72x72.png',
     vibrate: [100, 50, 100],
+    tag: payload.tag,
+    requireInteraction: payload.requireInteraction || false,
     data: {
       dateOfArrival: Date.now(),
-      primaryKey: 1
+      primaryKey: 1,
+      ...(payload.data || {})
     },
-    actions: [
+    actions: payload.actions || [
       {
         action: 'explore',
         title: 'View Details',
@@ -470,7 +483,7 @@ self.addEventListener('push', (event) => {
   };
 
   event.waitUntil(
-    self.registration.showNotification('MedIoT App', options)
+    self.registration.showNotification(payload.title || 'MedIoT App', options)
   );
 });
 
@@ -482,13 +495,43 @@ self.addEventListener('notificationclick', (event) => {
   
   event.notification.close();
   
+  // Dose actions are handled by the page, which holds the auth token
+  if (['taken', 'snooze', 'skip'].includes(event.action)) {
+    event.waitUntil(handleDoseAction(event.action, event.notification.data || {}));
+    return;
+  }
+
   if (event.action === 'explore') {
     event.waitUntil(
       clients.openWindow('/dashboard')
     );
+  } else if (event.action !== 'close' && event.notification.data?.url) {
+    event.waitUntil(
+      clients.openWindow(event.notification.data.url)
+    );
   }
 });
 
+/**
+ * Forward a dose action to an open app window, opening one if needed
+ */
+async function handleDoseAction(action, data) {
+  const windowClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const message = { type: 'notification-action', action, ...data };
+
+  if (windowClients.length > 0) {
+    windowClients.forEach((client) => client.postMessage(message));
+    return;
+  }
+
+  const client = await clients.openWindow(data.url || '/reminders');
+  if (client) {
+    // Give the app a moment to register its message listener
+    await new Promise((resolve) => setTimeout(resolve, 3000));
+    client.postMessage(message);
+  }
+}
+
 /**
  * Message handling from main thread
  */
@@ -32,6 +32,8 @@ import Chat from './pages/Chat';
 import Reminders from './pages/Reminders';
 import Reports from './pages/Reports';
 import ReportDetail from './pages/ReportDetail';
+import LabTrends from './pages/LabTrends';
+import Cabinet from './pages/Cabinet';
 import Symptoms from './pages/Symptoms';
 import SOS from './pages/SOS';
 import PriceLookup from './pages/PriceLookup';
@@ -43,6 +45,7 @@ import MedicalInfo from './pages/MedicalInfo';
 import EmergencyContacts from './pages/EmergencyContacts';
 import Help from './pages/Help';
 import Privacy from './pages/Privacy';
+import SharedView from './pages/SharedView';
 import ProtectedRoute from './components/ProtectedRoute';
 import ScrollToTop from './components/Common/ScrollToTop';
 
@@ -124,10 +127,16 @@ function App() {
                   <Route path="/reminders" element={
                     <ProtectedRoute><Reminders /></ProtectedRoute>
                   } />
+                  <Route path="/cabinet" element={
+                    <ProtectedRoute><Cabinet /></ProtectedRoute>
+                  } />
                   <Route path="/symptoms" element={<Symptoms />} />
                   <Route path="/reports" element={
                     <ProtectedRoute><Reports /></ProtectedRoute>
                   } />
+                  <Route path="/reports/trends" element={
+                    <ProtectedRoute><LabTrends /></ProtectedRoute>
+                  } />
                   <Route path="/reports/:id" element={
                     <ProtectedRoute><ReportDetail /></ProtectedRoute>
                   } />
@@ -149,6 +158,7 @@ function App() {
                   } />
                   <Route path="/help" element={<Help />} />
                   <Route path="/privacy" element={<Privacy />} />
+                  <Route path="/shared/:token" element={<SharedView />} />
                 </Routes>
               </MobileAppLayout>
             )}
@@ -5,10 +5,12 @@ import {
   SparklesIcon,
   ExclamationTriangleIcon,
   InformationCircleIcon,
-  ClipboardDocumentListIcon
+  ClipboardDocumentListIcon,
+  StopIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
 import { useLanguage } from '../../contexts/LanguageContext';
+import chatStreamService from '../../services/chatStreamService';
 
 const ChatInterface = ({ initialContext = null, onContextChange }) => {
   const [messages, setMessages] = useState([]);
@@ -17,6 +19,7 @@ const ChatInterface = ({ initialContext = null, onContextChange }) => {
   const [error, setError] = useState('');
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const abortControllerRef = useRef(null);
   const { isAuthenticated } = useAuth();
   const { t } = useLanguage();
 
@@ -63,46 +66,58 @@ ${t('chat.howCanIHelp')}`,
       timestamp: new Date()
     };
 
+    const aiMessageId = (Date.now() + 1).toString();
+    const updateAiMessage = (changes) => setMessages(prev => prev.map(msg => (msg.id === aiMessageId ? { ...msg, ...changes(msg) } : msg)));
+
     setMessages(prev => [...prev, userMessage]);
     setInputMessage('');
     setIsLoading(true);
     setError('');
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    let streamed = false;
+
     try {
-      const response = await fetch('/api/chat/message', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(localStorage.getItem('token') && {
-            'Authorization': `Bearer ${localStorage.getItem('token')}`
-          })
-        },
-        body: JSON.stringify({
-          message: userMessage.content,
-          context: initialContext
-        })
-      });
-
-      const data = await response.json();
-
-      if (data.success) {
-        const aiMessage = {
-          id: (Date.now() + 1).toString(),
-          content: data.data.message,
-          sender: 'assistant',
-          timestamp: new Date(data.data.timestamp),
-          confidence: data.data.confidence,
-          sources: data.data.sources,
-          followUpQuestions: data.data.followUpQuestions
-        };
-
-        setMessages(prev => [...prev, aiMessage]);
+      const data = await chatStreamService.sendMessage(
+        { message: userMessage.content, context: initialContext },
+        {
+          signal: controller.signal,
+          onToken: (token) => {
+            if (!streamed) {
+              streamed = true;
+              setMessages(prev => [...prev, { id: aiMessageId, content: token, sender: 'assistant', timestamp: new Date(), isStreaming: true }]);
+              return;
+            }
+            updateAiMessage(msg => ({ content: msg.content + token }));
+          }
+        }
+      );
+
+      const aiMessage = {
+        content: data.message,
+        timestamp: new Date(data.timestamp),
+        confidence: data.confidence,
+        sources: data.sources,
+        followUpQuestions: data.followUpSuggestions,
+        isStreaming: false
+      };
+
+      if (streamed) {
+        updateAiMessage(() => aiMessage);
       } else {
-        throw new Error(data.message || 'Failed to get AI response');
+        setMessages(prev => [...prev, { id: aiMessageId, sender: 'assistant', ...aiMessage }]);
       }
     } catch (error) {
+      if (streamed) {
+        // Keep the part of the reply that already arrived
+        updateAiMessage(() => ({ isStreaming: false, isCancelled: true }));
+      }
+      if (error.name === 'AbortError') return;
+
       console.error('Chat error:', error);
       setError(t('chat.failedToSend'));
+      if (streamed) return;
       
       // Add error message to chat
       const errorMessage = {
@@ -114,10 +129,16 @@ ${t('chat.howCanIHelp')}`,
       };
       setMessages(prev => [...prev, errorMessage]);
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
     }
   };
 
+  const cancelMessage = () => abortControllerRef.current?.abort();
+
+  // Stop any reply still streaming on unmount
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -266,6 +287,7 @@ ${t('chat.howCanIHelp')}`,
               
               <div className="mt-1 text-xs opacity-75">
                 {message.timestamp.toLocaleTimeString()}
+                {message.isCancelled && ` • ${t('chat.responseStopped')}`}
               </div>
             </div>
           </div>
@@ -287,8 +309,8 @@ ${t('chat.howCanIHelp')}`,
           </div>
         )}
 
-        {/* Loading indicator */}
-        {isLoading && (
+        {/* Loading indicator (until the first streamed token arrives) */}
+        {isLoading && !messages[messages.length - 1]?.isStreaming && (
           <div className="flex justify-start">
             <div className="bg-gray-100 rounded-lg px-4 py-2">
               <div className="flex items-center space-x-2">
@@ -332,14 +354,24 @@ ${t('chat.howCanIHelp')}`,
               disabled={isLoading}
             />
             
-            <button
-              onClick={sendMessage}
-              disabled={!inputMessage.trim() || isLoading}
-              className="mr-2 p-3 bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-full hover:from-blue-700 hover:to-blue-800 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-md hover:shadow-lg transform hover:scale-110 disabled:transform-none disabled:hover:scale-100 focus:outline-none"
-              aria-label="Send message"
-            >
-              <PaperAirplaneIcon className="h-5 w-5" />
-            </button>
+{isLoading ? (
+              <button
+                onClick={cancelMessage}
+                className="mr-2 p-3 bg-gray-800 text-white rounded-full hover:bg-gray-900 transition-all shadow-md focus:outline-none"
+                aria-label={t('chat.stopResponse')}
+              >
+                <StopIcon className="h-5 w-5" />
+              </button>
+            ) : (
+              <button
+                onClick={sendMessage}
+                disabled={!inputMessage.trim()}
+                className="mr-2 p-3 bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-full hover:from-blue-700 hover:to-blue-800 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-md hover:shadow-lg transform hover:scale-110 disabled:transform-none disabled:hover:scale-100 focus:outline-none"
+                aria-label="Send message"
+              >
+                <PaperAirplaneIcon className="h-5 w-5" />
+              </button>
+            )}
           </div>
           
           <div className="mt-2 text-xs text-gray-500 text-center">
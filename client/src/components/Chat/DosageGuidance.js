@@ -14,7 +14,7 @@ const DosageGuidance = ({ medicine: initialMedicine, onGuidanceComplete }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [guidance, setGuidance] = useState(null);
   const [error, setError] = useState('');
-  const { user, isAuthenticated } = useAuth();
+  const { activeProfile: user, isAuthenticated } = useAuth();
 
   const handleMedicineSelect = (medicine) => {
     setSelectedMedicine(medicine);
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { XMarkIcon, DocumentArrowDownIcon } from '@heroicons/react/24/outline';
+import { useLanguage } from '../../contexts/LanguageContext';
+import CustomDatePicker from './CustomDatePicker';
+
+const PRESET_DAYS = [30, 90, 180, 365];
+
+const toDateString = (date) => {
+    const offset = date.getTimezoneOffset();
+    return new Date(date.getTime() - offset * 60 * 1000).toISOString().split('T')[0];
+};
+
+const daysAgo = (days) => toDateString(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+
+// Pick a date range and download the doctor-visit summary PDF
+const VisitSummaryModal = ({ isOpen, onClose }) => {
+    const { t } = useLanguage();
+    const [preset, setPreset] = useState(90);
+    const [from, setFrom] = useState(daysAgo(90));
+    const [to, setTo] = useState(toDateString(new Date()));
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [error, setError] = useState(null);
+
+    const selectPreset = (days) => {
+        setPreset(days);
+        setFrom(daysAgo(days));
+        setTo(toDateString(new Date()));
+    };
+
+    const handleDownload = async () => {
+        setIsGenerating(true);
+        setError(null);
+        try {
+            const response = await fetch(`/api/profile/visit-summary?from=${from}&to=${to}`, {
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Failed to generate summary');
+            }
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `visit-summary-${to}.pdf`;
+            link.click();
+            URL.revokeObjectURL(url);
+            onClose();
+        } catch (err) {
+            console.error('Visit summary error:', err);
+            setError(err.message || t('visitSummary.failed'));
+        } finally {
+            setIsGenerating(false);
+        }
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <div className="fixed inset-0 z-[60] flex items-end sm:items-center justify-center p-4">
+                    <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        onClick={onClose}
+                        className="fixed inset-0 bg-black/40 backdrop-blur-sm"
+                    />
+
+                    <motion.div
+                        initial={{ scale: 0.95, opacity: 0, y: 20 }}
+                        animate={{ scale: 1, opacity: 1, y: 0 }}
+                        exit={{ scale: 0.95, opacity: 0, y: 20 }}
+                        className="relative w-full max-w-md bg-white dark:bg-slate-900 rounded-2xl shadow-xl z-10"
+                    >
+                        <div className="p-6 space-y-5">
+                            <div className="flex items-start justify-between gap-4">
+                                <div>
+                                    <h3 className="text-lg font-bold text-gray-900 dark:text-white">{t('visitSummary.title')}</h3>
+                                    <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">{t('visitSummary.description')}</p>
+                                </div>
+                                <button
+                                    onClick={onClose}
+                                    className="p-1.5 rounded-lg text-gray-400 hover:bg-gray-100 dark:hover:bg-slate-800"
+                                    aria-label={t('visitSummary.close')}
+                                >
+                                    <XMarkIcon className="w-5 h-5" />
+                                </button>
+                            </div>
+
+                            <div className="grid grid-cols-4 gap-2">
+                                {PRESET_DAYS.map(days => (
+                                    <button
+                                        key={days}
+                                        onClick={() => selectPreset(days)}
+                                        className={`py-2 rounded-xl text-xs font-semibold transition-colors ${preset === days
+                                            ? 'bg-blue-600 text-white'
+                                            : 'bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-gray-300'
+                                            }`}
+                                    >
+                                        {t('visitSummary.lastDays', { days })}
+                                    </button>
+                                ))}
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-3">
+                                <CustomDatePicker
+                                    label={t('visitSummary.from')}
+                                    value={from}
+                                    onChange={(value) => {
+                                        setFrom(value);
+                                        setPreset(null);
+                                    }}
+                                />
+                                <CustomDatePicker
+                                    label={t('visitSummary.to')}
+                                    value={to}
+                                    minDate={from}
+                                    onChange={(value) => {
+                                        setTo(value);
+                                        setPreset(null);
+                                    }}
+                                />
+                            </div>
+
+                            <p className="text-xs text-gray-500 dark:text-gray-400">{t('visitSummary.qrNote')}</p>
+
+                            {error && <p className="text-sm text-red-500">{error}</p>}
+
+                            <button
+                                onClick={handleDownload}
+                                disabled={isGenerating || !from || !to}
+                                className="w-full flex items-center justify-center gap-2 px-4 py-3 text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 rounded-xl transition-colors disabled:opacity-60"
+                            >
+                                <DocumentArrowDownIcon className="w-5 h-5" />
+                                {isGenerating ? t('visitSummary.generating') : t('visitSummary.download')}
+                            </button>
+                        </div>
+                    </motion.div>
+                </div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default VisitSummaryModal;
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { XMarkIcon, UserPlusIcon } from '@heroicons/react/24/outline';
+import { useLanguage } from '../../contexts/LanguageContext';
+import api from '../../services/api';
+
+const RELATIONSHIPS = ['parent', 'child', 'spouse', 'sibling', 'grandparent', 'other'];
+const GENDERS = ['male', 'female', 'other'];
+
+const splitList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+const inputClass = 'w-full px-3 py-2.5 rounded-xl bg-gray-50 dark:bg-slate-800 border border-gray-200 dark:border-slate-700 text-sm text-gray-900 dark:text-white';
+
+// Add a dependent profile (a parent, a child) managed from this login
+const AddFamilyMemberModal = ({ isOpen, onClose, onCreated }) => {
+    const { t } = useLanguage();
+    const [form, setForm] = useState({ name: '', relationship: 'parent', dateOfBirth: '', gender: '', allergies: '', chronicConditions: '' });
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const setField = (field) => (e) => setForm(current => ({ ...current, [field]: e.target.value }));
+
+    const handleClose = () => {
+        setForm({ name: '', relationship: 'parent', dateOfBirth: '', gender: '', allergies: '', chronicConditions: '' });
+        setError(null);
+        onClose();
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            const response = await api.post('/family', {
+                name: form.name.trim(),
+                relationship: form.relationship,
+                dateOfBirth: form.dateOfBirth || undefined,
+                gender: form.gender || undefined,
+                allergies: splitList(form.allergies),
+                chronicConditions: splitList(form.chronicConditions)
+            });
+            onCreated?.(response.data.data);
+            handleClose();
+        } catch (err) {
+            console.error('Add family member error:', err);
+            setError(err.response?.data?.message || t('family.createFailed'));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <div className="fixed inset-0 z-[60] flex items-end sm:items-center justify-center p-4">
+                    <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        onClick={handleClose}
+                        className="fixed inset-0 bg-black/40 backdrop-blur-sm"
+                    />
+
+                    <motion.div
+                        initial={{ scale: 0.95, opacity: 0, y: 20 }}
+                        animate={{ scale: 1, opacity: 1, y: 0 }}
+                        exit={{ scale: 0.95, opacity: 0, y: 20 }}
+                        className="relative w-full max-w-md max-h-[90vh] overflow-y-auto bg-white dark:bg-slate-900 rounded-2xl shadow-xl z-10"
+                    >
+                        <div className="p-6 space-y-4">
+                            <div className="flex items-start justify-between gap-4">
+                                <div>
+                                    <h3 className="text-lg font-bold text-gray-900 dark:text-white">{t('family.addMember')}</h3>
+                                    <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">{t('family.addMemberNote')}</p>
+                                </div>
+                                <button
+                                    onClick={handleClose}
+                                    className="p-1.5 rounded-lg text-gray-400 hover:bg-gray-100 dark:hover:bg-slate-800"
+                                    aria-label={t('common.cancel')}
+                                >
+                                    <XMarkIcon className="w-5 h-5" />
+                                </button>
+                            </div>
+
+                            <div className="space-y-2">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('family.name')}</label>
+                                <input type="text" value={form.name} maxLength={100} onChange={setField('name')} className={inputClass} />
+                            </div>
+
+                            <div className="space-y-2">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('family.relationship')}</label>
+                                <div className="grid grid-cols-3 gap-2">
+                                    {RELATIONSHIPS.map(relationship => (
+                                        <button
+                                            key={relationship}
+                                            onClick={() => setForm(current => ({ ...current, relationship }))}
+                                            className={`py-2 rounded-xl text-xs font-semibold transition-colors ${form.relationship === relationship
+                                                ? 'bg-blue-600 text-white'
+                                                : 'bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-gray-300'
+                                                }`}
+                                        >
+                                            {t(`family.relationships.${relationship}`)}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 gap-3">
+                                <div className="space-y-2">
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('family.dateOfBirth')}</label>
+                                    <input type="date" value={form.dateOfBirth} onChange={setField('dateOfBirth')} className={inputClass} />
+                                </div>
+                                <div className="space-y-2">
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('family.gender')}</label>
+                                    <select value={form.gender} onChange={setField('gender')} className={inputClass}>
+                                        <option value="">-</option>
+                                        {GENDERS.map(gender => (
+                                            <option key={gender} value={gender}>{t(`family.genders.${gender}`)}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+
+                            <div className="space-y-2">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('profile.allergies')}</label>
+                                <input type="text" value={form.allergies} onChange={setField('allergies')} placeholder={t('family.listPlaceholder')} className={inputClass} />
+                            </div>
+
+                            <div className="space-y-2">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('profile.chronicConditions')}</label>
+                                <input type="text" value={form.chronicConditions} onChange={setField('chronicConditions')} placeholder={t('family.listPlaceholder')} className={inputClass} />
+                            </div>
+
+                            {error && <p className="text-sm text-red-500">{error}</p>}
+
+                            <button
+                                onClick={handleSave}
+                                disabled={isSaving || !form.name.trim()}
+                                className="w-full flex items-center justify-center gap-2 px-4 py-3 text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 rounded-xl transition-colors disabled:opacity-60"
+                            >
+                                <UserPlusIcon className="w-5 h-5" />
+                                {isSaving ? t('family.saving') : t('family.addMember')}
+                            </button>
+                        </div>
+                    </motion.div>
+                </div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default AddFamilyMemberModal;
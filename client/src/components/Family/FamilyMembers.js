@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { UserPlusIcon, ArrowsRightLeftIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import api from '../../services/api';
+import AddFamilyMemberModal from './AddFamilyMemberModal';
+
+// Family members managed from this login: add, open and remove their profiles
+const FamilyMembers = () => {
+    const { profiles, activeProfileId, switchProfile, loadProfiles } = useAuth();
+    const { t } = useLanguage();
+    const [showAdd, setShowAdd] = useState(false);
+
+    const dependents = profiles.filter(profile => !profile.isSelf);
+
+    const handleRemove = async (profile) => {
+        if (!window.confirm(t('family.removeConfirm', { name: profile.name }))) return;
+
+        try {
+            await api.delete(`/family/${profile._id}`);
+            await loadProfiles();
+        } catch (error) {
+            console.error('Failed to remove family member:', error);
+        }
+    };
+
+    return (
+        <>
+            <div className="divide-y divide-gray-100 dark:divide-slate-800">
+                {dependents.map(profile => (
+                    <div key={profile._id} className="flex items-center gap-3 p-4">
+                        <div className="w-10 h-10 rounded-xl flex items-center justify-center bg-gray-100 dark:bg-slate-800 text-gray-700 dark:text-gray-300 font-bold flex-shrink-0">
+                            {profile.name?.charAt(0).toUpperCase()}
+                        </div>
+                        <div className="flex-1 min-w-0">
+                            <h4 className="font-medium text-gray-900 dark:text-white truncate">{profile.name}</h4>
+                            <p className="text-sm text-gray-500 dark:text-gray-400">
+                                {t(`family.relationships.${profile.relationship || 'other'}`)}
+                                {profile._id === activeProfileId && ` · ${t('family.active')}`}
+                            </p>
+                        </div>
+                        {profile._id !== activeProfileId && (
+                            <button
+                                onClick={() => switchProfile(profile._id)}
+                                className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-gray-300"
+                            >
+                                <ArrowsRightLeftIcon className="w-4 h-4" />
+                                {t('family.open')}
+                            </button>
+                        )}
+                        <button
+                            onClick={() => handleRemove(profile)}
+                            className="p-2 rounded-lg text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20"
+                            aria-label={t('family.remove')}
+                        >
+                            <TrashIcon className="w-4 h-4" />
+                        </button>
+                    </div>
+                ))}
+
+                <button
+                    onClick={() => setShowAdd(true)}
+                    className="w-full flex items-center gap-4 p-4 hover:bg-gray-50 dark:hover:bg-white/5 transition-colors text-left"
+                >
+                    <div className="w-10 h-10 rounded-xl flex items-center justify-center bg-blue-50 dark:bg-blue-900/20 text-blue-600">
+                        <UserPlusIcon className="w-5 h-5" />
+                    </div>
+                    <div className="flex-1">
+                        <h4 className="font-medium text-gray-900 dark:text-white">{t('family.addMember')}</h4>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">{t('family.addMemberSubtitle')}</p>
+                    </div>
+                </button>
+            </div>
+
+            <AddFamilyMemberModal
+                isOpen={showAdd}
+                onClose={() => setShowAdd(false)}
+                onCreated={() => loadProfiles()}
+            />
+        </>
+    );
+};
+
+export default FamilyMembers;
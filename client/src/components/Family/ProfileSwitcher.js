@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ChevronDownIcon, CheckIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+// Switch which family member the app is showing. Hidden until the account manages someone.
+const ProfileSwitcher = () => {
+    const { profiles, activeProfile, activeProfileId, switchProfile } = useAuth();
+    const { t } = useLanguage();
+    const [isOpen, setIsOpen] = useState(false);
+
+    if (profiles.length < 2) return null;
+
+    const isDependent = Boolean(activeProfileId);
+
+    const handleSelect = async (profile) => {
+        setIsOpen(false);
+        await switchProfile(profile.isSelf ? null : profile._id);
+    };
+
+    return (
+        <div className={`relative z-40 px-4 py-2 border-b ${isDependent
+            ? 'bg-amber-50 dark:bg-amber-900/20 border-amber-200 dark:border-amber-800/50'
+            : 'bg-white dark:bg-slate-900 border-gray-200 dark:border-slate-800'
+            }`}>
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                className="w-full max-w-2xl mx-auto flex items-center gap-2 text-left"
+                aria-expanded={isOpen}
+            >
+                <span className="w-7 h-7 rounded-full bg-gradient-to-br from-blue-500 to-indigo-600 text-white text-xs font-bold flex items-center justify-center flex-shrink-0">
+                    {activeProfile?.name?.charAt(0).toUpperCase()}
+                </span>
+                <span className="flex-1 min-w-0 text-sm text-gray-700 dark:text-gray-300 truncate">
+                    {isDependent
+                        ? t('family.managingFor', { name: activeProfile?.name })
+                        : t('family.viewingOwn')}
+                </span>
+                <span className="flex items-center gap-1 text-xs font-semibold text-blue-600 dark:text-blue-400">
+                    {t('family.switch')}
+                    <ChevronDownIcon className={`w-4 h-4 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+                </span>
+            </button>
+
+            <AnimatePresence>
+                {isOpen && (
+                    <motion.div
+                        initial={{ opacity: 0, y: -8 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -8 }}
+                        className="absolute left-4 right-4 top-full mt-1 max-w-2xl mx-auto bg-white dark:bg-slate-900 rounded-2xl shadow-xl border border-gray-100 dark:border-slate-800 overflow-hidden"
+                    >
+                        {profiles.map(profile => {
+                            const selected = profile.isSelf ? !isDependent : profile._id === activeProfileId;
+                            return (
+                                <button
+                                    key={profile._id}
+                                    onClick={() => handleSelect(profile)}
+                                    className="w-full flex items-center gap-3 px-4 py-3 hover:bg-gray-50 dark:hover:bg-white/5 text-left"
+                                >
+                                    <span className="w-8 h-8 rounded-full bg-gray-100 dark:bg-slate-800 text-gray-700 dark:text-gray-300 text-sm font-bold flex items-center justify-center">
+                                        {profile.name?.charAt(0).toUpperCase()}
+                                    </span>
+                                    <span className="flex-1 min-w-0">
+                                        <span className="block text-sm font-medium text-gray-900 dark:text-white truncate">{profile.name}</span>
+                                        <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                            {profile.isSelf ? t('family.you') : t(`family.relationships.${profile.relationship || 'other'}`)}
+                                        </span>
+                                    </span>
+                                    {selected && <CheckIcon className="w-5 h-5 text-blue-600" />}
+                                </button>
+                            );
+                        })}
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
+
+export default ProfileSwitcher;
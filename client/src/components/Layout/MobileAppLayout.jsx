@@ -25,6 +25,7 @@ import {
   SparklesIcon
 } from '@heroicons/react/24/outline';
 import { PremiumLoading } from '../ui/PremiumComponents';
+import ProfileSwitcher from '../Family/ProfileSwitcher';
 import {
   HomeIcon as HomeSolid,
   CameraIcon as CameraSolid,
@@ -85,6 +86,7 @@ const pageConfig = {
   '/scanner': { title: 'nav.scanner', showBack: false, minimal: true },
   '/chat': { title: 'nav.aiAssistant', showBack: false, hideNav: true, minimal: true },
   '/reminders': { title: 'nav.reminders', showBack: false, showAdd: true },
+  '/cabinet': { title: 'nav.cabinet', showBack: true },
   '/symptoms': { title: 'nav.symptoms', showBack: true },
   '/reports': { title: 'nav.reports', showBack: true },
   '/sos': { title: 'nav.emergencySOS', showBack: true, urgent: true, hideNav: true },
@@ -101,7 +103,7 @@ const pageConfig = {
 const MobileAppLayout = ({ children }) => {
   const location = useLocation();
   const navigate = useNavigate();
-  const { isAuthenticated, user } = useAuth();
+  const { isAuthenticated, user, activeProfileId } = useAuth();
   const { t, language, isLoading } = useLanguage();
   const { isInstallable } = usePWA();
   const isStandalone = useStandalone();
@@ -179,13 +181,17 @@ const MobileAppLayout = ({ children }) => {
     <div className="min-h-screen bg-gray-50 dark:bg-slate-950">
       {/* ... (rest of the component) */}
 
+      {/* Family profile switcher; shared links are read-only views of someone else */}
+      {isAuthenticated && !location.pathname.startsWith('/shared') && <ProfileSwitcher />}
+
       {/* Main Content */}
       <main
         style={{
           paddingBottom: shouldHideNav ? '0' : 'calc(5rem + env(safe-area-inset-bottom))'
         }}
       >
-        <div key={location.pathname} className="animate-fade-in">
+        {/* Remount the page when switching family member so it reloads their data */}
+        <div key={`${location.pathname}:${activeProfileId || 'self'}`} className="animate-fade-in">
           {children}
         </div>
       </main>
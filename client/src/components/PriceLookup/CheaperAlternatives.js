@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { BeakerIcon, InformationCircleIcon, CheckBadgeIcon } from '@heroicons/react/24/outline';
+import { motion } from 'framer-motion';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const TYPE_STYLES = {
+  jan_aushadhi: 'bg-emerald-50 dark:bg-emerald-950/20 text-emerald-600 dark:text-emerald-400 border-emerald-100 dark:border-emerald-900/30',
+  generic: 'bg-blue-50 dark:bg-blue-950/20 text-blue-600 dark:text-blue-400 border-blue-100 dark:border-blue-900/30',
+  brand: 'bg-slate-50 dark:bg-slate-800 text-slate-500 dark:text-slate-400 border-slate-100 dark:border-slate-700'
+};
+
+const TYPE_LABELS = {
+  jan_aushadhi: 'price.janAushadhi',
+  generic: 'price.genericLabel',
+  brand: 'price.brandLabel'
+};
+
+// "tablets" -> "tablet" for the per-unit price
+const singularUnit = (unit) => (unit || 'unit').replace(/s$/, '');
+
+// Medicines with the same salt composition as `medicineName`, cheapest
+// per unit first. Renders nothing when the composition is unknown.
+const CheaperAlternatives = ({ medicineName, strength }) => {
+  const { t } = useLanguage();
+  const [result, setResult] = useState(null);
+  const [selectedStrength, setSelectedStrength] = useState(strength || null);
+
+  useEffect(() => {
+    setSelectedStrength(strength || null);
+  }, [medicineName, strength]);
+
+  useEffect(() => {
+    if (!medicineName) return undefined;
+    let cancelled = false;
+
+    const loadAlternatives = async () => {
+      try {
+        const params = new URLSearchParams({ medicine: medicineName });
+        if (selectedStrength) params.append('strength', selectedStrength);
+
+        const response = await fetch(`/api/pharmacy/alternatives?${params}`);
+        const data = await response.json();
+        if (!cancelled) setResult(data.success ? data.data : null);
+      } catch (error) {
+        console.error('Failed to load alternatives:', error);
+        if (!cancelled) setResult(null);
+      }
+    };
+
+    loadAlternatives();
+    return () => { cancelled = true; };
+  }, [medicineName, selectedStrength]);
+
+  if (!result) return null;
+
+  const { composition, alternatives, strengths } = result;
+
+  return (
+    <div className="mt-6 bg-white dark:bg-slate-900 rounded-[2rem] p-5 border border-slate-100 dark:border-slate-800">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-black text-slate-900 dark:text-white flex items-center gap-2">
+          <BeakerIcon className="h-4 w-4 text-primary-500 stroke-[2.5]" />
+          {t('price.cheaperAlternatives')}
+        </h4>
+        {composition && (
+          <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">
+            {t('price.sameComposition')}
+          </span>
+        )}
+      </div>
+
+      {composition ? (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {composition.ingredients.map(ingredient => (
+            <span
+              key={ingredient.name}
+              className="px-2.5 py-1 bg-primary-50 dark:bg-primary-950/30 text-primary-700 dark:text-primary-300 text-xs font-bold rounded-lg capitalize"
+            >
+              {ingredient.name} {ingredient.strength}
+            </span>
+          ))}
+          <span className="px-2.5 py-1 bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 text-xs font-bold rounded-lg capitalize">
+            {composition.form.replace('-', ' · ')}
+          </span>
+        </div>
+      ) : (
+        <div className="mb-2">
+          <p className="text-xs text-slate-500 dark:text-slate-400 font-medium mb-2">{t('price.chooseStrength')}</p>
+          <div className="flex flex-wrap gap-2">
+            {strengths.map(option => (
+              <button
+                key={option}
+                onClick={() => setSelectedStrength(option)}
+                className="px-3 py-1.5 bg-slate-100 dark:bg-slate-800 hover:bg-primary-50 dark:hover:bg-primary-950/30 text-slate-700 dark:text-slate-200 text-xs font-bold rounded-xl"
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {composition && alternatives.length === 0 && (
+        <p className="text-sm text-slate-500 dark:text-slate-400 font-medium">{t('price.noAlternatives')}</p>
+      )}
+
+      <div className="space-y-2">
+        {alternatives.map((alternative, index) => (
+          <motion.div
+            key={`${alternative.source}-${alternative.name}`}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: index * 0.04 }}
+            className={`flex items-center gap-3 p-3 rounded-2xl border ${
+              alternative.isSelected
+                ? 'border-primary-200 dark:border-primary-900/50 bg-primary-50/40 dark:bg-primary-950/20'
+                : 'border-slate-100 dark:border-slate-800'
+            }`}
+          >
+            <div className="flex-1 min-w-0">
+              <div className="flex flex-wrap items-center gap-2">
+                <p className="text-sm font-bold text-slate-900 dark:text-white truncate">{alternative.name}</p>
+                <span className={`px-2 py-0.5 text-[9px] font-black uppercase tracking-widest rounded-md border ${TYPE_STYLES[alternative.type]}`}>
+                  {t(TYPE_LABELS[alternative.type])}
+                </span>
+                {alternative.isSelected && (
+                  <span className="flex items-center gap-1 text-[10px] font-bold text-primary-600 dark:text-primary-400">
+                    <CheckBadgeIcon className="h-3.5 w-3.5" />
+                    {t('price.yourMedicine')}
+                  </span>
+                )}
+              </div>
+              <p className="text-xs text-slate-500 dark:text-slate-400 font-medium mt-0.5 truncate">
+                {alternative.manufacturer}
+                {alternative.mrp && alternative.packSize && (
+                  <>
+                    {alternative.manufacturer && ' · '}
+                    {t('price.packPrice', { mrp: alternative.mrp.toFixed(2), size: alternative.packSize, unit: alternative.packUnit })}
+                  </>
+                )}
+              </p>
+            </div>
+            <div className="text-right flex-shrink-0">
+              {alternative.pricePerUnit !== null ? (
+                <p className="text-sm font-black text-slate-900 dark:text-white">
+                  {t('price.perUnit', { price: alternative.pricePerUnit.toFixed(2), unit: singularUnit(alternative.packUnit) })}
+                </p>
+              ) : (
+                <p className="text-xs font-medium text-slate-400">{t('price.noPriceListed')}</p>
+              )}
+              {alternative.savingsPercent > 0 && (
+                <p className="text-[10px] font-black text-emerald-600 dark:text-emerald-400">
+                  {t('price.savePercent', { percent: alternative.savingsPercent })}
+                </p>
+              )}
+            </div>
+          </motion.div>
+        ))}
+      </div>
+
+      {composition && (
+        <p className="flex items-start gap-2 text-[11px] text-slate-500 dark:text-slate-400 font-medium mt-4">
+          <InformationCircleIcon className="h-4 w-4 flex-shrink-0" />
+          {t('price.switchDisclaimer')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+CheaperAlternatives.propTypes = {
+  medicineName: PropTypes.string,
+  strength: PropTypes.string
+};
+
+export default CheaperAlternatives;
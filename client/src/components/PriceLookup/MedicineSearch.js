@@ -10,9 +10,9 @@ import {
 } from '@heroicons/react/24/outline';
 import { motion, AnimatePresence } from 'framer-motion';
 
-const MedicineSearch = ({ onSearch, isSearching = false }) => {
+const MedicineSearch = ({ onSearch, isSearching = false, initialQuery = '' }) => {
   const { t } = useLanguage();
-  const [searchTerm, setSearchTerm] = useState('');
+  const [searchTerm, setSearchTerm] = useState(initialQuery);
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [recentSearches, setRecentSearches] = useState([]);
@@ -274,7 +274,8 @@ const MedicineSearch = ({ onSearch, isSearching = false }) => {
 
 MedicineSearch.propTypes = {
   onSearch: PropTypes.func.isRequired,
-  isSearching: PropTypes.bool
+  isSearching: PropTypes.bool,
+  initialQuery: PropTypes.string
 };
 
 export default MedicineSearch;
\ No newline at end of file
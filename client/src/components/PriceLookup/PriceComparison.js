@@ -22,8 +22,9 @@ import {
 } from '@heroicons/react/24/outline';
 import { StarIcon as StarIconSolid } from '@heroicons/react/24/solid';
 import { motion, AnimatePresence } from 'framer-motion';
+import PriceHistory from './PriceHistory';
 
-const PriceComparison = ({ results, userLocation }) => {
+const PriceComparison = ({ results, userLocation, medicineName }) => {
   const { t } = useLanguage();
   const { medicine, priceComparisons, summary, relatedDrugs } = results;
   const [showDrugInfo, setShowDrugInfo] = useState(false);
@@ -199,6 +200,9 @@ const PriceComparison = ({ results, userLocation }) => {
         ))}
       </div>
 
+      {/* ─── Price History ─── */}
+      <PriceHistory medicineName={medicineName} />
+
       {/* ─── Pharmacy Comparison List ─── */}
       <div>
         <div className="flex items-center justify-between px-1 mb-4">
@@ -374,7 +378,8 @@ const PriceComparison = ({ results, userLocation }) => {
 
 PriceComparison.propTypes = {
   results: PropTypes.object.isRequired,
-  userLocation: PropTypes.object
+  userLocation: PropTypes.object,
+  medicineName: PropTypes.string
 };
 
 export default PriceComparison;
\ No newline at end of file
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { ChartBarIcon, BellAlertIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { useAuth } from '../../contexts/AuthContext';
+import PriceHistoryChart, { platformColor } from './PriceHistoryChart';
+import api from '../../services/api';
+
+const RANGES = [30, 90, 365];
+
+// Price history of a searched medicine across online pharmacies, and the
+// signed-in user's price watch for it
+const PriceHistory = ({ medicineName }) => {
+  const { t } = useLanguage();
+  const { isAuthenticated } = useAuth();
+  const [days, setDays] = useState(90);
+  const [history, setHistory] = useState(null);
+  const [watch, setWatch] = useState(null);
+  const [targetPrice, setTargetPrice] = useState('');
+  const [basis, setBasis] = useState('pack');
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!medicineName) return undefined;
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      try {
+        const response = await api.get('/pharmacy/prices/history', { params: { medicine: medicineName, days } });
+        if (!cancelled) setHistory(response.data.success ? response.data.data : null);
+      } catch (error) {
+        console.error('Failed to load price history:', error);
+      }
+    };
+
+    loadHistory();
+    return () => { cancelled = true; };
+  }, [medicineName, days]);
+
+  useEffect(() => {
+    if (!isAuthenticated || !history?.medicineKey) return;
+
+    const loadWatch = async () => {
+      try {
+        const response = await api.get('/pharmacy/watches');
+        if (response.data.success) {
+          setWatch(response.data.data.find(entry => entry.medicineKey === history.medicineKey) || null);
+        }
+      } catch (error) {
+        console.error('Failed to load price watches:', error);
+      }
+    };
+
+    loadWatch();
+  }, [isAuthenticated, history?.medicineKey]);
+
+  const saveWatch = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setMessage('');
+    try {
+      const response = await api.post('/pharmacy/watches', {
+        medicineName,
+        targetPrice: parseFloat(targetPrice),
+        basis
+      });
+      setWatch(response.data.data);
+      setTargetPrice('');
+      setMessage(t('price.watchSaved'));
+    } catch (error) {
+      console.error('Failed to save price watch:', error);
+      setMessage(error.response?.data?.message || t('price.watchFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const removeWatch = async () => {
+    try {
+      await api.delete(`/pharmacy/watches/${watch._id}`);
+      setWatch(null);
+      setMessage('');
+    } catch (error) {
+      console.error('Failed to remove price watch:', error);
+    }
+  };
+
+  if (!history) return null;
+
+  const { points, platforms, summary } = history;
+
+  return (
+    <div className="bg-white dark:bg-slate-900 rounded-[2rem] p-5 border border-slate-100 dark:border-slate-800">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-black text-slate-900 dark:text-white flex items-center gap-2">
+          <ChartBarIcon className="h-4 w-4 text-primary-500 stroke-[2.5]" />
+          {t('price.priceHistory')}
+        </h4>
+        <div className="flex gap-1">
+          {RANGES.map(range => (
+            <button
+              key={range}
+              onClick={() => setDays(range)}
+              className={`px-2.5 py-1 text-[10px] font-black rounded-lg ${
+                days === range
+                  ? 'bg-primary-500 text-white'
+                  : 'bg-slate-100 dark:bg-slate-800 text-slate-500 dark:text-slate-400'
+              }`}
+            >
+              {t('price.lastDays', { days: range })}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {points.length > 0 ? (
+        <>
+          <PriceHistoryChart
+            points={points}
+            platforms={platforms}
+            targetPrice={watch?.basis === 'pack' ? watch.targetPrice : undefined}
+          />
+          <div className="flex flex-wrap items-center gap-3 mt-2">
+            {platforms.map((platform, index) => (
+              <span key={platform} className="flex items-center gap-1.5 text-[11px] font-bold text-slate-600 dark:text-slate-300">
+                <svg className="w-2.5 h-2.5" viewBox="0 0 10 10"><circle cx="5" cy="5" r="5" className={platformColor(index)} /></svg>
+                {platform}
+              </span>
+            ))}
+          </div>
+          <p className="text-xs text-slate-500 dark:text-slate-400 font-medium mt-2">
+            {t('price.historyRange', {
+              lowest: summary.lowest.toFixed(2),
+              highest: summary.highest.toFixed(2),
+              since: new Date(summary.since).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })
+            })}
+          </p>
+        </>
+      ) : (
+        <p className="text-sm text-slate-500 dark:text-slate-400 font-medium">{t('price.noHistory')}</p>
+      )}
+
+      {isAuthenticated && (
+        <div className="mt-4 pt-4 border-t border-slate-100 dark:border-slate-800">
+          <p className="text-xs font-black text-slate-900 dark:text-white flex items-center gap-2 mb-2">
+            <BellAlertIcon className="h-4 w-4 text-amber-500" />
+            {t('price.priceWatch')}
+          </p>
+
+          {watch && (
+            <div className="flex items-center justify-between p-3 mb-3 bg-amber-50 dark:bg-amber-950/20 rounded-xl border border-amber-100 dark:border-amber-900/30">
+              <div>
+                <p className="text-sm font-bold text-amber-900 dark:text-amber-300">
+                  {t(watch.basis === 'unit' ? 'price.watchingBelowUnit' : 'price.watchingBelow', { price: watch.targetPrice.toFixed(2) })}
+                </p>
+                {watch.lastBestPrice?.price != null && (
+                  <p className="text-xs text-amber-700 dark:text-amber-400 mt-0.5">
+                    {t('price.watchLatest', { price: watch.lastBestPrice.price.toFixed(2), platform: watch.lastBestPrice.platform })}
+                  </p>
+                )}
+              </div>
+              <button
+                onClick={removeWatch}
+                className="p-2 text-amber-500 hover:text-red-500 rounded-lg"
+                aria-label={t('price.removeWatch')}
+              >
+                <TrashIcon className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+
+          <form onSubmit={saveWatch} className="flex flex-wrap gap-2">
+            <input
+              type="number"
+              min="0.01"
+              step="0.01"
+              required
+              value={targetPrice}
+              onChange={(e) => setTargetPrice(e.target.value)}
+              placeholder={t('price.targetPrice')}
+              className="flex-1 min-w-[8rem] px-3 py-2 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-sm text-slate-900 dark:text-white"
+            />
+            <select
+              value={basis}
+              onChange={(e) => setBasis(e.target.value)}
+              className="px-3 py-2 bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-slate-700 rounded-xl text-sm text-slate-900 dark:text-white"
+            >
+              <option value="pack">{t('price.perPack')}</option>
+              <option value="unit">{t('price.perUnitBasis')}</option>
+            </select>
+            <button
+              type="submit"
+              disabled={isSaving || !targetPrice}
+              className="px-4 py-2 bg-primary-500 hover:bg-primary-600 disabled:opacity-50 text-white text-sm font-bold rounded-xl"
+            >
+              {watch ? t('price.updateWatch') : t('price.setWatch')}
+            </button>
+          </form>
+          {message && <p className="text-xs text-slate-500 dark:text-slate-400 mt-2">{message}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+PriceHistory.propTypes = {
+  medicineName: PropTypes.string
+};
+
+export default PriceHistory;
@@ -0,0 +1,111 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 20, bottom: 28, left: 44 };
+
+const LINE_COLORS = ['stroke-blue-500', 'stroke-emerald-500', 'stroke-violet-500', 'stroke-amber-500', 'stroke-rose-500'];
+const DOT_COLORS = ['fill-blue-500', 'fill-emerald-500', 'fill-violet-500', 'fill-amber-500', 'fill-rose-500'];
+
+export const platformColor = (index) => DOT_COLORS[index % DOT_COLORS.length];
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+// One line per platform of the lowest daily price, with a watch target
+// dashed when one is set
+const PriceHistoryChart = ({ points, platforms, targetPrice }) => {
+  if (points.length === 0) {
+    return null;
+  }
+
+  const bounds = points.map(point => point.price);
+  if (targetPrice) bounds.push(targetPrice);
+
+  const spread = Math.max(...bounds) - Math.min(...bounds) || bounds[0] || 1;
+  const yMin = Math.max(0, Math.min(...bounds) - spread * 0.15);
+  const yMax = Math.max(...bounds) + spread * 0.15;
+
+  const times = points.map(point => new Date(point.date).getTime());
+  const tMin = Math.min(...times);
+  const tMax = Math.max(...times);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (time) => tMax === tMin
+    ? PADDING.left + plotWidth / 2
+    : PADDING.left + ((time - tMin) / (tMax - tMin)) * plotWidth;
+  const y = (value) => PADDING.top + (1 - (value - yMin) / (yMax - yMin)) * plotHeight;
+
+  const ticks = [0, 1, 2, 3].map(i => yMin + ((yMax - yMin) * i) / 3);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img">
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} className="stroke-slate-100 dark:stroke-slate-800" />
+          <text x={PADDING.left - 8} y={y(tick) + 3} textAnchor="end" className="fill-slate-400 text-[10px]">
+            ₹{Math.round(tick)}
+          </text>
+        </g>
+      ))}
+
+      {targetPrice && (
+        <line
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={y(targetPrice)}
+          y2={y(targetPrice)}
+          strokeDasharray="6 4"
+          className="stroke-amber-400"
+        />
+      )}
+
+      {platforms.map((platform, index) => {
+        const series = points.filter(point => point.platform === platform);
+        const path = series
+          .map((point, i) => `${i === 0 ? 'M' : 'L'}${x(new Date(point.date).getTime())},${y(point.price)}`)
+          .join(' ');
+
+        return (
+          <g key={platform}>
+            <path d={path} fill="none" strokeWidth="2.5" strokeLinejoin="round" className={LINE_COLORS[index % LINE_COLORS.length]} />
+            {series.map(point => (
+              <circle
+                key={point.date}
+                cx={x(new Date(point.date).getTime())}
+                cy={y(point.price)}
+                r="4"
+                className={platformColor(index)}
+              >
+                <title>{`${platform} · ₹${point.price.toFixed(2)} · ${formatDate(point.date)}`}</title>
+              </circle>
+            ))}
+          </g>
+        );
+      })}
+
+      <text x={PADDING.left} y={HEIGHT - 8} className="fill-slate-400 text-[10px]">
+        {formatDate(tMin)}
+      </text>
+      {tMax !== tMin && (
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end" className="fill-slate-400 text-[10px]">
+          {formatDate(tMax)}
+        </text>
+      )}
+    </svg>
+  );
+};
+
+PriceHistoryChart.propTypes = {
+  points: PropTypes.arrayOf(PropTypes.shape({
+    date: PropTypes.string.isRequired,
+    platform: PropTypes.string.isRequired,
+    price: PropTypes.number.isRequired
+  })).isRequired,
+  platforms: PropTypes.arrayOf(PropTypes.string).isRequired,
+  targetPrice: PropTypes.number
+};
+
+export default PriceHistoryChart;
@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { ExclamationTriangleIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useLanguage } from '../../contexts/LanguageContext';
+import api from '../../services/api';
+
+// Drug recalls matching the user's medicines or cabinet batches.
+// `highlightId` is the alert a recall notification was opened from.
+const RecallAlerts = ({ highlightId }) => {
+  const { t } = useLanguage();
+  const [alerts, setAlerts] = useState([]);
+
+  useEffect(() => {
+    loadAlerts();
+  }, []);
+
+  const loadAlerts = async () => {
+    try {
+      const response = await api.get('/reminders/recalls');
+      if (response.data.success) setAlerts(response.data.data);
+    } catch (error) {
+      console.error('Failed to load recall alerts:', error);
+    }
+  };
+
+  const dismiss = async (alertId) => {
+    try {
+      await api.post(`/reminders/recalls/${alertId}/dismiss`);
+      setAlerts(current => current.filter(alert => alert._id !== alertId));
+    } catch (error) {
+      console.error('Failed to dismiss recall alert:', error);
+    }
+  };
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="space-y-3 mt-4">
+      {alerts.map(alert => (
+        <div
+          key={alert._id}
+          className={`p-4 bg-red-50 dark:bg-red-950/30 border rounded-2xl ${
+            alert._id === highlightId ? 'border-red-500 ring-2 ring-red-500/30' : 'border-red-200 dark:border-red-900'
+          }`}
+        >
+          <div className="flex items-start gap-3">
+            <ExclamationTriangleIcon className="w-6 h-6 text-red-600 flex-shrink-0" />
+            <div className="flex-1 min-w-0">
+              <div className="flex flex-wrap items-center gap-2">
+                <h3 className="text-sm font-bold text-red-900 dark:text-red-300">
+                  {t('reminders.recallTitle', { name: alert.medicineName })}
+                </h3>
+                {alert.classification && (
+                  <span className="px-2 py-0.5 bg-red-600 text-white rounded-lg text-[10px] font-bold">
+                    {alert.classification}
+                  </span>
+                )}
+              </div>
+              <p className="text-sm text-red-800 dark:text-red-300 mt-1">{alert.reason}</p>
+              <p className="text-xs text-red-700 dark:text-red-400 mt-2">
+                {alert.matchType === 'batch'
+                  ? t('reminders.recallBatchMatch', { batches: alert.cabinetItemIds.map(item => item.batch).join(', ') })
+                  : t('reminders.recallMedicineMatch')}
+              </p>
+              {alert.reminderIds.length > 0 && (
+                <p className="text-xs text-red-700 dark:text-red-400 mt-1">
+                  {t('reminders.recallAffects')}: {alert.reminderIds.map(reminder => `${reminder.medicineName} · ${reminder.dosage}`).join(', ')}
+                </p>
+              )}
+              <p className="text-[10px] text-red-500 mt-2">
+                {alert.recallingFirm} · {alert.recallNumber}
+                {alert.codeInfo && ` · ${alert.codeInfo}`}
+              </p>
+            </div>
+            <button
+              onClick={() => dismiss(alert._id)}
+              className="p-1 text-red-400 hover:text-red-600 rounded-lg"
+              aria-label={t('reminders.recallDismiss')}
+            >
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+RecallAlerts.propTypes = {
+  highlightId: PropTypes.string
+};
+
+export default RecallAlerts;
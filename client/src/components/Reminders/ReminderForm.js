@@ -10,6 +10,50 @@ import { useLanguage } from '../../contexts/LanguageContext';
 import CustomDatePicker from '../Common/CustomDatePicker';
 import CustomTimePicker from '../Common/CustomTimePicker';
 
+const DEFAULT_SCHEDULE = {
+    type: 'daily',
+    intervalHours: 8,
+    intervalDays: 2,
+    daysOfWeek: [1, 2, 3, 4, 5],
+    cycle: { daysOn: 21, daysOff: 7 },
+    taperSteps: [{ days: 5, dosage: '' }],
+    prn: { minIntervalHours: 4, maxDailyDoses: '' }
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Only the fields the chosen pattern uses are sent to the server
+const buildSchedule = (schedule) => {
+    switch (schedule.type) {
+        case 'interval_hours':
+            return { type: schedule.type, intervalHours: parseInt(schedule.intervalHours) };
+        case 'alternate_days':
+            return { type: schedule.type, intervalDays: parseInt(schedule.intervalDays) || 2 };
+        case 'weekdays':
+            return { type: schedule.type, daysOfWeek: schedule.daysOfWeek };
+        case 'cycle':
+            return {
+                type: schedule.type,
+                cycle: { daysOn: parseInt(schedule.cycle.daysOn), daysOff: parseInt(schedule.cycle.daysOff) || 0 }
+            };
+        case 'taper':
+            return {
+                type: schedule.type,
+                taperSteps: schedule.taperSteps.map(step => ({ days: parseInt(step.days), dosage: step.dosage }))
+            };
+        case 'prn':
+            return {
+                type: schedule.type,
+                prn: {
+                    minIntervalHours: parseFloat(schedule.prn.minIntervalHours) || 0,
+                    maxDailyDoses: parseInt(schedule.prn.maxDailyDoses) || undefined
+                }
+            };
+        default:
+            return { type: 'daily' };
+    }
+};
+
 const ReminderForm = ({ medicine: initialMedicine, editingReminder, onSave, onDelete, onCancel, isLoading = false }) => {
     const { t } = useLanguage();
     const [formData, setFormData] = useState({
@@ -20,11 +64,28 @@ const ReminderForm = ({ medicine: initialMedicine, editingReminder, onSave, onDe
         endDate: '',
         times: [],
         notes: '',
-        medicineId: null
+        medicineId: null,
+        schedule: DEFAULT_SCHEDULE,
+        // undefined lets the server decide from the medicine name
+        isCritical: undefined,
+        gracePeriodMinutes: 60,
+        escalation: { enabled: false, contactId: '', missedThreshold: 2 },
+        inventory: { pillsRemaining: '', pillsPerDose: 1, refillReminderDays: 5 }
     });
+    const [emergencyContacts, setEmergencyContacts] = useState([]);
     const [selectedMedicine, setSelectedMedicine] = useState(initialMedicine || null);
     const [errors, setErrors] = useState({});
 
+    const scheduleOptions = [
+        { value: 'daily', label: t('reminders.scheduleDaily') },
+        { value: 'interval_hours', label: t('reminders.scheduleIntervalHours') },
+        { value: 'alternate_days', label: t('reminders.scheduleAlternateDays') },
+        { value: 'weekdays', label: t('reminders.scheduleWeekdays') },
+        { value: 'cycle', label: t('reminders.scheduleCycle') },
+        { value: 'taper', label: t('reminders.scheduleTaper') },
+        { value: 'prn', label: t('reminders.schedulePrn') }
+    ];
+
     const frequencyOptions = [
         { value: 'once', label: t('reminders.onceDaily'), times: 1 },
         { value: 'twice', label: t('reminders.twiceDaily'), times: 2 },
@@ -93,7 +154,28 @@ const ReminderForm = ({ medicine: initialMedicine, editingReminder, onSave, onDe
                 endDate: editingReminder.endDate ? new Date(editingReminder.endDate).toISOString().split('T')[0] : '',
                 times: editingReminder.times || [],
                 notes: editingReminder.notes || '',
-                medicineId: editingReminder.medicineId
+                medicineId: editingReminder.medicineId,
+                schedule: {
+                    ...DEFAULT_SCHEDULE,
+                    ...editingReminder.schedule,
+                    cycle: { ...DEFAULT_SCHEDULE.cycle, ...editingReminder.schedule?.cycle },
+                    prn: { ...DEFAULT_SCHEDULE.prn, ...editingReminder.schedule?.prn },
+                    taperSteps: editingReminder.schedule?.taperSteps?.length
+                        ? editingReminder.schedule.taperSteps
+                        : DEFAULT_SCHEDULE.taperSteps
+                },
+                isCritical: !!editingReminder.isCritical,
+                gracePeriodMinutes: editingReminder.gracePeriodMinutes || 60,
+                escalation: {
+                    enabled: !!editingReminder.escalation?.enabled,
+                    contactId: editingReminder.escalation?.contactId || '',
+                    missedThreshold: editingReminder.escalation?.missedThreshold || 2
+                },
+                inventory: {
+                    pillsRemaining: editingReminder.inventory?.pillsRemaining ?? '',
+                    pillsPerDose: editingReminder.inventory?.pillsPerDose || 1,
+                    refillReminderDays: editingReminder.inventory?.refillReminderDays || 5
+                }
             });
             if (editingReminder.medicineId) {
                 setSelectedMedicine({
@@ -105,6 +187,74 @@ const ReminderForm = ({ medicine: initialMedicine, editingReminder, onSave, onDe
         }
     }, [editingReminder]);
 
+    // Contacts that can be alerted when a critical dose keeps being missed
+    useEffect(() => {
+        if (!formData.isCritical || emergencyContacts.length > 0) return;
+
+        const loadContacts = async () => {
+            try {
+                const response = await fetch('/api/emergency/contacts', {
+                    headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+                });
+                const data = await response.json();
+                if (data.success) {
+                    setEmergencyContacts(data.data || []);
+                }
+            } catch (error) {
+                console.error('Failed to load emergency contacts:', error);
+            }
+        };
+
+        loadContacts();
+    }, [formData.isCritical, emergencyContacts.length]);
+
+    const handleScheduleChange = (name, value) => {
+        setFormData(prev => ({
+            ...prev,
+            schedule: { ...prev.schedule, [name]: value }
+        }));
+        if (errors.schedule) {
+            setErrors(prev => ({ ...prev, schedule: null }));
+        }
+    };
+
+    // Every-N-hours and as-needed doses aren't tied to a fixed count per day
+    const handleScheduleTypeChange = (type) => {
+        setFormData(prev => ({
+            ...prev,
+            schedule: { ...prev.schedule, type },
+            frequency: ['interval_hours', 'prn'].includes(type) ? 'custom' : prev.frequency,
+            times: type === 'interval_hours' ? [prev.times[0] || '08:00'] : prev.times
+        }));
+    };
+
+    const toggleWeekday = (day) => {
+        const days = formData.schedule.daysOfWeek;
+        handleScheduleChange('daysOfWeek', days.includes(day)
+            ? days.filter(d => d !== day)
+            : [...days, day].sort());
+    };
+
+    const handleTaperStepChange = (index, name, value) => {
+        handleScheduleChange('taperSteps', formData.schedule.taperSteps.map((step, i) =>
+            i === index ? { ...step, [name]: value } : step
+        ));
+    };
+
+    const handleInventoryChange = (name, value) => {
+        setFormData(prev => ({
+            ...prev,
+            inventory: { ...prev.inventory, [name]: value }
+        }));
+    };
+
+    const handleEscalationChange = (name, value) => {
+        setFormData(prev => ({
+            ...prev,
+            escalation: { ...prev.escalation, [name]: value }
+        }));
+    };
+
     const handleInputChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({
@@ -173,9 +323,16 @@ const ReminderForm = ({ medicine: initialMedicine, editingReminder, onSave, onDe
         const newErrors = {};
         if (!formData.medicineName) newErrors.medicineName = t('reminders.medicineNameRequired');
         if (!formData.startDate) newErrors.startDate = t('reminders.startDateRequired');
-        if (formData.frequency === 'custom' && formData.times.length === 0) {
+        const { schedule } = formData;
+        if (schedule.type !== 'prn' && formData.frequency === 'custom' && formData.times.length === 0) {
             newErrors.times = t('reminders.atLeastOneTime');
         }
+        if (schedule.type === 'weekdays' && schedule.daysOfWeek.length === 0) {
+            newErrors.schedule = t('reminders.pickWeekday');
+        }
+        if (schedule.type === 'taper' && schedule.taperSteps.some(step => !step.dosage || !(parseInt(step.days) >= 1))) {
+            newErrors.schedule = t('reminders.taperStepRequired');
+        }
 
         setErrors(newErrors);
         return Object.keys(newErrors).length === 0;
@@ -187,7 +344,21 @@ const ReminderForm = ({ medicine: initialMedicine, editingReminder, onSave, onDe
 
         const reminderData = {
             ...formData,
-            medicineId: selectedMedicine?._id || selectedMedicine?.id
+            medicineId: selectedMedicine?._id || selectedMedicine?.id,
+            schedule: buildSchedule(formData.schedule),
+            times: formData.schedule.type === 'prn' ? [] : formData.times,
+            gracePeriodMinutes: parseInt(formData.gracePeriodMinutes) || 60,
+            // Leaving the count empty turns stock tracking off
+            inventory: {
+                pillsRemaining: formData.inventory.pillsRemaining === '' ? null : parseFloat(formData.inventory.pillsRemaining),
+                pillsPerDose: parseFloat(formData.inventory.pillsPerDose) || 1,
+                refillReminderDays: parseInt(formData.inventory.refillReminderDays) || 5
+            },
+            escalation: {
+                ...formData.escalation,
+                contactId: formData.escalation.contactId || null,
+                missedThreshold: parseInt(formData.escalation.missedThreshold) || 2
+            }
         };
 
         onSave(reminderData);
@@ -233,18 +404,17 @@ const ReminderForm = ({ medicine: initialMedicine, editingReminder, onSave, onDe
                         </div>
                     </div>
 
-                    {/* Frequency */}
+                    {/* Schedule pattern */}
                     <div>
                         <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                            {t('reminders.frequency')}
+                            {t('reminders.schedulePattern')}
                         </label>
                         <select
-                            name="frequency"
-                            value={formData.frequency}
-                            onChange={handleInputChange}
+                            value={formData.schedule.type}
+                            onChange={(e) => handleScheduleTypeChange(e.target.value)}
                             className="w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white appearance-none"
                         >
-                            {frequencyOptions.map(option => (
+                            {scheduleOptions.map(option => (
                                 <option key={option.value} value={option.value}>
                                     {option.label}
                                 </option>
@@ -252,67 +422,248 @@ const ReminderForm = ({ medicine: initialMedicine, editingReminder, onSave, onDe
                         </select>
                     </div>
 
-                    {/* Time Selection Display */}
-                    <div className="md:col-span-2">
-                        {formData.frequency !== 'custom' ? (
-                            <div className="bg-blue-50 dark:bg-slate-800/50 rounded-xl p-4 border border-blue-100 dark:border-slate-700">
-                                <label className="block text-sm font-medium text-blue-900 dark:text-blue-100 mb-3">
-                                    {t('reminders.scheduledTimes')}
+                    {/* Frequency */}
+                    {!['interval_hours', 'prn'].includes(formData.schedule.type) && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                                {t('reminders.frequency')}
+                            </label>
+                            <select
+                                name="frequency"
+                                value={formData.frequency}
+                                onChange={handleInputChange}
+                                className="w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white appearance-none"
+                            >
+                                {frequencyOptions.map(option => (
+                                    <option key={option.value} value={option.value}>
+                                        {option.label}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    {/* Pattern-specific settings */}
+                    {formData.schedule.type !== 'daily' && (
+                        <div className="md:col-span-2 bg-gray-50 dark:bg-slate-800/30 rounded-xl p-4 border border-gray-100 dark:border-slate-700 space-y-3">
+                            {formData.schedule.type === 'interval_hours' && (
+                                <label className="block text-sm text-gray-700 dark:text-gray-300">
+                                    {t('reminders.everyNHours')}
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max="72"
+                                        value={formData.schedule.intervalHours}
+                                        onChange={(e) => handleScheduleChange('intervalHours', e.target.value)}
+                                        className="mt-1 w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                                    />
                                 </label>
-                                <div className="flex flex-wrap gap-3">
-                                    {formData.times.map((time, index) => (
-                                        <div key={index} className="flex-1 min-w-[120px]">
-                                            <CustomTimePicker
-                                                value={time}
-                                                onChange={(val) => handleTimeChange(index, val)}
-                                            />
-                                        </div>
+                            )}
+
+                            {formData.schedule.type === 'alternate_days' && (
+                                <label className="block text-sm text-gray-700 dark:text-gray-300">
+                                    {t('reminders.everyNDays')}
+                                    <input
+                                        type="number"
+                                        min="2"
+                                        max="30"
+                                        value={formData.schedule.intervalDays}
+                                        onChange={(e) => handleScheduleChange('intervalDays', e.target.value)}
+                                        className="mt-1 w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                                    />
+                                </label>
+                            )}
+
+                            {formData.schedule.type === 'weekdays' && (
+                                <div className="flex flex-wrap gap-2">
+                                    {WEEKDAYS.map((day, index) => (
+                                        <button
+                                            key={day}
+                                            type="button"
+                                            onClick={() => toggleWeekday(index)}
+                                            className={`px-3 py-2 text-sm font-medium rounded-lg transition-colors ${formData.schedule.daysOfWeek.includes(index)
+                                                ? 'bg-blue-600 text-white'
+                                                : 'bg-white dark:bg-slate-800 text-gray-600 dark:text-gray-300 border border-gray-200 dark:border-slate-700'
+                                                }`}
+                                        >
+                                            {day}
+                                        </button>
                                     ))}
                                 </div>
-                            </div>
-                        ) : (
-                            <div className="bg-gray-50 dark:bg-slate-800/30 rounded-xl p-4 border border-gray-100 dark:border-slate-700">
-                                <div className="flex items-center justify-between mb-3">
-                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                                        {t('reminders.customTimes')}
+                            )}
+
+                            {formData.schedule.type === 'cycle' && (
+                                <div className="grid grid-cols-2 gap-3">
+                                    <label className="block text-sm text-gray-700 dark:text-gray-300">
+                                        {t('reminders.daysOn')}
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            value={formData.schedule.cycle.daysOn}
+                                            onChange={(e) => handleScheduleChange('cycle', { ...formData.schedule.cycle, daysOn: e.target.value })}
+                                            className="mt-1 w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                                        />
                                     </label>
+                                    <label className="block text-sm text-gray-700 dark:text-gray-300">
+                                        {t('reminders.daysOff')}
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            value={formData.schedule.cycle.daysOff}
+                                            onChange={(e) => handleScheduleChange('cycle', { ...formData.schedule.cycle, daysOff: e.target.value })}
+                                            className="mt-1 w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                                        />
+                                    </label>
+                                </div>
+                            )}
+
+                            {formData.schedule.type === 'taper' && (
+                                <div className="space-y-3">
+                                    {formData.schedule.taperSteps.map((step, index) => (
+                                        <div key={index} className="flex gap-3 items-center">
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                value={step.days}
+                                                onChange={(e) => handleTaperStepChange(index, 'days', e.target.value)}
+                                                aria-label={t('reminders.taperDays')}
+                                                className="w-24 px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                                            />
+                                            <span className="text-sm text-gray-500 dark:text-gray-400">{t('reminders.taperDays')}</span>
+                                            <input
+                                                type="text"
+                                                value={step.dosage}
+                                                onChange={(e) => handleTaperStepChange(index, 'dosage', e.target.value)}
+                                                placeholder={t('reminders.dosagePlaceholder')}
+                                                className="flex-1 min-w-0 px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                                            />
+                                            {formData.schedule.taperSteps.length > 1 && (
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleScheduleChange('taperSteps', formData.schedule.taperSteps.filter((_, i) => i !== index))}
+                                                    className="p-3 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-xl transition-colors"
+                                                >
+                                                    <XMarkIcon className="w-5 h-5" />
+                                                </button>
+                                            )}
+                                        </div>
+                                    ))}
                                     <button
                                         type="button"
-                                        onClick={addTime}
+                                        onClick={() => handleScheduleChange('taperSteps', [...formData.schedule.taperSteps, { days: 5, dosage: '' }])}
                                         className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg transition-colors"
                                     >
                                         <PlusIcon className="w-4 h-4 mr-2" />
-                                        {t('common.add') || 'Add Time'}
+                                        {t('reminders.addTaperStep')}
                                     </button>
                                 </div>
-                                <div className="space-y-3">
-                                    {formData.times.map((time, index) => (
-                                        <div key={index} className="flex gap-3">
-                                            <div className="flex-1">
+                            )}
+
+                            {formData.schedule.type === 'prn' && (
+                                <div className="grid grid-cols-2 gap-3">
+                                    <label className="block text-sm text-gray-700 dark:text-gray-300">
+                                        {t('reminders.minIntervalHours')}
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="0.5"
+                                            value={formData.schedule.prn.minIntervalHours}
+                                            onChange={(e) => handleScheduleChange('prn', { ...formData.schedule.prn, minIntervalHours: e.target.value })}
+                                            className="mt-1 w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                                        />
+                                    </label>
+                                    <label className="block text-sm text-gray-700 dark:text-gray-300">
+                                        {t('reminders.maxDailyDoses')}
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            value={formData.schedule.prn.maxDailyDoses}
+                                            onChange={(e) => handleScheduleChange('prn', { ...formData.schedule.prn, maxDailyDoses: e.target.value })}
+                                            className="mt-1 w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                                        />
+                                    </label>
+                                </div>
+                            )}
+
+                            {errors.schedule && (
+                                <p className="text-sm text-red-600">{errors.schedule}</p>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Time Selection Display */}
+                    {formData.schedule.type !== 'prn' && (
+                        <div className="md:col-span-2">
+                            {formData.schedule.type === 'interval_hours' ? (
+                                <div className="bg-blue-50 dark:bg-slate-800/50 rounded-xl p-4 border border-blue-100 dark:border-slate-700">
+                                    <label className="block text-sm font-medium text-blue-900 dark:text-blue-100 mb-3">
+                                        {t('reminders.firstDoseAt')}
+                                    </label>
+                                    <CustomTimePicker
+                                        value={formData.times[0] || '08:00'}
+                                        onChange={(val) => handleCustomChange('times', [val])}
+                                    />
+                                </div>
+                            ) : formData.frequency !== 'custom' ? (
+                                <div className="bg-blue-50 dark:bg-slate-800/50 rounded-xl p-4 border border-blue-100 dark:border-slate-700">
+                                    <label className="block text-sm font-medium text-blue-900 dark:text-blue-100 mb-3">
+                                        {t('reminders.scheduledTimes')}
+                                    </label>
+                                    <div className="flex flex-wrap gap-3">
+                                        {formData.times.map((time, index) => (
+                                            <div key={index} className="flex-1 min-w-[120px]">
                                                 <CustomTimePicker
                                                     value={time}
                                                     onChange={(val) => handleTimeChange(index, val)}
-                                                    required
                                                 />
                                             </div>
-                                            {formData.times.length > 1 && (
-                                                <button
-                                                    type="button"
-                                                    onClick={() => removeTime(index)}
-                                                    className="p-3.5 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-xl transition-colors border border-transparent hover:border-red-100"
-                                                >
-                                                    <XMarkIcon className="w-5 h-5" />
-                                                </button>
-                                            )}
-                                        </div>
-                                    ))}
+                                        ))}
+                                    </div>
                                 </div>
-                            </div>
-                        )}
-                        {errors.times && (
-                            <p className="mt-1 text-sm text-red-600">{errors.times}</p>
-                        )}
-                    </div>
+                            ) : (
+                                <div className="bg-gray-50 dark:bg-slate-800/30 rounded-xl p-4 border border-gray-100 dark:border-slate-700">
+                                    <div className="flex items-center justify-between mb-3">
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                            {t('reminders.customTimes')}
+                                        </label>
+                                        <button
+                                            type="button"
+                                            onClick={addTime}
+                                            className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg transition-colors"
+                                        >
+                                            <PlusIcon className="w-4 h-4 mr-2" />
+                                            {t('common.add') || 'Add Time'}
+                                        </button>
+                                    </div>
+                                    <div className="space-y-3">
+                                        {formData.times.map((time, index) => (
+                                            <div key={index} className="flex gap-3">
+                                                <div className="flex-1">
+                                                    <CustomTimePicker
+                                                        value={time}
+                                                        onChange={(val) => handleTimeChange(index, val)}
+                                                        required
+                                                    />
+                                                </div>
+                                                {formData.times.length > 1 && (
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => removeTime(index)}
+                                                        className="p-3.5 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-xl transition-colors border border-transparent hover:border-red-100"
+                                                    >
+                                                        <XMarkIcon className="w-5 h-5" />
+                                                    </button>
+                                                )}
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+                            {errors.times && (
+                                <p className="mt-1 text-sm text-red-600">{errors.times}</p>
+                            )}
+                        </div>
+                    )}
 
                     {/* Start and End Dates */}
                     <CustomDatePicker
@@ -332,6 +683,134 @@ const ReminderForm = ({ medicine: initialMedicine, editingReminder, onSave, onDe
                     />
                 </div>
 
+                {/* Pill stock */}
+                <div className="bg-gray-50 dark:bg-slate-800/30 rounded-xl p-4 border border-gray-100 dark:border-slate-700">
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                        {t('reminders.pillStock')}
+                    </label>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                        {t('reminders.pillStockDesc')}
+                    </p>
+                    <div className="grid grid-cols-3 gap-3">
+                        <label className="block text-xs text-gray-600 dark:text-gray-400">
+                            {t('reminders.pillsOnHand')}
+                            <input
+                                type="number"
+                                min="0"
+                                value={formData.inventory.pillsRemaining}
+                                onChange={(e) => handleInventoryChange('pillsRemaining', e.target.value)}
+                                className="mt-1 w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                            />
+                        </label>
+                        <label className="block text-xs text-gray-600 dark:text-gray-400">
+                            {t('reminders.pillsPerDose')}
+                            <input
+                                type="number"
+                                min="0.25"
+                                step="0.25"
+                                value={formData.inventory.pillsPerDose}
+                                onChange={(e) => handleInventoryChange('pillsPerDose', e.target.value)}
+                                className="mt-1 w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                            />
+                        </label>
+                        <label className="block text-xs text-gray-600 dark:text-gray-400">
+                            {t('reminders.refillAlertDays')}
+                            <input
+                                type="number"
+                                min="1"
+                                max="60"
+                                value={formData.inventory.refillReminderDays}
+                                onChange={(e) => handleInventoryChange('refillReminderDays', e.target.value)}
+                                className="mt-1 w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                            />
+                        </label>
+                    </div>
+                </div>
+
+                {/* Missed doses */}
+                <div className="bg-gray-50 dark:bg-slate-800/30 rounded-xl p-4 border border-gray-100 dark:border-slate-700 space-y-4">
+                    <label className="flex items-center justify-between gap-3">
+                        <span>
+                            <span className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                {t('reminders.criticalMedicine') || 'Critical medicine'}
+                            </span>
+                            <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                {t('reminders.criticalMedicineDesc') || 'Missing a dose could be dangerous'}
+                            </span>
+                        </span>
+                        <input
+                            type="checkbox"
+                            checked={!!formData.isCritical}
+                            onChange={(e) => handleCustomChange('isCritical', e.target.checked)}
+                            className="w-5 h-5 rounded text-blue-600 focus:ring-blue-500"
+                        />
+                    </label>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            {t('reminders.gracePeriod') || 'Mark as missed after (minutes)'}
+                        </label>
+                        <input
+                            type="number"
+                            name="gracePeriodMinutes"
+                            min="5"
+                            max="1440"
+                            value={formData.gracePeriodMinutes}
+                            onChange={handleInputChange}
+                            className="w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                        />
+                    </div>
+
+                    {formData.isCritical && (
+                        <div className="space-y-3">
+                            <label className="flex items-center justify-between gap-3">
+                                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                                    {t('reminders.alertContact') || 'Alert an emergency contact when doses are missed'}
+                                </span>
+                                <input
+                                    type="checkbox"
+                                    checked={formData.escalation.enabled}
+                                    onChange={(e) => handleEscalationChange('enabled', e.target.checked)}
+                                    className="w-5 h-5 rounded text-blue-600 focus:ring-blue-500"
+                                />
+                            </label>
+
+                            {formData.escalation.enabled && (
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                                    <select
+                                        value={formData.escalation.contactId}
+                                        onChange={(e) => handleEscalationChange('contactId', e.target.value)}
+                                        className="w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                                    >
+                                        <option value="">{t('reminders.primaryContact') || 'Primary contact'}</option>
+                                        {emergencyContacts.map(contact => (
+                                            <option key={contact.id} value={contact.id}>
+                                                {contact.name}{contact.relationship ? ` (${contact.relationship})` : ''}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <select
+                                        value={formData.escalation.missedThreshold}
+                                        onChange={(e) => handleEscalationChange('missedThreshold', e.target.value)}
+                                        className="w-full px-3 py-3 border border-gray-300 dark:border-slate-700 rounded-xl focus:ring-2 focus:ring-blue-500 bg-white dark:bg-slate-800 text-gray-900 dark:text-white"
+                                    >
+                                        {[1, 2, 3, 4, 5].map(count => (
+                                            <option key={count} value={count}>
+                                                {t('reminders.afterMissedDoses', { count })}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    {emergencyContacts.length === 0 && (
+                                        <p className="md:col-span-2 text-xs text-amber-600 dark:text-amber-400">
+                                            {t('reminders.noEmergencyContacts') || 'Add an emergency contact first so someone can be alerted.'}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+
                 {/* Notes */}
                 <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
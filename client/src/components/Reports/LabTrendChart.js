@@ -0,0 +1,131 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const WIDTH = 600;
+const HEIGHT = 240;
+const PADDING = { top: 16, right: 20, bottom: 28, left: 44 };
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+
+const formatValue = (value) => {
+  const rounded = Math.round(value * 100) / 100;
+  return Math.abs(rounded) >= 1000 ? Math.round(rounded).toLocaleString() : String(rounded);
+};
+
+// Line chart of one lab test over time, with the reference band shaded and
+// the user's own baseline dashed
+const LabTrendChart = ({ points, referenceRange, baseline }) => {
+  const values = points.filter(point => typeof point.value === 'number');
+
+  if (values.length === 0) {
+    return null;
+  }
+
+  const bounds = values.map(point => point.value);
+  if (referenceRange?.min != null) bounds.push(referenceRange.min);
+  if (referenceRange?.max != null) bounds.push(referenceRange.max);
+  if (baseline) bounds.push(baseline.value);
+
+  const spread = Math.max(...bounds) - Math.min(...bounds) || Math.abs(bounds[0]) || 1;
+  const yMin = Math.max(0, Math.min(...bounds) - spread * 0.15);
+  const yMax = Math.max(...bounds) + spread * 0.15;
+
+  const times = values.map(point => new Date(point.date).getTime());
+  const tMin = Math.min(...times);
+  const tMax = Math.max(...times);
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (time) => tMax === tMin
+    ? PADDING.left + plotWidth / 2
+    : PADDING.left + ((time - tMin) / (tMax - tMin)) * plotWidth;
+  const y = (value) => PADDING.top + (1 - (value - yMin) / (yMax - yMin)) * plotHeight;
+
+  const bandTop = y(Math.min(referenceRange?.max ?? yMax, yMax));
+  const bandBottom = y(Math.max(referenceRange?.min ?? yMin, yMin));
+  const hasBand = referenceRange && (referenceRange.min != null || referenceRange.max != null);
+
+  const ticks = [0, 1, 2, 3].map(i => yMin + ((yMax - yMin) * i) / 3);
+  const path = values.map((point, i) => `${i === 0 ? 'M' : 'L'}${x(times[i])},${y(point.value)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img">
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} className="stroke-gray-100 dark:stroke-slate-800" />
+          <text x={PADDING.left - 8} y={y(tick) + 3} textAnchor="end" className="fill-gray-400 text-[10px]">
+            {formatValue(tick)}
+          </text>
+        </g>
+      ))}
+
+      {hasBand && (
+        <rect
+          x={PADDING.left}
+          width={plotWidth}
+          y={bandTop}
+          height={Math.max(0, bandBottom - bandTop)}
+          className="fill-emerald-500/10"
+        />
+      )}
+
+      {baseline && (
+        <line
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={y(baseline.value)}
+          y2={y(baseline.value)}
+          strokeDasharray="6 4"
+          className="stroke-amber-400"
+        />
+      )}
+
+      <path d={path} fill="none" strokeWidth="2.5" strokeLinejoin="round" className="stroke-blue-500" />
+
+      {values.map((point, i) => (
+        <g key={`${point.healthMetricsId}-${i}`}>
+          {point.changeAlert && (
+            <circle cx={x(times[i])} cy={y(point.value)} r="9" fill="none" strokeWidth="2" className="stroke-amber-500" />
+          )}
+          <circle
+            cx={x(times[i])}
+            cy={y(point.value)}
+            r="5"
+            className={point.isNormal === false ? 'fill-red-500' : 'fill-blue-500'}
+          >
+            <title>{`${formatValue(point.value)} · ${new Date(point.date).toLocaleDateString()}`}</title>
+          </circle>
+        </g>
+      ))}
+
+      <text x={PADDING.left} y={HEIGHT - 8} className="fill-gray-400 text-[10px]">
+        {formatDate(tMin)}
+      </text>
+      {tMax !== tMin && (
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end" className="fill-gray-400 text-[10px]">
+          {formatDate(tMax)}
+        </text>
+      )}
+    </svg>
+  );
+};
+
+LabTrendChart.propTypes = {
+  points: PropTypes.arrayOf(PropTypes.shape({
+    value: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    date: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]).isRequired,
+    isNormal: PropTypes.bool,
+    changeAlert: PropTypes.object
+  })).isRequired,
+  referenceRange: PropTypes.shape({
+    min: PropTypes.number,
+    max: PropTypes.number
+  }),
+  baseline: PropTypes.shape({
+    value: PropTypes.number.isRequired,
+    count: PropTypes.number
+  })
+};
+
+export default LabTrendChart;
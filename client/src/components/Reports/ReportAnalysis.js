@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
+import { useNavigate } from 'react-router-dom';
 import {
   ArrowLeftIcon,
   ArrowDownTrayIcon,
@@ -19,7 +20,8 @@ import {
   ChatBubbleLeftEllipsisIcon,
   ClockIcon,
   GlobeAltIcon,
-  CheckIcon
+  CheckIcon,
+  ArrowTrendingUpIcon
 } from '@heroicons/react/24/outline';
 import {
   GlassCard,
@@ -35,6 +37,7 @@ import {
 import { motion, AnimatePresence } from 'framer-motion';
 import { createPortal } from 'react-dom';
 import ReportChat, { ReportChatFAB } from './ReportChat';
+import CreateShareModal from '../Sharing/CreateShareModal';
 import { useLayout } from '../../contexts/LayoutContext';
 
 const LANGUAGES = [
@@ -72,6 +75,10 @@ const UI_LABELS = {
   laboratory: 'Laboratory',
   flags: 'Flags',
   refRange: 'Ref Range',
+  page: 'Page',
+  changedFromBaseline: 'Changed From Your Baseline',
+  yourUsual: 'Your usual',
+  viewTrend: 'View trend',
   goBack: 'Go Back',
   analysisFailed: 'Analysis Failed',
   analysisUnavailable: 'Analysis Unavailable',
@@ -81,16 +88,26 @@ const UI_LABELS = {
   healthScore: 'Health Status'
 };
 
+// "13 - 17", "< 200" or "> 40"; ranges can be open on one side
+const formatRange = (range) => {
+  if (!range || (range.min == null && range.max == null)) return '-';
+  if (range.min == null) return `< ${range.max}`;
+  if (range.max == null) return `> ${range.min}`;
+  return `${range.min} - ${range.max}`;
+};
+
 const ReportAnalysis = ({ report, onBack }) => {
   const [activeSection, setActiveSection] = useState('overview');
   const [isChatOpen, setIsChatOpen] = useState(false);
   const { setHideBottomNav } = useLayout();
+  const navigate = useNavigate();
 
   // Translation state
   const [selectedLanguage, setSelectedLanguage] = useState('en');
   const [showLanguageMenu, setShowLanguageMenu] = useState(false);
   const [translatedInfo, setTranslatedInfo] = useState(null);
   const [isTranslating, setIsTranslating] = useState(false);
+  const [showShareModal, setShowShareModal] = useState(false);
 
   // ── Helper to get label ───────────────────────────────────────────────
   const t = (key) => {
@@ -186,6 +203,7 @@ const ReportAnalysis = ({ report, onBack }) => {
     switch (severity) {
       case 'critical': return 'error';
       case 'high': return 'error';
+      case 'low': return 'error';
       case 'moderate': return 'warning';
       default: return 'success';
     }
@@ -298,14 +316,9 @@ const ReportAnalysis = ({ report, onBack }) => {
     win.print();
   };
 
+  // Read-only link to this report for a doctor or family member
   const handleShare = () => {
-    if (navigator.share) {
-      navigator.share({
-        title: `Medical Report: ${report.fileName}`,
-        text: `Check out my medical report analysis on Mediot. Status: ${getOverallStatusText(healthMetrics?.summary?.overallStatus)}`,
-        url: window.location.href
-      });
-    }
+    setShowShareModal(true);
   };
 
   return (
@@ -353,6 +366,16 @@ const ReportAnalysis = ({ report, onBack }) => {
 
             {/* Right Section: Tools & Status Indicator */}
             <div className="flex items-center gap-2 flex-shrink-0">
+              {report.processingStatus === 'processed' && (
+                <button
+                  onClick={handleShare}
+                  aria-label={t('share')}
+                  className="w-9 h-9 sm:w-10 sm:h-10 flex items-center justify-center rounded-xl transition-all shadow-sm bg-white dark:bg-slate-800 text-gray-600 dark:text-gray-400 hover:bg-blue-50 dark:hover:bg-blue-900/20 border border-gray-100 dark:border-slate-700"
+                >
+                  <ShareIcon className="w-4 h-4 sm:w-5 sm:h-5" />
+                </button>
+              )}
+
               {/* Integrated Language Selector */}
               <div className="relative z-50">
                 <button
@@ -560,7 +583,7 @@ const ReportAnalysis = ({ report, onBack }) => {
                               {flag.value} <span className="text-xs font-normal text-gray-400">{flag.unit}</span>
                             </div>
                             <p className="text-[10px] text-gray-500 italic line-clamp-1">
-                              {tFlag?.interpretation || flag.interpretation || `${t('refRange')}: ${flag.normalRange?.min}-${flag.normalRange?.max}`}
+                              {tFlag?.interpretation || flag.interpretation || flag.recommendation || `${t('refRange')}: ${formatRange(flag.normalRange)}`}
                             </p>
                           </motion.div>
                         );
@@ -569,6 +592,38 @@ const ReportAnalysis = ({ report, onBack }) => {
                   </div>
                 )}
 
+                {/* Changes from the user's own earlier results */}
+                {healthMetrics.changeAlerts?.length > 0 && (
+                  <div className="space-y-3 sm:space-y-4">
+                    <h3 className="font-bold text-gray-900 dark:text-white px-1 flex items-center gap-2 text-sm sm:text-base">
+                      <ArrowTrendingUpIcon className="w-4 h-4 sm:w-5 sm:h-5 text-amber-500" />
+                      {t('changedFromBaseline')}
+                    </h3>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
+                      {healthMetrics.changeAlerts.map((alert) => (
+                        <button
+                          key={alert.testCode}
+                          onClick={() => navigate(`/reports/trends?test=${alert.testCode}`)}
+                          className="text-left bg-white dark:bg-slate-800 border border-amber-100 dark:border-amber-900/30 rounded-2xl p-4 shadow-sm hover:-translate-y-0.5 transition-transform"
+                        >
+                          <div className="flex justify-between items-start mb-2">
+                            <span className="text-[10px] font-bold text-gray-400 uppercase tracking-tight">{alert.name}</span>
+                            <span className="text-xs font-black text-amber-600 dark:text-amber-400">
+                              {alert.changePercent > 0 ? '+' : ''}{alert.changePercent}%
+                            </span>
+                          </div>
+                          <div className="text-lg sm:text-2xl font-black text-gray-900 dark:text-white mb-1">
+                            {alert.value} <span className="text-xs font-normal text-gray-400">{alert.unit}</span>
+                          </div>
+                          <p className="text-[10px] text-gray-500">
+                            {t('yourUsual')}: {alert.baseline} {alert.unit} · <span className="text-blue-600 dark:text-blue-400 font-bold">{t('viewTrend')}</span>
+                          </p>
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {/* All Metrics Grid */}
                 <div className="space-y-3 sm:space-y-4">
                   <h3 className="font-bold text-gray-900 dark:text-white px-1 flex items-center gap-2 text-sm sm:text-base">
@@ -601,7 +656,10 @@ const ReportAnalysis = ({ report, onBack }) => {
                                   <p className="text-xs sm:text-sm font-bold text-gray-900 dark:text-white truncate max-w-[120px] sm:max-w-none">
                                     {translatedInfo?.metrics?.[idx]?.name || metric.displayName || metric.name}
                                   </p>
-                                  <p className="text-[9px] text-gray-400">{t('refRange')}: {metric.normalRange?.min}-{metric.normalRange?.max}</p>
+                                  <p className="text-[9px] text-gray-400">
+                                    {t('refRange')}: {formatRange(metric.normalRange)}
+                                    {metric.sourcePage && ` · ${t('page')} ${metric.sourcePage}`}
+                                  </p>
                                 </td>
                                 <td className="px-4 sm:px-6 py-3 sm:py-4 text-center">
                                   <span className={`text-xs sm:text-sm font-black ${metric.isNormal ? 'text-emerald-500' : 'text-red-500'}`}>
@@ -783,6 +841,11 @@ const ReportAnalysis = ({ report, onBack }) => {
         isOpen={isChatOpen}
         onClose={() => setIsChatOpen(false)}
       />
+      <CreateShareModal
+        isOpen={showShareModal}
+        onClose={() => setShowShareModal(false)}
+        reportId={report._id}
+      />
     </div>
   );
 };
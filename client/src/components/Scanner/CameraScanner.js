@@ -128,7 +128,8 @@ const CameraScanner = ({ scanType, onScanResult, onError, onClose }) => {
         BarcodeFormat.CODE_128,
         BarcodeFormat.CODE_39,
         BarcodeFormat.UPC_A,
-        BarcodeFormat.UPC_E
+        BarcodeFormat.UPC_E,
+        BarcodeFormat.DATA_MATRIX
       ]);
 
       // Convert data URL to image element
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { XMarkIcon, LinkIcon, ClipboardDocumentIcon, CheckIcon } from '@heroicons/react/24/outline';
+import { useLanguage } from '../../contexts/LanguageContext';
+import deepLinking from '../../services/deepLinking';
+
+const SCOPES = ['profile', 'reminders', 'adherence', 'reports'];
+const DURATIONS = [24, 72, 168, 720];
+const RECIPIENTS = ['caregiver', 'clinician', 'other'];
+
+// Create a read-only share link. With a reportId the link covers just that report.
+const CreateShareModal = ({ isOpen, onClose, onCreated, reportId = null }) => {
+    const { t } = useLanguage();
+    const [label, setLabel] = useState('');
+    const [recipientType, setRecipientType] = useState('caregiver');
+    const [scopes, setScopes] = useState(['reminders', 'adherence']);
+    const [expiresInHours, setExpiresInHours] = useState(168);
+    const [isCreating, setIsCreating] = useState(false);
+    const [error, setError] = useState(null);
+    const [link, setLink] = useState(null);
+    const [copied, setCopied] = useState(false);
+
+    const toggleScope = (scope) => {
+        setScopes(current => current.includes(scope)
+            ? current.filter(item => item !== scope)
+            : [...current, scope]);
+    };
+
+    const handleClose = () => {
+        setLink(null);
+        setCopied(false);
+        setError(null);
+        onClose();
+    };
+
+    const handleCreate = async () => {
+        setIsCreating(true);
+        setError(null);
+        try {
+            const response = await fetch('/api/share', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                },
+                body: JSON.stringify({
+                    label: label.trim() || undefined,
+                    recipientType,
+                    scopes: reportId ? ['reports'] : scopes,
+                    reportId: reportId || undefined,
+                    expiresInHours
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+
+            setLink(deepLinking.generatePatientLink(data.data.token));
+            onCreated?.(data.data);
+        } catch (err) {
+            console.error('Create share link error:', err);
+            setError(err.message || t('sharing.createFailed'));
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: t('sharing.shareTitle'), url: link });
+                return;
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+            }
+        }
+        await navigator.clipboard.writeText(link);
+        setCopied(true);
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <div className="fixed inset-0 z-[60] flex items-end sm:items-center justify-center p-4">
+                    <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        onClick={handleClose}
+                        className="fixed inset-0 bg-black/40 backdrop-blur-sm"
+                    />
+
+                    <motion.div
+                        initial={{ scale: 0.95, opacity: 0, y: 20 }}
+                        animate={{ scale: 1, opacity: 1, y: 0 }}
+                        exit={{ scale: 0.95, opacity: 0, y: 20 }}
+                        className="relative w-full max-w-md max-h-[90vh] overflow-y-auto bg-white dark:bg-slate-900 rounded-2xl shadow-xl z-10"
+                    >
+                        <div className="p-6 space-y-5">
+                            <div className="flex items-start justify-between gap-4">
+                                <div>
+                                    <h3 className="text-lg font-bold text-gray-900 dark:text-white">
+                                        {reportId ? t('sharing.shareReport') : t('sharing.newLink')}
+                                    </h3>
+                                    <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">{t('sharing.readOnlyNote')}</p>
+                                </div>
+                                <button
+                                    onClick={handleClose}
+                                    className="p-1.5 rounded-lg text-gray-400 hover:bg-gray-100 dark:hover:bg-slate-800"
+                                    aria-label={t('visitSummary.close')}
+                                >
+                                    <XMarkIcon className="w-5 h-5" />
+                                </button>
+                            </div>
+
+                            {link ? (
+                                <div className="space-y-3">
+                                    <div className="p-3 bg-gray-50 dark:bg-slate-800 rounded-xl text-xs font-mono text-gray-700 dark:text-gray-300 break-all">
+                                        {link}
+                                    </div>
+                                    <p className="text-xs text-amber-600 dark:text-amber-400">{t('sharing.copyNow')}</p>
+                                    <button
+                                        onClick={handleCopy}
+                                        className="w-full flex items-center justify-center gap-2 px-4 py-3 text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 rounded-xl transition-colors"
+                                    >
+                                        {copied ? <CheckIcon className="w-5 h-5" /> : <ClipboardDocumentIcon className="w-5 h-5" />}
+                                        {copied ? t('sharing.copied') : t('sharing.copyLink')}
+                                    </button>
+                                </div>
+                            ) : (
+                                <>
+                                    <div className="space-y-2">
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('sharing.label')}</label>
+                                        <input
+                                            type="text"
+                                            value={label}
+                                            maxLength={100}
+                                            onChange={(e) => setLabel(e.target.value)}
+                                            placeholder={t('sharing.labelPlaceholder')}
+                                            className="w-full px-3 py-2.5 rounded-xl bg-gray-50 dark:bg-slate-800 border border-gray-200 dark:border-slate-700 text-sm text-gray-900 dark:text-white"
+                                        />
+                                    </div>
+
+                                    <div className="space-y-2">
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('sharing.recipient')}</label>
+                                        <div className="grid grid-cols-3 gap-2">
+                                            {RECIPIENTS.map(recipient => (
+                                                <button
+                                                    key={recipient}
+                                                    onClick={() => setRecipientType(recipient)}
+                                                    className={`py-2 rounded-xl text-xs font-semibold transition-colors ${recipientType === recipient
+                                                        ? 'bg-blue-600 text-white'
+                                                        : 'bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-gray-300'
+                                                        }`}
+                                                >
+                                                    {t(`sharing.recipients.${recipient}`)}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+
+                                    {!reportId && (
+                                        <div className="space-y-2">
+                                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('sharing.whatToShare')}</label>
+                                            {SCOPES.map(scope => (
+                                                <label key={scope} className="flex items-center gap-3 p-3 rounded-xl bg-gray-50 dark:bg-slate-800 cursor-pointer">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={scopes.includes(scope)}
+                                                        onChange={() => toggleScope(scope)}
+                                                        className="w-4 h-4 rounded text-blue-600"
+                                                    />
+                                                    <span className="text-sm text-gray-900 dark:text-white">{t(`sharing.scopes.${scope}`)}</span>
+                                                </label>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    <div className="space-y-2">
+                                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">{t('sharing.expiresAfter')}</label>
+                                        <div className="grid grid-cols-4 gap-2">
+                                            {DURATIONS.map(hours => (
+                                                <button
+                                                    key={hours}
+                                                    onClick={() => setExpiresInHours(hours)}
+                                                    className={`py-2 rounded-xl text-xs font-semibold transition-colors ${expiresInHours === hours
+                                                        ? 'bg-blue-600 text-white'
+                                                        : 'bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-gray-300'
+                                                        }`}
+                                                >
+                                                    {t(`sharing.durations.${hours}`)}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+
+                                    {error && <p className="text-sm text-red-500">{error}</p>}
+
+                                    <button
+                                        onClick={handleCreate}
+                                        disabled={isCreating || (!reportId && scopes.length === 0)}
+                                        className="w-full flex items-center justify-center gap-2 px-4 py-3 text-sm font-semibold text-white bg-blue-600 hover:bg-blue-700 rounded-xl transition-colors disabled:opacity-60"
+                                    >
+                                        <LinkIcon className="w-5 h-5" />
+                                        {isCreating ? t('sharing.creating') : t('sharing.createLink')}
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    </motion.div>
+                </div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default CreateShareModal;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { LinkIcon, PlusIcon, EyeIcon, NoSymbolIcon } from '@heroicons/react/24/outline';
+import { useLanguage } from '../../contexts/LanguageContext';
+import CreateShareModal from './CreateShareModal';
+import api from '../../services/api';
+
+const STATUS_STYLES = {
+    active: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400',
+    expired: 'bg-gray-100 text-gray-500 dark:bg-slate-800 dark:text-gray-400',
+    revoked: 'bg-red-100 text-red-600 dark:bg-red-900/30 dark:text-red-400'
+};
+
+const formatDateTime = (date) => new Date(date).toLocaleString(undefined, {
+    day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+});
+
+// The user's share links, with revocation and each link's access log
+const ShareLinks = () => {
+    const { t } = useLanguage();
+    const [grants, setGrants] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [showCreate, setShowCreate] = useState(false);
+    const [openLog, setOpenLog] = useState(null);
+    const [accessLog, setAccessLog] = useState([]);
+
+    useEffect(() => {
+        loadGrants();
+    }, []);
+
+    const loadGrants = async () => {
+        try {
+            const response = await api.get('/share');
+            if (response.data.success) setGrants(response.data.data);
+        } catch (error) {
+            console.error('Failed to load share links:', error);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleRevoke = async (grantId) => {
+        try {
+            const response = await api.delete(`/share/${grantId}`);
+            if (response.data.success) {
+                setGrants(current => current.map(grant => grant._id === grantId ? response.data.data : grant));
+            }
+        } catch (error) {
+            console.error('Failed to revoke share link:', error);
+        }
+    };
+
+    const toggleLog = async (grantId) => {
+        if (openLog === grantId) {
+            setOpenLog(null);
+            return;
+        }
+
+        setOpenLog(grantId);
+        setAccessLog([]);
+        try {
+            const response = await api.get(`/share/${grantId}/access-log`);
+            if (response.data.success) setAccessLog(response.data.data);
+        } catch (error) {
+            console.error('Failed to load access log:', error);
+        }
+    };
+
+    return (
+        <>
+            <div className="divide-y divide-gray-100 dark:divide-slate-800">
+                {!isLoading && grants.length === 0 && (
+                    <p className="p-4 text-sm text-gray-500 dark:text-gray-400">{t('sharing.noLinks')}</p>
+                )}
+
+                {grants.map(grant => (
+                    <div key={grant._id} className="p-4 space-y-2">
+                        <div className="flex items-start gap-3">
+                            <div className="w-10 h-10 rounded-xl flex items-center justify-center bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-gray-400 flex-shrink-0">
+                                <LinkIcon className="w-5 h-5" />
+                            </div>
+                            <div className="flex-1 min-w-0">
+                                <div className="flex items-center gap-2">
+                                    <h4 className="font-medium text-gray-900 dark:text-white truncate">
+                                        {grant.label || t(`sharing.recipients.${grant.recipientType}`)}
+                                    </h4>
+                                    <span className={`px-2 py-0.5 rounded-md text-[10px] font-bold uppercase ${STATUS_STYLES[grant.status]}`}>
+                                        {t(`sharing.status.${grant.status}`)}
+                                    </span>
+                                </div>
+                                <p className="text-sm text-gray-500 dark:text-gray-400">
+                                    {grant.reportId
+                                        ? t('sharing.singleReport')
+                                        : grant.scopes.map(scope => t(`sharing.scopes.${scope}`)).join(', ')}
+                                </p>
+                                <p className="text-xs text-gray-400 mt-0.5">
+                                    {grant.status === 'revoked'
+                                        ? t('sharing.revokedOn', { date: formatDateTime(grant.revokedAt) })
+                                        : t(grant.status === 'expired' ? 'sharing.expiredOn' : 'sharing.expiresOn', { date: formatDateTime(grant.expiresAt) })}
+                                    {' · '}
+                                    {t('sharing.viewCount', { count: grant.accessCount })}
+                                </p>
+                            </div>
+                        </div>
+
+                        <div className="flex gap-2 pl-[52px]">
+                            <button
+                                onClick={() => toggleLog(grant._id)}
+                                className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-gray-300"
+                            >
+                                <EyeIcon className="w-4 h-4" />
+                                {t('sharing.activity')}
+                            </button>
+                            {grant.status === 'active' && (
+                                <button
+                                    onClick={() => handleRevoke(grant._id)}
+                                    className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400"
+                                >
+                                    <NoSymbolIcon className="w-4 h-4" />
+                                    {t('sharing.revoke')}
+                                </button>
+                            )}
+                        </div>
+
+                        {openLog === grant._id && (
+                            <div className="ml-[52px] p-3 rounded-xl bg-gray-50 dark:bg-slate-800/50 space-y-1.5">
+                                {accessLog.length === 0 ? (
+                                    <p className="text-xs text-gray-500">{t('sharing.noActivity')}</p>
+                                ) : accessLog.map(entry => (
+                                    <div key={entry._id} className="flex items-center justify-between gap-2 text-xs">
+                                        <span className="text-gray-700 dark:text-gray-300">
+                                            {formatDateTime(entry.accessedAt)} · {entry.resource === 'visit_summary' ? t('sharing.scopes.visit_summary') : t('sharing.overview')}
+                                        </span>
+                                        <span className={entry.outcome === 'granted' ? 'text-green-600' : 'text-red-500'}>
+                                            {t(`sharing.outcomes.${entry.outcome}`)}
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                ))}
+
+                <button
+                    onClick={() => setShowCreate(true)}
+                    className="w-full flex items-center gap-4 p-4 hover:bg-gray-50 dark:hover:bg-white/5 transition-colors text-left"
+                >
+                    <div className="w-10 h-10 rounded-xl flex items-center justify-center bg-blue-50 dark:bg-blue-900/20 text-blue-600">
+                        <PlusIcon className="w-5 h-5" />
+                    </div>
+                    <div className="flex-1">
+                        <h4 className="font-medium text-gray-900 dark:text-white">{t('sharing.newLink')}</h4>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">{t('sharing.newLinkSubtitle')}</p>
+                    </div>
+                </button>
+            </div>
+
+            <CreateShareModal
+                isOpen={showCreate}
+                onClose={() => setShowCreate(false)}
+                onCreated={(grant) => setGrants(current => [grant, ...current])}
+            />
+        </>
+    );
+};
+
+export default ShareLinks;
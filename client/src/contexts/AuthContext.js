@@ -3,12 +3,26 @@ import api from '../services/api';
 
 const AuthContext = createContext();
 
+const ACTIVE_PROFILE_KEY = 'mediot_active_profile';
+
+// A notification for a family member links with ?profile=<id> to open their profile
+const getInitialProfileId = () => {
+  const fromLink = new URLSearchParams(window.location.search).get('profile');
+  if (fromLink) localStorage.setItem(ACTIVE_PROFILE_KEY, fromLink);
+  return localStorage.getItem(ACTIVE_PROFILE_KEY);
+};
+
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
   isLoading: true,
   isAuthenticated: false,
-  isGuest: localStorage.getItem('mediot_guest_mode') === 'true'
+  isGuest: localStorage.getItem('mediot_guest_mode') === 'true',
+  // The login's own profile plus any family members it manages
+  profiles: [],
+  activeProfileId: getInitialProfileId(),
+  // Full record of the selected family member; null while acting for the login itself
+  dependentProfile: null
 };
 
 const authReducer = (state, action) => {
@@ -16,8 +30,12 @@ const authReducer = (state, action) => {
     case 'LOGIN_SUCCESS':
       localStorage.setItem('token', action.payload.token);
       localStorage.removeItem('mediot_guest_mode'); // Remove guest mode when logging in
+      localStorage.removeItem(ACTIVE_PROFILE_KEY);
       return {
         ...state,
+        profiles: [],
+        activeProfileId: null,
+        dependentProfile: null,
         user: action.payload.user,
         token: action.payload.token,
         isAuthenticated: true,
@@ -27,8 +45,12 @@ const authReducer = (state, action) => {
     case 'LOGOUT':
       localStorage.removeItem('token');
       localStorage.removeItem('mediot_guest_mode');
+      localStorage.removeItem(ACTIVE_PROFILE_KEY);
       return {
         ...state,
+        profiles: [],
+        activeProfileId: null,
+        dependentProfile: null,
         user: null,
         token: null,
         isAuthenticated: false,
@@ -67,6 +89,25 @@ const authReducer = (state, action) => {
         ...state,
         user: action.payload
       };
+    case 'SET_PROFILES':
+      return {
+        ...state,
+        profiles: action.payload
+      };
+    case 'SET_ACTIVE_PROFILE':
+      return {
+        ...state,
+        activeProfileId: action.payload.id,
+        dependentProfile: action.payload.profile
+      };
+    case 'UPDATE_DEPENDENT_PROFILE':
+      return {
+        ...state,
+        dependentProfile: action.payload,
+        profiles: state.profiles.map(profile => profile._id === action.payload._id
+          ? { ...profile, name: action.payload.name, relationship: action.payload.relationship, dateOfBirth: action.payload.dateOfBirth, gender: action.payload.gender }
+          : profile)
+      };
     default:
       return state;
   }
@@ -94,10 +135,43 @@ export const AuthProvider = ({ children }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  const getDeviceTimezone = () => {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Keep the server informed of the zone this device is in, so reminders can
+  // follow local time while travelling. The first zone seen becomes "home".
+  const syncDeviceTimezone = async (user, token = null) => {
+    const deviceTimezone = getDeviceTimezone();
+    if (!user || user.isDemo || !deviceTimezone) return;
+
+    const travel = user.preferences?.travel || {};
+    if (user.timezone && travel.currentTimezone === deviceTimezone) return;
+
+    try {
+      const response = await api.put('/auth/profile', {
+        ...(!user.timezone && { timezone: deviceTimezone }),
+        preferences: {
+          ...user.preferences,
+          travel: { ...travel, currentTimezone: deviceTimezone }
+        }
+      }, token ? { headers: { Authorization: `Bearer ${token}` } } : undefined);
+      dispatch({ type: 'UPDATE_USER', payload: response.data.user });
+    } catch (error) {
+      console.error('Timezone sync error:', error);
+    }
+  };
+
   const loadUser = async () => {
     try {
       const response = await api.get('/auth/profile');
       dispatch({ type: 'LOAD_USER_SUCCESS', payload: response.data.user });
+      syncDeviceTimezone(response.data.user);
+      loadProfiles(response.data.user);
     } catch (error) {
       console.error('Load user error:', error);
       dispatch({ type: 'LOAD_USER_FAIL' });
@@ -108,6 +182,8 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await api.post('/auth/login', { email, password });
       dispatch({ type: 'LOGIN_SUCCESS', payload: response.data });
+      syncDeviceTimezone(response.data.user, response.data.token);
+      loadProfiles(response.data.user);
       return { success: true };
     } catch (error) {
       console.error('Login error:', error);
@@ -120,7 +196,10 @@ export const AuthProvider = ({ children }) => {
 
   const register = async (userData) => {
     try {
-      const response = await api.post('/auth/register', userData);
+      const response = await api.post('/auth/register', {
+        ...userData,
+        timezone: getDeviceTimezone()
+      });
       dispatch({ type: 'LOGIN_SUCCESS', payload: response.data });
       return { success: true };
     } catch (error) {
@@ -140,6 +219,68 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: 'LOGOUT' });
   };
 
+  // Select whose data the app shows; null or the login's own id means the login itself.
+  // Pages remount on change, and every request carries the X-Profile-Id header.
+  const switchProfile = async (profileId, account = state.user) => {
+    const id = profileId && profileId !== account?._id ? profileId : null;
+
+    if (!id) {
+      localStorage.removeItem(ACTIVE_PROFILE_KEY);
+      dispatch({ type: 'SET_ACTIVE_PROFILE', payload: { id: null, profile: null } });
+      return { success: true };
+    }
+
+    try {
+      const response = await api.get(`/family/${id}`);
+      localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+      dispatch({ type: 'SET_ACTIVE_PROFILE', payload: { id, profile: response.data.data } });
+      return { success: true };
+    } catch (error) {
+      console.error('Switch profile error:', error);
+      localStorage.removeItem(ACTIVE_PROFILE_KEY);
+      dispatch({ type: 'SET_ACTIVE_PROFILE', payload: { id: null, profile: null } });
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to switch profile'
+      };
+    }
+  };
+
+  const loadProfiles = async (account = state.user) => {
+    try {
+      const response = await api.get('/family');
+      dispatch({ type: 'SET_PROFILES', payload: response.data.data });
+
+      // Re-open the remembered family member, or fall back if they were removed
+      const savedId = localStorage.getItem(ACTIVE_PROFILE_KEY);
+      if (savedId) {
+        const known = response.data.data.some(profile => profile._id === savedId);
+        await switchProfile(known ? savedId : null, account);
+      }
+    } catch (error) {
+      console.error('Load family profiles error:', error);
+    }
+  };
+
+  // Save health details for whoever is selected in the profile switcher
+  const updateActiveProfile = async (profileData) => {
+    if (!state.dependentProfile) {
+      return updateProfile(profileData);
+    }
+
+    try {
+      const response = await api.put(`/family/${state.dependentProfile._id}`, profileData);
+      dispatch({ type: 'UPDATE_DEPENDENT_PROFILE', payload: response.data.data });
+      return { success: true };
+    } catch (error) {
+      console.error('Update family profile error:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to update profile'
+      };
+    }
+  };
+
   const updateProfile = async (userData) => {
     try {
       const response = await api.put('/auth/profile', userData);
@@ -156,10 +297,14 @@ export const AuthProvider = ({ children }) => {
 
   const value = {
     ...state,
+    activeProfile: state.dependentProfile || state.user,
     login,
     register,
     logout,
     updateProfile,
+    updateActiveProfile,
+    switchProfile,
+    loadProfiles,
     loadUser,
     setGuestMode
   };
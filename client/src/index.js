@@ -10,6 +10,7 @@ import './i18n';
 
 // Set up axios base URL for API calls
 import axios from 'axios';
+import { ACCOUNT_PATHS } from './services/api';
 
 const API_BASE_URL = process.env.NODE_ENV === 'production' 
   ? 'https://mediot-08fq.onrender.com' 
@@ -22,7 +23,17 @@ const originalFetch = window.fetch;
 window.fetch = function(url, options = {}) {
   // If URL starts with /api/, prepend the base URL
   if (typeof url === 'string' && url.startsWith('/api/')) {
+    const apiPath = url.slice('/api'.length);
     url = API_BASE_URL + url;
+
+    // Act for the family member currently selected in the profile switcher,
+    // except on account calls, as the shared api client does
+    const activeProfile = localStorage.getItem('mediot_active_profile');
+    if (activeProfile && !ACCOUNT_PATHS.some(path => apiPath.startsWith(path))) {
+      const headers = new Headers(options.headers);
+      if (!headers.has('X-Profile-Id')) headers.set('X-Profile-Id', activeProfile);
+      options = { ...options, headers };
+    }
   }
   return originalFetch(url, options);
 };
@@ -1,6 +1,7 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import {
+  ArchiveBoxIcon,
   ArrowLeftIcon,
   CheckCircleIcon,
   ExclamationTriangleIcon,
@@ -9,12 +10,17 @@ import {
 } from '@heroicons/react/24/outline';
 import { BackButton } from '../components/ui/PremiumComponents';
 import { useLanguage } from '../contexts/LanguageContext';
+import { useAuth } from '../contexts/AuthContext';
 
 const BarcodeResult = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const { t } = useLanguage();
+  const { isAuthenticated } = useAuth();
   const { scanResult } = location.state || {};
+  const [cabinetQuantity, setCabinetQuantity] = useState('');
+  const [cabinetStatus, setCabinetStatus] = useState(null);
+  const [cabinetError, setCabinetError] = useState(null);
 
   if (!scanResult) {
     return (
@@ -32,8 +38,49 @@ const BarcodeResult = () => {
     );
   }
 
-  const { medicineInfo, confidence, data: barcodeData } = scanResult;
+  const { medicineInfo, confidence, data: barcodeData, parsed, source } = scanResult;
   const identified = medicineInfo?.identified || medicineInfo?.found || false;
+  // Expiry is a calendar date (YYYY-MM-DD), so read it in local time
+  const expiryDate = parsed?.expiry ? new Date(`${parsed.expiry}T00:00:00`) : null;
+  const isExpired = expiryDate && expiryDate < new Date(new Date().toDateString());
+  const packDetails = parsed ? [
+    { label: t('scanner.gtin'), value: parsed.gtin },
+    { label: t('scanner.ndc'), value: parsed.ndc },
+    { label: t('scanner.batch'), value: parsed.batch },
+    { label: t('scanner.manufacturedOn'), value: parsed.productionDate },
+    { label: t('scanner.serialNumber'), value: parsed.serial }
+  ].filter(detail => detail.value) : [];
+
+  // The server decodes GTIN, batch and expiry from the code itself
+  const addToCabinet = async () => {
+    setCabinetStatus('saving');
+    setCabinetError(null);
+    try {
+      const response = await fetch('/api/cabinet/scan', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({
+          barcode: barcodeData,
+          name: medicineInfo?.medicineName?.primaryName || medicineInfo?.medicineName?.brandName,
+          quantity: cabinetQuantity
+        })
+      });
+      const data = await response.json();
+      if (data.success) {
+        setCabinetStatus('added');
+      } else {
+        setCabinetStatus(null);
+        setCabinetError(data.message);
+      }
+    } catch (error) {
+      console.error('Add to cabinet failed:', error);
+      setCabinetStatus(null);
+      setCabinetError(t('cabinet.actionFailed'));
+    }
+  };
 
   return (
     <div className="min-h-screen bg-gray-50 pb-20">
@@ -46,7 +93,9 @@ const BarcodeResult = () => {
               <h1 className="text-xl font-bold text-gray-900">
                 {t('scanner.barcodeResult')}
               </h1>
-              <p className="text-sm text-gray-600">{t('scanner.aiPowered')}</p>
+              <p className="text-sm text-gray-600">
+                {source === 'local' ? t('scanner.fromMedicineDatabase') : t('scanner.aiPowered')}
+              </p>
             </div>
           </div>
         </div>
@@ -58,10 +107,77 @@ const BarcodeResult = () => {
           <h2 className="text-lg font-semibold text-gray-900 mb-3">{t('scanner.scannedBarcode')}</h2>
           <div className="bg-gray-50 rounded-lg p-4 text-center">
             <p className="text-sm text-gray-600 mb-2">{t('scanner.barcodeNumber')}</p>
-            <p className="text-2xl font-mono font-bold text-gray-900">{barcodeData}</p>
+            <p className="text-2xl font-mono font-bold text-gray-900 break-all">{barcodeData}</p>
           </div>
         </div>
 
+        {/* Pack details decoded from the barcode */}
+        {(packDetails.length > 0 || expiryDate) && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">{t('scanner.packDetails')}</h2>
+            <div className="grid grid-cols-2 gap-3">
+              {expiryDate && (
+                <div className={`rounded-lg p-3 col-span-2 ${isExpired ? 'bg-red-50 border border-red-200' : 'bg-gray-50'}`}>
+                  <p className="text-sm text-gray-600 font-medium">{t('scanner.expiryDate')}</p>
+                  <p className={`text-base font-semibold ${isExpired ? 'text-red-700' : 'text-gray-900'}`}>
+                    {expiryDate.toLocaleDateString()}
+                    {isExpired && ` · ${t('scanner.expired')}`}
+                  </p>
+                </div>
+              )}
+              {packDetails.map(detail => (
+                <div key={detail.label} className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-sm text-gray-600 font-medium">{detail.label}</p>
+                  <p className="text-base font-mono text-gray-900 break-all">{detail.value}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Add the scanned pack to the medicine cabinet */}
+        {isAuthenticated && identified && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+            {cabinetStatus === 'added' ? (
+              <div className="flex items-center justify-between gap-3">
+                <p className="text-sm font-medium text-green-700 flex items-center gap-2">
+                  <CheckCircleIcon className="h-5 w-5" /> {t('cabinet.added')}
+                </p>
+                <button
+                  onClick={() => navigate('/cabinet')}
+                  className="px-4 py-2 text-sm font-semibold text-blue-600 hover:text-blue-700"
+                >
+                  {t('cabinet.viewCabinet')}
+                </button>
+              </div>
+            ) : (
+              <>
+                <p className="text-sm font-medium text-gray-900 mb-3 flex items-center gap-2">
+                  <ArchiveBoxIcon className="h-5 w-5 text-blue-600" /> {t('cabinet.addFromScan')}
+                </p>
+                <div className="flex gap-3">
+                  <input
+                    type="number"
+                    min="0"
+                    value={cabinetQuantity}
+                    onChange={(e) => setCabinetQuantity(e.target.value)}
+                    placeholder={t('cabinet.quantity')}
+                    className="w-28 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    onClick={addToCabinet}
+                    disabled={cabinetStatus === 'saving'}
+                    className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {t('cabinet.save')}
+                  </button>
+                </div>
+                {cabinetError && <p className="text-sm text-red-600 mt-2">{cabinetError}</p>}
+              </>
+            )}
+          </div>
+        )}
+
         {/* Identification Status */}
         <div className={`rounded-lg shadow-sm border p-6 ${identified
           ? 'bg-green-50 border-green-200'
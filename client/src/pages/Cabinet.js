@@ -0,0 +1,367 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  ArchiveBoxIcon,
+  PlusIcon,
+  MinusIcon,
+  QrCodeIcon,
+  TrashIcon,
+  XMarkIcon,
+  LinkIcon,
+  CheckCircleIcon
+} from '@heroicons/react/24/outline';
+import { BackButton, GlassCard, LoadingSkeleton, StatusBadge } from '../components/ui/PremiumComponents';
+import { useLanguage } from '../contexts/LanguageContext';
+import api from '../services/api';
+
+const FILTERS = ['all', 'expired', 'expiring', 'in_use'];
+
+const EMPTY_FORM = { name: '', strength: '', quantity: '', unit: 'tablets', expiryDate: '', batch: '', reminderId: '' };
+
+// Expiry dates are calendar days stored as UTC midnight
+const formatExpiry = (date) => new Date(date).toLocaleDateString(undefined, { timeZone: 'UTC' });
+
+const Cabinet = () => {
+  const navigate = useNavigate();
+  const { t } = useLanguage();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [items, setItems] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [reminders, setReminders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+
+  const filter = FILTERS.includes(searchParams.get('filter')) ? searchParams.get('filter') : 'all';
+
+  useEffect(() => {
+    loadReminders();
+  }, []);
+
+  useEffect(() => {
+    loadItems();
+  }, [filter]);
+
+  const loadItems = async () => {
+    setIsLoading(true);
+    try {
+      const response = await api.get('/cabinet', { params: { filter } });
+      if (response.data.success) {
+        setItems(response.data.data.items);
+        setCounts(response.data.data.counts);
+      }
+    } catch (err) {
+      console.error('Failed to load medicine cabinet:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadReminders = async () => {
+    try {
+      const response = await api.get('/reminders');
+      const { data } = response;
+      if (data.success) {
+        const list = data.data.reminders || (Array.isArray(data.data) ? data.data : []);
+        setReminders(list.filter(reminder => reminder.isActive));
+      }
+    } catch (err) {
+      console.error('Failed to load reminders:', err);
+    }
+  };
+
+  // Runs a cabinet request and reloads the list; returns whether it succeeded
+  const send = async (url, method, body) => {
+    setError(null);
+    try {
+      await api.request({ url, method, data: body });
+      await loadItems();
+      return true;
+    } catch (err) {
+      console.error('Cabinet request failed:', err);
+      setError(err.response?.data?.message || t('cabinet.actionFailed'));
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const { reminderId, ...fields } = form;
+    const added = await send('/cabinet', 'POST', {
+      ...fields,
+      reminderIds: reminderId ? [reminderId] : undefined
+    });
+    if (added) {
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+    }
+  };
+
+  const changeQuantity = (item, delta) =>
+    send(`/cabinet/${item._id}`, 'PUT', { quantity: Math.max(0, item.quantity + delta) });
+
+  const selectFilter = (value) => {
+    setSearchParams(value === 'all' ? {} : { filter: value }, { replace: true });
+  };
+
+  const expiryBadge = (item) => {
+    if (item.expiryStatus === 'expired') {
+      return <StatusBadge status="error" text={t('cabinet.expired')} size="xs" />;
+    }
+    if (item.expiryStatus === 'expiring') {
+      return (
+        <StatusBadge
+          status="warning"
+          text={item.daysUntilExpiry === 0 ? t('cabinet.expiresToday') : t('cabinet.expiresInDays', { days: item.daysUntilExpiry })}
+          size="xs"
+        />
+      );
+    }
+    return null;
+  };
+
+  const inputClass = 'w-full px-4 py-3 bg-gray-50 dark:bg-slate-800 border border-gray-200 dark:border-slate-700 rounded-xl text-sm text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-slate-950 pt-safe font-sans pb-20">
+      <div className="max-w-4xl mx-auto p-4 sm:p-6 space-y-6">
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <BackButton onClick={() => navigate(-1)} />
+            <div>
+              <h1 className="text-2xl sm:text-3xl font-black text-gray-900 dark:text-white tracking-tight">{t('cabinet.title')}</h1>
+              <p className="text-xs sm:text-sm text-gray-500 font-medium">{t('cabinet.subtitle')}</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => navigate('/scanner')}
+              className="p-3 bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-gray-300 rounded-2xl active:scale-95 transition-transform"
+              aria-label={t('cabinet.scanPack')}
+            >
+              <QrCodeIcon className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => setShowForm(!showForm)}
+              className="p-3 bg-blue-600 text-white rounded-2xl shadow-lg shadow-blue-500/20 active:scale-95 transition-transform"
+              aria-label={t('cabinet.addMedicine')}
+            >
+              {showForm ? <XMarkIcon className="w-5 h-5" /> : <PlusIcon className="w-5 h-5" />}
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-2xl text-sm text-red-700 dark:text-red-400">
+            {error}
+          </div>
+        )}
+
+        {/* Manual entry */}
+        {showForm && (
+          <GlassCard className="!p-4 sm:!p-6" hoverEffect={false}>
+            <form onSubmit={handleAdd} className="space-y-3">
+              <h2 className="text-lg font-bold text-gray-900 dark:text-white">{t('cabinet.addMedicine')}</h2>
+              <input
+                className={inputClass}
+                placeholder={t('cabinet.medicineName')}
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                required
+              />
+              <div className="grid grid-cols-2 gap-3">
+                <input
+                  className={inputClass}
+                  placeholder={t('cabinet.strength')}
+                  value={form.strength}
+                  onChange={(e) => setForm({ ...form, strength: e.target.value })}
+                />
+                <input
+                  className={inputClass}
+                  placeholder={t('cabinet.batch')}
+                  value={form.batch}
+                  onChange={(e) => setForm({ ...form, batch: e.target.value })}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  className={inputClass}
+                  placeholder={t('cabinet.quantity')}
+                  value={form.quantity}
+                  onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+                />
+                <input
+                  className={inputClass}
+                  placeholder={t('cabinet.unit')}
+                  value={form.unit}
+                  onChange={(e) => setForm({ ...form, unit: e.target.value })}
+                />
+              </div>
+              <label className="block text-xs font-bold text-gray-500">
+                {t('cabinet.expiryDate')}
+                <input
+                  type="date"
+                  className={`${inputClass} mt-1`}
+                  value={form.expiryDate}
+                  onChange={(e) => setForm({ ...form, expiryDate: e.target.value })}
+                />
+              </label>
+              {reminders.length > 0 && (
+                <select
+                  className={inputClass}
+                  value={form.reminderId}
+                  onChange={(e) => setForm({ ...form, reminderId: e.target.value })}
+                >
+                  <option value="">{t('cabinet.linkReminderOptional')}</option>
+                  {reminders.map(reminder => (
+                    <option key={reminder._id} value={reminder._id}>{reminder.medicineName} · {reminder.dosage}</option>
+                  ))}
+                </select>
+              )}
+              <button
+                type="submit"
+                className="w-full py-3 bg-blue-600 text-white rounded-2xl font-bold shadow-lg shadow-blue-500/20 active:scale-95 transition-transform"
+              >
+                {t('cabinet.save')}
+              </button>
+            </form>
+          </GlassCard>
+        )}
+
+        {/* Filters */}
+        <div className="flex gap-2 overflow-x-auto pb-2 -mx-4 px-4 scrollbar-thin">
+          {FILTERS.map(value => (
+            <button
+              key={value}
+              onClick={() => selectFilter(value)}
+              className={`flex items-center gap-1.5 px-4 py-2 rounded-xl text-xs font-bold whitespace-nowrap transition-all active:scale-95 ${
+                value === filter
+                  ? 'bg-blue-600 text-white shadow-lg shadow-blue-500/20'
+                  : 'bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-gray-300'
+              }`}
+            >
+              {t(`cabinet.filter_${value}`)}
+              {counts[value] !== undefined && <span className="opacity-60">{counts[value]}</span>}
+            </button>
+          ))}
+        </div>
+
+        {isLoading ? (
+          <div className="space-y-3">
+            <LoadingSkeleton className="h-28 w-full rounded-3xl" />
+            <LoadingSkeleton className="h-28 w-full rounded-3xl" />
+          </div>
+        ) : items.length === 0 ? (
+          <GlassCard className="text-center">
+            <div className="w-16 h-16 bg-blue-100 dark:bg-blue-900/30 rounded-2xl flex items-center justify-center mx-auto mb-4">
+              <ArchiveBoxIcon className="h-8 w-8 text-blue-600" />
+            </div>
+            <h2 className="text-lg font-bold text-gray-900 dark:text-white mb-2">
+              {filter === 'all' ? t('cabinet.emptyTitle') : t('cabinet.emptyFilterTitle')}
+            </h2>
+            <p className="text-sm text-gray-500">{t('cabinet.emptyDesc')}</p>
+          </GlassCard>
+        ) : (
+          <div className="space-y-3">
+            {items.map(item => {
+              const linkedIds = item.reminderIds.map(reminder => reminder._id);
+              const linkable = reminders.filter(reminder => !linkedIds.includes(reminder._id));
+
+              return (
+                <GlassCard key={item._id} className="!p-4" hoverEffect={false}>
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <h3 className="text-base font-bold text-gray-900 dark:text-white">{item.name}</h3>
+                        {item.strength && <span className="text-xs text-gray-400">{item.strength}</span>}
+                        {expiryBadge(item)}
+                        {item.inUse && <StatusBadge status="info" text={t('cabinet.inUse')} size="xs" />}
+                      </div>
+                      <p className="text-[10px] text-gray-400 mt-1">
+                        {item.expiryDate ? `${t('cabinet.expires')} ${formatExpiry(item.expiryDate)}` : t('cabinet.noExpiry')}
+                        {item.batch && ` · ${t('cabinet.batch')} ${item.batch}`}
+                        {item.source === 'scan' && ` · ${t('cabinet.fromScan')}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                      <button
+                        onClick={() => send(`/cabinet/${item._id}`, 'PUT', { status: 'finished' })}
+                        className="p-2 text-gray-400 hover:text-emerald-600 rounded-xl"
+                        aria-label={t('cabinet.markFinished')}
+                      >
+                        <CheckCircleIcon className="w-5 h-5" />
+                      </button>
+                      <button
+                        onClick={() => send(`/cabinet/${item._id}`, 'DELETE')}
+                        className="p-2 text-gray-400 hover:text-red-600 rounded-xl"
+                        aria-label={t('cabinet.remove')}
+                      >
+                        <TrashIcon className="w-5 h-5" />
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Quantity */}
+                  <div className="flex items-center gap-3 mt-3">
+                    <button
+                      onClick={() => changeQuantity(item, -1)}
+                      disabled={item.quantity === 0}
+                      className="p-2 bg-gray-100 dark:bg-slate-800 rounded-xl disabled:opacity-40 active:scale-95 transition-transform"
+                      aria-label={t('cabinet.decrease')}
+                    >
+                      <MinusIcon className="w-4 h-4" />
+                    </button>
+                    <span className="text-sm font-bold text-gray-900 dark:text-white">
+                      {item.quantity} <span className="text-xs font-normal text-gray-400">{item.unit}</span>
+                    </span>
+                    <button
+                      onClick={() => changeQuantity(item, 1)}
+                      className="p-2 bg-gray-100 dark:bg-slate-800 rounded-xl active:scale-95 transition-transform"
+                      aria-label={t('cabinet.increase')}
+                    >
+                      <PlusIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+
+                  {/* Linked reminders */}
+                  <div className="flex flex-wrap items-center gap-2 mt-3">
+                    {item.reminderIds.map(reminder => (
+                      <span
+                        key={reminder._id}
+                        className="flex items-center gap-1 px-2 py-1 bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-400 rounded-lg text-[10px] font-bold"
+                      >
+                        <LinkIcon className="w-3 h-3" />
+                        {reminder.medicineName} · {reminder.dosage}
+                        <button
+                          onClick={() => send(`/cabinet/${item._id}/reminders/${reminder._id}`, 'DELETE')}
+                          aria-label={t('cabinet.unlinkReminder')}
+                        >
+                          <XMarkIcon className="w-3 h-3" />
+                        </button>
+                      </span>
+                    ))}
+                    {linkable.length > 0 && (
+                      <select
+                        value=""
+                        onChange={(e) => e.target.value && send(`/cabinet/${item._id}/reminders`, 'POST', { reminderId: e.target.value })}
+                        className="px-2 py-1 bg-gray-100 dark:bg-slate-800 rounded-lg text-[10px] font-bold text-gray-600 dark:text-gray-300"
+                      >
+                        <option value="">{t('cabinet.linkReminder')}</option>
+                        {linkable.map(reminder => (
+                          <option key={reminder._id} value={reminder._id}>{reminder.medicineName} · {reminder.dosage}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                </GlassCard>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Cabinet;
@@ -16,11 +16,14 @@ import {
   PlusIcon,
   ChatBubbleLeftRightIcon,
   ClockIcon,
-  XMarkIcon
+  XMarkIcon,
+  UserCircleIcon,
+  StopIcon
 } from '@heroicons/react/24/outline';
 import { BackButton } from '../components/ui/PremiumComponents';
 import { SparklesIcon as SparklesSolid } from '@heroicons/react/24/solid';
 import { useLayout } from '../contexts/LayoutContext';
+import chatStreamService from '../services/chatStreamService';
 
 const quickSuggestions = [
   { id: 1, text: 'What are the side effects of Paracetamol?', icon: '💊' },
@@ -29,6 +32,9 @@ const quickSuggestions = [
   { id: 4, text: 'Signs of vitamin deficiency', icon: '🔬' },
 ];
 
+// Profile categories the user can share with the assistant
+const CONTEXT_CATEGORIES = ['profile', 'conditions', 'allergies', 'medications', 'healthMetrics'];
+
 const formatText = (text) => {
   if (!text) return null;
   
@@ -165,9 +171,12 @@ const Chat = () => {
   const [conversationId, setConversationId] = useState(null);
   const [newMessageId, setNewMessageId] = useState(null);
   const [loadingHistory, setLoadingHistory] = useState(false);
+  const [showContextSettings, setShowContextSettings] = useState(false);
+  const [contextSettings, setContextSettings] = useState(null);
   const messagesEndRef = useRef(null);
   const messagesContainerRef = useRef(null);
   const inputRef = useRef(null);
+  const abortControllerRef = useRef(null);
   const { isAuthenticated } = useAuth();
   const { t, language } = useLanguage();
   const { setHideBottomNav } = useLayout();
@@ -244,6 +253,41 @@ const Chat = () => {
     }
   };
 
+  // Load what the assistant can see about the user
+  const loadContextSettings = async () => {
+    setShowContextSettings(true);
+    setShowMenu(false);
+    try {
+      const response = await fetch('/api/chat/context', {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
+      const data = await response.json();
+      if (data.success) setContextSettings(data.data);
+    } catch (error) {
+      console.error('Failed to load chat context:', error);
+    }
+  };
+
+  const toggleContextCategory = async (category) => {
+    if (!contextSettings) return;
+    try {
+      const response = await fetch('/api/chat/context/preferences', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({ [category]: !contextSettings.preferences[category] })
+      });
+      const data = await response.json();
+      if (data.success) {
+        setContextSettings(prev => ({ ...prev, preferences: data.data }));
+      }
+    } catch (error) {
+      console.error('Failed to update chat context preferences:', error);
+    }
+  };
+
   useEffect(() => {
     loadConversations();
   }, [loadConversations]);
@@ -269,54 +313,91 @@ const Chat = () => {
     if (!text.trim() || isLoading) return;
 
     const userMessage = { id: Date.now().toString(), content: text.trim(), sender: 'user', timestamp: new Date() };
+    const aiMessageId = (Date.now() + 1).toString();
+    const updateAiMessage = (changes) => setMessages(prev => prev.map(msg => (msg.id === aiMessageId ? { ...msg, ...changes(msg) } : msg)));
+
     setMessages(prev => [...prev, userMessage]);
     setInputMessage('');
     setIsLoading(true);
     setIsTyping(true);
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    let streamed = false;
+
     try {
-      const response = await fetch('/api/chat/message', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(localStorage.getItem('token') && { 'Authorization': `Bearer ${localStorage.getItem('token')}` })
-        },
-        body: JSON.stringify({ message: text.trim(), conversationId, language })
-      });
-      const data = await response.json();
+      const data = await chatStreamService.sendMessage(
+        { message: text.trim(), conversationId, language },
+        {
+          signal: controller.signal,
+          onMeta: (meta) => {
+            if (meta.conversationId && !conversationId) setConversationId(meta.conversationId);
+          },
+          onToken: (token) => {
+            // The reply bubble appears with its first token and grows from there
+            if (!streamed) {
+              streamed = true;
+              setIsTyping(false);
+              setMessages(prev => [...prev, { id: aiMessageId, content: token, sender: 'assistant', timestamp: new Date(), isStreaming: true }]);
+              return;
+            }
+            updateAiMessage(msg => ({ content: msg.content + token }));
+          }
+        }
+      );
       setIsTyping(false);
 
-      if (data.success) {
-        if (data.data.conversationId && !conversationId) {
-          setConversationId(data.data.conversationId);
-        }
-        const aiMessageId = (Date.now() + 1).toString();
+      if (data.conversationId && !conversationId) {
+        setConversationId(data.conversationId);
+      }
+
+      const finalMessage = {
+        content: data.message,
+        timestamp: new Date(data.timestamp),
+        followUpQuestions: data.followUpSuggestions,
+        contextUsed: data.contextUsed,
+        isStreaming: false
+      };
+
+      if (streamed) {
+        updateAiMessage(() => finalMessage);
+      } else {
+        // Non-streaming fallback: reveal the whole reply with the typewriter effect
         setNewMessageId(aiMessageId);
+        setMessages(prev => [...prev, { id: aiMessageId, sender: 'assistant', ...finalMessage }]);
+      }
+      loadConversations(); // Refresh conversation list
+    } catch (error) {
+      setIsTyping(false);
+
+      if (error.name === 'AbortError') {
+        // Keep whatever arrived before the user stopped the reply
+        if (streamed) updateAiMessage(() => ({ isStreaming: false, isCancelled: true }));
+        return;
+      }
+
+      if (streamed) {
+        updateAiMessage(() => ({ isStreaming: false, isCancelled: true }));
+      } else {
         setMessages(prev => [...prev, {
           id: aiMessageId,
-          content: data.data.message,
+          content: t('chat.errorProcessing'),
           sender: 'assistant',
-          timestamp: new Date(data.data.timestamp),
-          followUpQuestions: data.data.followUpSuggestions
+          timestamp: new Date(),
+          isError: true
         }]);
-        loadConversations(); // Refresh conversation list
-      } else {
-        throw new Error(data.message);
       }
-    } catch (error) {
-      setIsTyping(false);
-      setMessages(prev => [...prev, {
-        id: (Date.now() + 1).toString(),
-        content: t('chat.errorProcessing'),
-        sender: 'assistant',
-        timestamp: new Date(),
-        isError: true
-      }]);
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
     }
   };
 
+  const cancelMessage = () => abortControllerRef.current?.abort();
+
+  // Stop any reply still streaming when leaving the page
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); sendMessage(); }
   };
@@ -364,6 +445,12 @@ const Chat = () => {
                         <PlusIcon className="w-5 h-5" />
                         <span className="text-sm font-medium">{t('chat.newChat', 'New Chat')}</span>
                       </button>
+                      {isAuthenticated && (
+                        <button onClick={loadContextSettings} className="w-full flex items-center gap-3 px-4 py-3 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700">
+                          <UserCircleIcon className="w-5 h-5" />
+                          <span className="text-sm font-medium">{t('chat.personalContext')}</span>
+                        </button>
+                      )}
                       {messages.length > 0 && (
                         <button onClick={() => { setMessages([]); setShowMenu(false); }} className="w-full flex items-center gap-3 px-4 py-3 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-950/30">
                           <TrashIcon className="w-5 h-5" />
@@ -451,6 +538,56 @@ const Chat = () => {
         )}
       </AnimatePresence>
 
+      {/* Personal Context Settings */}
+      <AnimatePresence>
+        {showContextSettings && (
+          <>
+            <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="fixed inset-0 bg-black/50 z-50" onClick={() => setShowContextSettings(false)} />
+            <motion.div
+              initial={{ y: '100%' }}
+              animate={{ y: 0 }}
+              exit={{ y: '100%' }}
+              transition={{ type: 'spring', damping: 25, stiffness: 300 }}
+              className="fixed left-0 right-0 bottom-0 max-h-[80vh] bg-white dark:bg-slate-900 rounded-t-3xl z-50 flex flex-col"
+              style={{ paddingBottom: 'max(env(safe-area-inset-bottom), 16px)' }}
+            >
+              <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-slate-800">
+                <div>
+                  <h2 className="font-bold text-lg text-gray-900 dark:text-white">{t('chat.personalContext')}</h2>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">{t('chat.personalContextDesc')}</p>
+                </div>
+                <button onClick={() => setShowContextSettings(false)} className="p-2 hover:bg-gray-100 dark:hover:bg-slate-800 rounded-xl">
+                  <XMarkIcon className="w-5 h-5 text-gray-500" />
+                </button>
+              </div>
+
+              <div className="flex-1 overflow-y-auto p-4 space-y-2">
+                {!contextSettings ? (
+                  <div className="flex justify-center py-8">
+                    <ArrowPathIcon className="w-6 h-6 text-gray-400 animate-spin" />
+                  </div>
+                ) : (
+                  CONTEXT_CATEGORIES.map(category => {
+                    const enabled = contextSettings.preferences?.[category];
+                    return (
+                      <button key={category} onClick={() => toggleContextCategory(category)} className="w-full flex items-center justify-between gap-3 p-3 bg-gray-50 dark:bg-slate-800 rounded-xl text-left">
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-900 dark:text-white">{t(`chat.contextCategory_${category}`)}</p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">{t(`chat.contextCategoryDesc_${category}`)}</p>
+                        </div>
+                        <div className={`w-11 h-6 rounded-full p-0.5 flex-shrink-0 transition-colors ${enabled ? 'bg-violet-500' : 'bg-gray-300 dark:bg-slate-600'}`}>
+                          <div className={`w-5 h-5 bg-white rounded-full shadow transition-transform ${enabled ? 'translate-x-5' : ''}`} />
+                        </div>
+                      </button>
+                    );
+                  })
+                )}
+              </div>
+            </motion.div>
+          </>
+        )}
+      </AnimatePresence>
+
       {/* Messages */}
       <div ref={messagesContainerRef} className="flex-1 overflow-y-auto scrollbar-hide">
         {messages.length === 0 ? (
@@ -492,15 +629,21 @@ const Chat = () => {
                       <div className={`mt-1.5 flex items-center gap-1.5 text-[10px] ${message.sender === 'user' ? 'text-white/60' : 'text-gray-400'}`}>
                         <span>{message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
                         {message.sender === 'assistant' && <SparklesSolid className="w-2.5 h-2.5 text-violet-400/50" />}
+                        {message.isCancelled && <span>• {t('chat.responseStopped')}</span>}
                       </div>
                     </div>
-                    {message.sender === 'assistant' && !message.isError && !isNewAiMessage && (
+                    {message.sender === 'assistant' && !message.isError && !isNewAiMessage && !message.isStreaming && (
                       <div className="flex items-center gap-0.5 mt-1 ml-1">
                         <button onClick={() => copyMessage(message.content)} className="p-1.5 text-gray-400 hover:text-violet-500 rounded-lg"><ClipboardDocumentIcon className="w-4 h-4" /></button>
                         <button className="p-1.5 text-gray-400 hover:text-green-500 rounded-lg"><HandThumbUpIcon className="w-4 h-4" /></button>
                         <button className="p-1.5 text-gray-400 hover:text-red-500 rounded-lg"><HandThumbDownIcon className="w-4 h-4" /></button>
                       </div>
                     )}
+                    {message.contextUsed?.length > 0 && !isNewAiMessage && (
+                      <p className="mt-1 ml-1 text-[10px] text-gray-400 dark:text-gray-500">
+                        {t('chat.personalisedWith')} {message.contextUsed.map(field => t(`chat.contextField_${field}`)).join(', ')}
+                      </p>
+                    )}
                     {message.followUpQuestions?.length > 0 && !isNewAiMessage && (
                       <div className="mt-2 flex flex-wrap gap-1.5">
                         {message.followUpQuestions.slice(0, 2).map((q, i) => (
@@ -534,9 +677,15 @@ const Chat = () => {
           <div className="flex-1 rounded-full border border-gray-200 dark:border-slate-800">
             <input ref={inputRef} type="text" value={inputMessage} onChange={(e) => setInputMessage(e.target.value)} onKeyPress={handleKeyPress} placeholder={t('chat.askPlaceholder')} className="w-full px-5 py-3.5 bg-transparent border-none ring-0 focus:ring-0 text-[15px] text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:outline-none" style={{ border: 'none', outline: 'none', boxShadow: 'none', WebkitAppearance: 'none' }} disabled={isLoading} />
           </div>
-          <motion.button whileTap={{ scale: 0.9 }} onClick={() => sendMessage()} disabled={!inputMessage.trim() || isLoading} className={`w-12 h-12 rounded-full flex items-center justify-center flex-shrink-0 transition-all duration-200 ${inputMessage.trim() && !isLoading ? 'bg-gradient-to-br from-violet-500 to-purple-600 text-white shadow-lg shadow-violet-500/30' : 'bg-gray-200 dark:bg-slate-800 text-gray-400 dark:text-gray-500'}`}>
-            {isLoading ? <ArrowPathIcon className="w-5 h-5 animate-spin" /> : <PaperAirplaneIcon className="w-5 h-5" />}
-          </motion.button>
+          {isLoading ? (
+            <motion.button whileTap={{ scale: 0.9 }} onClick={cancelMessage} aria-label={t('chat.stopResponse')} className="w-12 h-12 rounded-full flex items-center justify-center flex-shrink-0 bg-gray-800 dark:bg-slate-700 text-white transition-all duration-200">
+              <StopIcon className="w-5 h-5" />
+            </motion.button>
+          ) : (
+            <motion.button whileTap={{ scale: 0.9 }} onClick={() => sendMessage()} disabled={!inputMessage.trim()} className={`w-12 h-12 rounded-full flex items-center justify-center flex-shrink-0 transition-all duration-200 ${inputMessage.trim() ? 'bg-gradient-to-br from-violet-500 to-purple-600 text-white shadow-lg shadow-violet-500/30' : 'bg-gray-200 dark:bg-slate-800 text-gray-400 dark:text-gray-500'}`}>
+              <PaperAirplaneIcon className="w-5 h-5" />
+            </motion.button>
+          )}
         </div>
       </div>
     </div>
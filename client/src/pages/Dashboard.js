@@ -17,15 +17,18 @@ import {
   CalendarDaysIcon,
   ChevronRightIcon,
   SunIcon,
-  MoonIcon
+  MoonIcon,
+  DocumentArrowDownIcon
 } from '@heroicons/react/24/outline';
 import { CheckCircleIcon as CheckCircleSolid } from '@heroicons/react/24/solid';
+import VisitSummaryModal from '../components/Common/VisitSummaryModal';
 
 const Dashboard = () => {
   const [dashboardData, setDashboardData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [greeting, setGreeting] = useState('');
-  const { isAuthenticated, user } = useAuth();
+  const [showVisitSummary, setShowVisitSummary] = useState(false);
+  const { isAuthenticated, activeProfile } = useAuth();
   const { t } = useLanguage();
   const navigate = useNavigate();
 
@@ -105,7 +108,7 @@ const Dashboard = () => {
           </div>
           
           <h1 className="text-2xl font-bold text-white">
-            {user?.name || 'User'} 👋
+            {activeProfile?.name || 'User'} 👋
           </h1>
           <p className="text-indigo-200 text-sm mt-1">
             {t('dashboard.healthInsight')}
@@ -320,6 +323,20 @@ const Dashboard = () => {
             <p className="font-semibold text-gray-900">{t('common.info')}</p>
             <p className="text-xs text-gray-500 mt-0.5">{t('dashboard.healthInsight')}</p>
           </button>
+
+          <button
+            onClick={() => setShowVisitSummary(true)}
+            className="col-span-2 bg-white rounded-2xl shadow-lg p-4 flex items-center gap-3 text-left active:scale-98 transition-transform"
+          >
+            <div className="w-10 h-10 bg-sky-100 rounded-xl flex items-center justify-center flex-shrink-0">
+              <DocumentArrowDownIcon className="h-5 w-5 text-sky-600" />
+            </div>
+            <div className="flex-1">
+              <p className="font-semibold text-gray-900">{t('visitSummary.title')}</p>
+              <p className="text-xs text-gray-500 mt-0.5">{t('visitSummary.subtitle')}</p>
+            </div>
+            <ChevronRightIcon className="h-5 w-5 text-gray-400" />
+          </button>
         </div>
 
         {/* Tip Card */}
@@ -337,6 +354,11 @@ const Dashboard = () => {
           </div>
         </div>
       </div>
+
+      <VisitSummaryModal
+        isOpen={showVisitSummary}
+        onClose={() => setShowVisitSummary(false)}
+      />
     </div>
   );
 };
@@ -13,7 +13,8 @@ import { useLanguage } from '../contexts/LanguageContext';
 
 const EmergencyContacts = () => {
     const navigate = useNavigate();
-    const { user, updateProfile } = useAuth();
+    // Whoever is selected in the family profile switcher
+    const { activeProfile: user, updateActiveProfile } = useAuth();
     const { t } = useLanguage();
     const [isAdding, setIsAdding] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
@@ -34,7 +35,7 @@ const EmergencyContacts = () => {
         setIsLoading(true);
         try {
             const updatedContacts = [...contacts, newContact];
-            await updateProfile({ emergencyContacts: updatedContacts });
+            await updateActiveProfile({ emergencyContacts: updatedContacts });
             setNewContact({ name: '', phone: '', relationship: '', email: '' });
             setIsAdding(false);
         } catch (error) {
@@ -49,7 +50,7 @@ const EmergencyContacts = () => {
 
         try {
             const updatedContacts = contacts.filter((_, i) => i !== index);
-            await updateProfile({ emergencyContacts: updatedContacts });
+            await updateActiveProfile({ emergencyContacts: updatedContacts });
         } catch (error) {
             console.error('Failed to delete contact:', error);
         }
@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  ChartBarIcon,
+  ArrowTrendingUpIcon,
+  ArrowTrendingDownIcon,
+  ExclamationTriangleIcon,
+  DocumentTextIcon
+} from '@heroicons/react/24/outline';
+import { BackButton, GlassCard, LoadingSkeleton, StatusBadge } from '../components/ui/PremiumComponents';
+import LabTrendChart from '../components/Reports/LabTrendChart';
+import { useLanguage } from '../contexts/LanguageContext';
+import api from '../services/api';
+
+const formatRange = (range) => {
+  if (!range || (range.min == null && range.max == null)) return null;
+  if (range.min == null) return `< ${range.max}`;
+  if (range.max == null) return `> ${range.min}`;
+  return `${range.min} - ${range.max}`;
+};
+
+const LabTrends = () => {
+  const navigate = useNavigate();
+  const { t } = useLanguage();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [tests, setTests] = useState([]);
+  const [history, setHistory] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+
+  const selectedCode = searchParams.get('test') || tests[0]?.testCode;
+
+  useEffect(() => {
+    loadTests();
+  }, []);
+
+  useEffect(() => {
+    if (selectedCode) {
+      loadHistory(selectedCode);
+    }
+  }, [selectedCode]);
+
+  const loadTests = async () => {
+    setIsLoading(true);
+    try {
+      const response = await api.get('/analytics/lab-tests');
+      if (response.data.success) setTests(response.data.data);
+    } catch (error) {
+      console.error('Failed to load lab tests:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadHistory = async (testCode) => {
+    setIsLoadingHistory(true);
+    try {
+      const response = await api.get(`/analytics/lab-tests/${testCode}`);
+      setHistory(response.data.success ? response.data.data : null);
+    } catch (error) {
+      console.error('Failed to load lab test history:', error);
+      setHistory(null);
+    } finally {
+      setIsLoadingHistory(false);
+    }
+  };
+
+  const selectTest = (testCode) => {
+    setSearchParams({ test: testCode }, { replace: true });
+  };
+
+  const latest = history?.points?.[history.points.length - 1];
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-slate-950 pt-safe font-sans pb-20">
+      <div className="max-w-4xl mx-auto p-4 sm:p-6 space-y-6">
+        <div className="flex items-center gap-3">
+          <BackButton onClick={() => navigate('/reports')} />
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-black text-gray-900 dark:text-white tracking-tight">{t('labTrends.title')}</h1>
+            <p className="text-xs sm:text-sm text-gray-500 font-medium">{t('labTrends.subtitle')}</p>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="space-y-4">
+            <LoadingSkeleton className="h-12 w-full rounded-2xl" />
+            <LoadingSkeleton className="h-72 w-full rounded-3xl" />
+          </div>
+        ) : tests.length === 0 ? (
+          <GlassCard className="text-center">
+            <div className="w-16 h-16 bg-blue-100 dark:bg-blue-900/30 rounded-2xl flex items-center justify-center mx-auto mb-4">
+              <ChartBarIcon className="h-8 w-8 text-blue-600" />
+            </div>
+            <h2 className="text-lg font-bold text-gray-900 dark:text-white mb-2">{t('labTrends.emptyTitle')}</h2>
+            <p className="text-sm text-gray-500 mb-6">{t('labTrends.emptyDesc')}</p>
+            <button
+              onClick={() => navigate('/reports')}
+              className="px-8 py-3 bg-blue-600 text-white rounded-2xl font-bold shadow-lg shadow-blue-500/20 active:scale-95 transition-transform"
+            >
+              {t('labTrends.goToReports')}
+            </button>
+          </GlassCard>
+        ) : (
+          <>
+            {/* Test picker */}
+            <div className="flex gap-2 overflow-x-auto pb-2 -mx-4 px-4 scrollbar-thin">
+              {tests.map(test => (
+                <button
+                  key={test.testCode}
+                  onClick={() => selectTest(test.testCode)}
+                  className={`flex items-center gap-1.5 px-4 py-2 rounded-xl text-xs font-bold whitespace-nowrap transition-all active:scale-95 ${
+                    test.testCode === selectedCode
+                      ? 'bg-blue-600 text-white shadow-lg shadow-blue-500/20'
+                      : 'bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-gray-300'
+                  }`}
+                >
+                  {test.name}
+                  <span className="opacity-60">{test.count}</span>
+                  {(test.latest.changeAlert || test.latest.isNormal === false) && (
+                    <span className={`w-1.5 h-1.5 rounded-full ${test.latest.isNormal === false ? 'bg-red-400' : 'bg-amber-400'}`} />
+                  )}
+                </button>
+              ))}
+            </div>
+
+            {isLoadingHistory && !history ? (
+              <LoadingSkeleton className="h-72 w-full rounded-3xl" />
+            ) : history && (
+              <>
+                <GlassCard className="!p-4 sm:!p-6" hoverEffect={false}>
+                  <div className="flex items-start justify-between gap-4 mb-4">
+                    <div>
+                      <p className="text-[10px] font-bold text-gray-400 uppercase tracking-widest">
+                        {history.category} · LOINC {history.loinc}
+                      </p>
+                      <h2 className="text-lg sm:text-xl font-black text-gray-900 dark:text-white">{history.name}</h2>
+                    </div>
+                    {latest && (
+                      <div className="text-right">
+                        <p className={`text-2xl font-black ${latest.isNormal === false ? 'text-red-500' : 'text-gray-900 dark:text-white'}`}>
+                          {latest.value} <span className="text-xs font-normal text-gray-400">{history.unit}</span>
+                        </p>
+                        <p className="text-[10px] text-gray-400">{t('labTrends.latest')} · {new Date(latest.date).toLocaleDateString()}</p>
+                      </div>
+                    )}
+                  </div>
+
+                  <LabTrendChart
+                    points={history.points}
+                    referenceRange={history.referenceRange}
+                    baseline={history.baseline}
+                  />
+
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 mt-3 text-[10px] font-medium text-gray-500">
+                    {formatRange(history.referenceRange) && (
+                      <span className="flex items-center gap-1.5">
+                        <span className="w-3 h-2 rounded-sm bg-emerald-500/20" />
+                        {t('labTrends.referenceRange')}: {formatRange(history.referenceRange)} {history.unit}
+                      </span>
+                    )}
+                    {history.baseline && (
+                      <span className="flex items-center gap-1.5">
+                        <span className="w-3 border-t-2 border-dashed border-amber-400" />
+                        {t('labTrends.yourBaseline')}: {history.baseline.value} {history.unit}
+                      </span>
+                    )}
+                    <span className="flex items-center gap-1.5">
+                      <span className="w-2 h-2 rounded-full bg-red-500" />
+                      {t('labTrends.outOfRange')}
+                    </span>
+                    <span className="flex items-center gap-1.5">
+                      <span className="w-2.5 h-2.5 rounded-full border-2 border-amber-500" />
+                      {t('labTrends.changedFromBaseline')}
+                    </span>
+                  </div>
+                </GlassCard>
+
+                {/* Every result, newest first */}
+                <div className="space-y-2">
+                  {[...history.points].reverse().map((point, index) => (
+                    <button
+                      key={`${point.healthMetricsId}-${index}`}
+                      onClick={() => point.reportId && navigate(`/reports/${point.reportId}`)}
+                      className="w-full flex items-center justify-between gap-3 p-4 bg-gray-50 dark:bg-slate-900 rounded-2xl text-left hover:bg-gray-100 dark:hover:bg-slate-800 transition-colors"
+                    >
+                      <div className="flex items-center gap-3 min-w-0">
+                        <DocumentTextIcon className="w-5 h-5 text-gray-400 flex-shrink-0" />
+                        <div className="min-w-0">
+                          <p className="text-sm font-bold text-gray-900 dark:text-white">
+                            {point.value} <span className="text-xs font-normal text-gray-400">{point.unit}</span>
+                          </p>
+                          <p className="text-[10px] text-gray-400">
+                            {new Date(point.date).toLocaleDateString()}
+                            {formatRange(point.normalRange) && ` · ${t('labTrends.range')} ${formatRange(point.normalRange)}`}
+                          </p>
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2 flex-shrink-0">
+                        {point.changeAlert && (
+                          <span className="flex items-center gap-1 px-2 py-1 bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400 rounded-lg text-[10px] font-bold">
+                            {point.changeAlert.direction === 'increase'
+                              ? <ArrowTrendingUpIcon className="w-3.5 h-3.5" />
+                              : <ArrowTrendingDownIcon className="w-3.5 h-3.5" />}
+                            {point.changeAlert.changePercent > 0 ? '+' : ''}{point.changeAlert.changePercent}%
+                          </span>
+                        )}
+                        {point.isNormal === false
+                          ? <StatusBadge status="error" text={t('labTrends.outOfRange')} size="xs" />
+                          : point.isNormal === true && <StatusBadge status="success" text="OK" size="xs" />}
+                      </div>
+                    </button>
+                  ))}
+                </div>
+
+                {history.points.some(point => point.changeAlert) && (
+                  <p className="flex items-start gap-2 text-xs text-gray-500 px-1">
+                    <ExclamationTriangleIcon className="w-4 h-4 text-amber-500 flex-shrink-0" />
+                    {t('labTrends.changeExplainer', { percent: history.changePercent })}
+                  </p>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LabTrends;
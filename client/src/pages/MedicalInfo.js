@@ -16,7 +16,8 @@ import EditProfileModal from '../components/EditProfileModal';
 
 const MedicalInfo = () => {
     const navigate = useNavigate();
-    const { user, updateProfile } = useAuth();
+    // Whoever is selected in the family profile switcher
+    const { activeProfile: user, updateActiveProfile } = useAuth();
     const { t } = useLanguage();
     const [showEditModal, setShowEditModal] = useState(false);
 
@@ -137,7 +138,7 @@ const MedicalInfo = () => {
                 isOpen={showEditModal}
                 onClose={() => setShowEditModal(false)}
                 user={user}
-                onUpdate={updateProfile}
+                onUpdate={updateActiveProfile}
                 initialTab="medical"
             />
         </div>
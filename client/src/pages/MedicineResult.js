@@ -33,6 +33,7 @@ import {
 } from '@heroicons/react/24/outline';
 import { CheckCircleIcon as CheckCircleSolid, BookmarkIcon as BookmarkSolid } from '@heroicons/react/24/solid';
 import { BackButton } from '../components/ui/PremiumComponents';
+import CheaperAlternatives from '../components/PriceLookup/CheaperAlternatives';
 
 // Available languages for medicine info
 const LANGUAGES = [
@@ -122,6 +123,41 @@ const MedicineResult = () => {
     }
   }, [chatMessages]);
 
+  // Personal allergy / condition screening (attached by the scanner for logged-in users)
+  const [safety, setSafety] = useState(scanResult?.safety || null);
+
+  useEffect(() => {
+    const loadSafetyScreening = async () => {
+      if (safety || (!scanResult?.medicineInfo && !scanResult?.pillInfo)) return;
+
+      const token = localStorage.getItem('token');
+      if (!token) return;
+
+      try {
+        const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+        const baseUrl = apiUrl.replace(/\/api\/?$/, '');
+
+        const response = await fetch(`${baseUrl}/api/scanner/safety`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+          },
+          body: JSON.stringify({ medicine: scanResult.pillInfo || scanResult.medicineInfo })
+        });
+
+        const data = await response.json();
+        if (data.success) {
+          setSafety(data.data);
+        }
+      } catch (err) {
+        console.warn('Safety screening failed:', err);
+      }
+    };
+
+    loadSafetyScreening();
+  }, [scanResult]);
+
   // Proactive initialization for medicine chat
   const [activeConversationId, setActiveConversationId] = useState(null);
   const [isInitializingChat, setIsInitializingChat] = useState(false);
@@ -639,6 +675,73 @@ ${manufacturer ? `Manufacturer: ${manufacturer}` : ''}`;
         </div>
       </div>
 
+      {/* Personal Safety Panel */}
+      {safety?.checked && (
+        <div className="px-4 mt-4">
+          {(() => {
+            const alerts = [...(safety.allergyAlerts || []), ...(safety.conditionAlerts || [])];
+            const hasProfile = safety.profile?.allergies > 0 || safety.profile?.conditions > 0;
+            const statusStyles = {
+              avoid: 'bg-red-50 dark:bg-red-950/30 border-red-200 dark:border-red-900 text-red-700 dark:text-red-400',
+              caution: 'bg-amber-50 dark:bg-amber-950/30 border-amber-200 dark:border-amber-900 text-amber-700 dark:text-amber-400',
+              clear: 'bg-emerald-50 dark:bg-emerald-950/30 border-emerald-200 dark:border-emerald-900 text-emerald-700 dark:text-emerald-400'
+            };
+            const severityStyles = {
+              contraindicated: 'bg-red-600 text-white',
+              major: 'bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300',
+              moderate: 'bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300',
+              minor: 'bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-gray-300'
+            };
+
+            if (!hasProfile) {
+              return (
+                <button onClick={() => navigate('/medical-info')} className="w-full flex items-center gap-3 p-4 bg-white dark:bg-slate-900 rounded-2xl text-left">
+                  <ShieldExclamationIcon className="w-6 h-6 text-gray-400 flex-shrink-0" />
+                  <span className="text-sm text-gray-600 dark:text-gray-400">{t('safetyAddProfile')}</span>
+                </button>
+              );
+            }
+
+            return (
+              <div className={`rounded-2xl border p-4 ${statusStyles[safety.status] || statusStyles.clear}`}>
+                <div className="flex items-center gap-2 mb-1">
+                  {safety.status === 'clear' ? <CheckCircleSolid className="w-5 h-5" /> : <ShieldExclamationIcon className="w-5 h-5" />}
+                  <h3 className="font-semibold">{t('personalSafety')}</h3>
+                </div>
+                <p className="text-sm">
+                  {safety.status === 'avoid' ? t('safetyAvoid') : safety.status === 'caution' ? t('safetyCaution') : t('safetyClear')}
+                </p>
+
+                {alerts.length > 0 && (
+                  <div className="mt-3 space-y-2">
+                    {alerts.map((alert, idx) => (
+                      <div key={idx} className="p-3 bg-white dark:bg-slate-900 rounded-xl">
+                        <div className="flex items-center justify-between gap-2 mb-1">
+                          <span className="text-sm font-semibold text-gray-900 dark:text-white capitalize">
+                            {alert.allergy ? `${t('allergyTo')} ${alert.allergy}` : alert.conditionLabel}
+                          </span>
+                          <span className={`px-2 py-0.5 rounded-full text-[10px] font-bold uppercase ${severityStyles[alert.severity] || severityStyles.minor}`}>
+                            {t(`severity_${alert.severity}`)}
+                          </span>
+                        </div>
+                        <p className="text-sm text-gray-700 dark:text-gray-300">{alert.description}</p>
+                        {alert.matchType === 'cross_sensitivity' && (
+                          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{t('crossSensitivity')}: {alert.ingredient} ({alert.drugClass})</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {!safety.recognized && (
+                  <p className="text-xs mt-2">{t('safetyUnrecognized')}</p>
+                )}
+              </div>
+            );
+          })()}
+        </div>
+      )}
+
       {/* Content Sections */}
       <div className="px-4 mt-4 space-y-3">
         {/* Display translated uses or original */}
@@ -856,6 +959,8 @@ ${manufacturer ? `Manufacturer: ${manufacturer}` : ''}`;
           </Section>
         )}
 
+        <CheaperAlternatives medicineName={primaryName} strength={dosage.strength} />
+
         {(storage || manufacturer || expiry) && (
           <Section title={t('productDetails')} icon={ArchiveBoxIcon} iconColor="bg-amber-50 dark:bg-amber-950/30 text-amber-500" expanded={expandedSections.storage} onToggle={() => toggleSection('storage')}>
             <div className="space-y-3">
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useLanguage } from '../contexts/LanguageContext';
 import MedicineSearch from '../components/PriceLookup/MedicineSearch';
 import PriceComparison from '../components/PriceLookup/PriceComparison';
+import CheaperAlternatives from '../components/PriceLookup/CheaperAlternatives';
 import PharmacyFinder from '../components/PriceLookup/PharmacyFinder';
 import LocationService from '../services/locationService';
 import {
@@ -19,12 +20,13 @@ import {
   BoltIcon
 } from '@heroicons/react/24/outline';
 import { motion, AnimatePresence } from 'framer-motion';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 
 const PriceLookup = () => {
   const [showLocationInfo, setShowLocationInfo] = useState(false);
   const [activeTab, setActiveTab] = useState('search');
   const [searchResults, setSearchResults] = useState(null);
+  const [searchedMedicine, setSearchedMedicine] = useState('');
   const [nearbyPharmacies, setNearbyPharmacies] = useState(null);
   const [userLocation, setUserLocation] = useState(null);
   const [isLoadingLocation, setIsLoadingLocation] = useState(false);
@@ -32,6 +34,9 @@ const PriceLookup = () => {
   const [error, setError] = useState('');
   const { t } = useLanguage();
   const navigate = useNavigate();
+  // Refill notifications link here with ?medicine=<name>
+  const [searchParams] = useSearchParams();
+  const initialMedicine = searchParams.get('medicine');
   // Lock scroll when modal is open
   useEffect(() => {
     if (showLocationInfo) {
@@ -51,6 +56,12 @@ const PriceLookup = () => {
     getCurrentLocation();
   }, []);
 
+  useEffect(() => {
+    if (initialMedicine) {
+      handleMedicineSearch(initialMedicine);
+    }
+  }, [initialMedicine]);
+
   const getCurrentLocation = async () => {
     setIsLoadingLocation(true);
     try {
@@ -82,6 +93,7 @@ const PriceLookup = () => {
 
       if (data.success) {
         setSearchResults(data.data);
+        setSearchedMedicine(medicineName);
       } else {
         setError(data.message || t('common.noResults'));
         setSearchResults(null);
@@ -324,7 +336,7 @@ const PriceLookup = () => {
               transition={{ duration: 0.25 }}
             >
               {/* Search Component */}
-              <MedicineSearch onSearch={handleMedicineSearch} isSearching={isSearching} />
+              <MedicineSearch onSearch={handleMedicineSearch} isSearching={isSearching} initialQuery={initialMedicine || ''} />
 
               {/* Results */}
               {isSearching ? (
@@ -339,7 +351,10 @@ const PriceLookup = () => {
                   </p>
                 </div>
               ) : searchResults ? (
-                <PriceComparison results={searchResults} userLocation={userLocation} />
+                <>
+                  <PriceComparison results={searchResults} userLocation={userLocation} medicineName={searchedMedicine} />
+                  <CheaperAlternatives medicineName={searchedMedicine} />
+                </>
               ) : (
                 <div className="mt-8">
                   {/* Empty State */}
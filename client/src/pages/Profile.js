@@ -6,6 +6,7 @@ import { usePWA } from '../hooks/usePWA';
 import LanguageSelector from '../components/LanguageSelector';
 import RatingModal from '../components/RatingModal';
 import EditProfileModal from '../components/EditProfileModal';
+import VisitSummaryModal from '../components/Common/VisitSummaryModal';
 import { motion } from 'framer-motion';
 import {
   PencilSquareIcon,
@@ -30,7 +31,8 @@ import {
   CheckBadgeIcon,
   SparklesIcon,
   CheckIcon,
-  Cog6ToothIcon
+  Cog6ToothIcon,
+  DocumentArrowDownIcon
 } from '@heroicons/react/24/outline';
 import {
   HeartIcon as HeartSolid
@@ -39,7 +41,7 @@ import { BackButton, PremiumLoading } from '../components/ui/PremiumComponents';
 
 const Profile = () => {
   const navigate = useNavigate();
-  const { user, logout, isAuthenticated, isGuest } = useAuth();
+  const { user, logout, isAuthenticated, isGuest, activeProfile, activeProfileId, updateActiveProfile } = useAuth();
   const { t, getCurrentLanguage, language, isLoading } = useLanguage();
   const { isInstallable, installApp, isInstalled } = usePWA();
   const [darkMode, setDarkMode] = useState(false);
@@ -48,6 +50,7 @@ const Profile = () => {
   const [renderKey, setRenderKey] = useState(0);
   const [showRatingModal, setShowRatingModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
+  const [showVisitSummary, setShowVisitSummary] = useState(false);
   const { updateProfile } = useAuth();
 
   const getGreeting = () => {
@@ -481,7 +484,7 @@ const Profile = () => {
             <div className="relative">
               <div className="w-14 h-14 sm:w-16 sm:h-16 bg-blue-500 rounded-2xl flex items-center justify-center">
                 <span className="text-white text-xl sm:text-2xl font-bold">
-                  {user?.name?.charAt(0).toUpperCase() || 'U'}
+                  {activeProfile?.name?.charAt(0).toUpperCase() || 'U'}
                 </span>
               </div>
               <div className="absolute -bottom-1 -right-1 w-5 h-5 sm:w-6 sm:h-6 bg-emerald-500 rounded-lg flex items-center justify-center border-2 border-white dark:border-slate-900">
@@ -490,10 +493,14 @@ const Profile = () => {
             </div>
             <div className="flex-1 min-w-0">
               <div className="flex items-center gap-1.5">
-                <h2 className="text-base sm:text-lg font-semibold text-gray-900 dark:text-white truncate">{user?.name || 'User'}</h2>
+                <h2 className="text-base sm:text-lg font-semibold text-gray-900 dark:text-white truncate">{activeProfile?.name || 'User'}</h2>
                 <CheckBadgeIcon className="w-4 h-4 sm:w-5 sm:h-5 text-blue-500 flex-shrink-0" />
               </div>
-              <p className="text-xs sm:text-sm text-gray-500 dark:text-gray-400 truncate">{user?.email}</p>
+              <p className="text-xs sm:text-sm text-gray-500 dark:text-gray-400 truncate">
+                {activeProfileId
+                  ? t('family.managedBy', { relationship: t(`family.relationships.${activeProfile?.relationship || 'other'}`), name: user?.name })
+                  : user?.email}
+              </p>
               <p className="text-xs text-gray-400 dark:text-gray-500 mt-0.5">{t('profile.memberSince')} {getMemberSince()}</p>
             </div>
           </div>
@@ -508,19 +515,19 @@ const Profile = () => {
         </div>
 
         {/* Medical Stats Row */}
-        {user?.bloodGroup && (
+        {activeProfile?.bloodGroup && (
           <div className="grid grid-cols-3 gap-2 mb-4 px-1">
             <div className="bg-red-50 dark:bg-red-900/20 rounded-xl p-2 text-center">
               <p className="text-xs text-red-500 font-medium">{t('common.blood')}</p>
-              <p className="text-sm font-bold text-red-700 dark:text-red-400">{user.bloodGroup}</p>
+              <p className="text-sm font-bold text-red-700 dark:text-red-400">{activeProfile.bloodGroup}</p>
             </div>
             <div className="bg-blue-50 dark:bg-blue-900/20 rounded-xl p-2 text-center">
               <p className="text-xs text-blue-500 font-medium">{t('common.height')}</p>
-              <p className="text-sm font-bold text-blue-700 dark:text-blue-400">{user.height} cm</p>
+              <p className="text-sm font-bold text-blue-700 dark:text-blue-400">{activeProfile.height} cm</p>
             </div>
             <div className="bg-emerald-50 dark:bg-emerald-900/20 rounded-xl p-2 text-center">
               <p className="text-xs text-emerald-500 font-medium">{t('common.weight')}</p>
-              <p className="text-sm font-bold text-emerald-700 dark:text-emerald-400">{user.weight} kg</p>
+              <p className="text-sm font-bold text-emerald-700 dark:text-emerald-400">{activeProfile.weight} kg</p>
             </div>
           </div>
         )}
@@ -606,6 +613,14 @@ const Profile = () => {
               iconColor="text-indigo-500"
               onClick={() => navigate('/reports')}
             />
+            <MenuItem
+              icon={DocumentArrowDownIcon}
+              label={t('visitSummary.title')}
+              subtitle={t('visitSummary.subtitle')}
+              iconBg="bg-sky-50 dark:bg-sky-950/30"
+              iconColor="text-sky-500"
+              onClick={() => setShowVisitSummary(true)}
+            />
           </div>
         </div>
 
@@ -705,8 +720,13 @@ const Profile = () => {
       <EditProfileModal
         isOpen={showEditModal}
         onClose={() => setShowEditModal(false)}
-        user={user}
-        onUpdate={updateProfile}
+        user={activeProfile}
+        onUpdate={updateActiveProfile}
+      />
+
+      <VisitSummaryModal
+        isOpen={showVisitSummary}
+        onClose={() => setShowVisitSummary(false)}
       />
     </div>
   );
@@ -4,10 +4,11 @@ import { useLanguage } from '../contexts/LanguageContext';
 import { motion, AnimatePresence } from 'framer-motion';
 import ReminderForm from '../components/Reminders/ReminderForm';
 import ReminderSettingsModal from '../components/Reminders/ReminderSettingsModal';
+import RecallAlerts from '../components/Reminders/RecallAlerts';
 import ConfirmModal from '../components/Common/ConfirmModal';
 import { useLayout } from '../contexts/LayoutContext';
 import notificationService from '../services/notificationService';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
   ClockIcon,
   PlusIcon,
@@ -20,19 +21,24 @@ import {
   MoonIcon,
   SparklesIcon,
   ArrowLeftIcon,
-  Cog6ToothIcon
+  Cog6ToothIcon,
+  ExclamationTriangleIcon,
+  ForwardIcon,
+  ArchiveBoxIcon
 } from '@heroicons/react/24/outline';
 import { CheckCircleIcon as CheckCircleSolid } from '@heroicons/react/24/solid';
 
 const Reminders = () => {
   const { t } = useLanguage();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const [activeTab, setActiveTab] = useState('today');
   const [showForm, setShowForm] = useState(false);
   const [editingReminder, setEditingReminder] = useState(null);
   const [showSettings, setShowSettings] = useState(false);
   const [reminders, setReminders] = useState([]);
   const [todaysSchedule, setTodaysSchedule] = useState([]);
+  const [asNeeded, setAsNeeded] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
 
   // Custom Delete Modal State
@@ -67,6 +73,7 @@ const Reminders = () => {
       const data = await response.json();
       if (data.success) {
         setTodaysSchedule(data.data);
+        setAsNeeded(data.asNeeded || []);
         notificationService.scheduleNotifications(data.data);
       }
     } catch (error) {
@@ -95,22 +102,36 @@ const Reminders = () => {
     }
   };
 
-  const markAsTaken = async (reminderId, scheduleTime) => {
+  const logDose = async (reminderId, scheduledTime, status, extra = {}) => {
     try {
-      await fetch(`/api/reminders/${reminderId}/take`, {
+      const response = await fetch(`/api/reminders/${reminderId}/log`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('token')}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ scheduledTime: scheduleTime })
+        body: JSON.stringify({ scheduledTime, status, ...extra })
       });
+      const data = await response.json();
+      if (!data.success && data.message) {
+        alert(data.message);
+      }
       loadTodaysSchedule();
     } catch (error) {
-      console.error('Failed to mark as taken:', error);
+      console.error(`Failed to mark dose as ${status}:`, error);
     }
   };
 
+  const markAsTaken = (reminderId, scheduledTime) => logDose(reminderId, scheduledTime, 'taken');
+  const snoozeDose = (reminderId, scheduledTime) => logDose(reminderId, scheduledTime, 'snoozed', { snoozeMinutes: 10 });
+  const skipDose = (reminderId, scheduledTime) => logDose(reminderId, scheduledTime, 'skipped');
+
+  const statusBadges = {
+    snoozed: { label: t('reminders.snoozed') || 'Snoozed', className: 'text-amber-600 dark:text-amber-400' },
+    skipped: { label: t('reminders.skipped') || 'Skipped', className: 'text-gray-500 dark:text-gray-400' },
+    missed: { label: t('reminders.missed') || 'Missed', className: 'text-red-600 dark:text-red-400' }
+  };
+
   const handleFormSuccess = () => {
     setShowForm(false);
     setEditingReminder(null);
@@ -232,13 +253,22 @@ const Reminders = () => {
               </p>
             </div>
           </div>
-          <button
-            onClick={() => setShowSettings(true)}
-            className="p-2.5 bg-white dark:bg-slate-900 border border-gray-100 dark:border-slate-800 rounded-xl shadow-sm text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-slate-800 transition-all"
-            aria-label="Settings"
-          >
-            <Cog6ToothIcon className="w-6 h-6" />
-          </button>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => navigate('/cabinet')}
+              className="p-2.5 bg-white dark:bg-slate-900 border border-gray-100 dark:border-slate-800 rounded-xl shadow-sm text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-slate-800 transition-all"
+              aria-label={t('cabinet.openCabinet')}
+            >
+              <ArchiveBoxIcon className="w-6 h-6" />
+            </button>
+            <button
+              onClick={() => setShowSettings(true)}
+              className="p-2.5 bg-white dark:bg-slate-900 border border-gray-100 dark:border-slate-800 rounded-xl shadow-sm text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-slate-800 transition-all"
+              aria-label="Settings"
+            >
+              <Cog6ToothIcon className="w-6 h-6" />
+            </button>
+          </div>
         </div>
         <div className="flex gap-3">
           <div className="flex-1 bg-white dark:bg-slate-900 rounded-2xl p-4 border border-gray-100 dark:border-slate-800">
@@ -259,7 +289,7 @@ const Reminders = () => {
               </div>
               <div>
                 <p className="text-2xl font-bold text-gray-900 dark:text-white">
-                  {todaysSchedule.filter(s => s.taken).length}
+                  {todaysSchedule.filter(s => s.status === 'taken').length}
                 </p>
                 <p className="text-xs text-gray-500 dark:text-gray-400">{t('reminders.taken') || 'Taken'}</p>
               </div>
@@ -267,6 +297,7 @@ const Reminders = () => {
           </div>
         </div>
 
+        {isAuthenticated && <RecallAlerts highlightId={searchParams.get('recall')} />}
       </div>
 
       {/* Settings Modal */}
@@ -316,56 +347,141 @@ const Reminders = () => {
                   </div>
 
                   <div className="space-y-2">
-                    {items.map((item, index) => (
-                      <motion.div
-                        key={`${item.reminderId}-${index}`}
-                        initial={{ opacity: 0, y: 10 }}
-                        animate={{ opacity: 1, y: 0 }}
-                        transition={{ delay: index * 0.05 }}
-                        className={`bg-white dark:bg-slate-900 rounded-2xl p-5 border shadow-sm ${item.taken
-                          ? 'border-emerald-200 dark:border-emerald-800/50 bg-emerald-50/50 dark:bg-emerald-950/20 shadow-none'
-                          : 'border-gray-100 dark:border-slate-800'
-                          }`}
-                      >
-                        <div className="flex items-center gap-4">
-                          <button
-                            onClick={() => !item.taken && markAsTaken(item.reminderId, item.scheduledTime)}
-                            className={`w-10 h-10 rounded-xl flex items-center justify-center flex-shrink-0 ${item.taken
-                              ? 'bg-emerald-500'
-                              : 'bg-gray-100 dark:bg-slate-800 hover:bg-blue-100 dark:hover:bg-blue-900/30'
-                              }`}
-                          >
-                            {item.taken ? (
-                              <CheckCircleSolid className="w-6 h-6 text-white" />
-                            ) : (
-                              <div className="w-5 h-5 border-2 border-gray-300 dark:border-gray-600 rounded-full" />
+                    {items.map((item, index) => {
+                      const isTaken = item.status === 'taken';
+                      const isOpen = item.status === 'pending' || item.status === 'snoozed';
+                      const badge = statusBadges[item.status];
+
+                      return (
+                        <motion.div
+                          key={`${item.reminderId}-${index}`}
+                          initial={{ opacity: 0, y: 10 }}
+                          animate={{ opacity: 1, y: 0 }}
+                          transition={{ delay: index * 0.05 }}
+                          className={`bg-white dark:bg-slate-900 rounded-2xl p-5 border shadow-sm ${isTaken
+                            ? 'border-emerald-200 dark:border-emerald-800/50 bg-emerald-50/50 dark:bg-emerald-950/20 shadow-none'
+                            : item.status === 'missed'
+                              ? 'border-red-200 dark:border-red-800/50'
+                              : 'border-gray-100 dark:border-slate-800'
+                            }`}
+                        >
+                          <div className="flex items-center gap-4">
+                            <button
+                              onClick={() => !isTaken && markAsTaken(item.reminderId, item.scheduledTime)}
+                              className={`w-10 h-10 rounded-xl flex items-center justify-center flex-shrink-0 ${isTaken
+                                ? 'bg-emerald-500'
+                                : 'bg-gray-100 dark:bg-slate-800 hover:bg-blue-100 dark:hover:bg-blue-900/30'
+                                }`}
+                            >
+                              {isTaken ? (
+                                <CheckCircleSolid className="w-6 h-6 text-white" />
+                              ) : (
+                                <div className="w-5 h-5 border-2 border-gray-300 dark:border-gray-600 rounded-full" />
+                              )}
+                            </button>
+
+                            <div className="flex-1 min-w-0">
+                              <p className={`font-medium text-sm ${isTaken ? 'text-emerald-700 dark:text-emerald-300 line-through' : 'text-gray-900 dark:text-white'
+                                }`}>
+                                {item.medicineName}
+                                {item.isCritical && (
+                                  <ExclamationTriangleIcon className="inline w-4 h-4 ml-1 text-red-500 align-text-bottom" />
+                                )}
+                              </p>
+                              <p className="text-xs text-gray-500 dark:text-gray-400">
+                                {item.dosage} • {new Date(item.scheduledTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                {item.status === 'snoozed' && item.snoozedUntil && (
+                                  <> • {t('reminders.snoozedUntil') || 'Until'} {new Date(item.snoozedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</>
+                                )}
+                              </p>
+                            </div>
+
+                            {isTaken && (
+                              <span className="text-xs text-emerald-600 dark:text-emerald-400 font-medium">
+                                {t('reminders.taken') || 'Taken'}
+                              </span>
                             )}
-                          </button>
 
-                          <div className="flex-1 min-w-0">
-                            <p className={`font-medium text-sm ${item.taken ? 'text-emerald-700 dark:text-emerald-300 line-through' : 'text-gray-900 dark:text-white'
-                              }`}>
-                              {item.medicineName}
-                            </p>
-                            <p className="text-xs text-gray-500 dark:text-gray-400">
-                              {item.dosage} • {new Date(item.scheduledTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                            </p>
+                            {badge && (
+                              <span className={`text-xs font-medium ${badge.className}`}>
+                                {badge.label}
+                              </span>
+                            )}
                           </div>
 
-                          {item.taken && (
-                            <span className="text-xs text-emerald-600 dark:text-emerald-400 font-medium">
-                              {t('reminders.taken') || 'Taken'}
-                            </span>
+                          {isOpen && new Date(item.scheduledTime) <= new Date() && (
+                            <div className="flex gap-2 mt-3 pl-14">
+                              <button
+                                onClick={() => snoozeDose(item.reminderId, item.scheduledTime)}
+                                className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium rounded-lg bg-amber-50 dark:bg-amber-950/30 text-amber-700 dark:text-amber-300"
+                              >
+                                <ClockIcon className="w-4 h-4" />
+                                {t('reminders.snooze') || 'Snooze 10 min'}
+                              </button>
+                              <button
+                                onClick={() => skipDose(item.reminderId, item.scheduledTime)}
+                                className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium rounded-lg bg-gray-100 dark:bg-slate-800 text-gray-600 dark:text-gray-300"
+                              >
+                                <ForwardIcon className="w-4 h-4" />
+                                {t('reminders.skip') || 'Skip'}
+                              </button>
+                            </div>
                           )}
-                        </div>
-                      </motion.div>
-                    ))}
+                        </motion.div>
+                      );
+                    })}
                   </div>
                 </div>
               );
             })}
 
-            {todaysSchedule.length === 0 && (
+            {asNeeded.length > 0 && (
+              <div>
+                <div className="flex items-center gap-3 mb-4">
+                  <SparklesIcon className="w-5 h-5 text-teal-500" />
+                  <span className="text-base font-bold text-gray-700 dark:text-gray-300">
+                    {t('reminders.asNeeded')}
+                  </span>
+                </div>
+
+                <div className="space-y-2">
+                  {asNeeded.map((item) => (
+                    <div
+                      key={item.reminderId}
+                      className="bg-white dark:bg-slate-900 rounded-2xl p-5 border border-gray-100 dark:border-slate-800 shadow-sm"
+                    >
+                      <div className="flex items-center gap-4">
+                        <div className="flex-1 min-w-0">
+                          <p className="font-medium text-sm text-gray-900 dark:text-white">
+                            {item.medicineName}
+                          </p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {item.dosage} • {t('reminders.takenTodayCount', { count: String(item.takenToday) })}
+                            {item.maxDailyDoses ? ` / ${item.maxDailyDoses}` : ''}
+                          </p>
+                          {!item.canTakeNow && item.nextAllowedAt && (
+                            <p className="text-xs text-amber-600 dark:text-amber-400">
+                              {t('reminders.nextDoseAt', {
+                                time: new Date(item.nextAllowedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                              })}
+                            </p>
+                          )}
+                        </div>
+                        <button
+                          onClick={() => logDose(item.reminderId, undefined, 'taken')}
+                          disabled={!item.canTakeNow}
+                          className="px-3 py-2 text-xs font-medium rounded-lg bg-teal-50 dark:bg-teal-950/30 text-teal-700 dark:text-teal-300 disabled:opacity-50"
+                        >
+                          {t('reminders.takeNow')}
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {todaysSchedule.length === 0 && asNeeded.length === 0 && (
               <div className="text-center py-12">
                 <div className="w-16 h-16 bg-gray-100 dark:bg-slate-800 rounded-full flex items-center justify-center mx-auto mb-4">
                   <CalendarDaysIcon className="w-8 h-8 text-gray-400" />
@@ -412,7 +528,27 @@ const Reminders = () => {
                     <p className="text-xs text-gray-500 dark:text-gray-400">
                       {reminder.dosage} • {reminder.times?.join(', ')}
                     </p>
+                    {reminder.refillForecast && (
+                      <p className={`text-xs ${reminder.refillForecast.needsRefill ? 'text-amber-600 dark:text-amber-400 font-medium' : 'text-gray-400 dark:text-gray-500'}`}>
+                        {t('reminders.pillsLeft', { count: String(reminder.refillForecast.pillsRemaining) })}
+                        {reminder.refillForecast.runOutDate && (
+                          <> • {t('reminders.runsOutOn', { date: new Date(reminder.refillForecast.runOutDate).toLocaleDateString() })}</>
+                        )}
+                      </p>
+                    )}
                   </div>
+                  {reminder.refillForecast?.needsRefill && (
+                    <span
+                      role="link"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        navigate(`/price-lookup?medicine=${encodeURIComponent(reminder.medicineName)}`);
+                      }}
+                      className="px-2.5 py-1.5 text-xs font-medium rounded-lg bg-amber-50 dark:bg-amber-950/30 text-amber-700 dark:text-amber-300"
+                    >
+                      {t('reminders.comparePrices')}
+                    </span>
+                  )}
                   <ChevronRightIcon className="w-5 h-5 text-gray-300 dark:text-gray-600" />
                 </div>
               </motion.button>
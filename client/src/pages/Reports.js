@@ -125,7 +125,14 @@ const Reports = () => {
               </p>
             </div>
 
-            <div className="grid grid-cols-2 sm:flex items-center gap-3">
+            <div className="grid grid-cols-3 sm:flex items-center gap-3">
+              <button
+                onClick={() => navigate('/reports/trends')}
+                className="flex items-center justify-center gap-2 px-4 sm:px-6 py-3.5 bg-white dark:bg-slate-900 border border-gray-200 dark:border-slate-800 rounded-2xl font-bold text-xs sm:text-sm shadow-sm hover:shadow-md transition-all active:scale-95"
+              >
+                <ChartBarIcon className="w-4 h-4 sm:w-5 h-5 text-emerald-500" />
+                {t('reports.trends')}
+              </button>
               <button
                 onClick={() => navigate('/scanner')}
                 className="flex items-center justify-center gap-2 px-4 sm:px-6 py-3.5 bg-white dark:bg-slate-900 border border-gray-200 dark:border-slate-800 rounded-2xl font-bold text-xs sm:text-sm shadow-sm hover:shadow-md transition-all active:scale-95"
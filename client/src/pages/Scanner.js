@@ -8,6 +8,7 @@ import {
   CameraIcon,
   DocumentTextIcon,
   MagnifyingGlassIcon,
+  QrCodeIcon,
   SparklesIcon,
   XMarkIcon
 } from '@heroicons/react/24/outline';
@@ -29,6 +30,14 @@ const Scanner = () => {
       gradient: 'from-blue-500 to-cyan-500',
       bgColor: 'bg-blue-50 dark:bg-blue-950/30'
     },
+    {
+      id: 'barcode',
+      title: t('scanner.scanBarcode') || 'Scan Barcode',
+      description: t('scanner.barcodeDescription') || 'Barcodes & DataMatrix codes on packs',
+      icon: QrCodeIcon,
+      gradient: 'from-emerald-500 to-teal-500',
+      bgColor: 'bg-emerald-50 dark:bg-emerald-950/30'
+    },
     {
       id: 'document',
       title: t('scanner.scanDocument') || 'Scan Document',
@@ -47,6 +56,8 @@ const Scanner = () => {
     try {
       if (result.type === 'medicine' || result.type === 'pill') {
         await processMedicineResult(result);
+      } else if (result.type === 'barcode') {
+        await processBarcodeResult(result);
       } else if (result.type === 'document') {
         await processDocumentResult(result);
       }
@@ -97,6 +108,7 @@ const Scanner = () => {
           found: data.data.pillInfo?.identified || false,
           ...data.data.pillInfo
         };
+        result.safety = data.data.safety;
         
         navigate('/medicine-result', { 
           state: { scanResult: result },
@@ -119,6 +131,37 @@ const Scanner = () => {
     }
   };
 
+  const processBarcodeResult = async (result) => {
+    try {
+      const apiResponse = await fetch('/api/scanner/barcode', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(localStorage.getItem('token') && {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`
+          })
+        },
+        body: JSON.stringify({ barcode: result.data })
+      });
+
+      const data = await apiResponse.json();
+
+      if (data.success && data.data) {
+        navigate('/barcode-result', {
+          state: { scanResult: data.data },
+          replace: false
+        });
+      } else {
+        throw new Error(data.message || 'Failed to process barcode');
+      }
+    } catch (error) {
+      console.error('Barcode scan failed:', error);
+      setError(error.message || t('scanner.processingError'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const processDocumentResult = async (result) => {
     try {
       const response = await fetch(result.imageData);
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
     BellIcon,
@@ -9,12 +9,18 @@ import {
     InformationCircleIcon,
     KeyIcon,
     ArrowRightOnRectangleIcon,
-    ChevronRightIcon
+    ChevronRightIcon,
+    ClockIcon,
+    ExclamationTriangleIcon,
+    ArrowDownTrayIcon,
+    ArrowUpTrayIcon
 } from '@heroicons/react/24/outline';
 import { BackButton, GlassCard, SectionHeader } from '../components/ui/PremiumComponents';
 import { useAuth } from '../contexts/AuthContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import LanguageSelector from '../components/LanguageSelector';
+import ShareLinks from '../components/Sharing/ShareLinks';
+import FamilyMembers from '../components/Family/FamilyMembers';
 
 const Settings = () => {
     const navigate = useNavigate();
@@ -57,6 +63,99 @@ const Settings = () => {
         }
     };
 
+    const criticalLabContact = user?.preferences?.notifications?.criticalLabContact ?? false;
+
+    const handleToggleCriticalLabContact = async () => {
+        if (isAuthenticated) {
+            await updateProfile({
+                preferences: {
+                    ...user?.preferences,
+                    notifications: {
+                        ...user?.preferences?.notifications,
+                        criticalLabContact: !criticalLabContact
+                    }
+                }
+            });
+        }
+    };
+
+    const importInputRef = useRef(null);
+    const [dataStatus, setDataStatus] = useState(null);
+
+    // Download the whole health record as a FHIR R4 Bundle
+    const handleExportRecord = async () => {
+        setDataStatus({ type: 'info', text: t('settings.exportingRecord') });
+        try {
+            const response = await fetch('/api/profile/export/fhir', {
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+            });
+            if (!response.ok) throw new Error('Export failed');
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `health-record-${new Date().toISOString().split('T')[0]}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+            setDataStatus(null);
+        } catch (error) {
+            console.error('FHIR export error:', error);
+            setDataStatus({ type: 'error', text: t('settings.exportRecordFailed') });
+        }
+    };
+
+    const handleImportRecord = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        setDataStatus({ type: 'info', text: t('settings.importingRecord') });
+        try {
+            const response = await fetch('/api/profile/import/fhir', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('token')}`
+                },
+                body: await file.text()
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+
+            const { imported, duplicates } = data.summary;
+            const total = Object.values(imported).reduce((sum, count) => sum + count, 0);
+            setDataStatus({ type: 'success', text: t('settings.importRecordDone', { imported: total, duplicates }) });
+        } catch (error) {
+            console.error('FHIR import error:', error);
+            setDataStatus({ type: 'error', text: t('settings.importRecordFailed') });
+        }
+    };
+
+    const deviceTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const homeTimezone = user?.timezone || deviceTimezone;
+    const followLocalTime = user?.preferences?.travel?.mode === 'local';
+
+    const handleUseCurrentAsHome = async () => {
+        if (isAuthenticated) {
+            await updateProfile({ timezone: deviceTimezone });
+        }
+    };
+
+    const handleToggleFollowLocalTime = async () => {
+        if (isAuthenticated) {
+            await updateProfile({
+                preferences: {
+                    ...user?.preferences,
+                    travel: {
+                        ...user?.preferences?.travel,
+                        mode: followLocalTime ? 'home' : 'local',
+                        currentTimezone: deviceTimezone
+                    }
+                }
+            });
+        }
+    };
+
     const SettingItem = ({ icon: Icon, title, subtitle, rightElement, onClick, isDestructive }) => (
         <div
             onClick={onClick}
@@ -169,9 +268,95 @@ const Settings = () => {
                             rightElement={<Toggle checked={notifications} onChange={handleToggleNotifications} />}
                             onClick={handleToggleNotifications}
                         />
+                        <div className="h-px bg-gray-100 dark:bg-slate-800" />
+                        <SettingItem
+                            icon={ExclamationTriangleIcon}
+                            title={t('settings.criticalLabContact')}
+                            subtitle={t('settings.criticalLabContactSubtitle')}
+                            rightElement={<Toggle checked={criticalLabContact} onChange={handleToggleCriticalLabContact} />}
+                            onClick={handleToggleCriticalLabContact}
+                        />
+                        <div className="h-px bg-gray-100 dark:bg-slate-800" />
+                        <SettingItem
+                            icon={ClockIcon}
+                            title={t('settings.homeTimezone')}
+                            subtitle={homeTimezone}
+                            rightElement={homeTimezone !== deviceTimezone ? (
+                                <button
+                                    onClick={handleUseCurrentAsHome}
+                                    className="text-xs font-medium text-blue-500 hover:text-blue-600"
+                                >
+                                    {t('settings.useCurrentTimezone')}
+                                </button>
+                            ) : <span className="text-xs text-gray-400">{t('settings.currentTimezone')}</span>}
+                        />
+                        <div className="h-px bg-gray-100 dark:bg-slate-800" />
+                        <SettingItem
+                            icon={GlobeAltIcon}
+                            title={t('settings.followLocalTime')}
+                            subtitle={followLocalTime
+                                ? t('settings.followLocalTimeOn', { timezone: deviceTimezone })
+                                : t('settings.followLocalTimeOff', { timezone: homeTimezone })}
+                            rightElement={<Toggle checked={followLocalTime} onChange={handleToggleFollowLocalTime} />}
+                            onClick={handleToggleFollowLocalTime}
+                        />
                     </GlassCard>
                 </div>
 
+                {/* Family profiles */}
+                {isAuthenticated && (
+                    <div className="space-y-4">
+                        <SectionHeader title={t('family.title')} />
+                        <GlassCard className="!p-0 overflow-hidden">
+                            <FamilyMembers />
+                        </GlassCard>
+                    </div>
+                )}
+
+                {/* Sharing */}
+                {isAuthenticated && (
+                    <div className="space-y-4">
+                        <SectionHeader title={t('sharing.title')} />
+                        <GlassCard className="!p-0 overflow-hidden">
+                            <ShareLinks />
+                        </GlassCard>
+                    </div>
+                )}
+
+                {/* Your data */}
+                {isAuthenticated && (
+                    <div className="space-y-4">
+                        <SectionHeader title={t('settings.yourData')} />
+                        <GlassCard className="!p-0 overflow-hidden">
+                            <SettingItem
+                                icon={ArrowDownTrayIcon}
+                                title={t('settings.exportRecord')}
+                                subtitle={t('settings.exportRecordSubtitle')}
+                                onClick={handleExportRecord}
+                            />
+                            <div className="h-px bg-gray-100 dark:bg-slate-800" />
+                            <SettingItem
+                                icon={ArrowUpTrayIcon}
+                                title={t('settings.importRecord')}
+                                subtitle={t('settings.importRecordSubtitle')}
+                                onClick={() => importInputRef.current?.click()}
+                            />
+                            <input
+                                ref={importInputRef}
+                                type="file"
+                                accept=".json,application/json,application/fhir+json"
+                                onChange={handleImportRecord}
+                                className="hidden"
+                            />
+                        </GlassCard>
+                        {dataStatus && (
+                            <p className={`text-sm px-1 ${dataStatus.type === 'error' ? 'text-red-500' : dataStatus.type === 'success' ? 'text-green-600' : 'text-gray-500'}`}>
+                                {dataStatus.text}
+                            </p>
+                        )}
+                    </div>
+                )}
+
                 {/* About & Support */}
                 <div className="space-y-4">
                     <SectionHeader title={t('settings.about')} />
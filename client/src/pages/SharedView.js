@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  UserIcon,
+  ClockIcon,
+  ChartBarIcon,
+  DocumentTextIcon,
+  DocumentArrowDownIcon,
+  ExclamationTriangleIcon,
+  LockClosedIcon
+} from '@heroicons/react/24/outline';
+import { GlassCard, LoadingSkeleton, StatusBadge } from '../components/ui/PremiumComponents';
+import { useLanguage } from '../contexts/LanguageContext';
+
+const DOSE_STYLES = {
+  taken: 'bg-green-500',
+  missed: 'bg-red-500',
+  skipped: 'bg-gray-400'
+};
+
+const formatRange = (range) => {
+  if (!range || (range.min == null && range.max == null)) return null;
+  if (range.min == null) return `< ${range.max}`;
+  if (range.max == null) return `> ${range.min}`;
+  return `${range.min} - ${range.max}`;
+};
+
+// Read-only view of data someone shared through a share link; no login needed
+const SharedView = () => {
+  const { token } = useParams();
+  const { t } = useLanguage();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isOpeningSummary, setIsOpeningSummary] = useState(false);
+
+  useEffect(() => {
+    loadSharedData();
+  }, [token]);
+
+  const loadSharedData = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/share/access/${encodeURIComponent(token)}`);
+      const result = await response.json();
+      if (result.success) {
+        setData(result.data);
+      } else {
+        setError(result.message || t('sharedView.unavailable'));
+      }
+    } catch (err) {
+      console.error('Failed to load shared data:', err);
+      setError(t('sharedView.unavailable'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Fetched rather than linked so the request goes to the API server
+  const openVisitSummary = async () => {
+    setIsOpeningSummary(true);
+    try {
+      const response = await fetch(`/api/share/access/${encodeURIComponent(token)}/visit-summary`);
+      if (!response.ok) throw new Error('Visit summary unavailable');
+      window.open(URL.createObjectURL(await response.blob()), '_blank');
+    } catch (err) {
+      console.error('Failed to open visit summary:', err);
+    } finally {
+      setIsOpeningSummary(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="max-w-3xl mx-auto p-4 sm:p-6 space-y-4">
+        <LoadingSkeleton className="h-24 w-full rounded-3xl" />
+        <LoadingSkeleton className="h-64 w-full rounded-3xl" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-md mx-auto p-6 pt-24">
+        <GlassCard className="text-center">
+          <div className="w-16 h-16 bg-gray-100 dark:bg-slate-800 rounded-2xl flex items-center justify-center mx-auto mb-4">
+            <LockClosedIcon className="h-8 w-8 text-gray-500" />
+          </div>
+          <h1 className="text-lg font-bold text-gray-900 dark:text-white mb-2">{t('sharedView.unavailableTitle')}</h1>
+          <p className="text-sm text-gray-500">{error}</p>
+        </GlassCard>
+      </div>
+    );
+  }
+
+  const { share, profile, reminders, adherence, reports } = data;
+
+  return (
+    <div className="min-h-screen bg-white dark:bg-slate-950 pt-safe font-sans pb-20">
+      <div className="max-w-3xl mx-auto p-4 sm:p-6 space-y-6">
+        <div>
+          <p className="text-[10px] font-bold text-gray-400 uppercase tracking-widest">{t('sharedView.readOnly')}</p>
+          <h1 className="text-2xl sm:text-3xl font-black text-gray-900 dark:text-white tracking-tight">
+            {t('sharedView.title', { name: share.ownerName })}
+          </h1>
+          <p className="text-xs sm:text-sm text-gray-500 font-medium flex items-center gap-1 mt-1">
+            <ClockIcon className="w-4 h-4" />
+            {t('sharedView.expires', { date: new Date(share.expiresAt).toLocaleString() })}
+          </p>
+        </div>
+
+        {share.scopes.includes('visit_summary') && (
+          <button
+            onClick={openVisitSummary}
+            disabled={isOpeningSummary}
+            className="w-full flex items-center gap-3 p-4 bg-blue-600 text-white rounded-2xl font-bold shadow-lg shadow-blue-500/20 disabled:opacity-60"
+          >
+            <DocumentArrowDownIcon className="w-6 h-6" />
+            {t('sharedView.openVisitSummary')}
+          </button>
+        )}
+
+        {profile && (
+          <GlassCard className="!p-4 sm:!p-6" hoverEffect={false}>
+            <h2 className="flex items-center gap-2 text-sm font-bold text-gray-900 dark:text-white mb-3">
+              <UserIcon className="w-5 h-5 text-blue-500" />
+              {t('sharedView.profile')}
+            </h2>
+            <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+              {[
+                [t('profile.bloodGroup'), profile.bloodGroup],
+                [t('sharedView.born'), profile.dateOfBirth && new Date(profile.dateOfBirth).toLocaleDateString()],
+                [t('profile.height'), profile.height && `${profile.height} cm`],
+                [t('profile.weight'), profile.weight && `${profile.weight} kg`]
+              ].filter(([, value]) => value).map(([label, value]) => (
+                <div key={label}>
+                  <dt className="text-[10px] font-bold text-gray-400 uppercase tracking-widest">{label}</dt>
+                  <dd className="text-gray-900 dark:text-white font-medium">{value}</dd>
+                </div>
+              ))}
+            </dl>
+            <div className="mt-4 space-y-1 text-sm">
+              <p>
+                <span className="font-bold text-red-500">{t('profile.allergies')}: </span>
+                <span className="text-gray-700 dark:text-gray-300">{profile.allergies.join(', ') || t('profile.noAllergies')}</span>
+              </p>
+              <p>
+                <span className="font-bold text-gray-500">{t('profile.chronicConditions')}: </span>
+                <span className="text-gray-700 dark:text-gray-300">{profile.chronicConditions.join(', ') || t('profile.noConditions')}</span>
+              </p>
+            </div>
+          </GlassCard>
+        )}
+
+        {reminders && (
+          <GlassCard className="!p-4 sm:!p-6" hoverEffect={false}>
+            <h2 className="flex items-center gap-2 text-sm font-bold text-gray-900 dark:text-white mb-3">
+              <ClockIcon className="w-5 h-5 text-blue-500" />
+              {t('sharedView.medicines')}
+            </h2>
+            {reminders.length === 0 ? (
+              <p className="text-sm text-gray-500">{t('sharedView.noMedicines')}</p>
+            ) : (
+              <div className="space-y-2">
+                {reminders.map(reminder => (
+                  <div key={reminder._id} className="flex items-center justify-between gap-3 p-3 bg-gray-50 dark:bg-slate-900 rounded-xl">
+                    <div>
+                      <p className="text-sm font-bold text-gray-900 dark:text-white">{reminder.medicineName}</p>
+                      <p className="text-xs text-gray-500">{reminder.dosage}</p>
+                    </div>
+                    <p className="text-xs text-gray-500 text-right">
+                      {reminder.schedule?.type === 'prn' ? t('sharedView.asNeeded') : reminder.times.join(', ')}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </GlassCard>
+        )}
+
+        {adherence && (
+          <GlassCard className="!p-4 sm:!p-6" hoverEffect={false}>
+            <h2 className="flex items-center gap-2 text-sm font-bold text-gray-900 dark:text-white mb-3">
+              <ChartBarIcon className="w-5 h-5 text-blue-500" />
+              {t('sharedView.adherence')}
+            </h2>
+            <div className="grid grid-cols-2 gap-3 mb-4">
+              {[['week', t('sharedView.last7Days')], ['month', t('sharedView.last30Days')]].map(([period, label]) => adherence[period] && (
+                <div key={period} className="p-3 bg-gray-50 dark:bg-slate-900 rounded-xl">
+                  <p className="text-2xl font-black text-gray-900 dark:text-white">{adherence[period].adherencePercentage}%</p>
+                  <p className="text-[10px] text-gray-400">
+                    {label} · {t('sharedView.dosesTaken', { taken: adherence[period].totalTaken, total: adherence[period].totalScheduled })}
+                  </p>
+                </div>
+              ))}
+            </div>
+            <div className="space-y-3">
+              {adherence.medicines.map(medicine => (
+                <div key={medicine.medicineName}>
+                  <p className="text-xs font-bold text-gray-700 dark:text-gray-300 mb-1">{medicine.medicineName}</p>
+                  <div className="flex flex-wrap gap-1">
+                    {medicine.doses.length === 0 && <span className="text-[10px] text-gray-400">{t('sharedView.noDoses')}</span>}
+                    {medicine.doses.map(dose => (
+                      <span
+                        key={dose.scheduledTime}
+                        title={`${new Date(dose.scheduledTime).toLocaleString()} · ${dose.status}`}
+                        className={`w-3 h-3 rounded-sm ${DOSE_STYLES[dose.status]}`}
+                      />
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </GlassCard>
+        )}
+
+        {reports && reports.map(report => (
+          <GlassCard key={report._id} className="!p-4 sm:!p-6" hoverEffect={false}>
+            <h2 className="flex items-center gap-2 text-sm font-bold text-gray-900 dark:text-white">
+              <DocumentTextIcon className="w-5 h-5 text-blue-500" />
+              {report.fileName}
+            </h2>
+            <p className="text-[10px] text-gray-400 mb-3">{new Date(report.healthMetrics?.testDate || report.createdAt).toLocaleDateString()}</p>
+            {report.summary && <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">{report.summary}</p>}
+            <div className="space-y-1.5">
+              {(report.healthMetrics?.metrics || []).map((metric, index) => (
+                <div key={`${metric.name}-${index}`} className="flex items-center justify-between gap-3 text-sm">
+                  <span className="text-gray-700 dark:text-gray-300">{metric.displayName || metric.name}</span>
+                  <span className="flex items-center gap-2">
+                    <span className={`font-bold ${metric.isNormal === false ? 'text-red-500' : 'text-gray-900 dark:text-white'}`}>
+                      {metric.value} <span className="text-xs font-normal text-gray-400">{metric.unit}</span>
+                    </span>
+                    {formatRange(metric.normalRange) && (
+                      <span className="text-[10px] text-gray-400">({formatRange(metric.normalRange)})</span>
+                    )}
+                    {metric.isNormal === false && <StatusBadge status="error" text={metric.flag || '!'} size="xs" />}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </GlassCard>
+        ))}
+
+        {reports && reports.length === 0 && (
+          <p className="text-sm text-gray-500">{t('sharedView.noReports')}</p>
+        )}
+
+        <p className="flex items-start gap-2 text-xs text-gray-500 px-1">
+          <ExclamationTriangleIcon className="w-4 h-4 text-amber-500 flex-shrink-0" />
+          {t('sharedView.disclaimer')}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default SharedView;
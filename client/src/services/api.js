@@ -4,6 +4,9 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || (process.env.NODE_ENV ===
   ? 'https://mediot-08fq.onrender.com/api'
   : `http://${window.location.hostname}:3003/api`);
 
+// Calls that manage the login itself, never a family member's profile
+export const ACCOUNT_PATHS = ['/auth/', '/family'];
+
 const api = axios.create({
   baseURL: API_BASE_URL,
   headers: {
@@ -18,6 +21,12 @@ api.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    // Act for the family member currently selected in the profile switcher.
+    // Account and family management calls always act for the login itself.
+    const activeProfile = localStorage.getItem('mediot_active_profile');
+    if (activeProfile && !config.headers['X-Profile-Id'] && !ACCOUNT_PATHS.some(path => config.url?.startsWith(path))) {
+      config.headers['X-Profile-Id'] = activeProfile;
+    }
     return config;
   },
   (error) => Promise.reject(error)
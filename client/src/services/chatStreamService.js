@@ -0,0 +1,134 @@
+// Sends chat messages over the SSE endpoint so replies render as they are
+// generated, falling back to the regular request when streaming isn't available.
+class ChatStreamService {
+  constructor() {
+    this.isSupported = typeof window !== 'undefined' &&
+      typeof window.fetch === 'function' &&
+      typeof window.ReadableStream !== 'undefined' &&
+      typeof window.TextDecoder !== 'undefined';
+  }
+
+  getHeaders() {
+    const token = localStorage.getItem('token');
+    return {
+      'Content-Type': 'application/json',
+      ...(token && { 'Authorization': `Bearer ${token}` })
+    };
+  }
+
+  // body: { message, conversationId, language }
+  // Resolves with the same data as POST /api/chat/message; rejects with an
+  // AbortError when `signal` is aborted.
+  async sendMessage(body, { onMeta, onToken, signal } = {}) {
+    if (this.isSupported) {
+      let receivedText = false;
+      try {
+        return await this.streamMessage(body, {
+          onMeta,
+          onToken: (text) => {
+            receivedText = true;
+            onToken?.(text);
+          },
+          signal
+        });
+      } catch (error) {
+        // Part of the answer is already on screen, or the user cancelled: don't start over
+        if (error.name === 'AbortError' || receivedText || !error.streamUnavailable) throw error;
+        console.warn('Chat streaming unavailable, falling back:', error.message);
+      }
+    }
+
+    return this.postMessage(body, signal);
+  }
+
+  async postMessage(body, signal) {
+    const response = await fetch('/api/chat/message', {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(body),
+      signal
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to get AI response');
+    }
+
+    return data.data;
+  }
+
+  async streamMessage(body, { onMeta, onToken, signal }) {
+    let response;
+    try {
+      response = await fetch('/api/chat/message/stream', {
+        method: 'POST',
+        headers: { ...this.getHeaders(), 'Accept': 'text/event-stream' },
+        body: JSON.stringify(body),
+        signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw this.unavailable(error.message);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !contentType.includes('text/event-stream') || !response.body) {
+      throw this.unavailable(`Unexpected stream response (${response.status})`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const { event, data } = this.parseEvent(rawEvent);
+        if (!event) continue;
+
+        if (event === 'meta') onMeta?.(data);
+        if (event === 'token') onToken?.(data.text);
+        if (event === 'done') return data;
+        if (event === 'error') throw new Error(data.message || 'Chat failed');
+      }
+    }
+
+    throw new Error('Chat stream ended unexpectedly');
+  }
+
+  parseEvent(rawEvent) {
+    let event = null;
+    const dataLines = [];
+
+    rawEvent.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    });
+
+    try {
+      return { event, data: dataLines.length ? JSON.parse(dataLines.join('\n')) : {} };
+    } catch (error) {
+      return { event: null, data: null };
+    }
+  }
+
+  unavailable(message) {
+    const error = new Error(message);
+    error.streamUnavailable = true;
+    return error;
+  }
+}
+
+// Create singleton instance
+const chatStreamService = new ChatStreamService();
+
+export default chatStreamService;
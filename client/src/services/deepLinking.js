@@ -189,13 +189,14 @@ class DeepLinkingService {
   }
 
   /**
-   * Generate shareable patient link
+   * Generate shareable patient link for a share grant token
+   * (created with POST /api/share). The token is the only credential,
+   * so nothing else is added to the URL.
    */
-  generatePatientLink(patientId, options = {}) {
-    return this.generateMedicalDeepLink('patient', { patientId }, {
-      includeMetadata: true,
-      trackable: true,
-      securityLevel: 'high',
+  generatePatientLink(shareToken, options = {}) {
+    return this.generateDeepLink(`/shared/${encodeURIComponent(shareToken)}`, {}, {
+      trackable: false,
+      compress: false,
       ...options
     });
   }
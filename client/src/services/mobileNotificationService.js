@@ -1,4 +1,5 @@
 // Mobile-specific notification service for PWA
+import api from './api';
 
 class MobileNotificationService {
   constructor() {
@@ -325,13 +326,13 @@ class MobileNotificationService {
     
     switch (data.action) {
       case 'taken':
-        this.markMedicationTaken(data.reminderId);
+        this.markMedicationTaken(data.reminderId, data.scheduledTime, data.profileId);
         break;
       case 'snooze':
-        this.snoozeMedicationReminder(data.reminderId, 10); // 10 minutes
+        this.snoozeMedicationReminder(data.reminderId, 10, data.scheduledTime, data.profileId); // 10 minutes
         break;
       case 'skip':
-        this.skipMedicationReminder(data.reminderId);
+        this.skipMedicationReminder(data.reminderId, data.scheduledTime, data.profileId);
         break;
       case 'cancel':
         this.cancelEmergencyAlert(data);
@@ -367,46 +368,65 @@ class MobileNotificationService {
     console.log('Checking for due reminders...');
   }
 
+  // Record the user's response to a dose on the server. profileId is set when
+  // the dose belongs to a family member, who may not be the profile on screen.
+  async logDose(reminderId, scheduledTime, status, extra = {}, profileId = null) {
+    if (!reminderId || !scheduledTime) return false;
+
+    try {
+      await api.post(`/api/reminders/${reminderId}/log`, { scheduledTime, status, ...extra }, {
+        headers: profileId ? { 'X-Profile-Id': profileId } : {}
+      });
+      return true;
+    } catch (error) {
+      console.error(`Failed to log dose as ${status}:`, error);
+      return false;
+    }
+  }
+
   // Mark medication as taken
-  async markMedicationTaken(reminderId) {
+  async markMedicationTaken(reminderId, scheduledTime, profileId = null) {
     console.log('Marking medication as taken:', reminderId);
-    
-    // Update reminder status in storage
-    // This would typically update IndexedDB or send to API
-    
+
+    const logged = await this.logDose(reminderId, scheduledTime, 'taken', {}, profileId);
+
     // Show confirmation
-    await this.showNotification('[SUCCESS] Medication Taken', {
-      body: 'Great job staying on track with your medication!',
+    await this.showNotification(logged ? '[SUCCESS] Medication Taken' : 'Could not save dose', {
+      body: logged
+        ? 'Great job staying on track with your medication!'
+        : 'Please mark it as taken in the app',
       tag: 'medication-taken',
-      vibrate: this.vibrationPatterns.success
+      vibrate: logged ? this.vibrationPatterns.success : this.vibrationPatterns.warning
     });
   }
 
-  // Snooze medication reminder
-  async snoozeMedicationReminder(reminderId, minutes) {
+  // Snooze medication reminder; the server re-sends it when the snooze ends
+  async snoozeMedicationReminder(reminderId, minutes, scheduledTime, profileId = null) {
     console.log(`Snoozing reminder ${reminderId} for ${minutes} minutes`);
-    
-    // Schedule new reminder
-    const snoozeTime = new Date(Date.now() + minutes * 60000);
-    
+
+    const logged = await this.logDose(reminderId, scheduledTime, 'snoozed', { snoozeMinutes: minutes }, profileId);
+
     // Show confirmation
-    await this.showNotification('⏰ Reminder Snoozed', {
-      body: `We'll remind you again in ${minutes} minutes`,
+    await this.showNotification(logged ? '⏰ Reminder Snoozed' : 'Could not snooze reminder', {
+      body: logged
+        ? `We'll remind you again in ${minutes} minutes`
+        : 'Please open the app to respond to this dose',
       tag: 'medication-snoozed',
-      vibrate: this.vibrationPatterns.success
+      vibrate: logged ? this.vibrationPatterns.success : this.vibrationPatterns.warning
     });
   }
 
   // Skip medication reminder
-  async skipMedicationReminder(reminderId) {
+  async skipMedicationReminder(reminderId, scheduledTime, profileId = null) {
     console.log('Skipping medication reminder:', reminderId);
-    
-    // Update reminder status
-    // This would typically update IndexedDB or send to API
-    
+
+    const logged = await this.logDose(reminderId, scheduledTime, 'skipped', {}, profileId);
+
     // Show confirmation
-    await this.showNotification('⏭️ Reminder Skipped', {
-      body: 'Reminder has been skipped for this time',
+    await this.showNotification(logged ? '⏭️ Reminder Skipped' : 'Could not skip reminder', {
+      body: logged
+        ? 'Reminder has been skipped for this time'
+        : 'Please open the app to respond to this dose',
       tag: 'medication-skipped',
       vibrate: this.vibrationPatterns.warning
     });
@@ -1,3 +1,5 @@
+import api from './api';
+
 class PushNotificationService {
   constructor() {
     this.isSupported = 'serviceWorker' in navigator && 'PushManager' in window;
@@ -46,12 +48,13 @@ class PushNotificationService {
       
       if (this.subscription) {
         console.log('Already subscribed to push notifications');
+        // Re-register so the server knows this device after a login switch
+        await this.sendSubscriptionToServer(this.subscription);
         return this.subscription;
       }
 
       // Subscribe to push notifications
-      const vapidPublicKey = process.env.REACT_APP_VAPID_PUBLIC_KEY || 
-        'BEl62iUYgUivxIkv69yViEuiBIa40HI80NM9f8HtLlVLVWjSrWrTTUeNqSRgN6RcVOQWasOasmnPA_93dPyUDgw';
+      const vapidPublicKey = await this.getVapidPublicKey();
 
       this.subscription = await this.registration.pushManager.subscribe({
         userVisibleOnly: true,
@@ -87,27 +90,29 @@ class PushNotificationService {
     }
   }
 
+  // Prefer the server's key so subscriptions match the keys it signs with
+  async getVapidPublicKey() {
+    try {
+      const response = await api.get('/notifications/vapid-public-key');
+      if (response.data?.data?.publicKey) {
+        return response.data.data.publicKey;
+      }
+    } catch (error) {
+      console.warn('Could not fetch VAPID public key from server:', error.message);
+    }
+
+    return process.env.REACT_APP_VAPID_PUBLIC_KEY ||
+      'BEl62iUYgUivxIkv69yViEuiBIa40HI80NM9f8HtLlVLVWjSrWrTTUeNqSRgN6RcVOQWasOasmnPA_93dPyUDgw';
+  }
+
   async sendSubscriptionToServer(subscription) {
     try {
-      const response = await fetch('/api/notifications/subscribe', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(localStorage.getItem('token') && {
-            'Authorization': `Bearer ${localStorage.getItem('token')}`
-          })
-        },
-        body: JSON.stringify({
-          subscription: subscription.toJSON(),
-          userAgent: navigator.userAgent,
-          timestamp: new Date().toISOString()
-        })
+      await api.post('/notifications/subscribe', {
+        subscription: subscription.toJSON(),
+        userAgent: navigator.userAgent,
+        timestamp: new Date().toISOString()
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to send subscription to server');
-      }
-
       console.log('Subscription sent to server successfully');
     } catch (error) {
       console.error('Error sending subscription to server:', error);
@@ -117,23 +122,10 @@ class PushNotificationService {
 
   async removeSubscriptionFromServer(subscription) {
     try {
-      const response = await fetch('/api/notifications/unsubscribe', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(localStorage.getItem('token') && {
-            'Authorization': `Bearer ${localStorage.getItem('token')}`
-          })
-        },
-        body: JSON.stringify({
-          subscription: subscription.toJSON()
-        })
+      await api.post('/notifications/unsubscribe', {
+        subscription: subscription.toJSON()
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to remove subscription from server');
-      }
-
       console.log('Subscription removed from server successfully');
     } catch (error) {
       console.error('Error removing subscription from server:', error);
@@ -358,11 +358,12 @@ self.addEventListener('push', (event) => {
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
   
-  const { action, data } = event;
+  const { action } = event;
+  const data = event.notification.data || {};
   let url = '/';
   
   if (action) {
-    url = data.actionUrls?.[action] || '/';
+    url = data.actionUrls?.[action] || data.url || '/';
   } else if (data.url) {
     url = data.url;
   }
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const ReminderJob = require('../models/ReminderJob');
+
+// Stands in for the collection: one job per dose, as the unique
+// (reminderId, scheduledTime) index enforces
+function useJobs(jobs) {
+  const sameDose = (job, filter) =>
+    String(job.reminderId) === String(filter.reminderId) &&
+    job.scheduledTime.getTime() === filter.scheduledTime.getTime();
+
+  jest.spyOn(ReminderJob, 'findOne').mockImplementation((filter) => ({
+    select: () => ({ lean: async () => jobs.find(job => sameDose(job, filter)) || null })
+  }));
+
+  jest.spyOn(ReminderJob, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const job = jobs.find(entry => sameDose(entry, filter) && filter.status.$in.includes(entry.status));
+    if (job) {
+      Object.assign(job, update.$set);
+      job.snoozeCount = (job.snoozeCount || 0) + update.$inc.snoozeCount;
+      return job;
+    }
+
+    // No match, so the upsert inserts a second job for the dose
+    if (jobs.some(entry => sameDose(entry, filter))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const inserted = { ...filter, ...update.$setOnInsert, ...update.$set, status: 'scheduled', snoozeCount: 1 };
+    jobs.push(inserted);
+    return inserted;
+  });
+}
+
+describe('ReminderJob.snooze', () => {
+  const reminder = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    medicineName: 'Metformin',
+    dosage: '500mg',
+    gracePeriodMinutes: 60
+  };
+  const scheduledTime = new Date('2026-03-01T08:00:00Z');
+  const snoozedUntil = new Date('2026-03-01T08:10:00Z');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('re-arms a dose that is still waiting for an answer', async () => {
+    useJobs([{ reminderId: reminder._id, scheduledTime, status: 'sent' }]);
+
+    const job = await ReminderJob.snooze(reminder, scheduledTime, snoozedUntil);
+
+    expect(job.status).toBe('scheduled');
+    expect(job.snoozedUntil).toEqual(snoozedUntil);
+    expect(job.snoozeCount).toBe(1);
+  });
+
+  test('returns null for a dose that has already been missed', async () => {
+    const jobs = [{ reminderId: reminder._id, scheduledTime, status: 'missed' }];
+    useJobs(jobs);
+
+    await expect(ReminderJob.snooze(reminder, scheduledTime, snoozedUntil)).resolves.toBeNull();
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0].status).toBe('missed');
+  });
+
+  test('only treats unanswered doses as snoozable', async () => {
+    useJobs([{ reminderId: reminder._id, scheduledTime, status: 'escalated' }]);
+
+    await expect(ReminderJob.isSnoozable(reminder._id, scheduledTime)).resolves.toBe(false);
+    await expect(ReminderJob.isSnoozable(reminder._id, snoozedUntil)).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+// Runs the AI-backed paths against the offline fixture provider, so no API
+// key or network is needed
+process.env.AI_PROVIDER = 'stub';
+
+// Services announce themselves when they are required
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const aiProviderRegistry = require('../services/aiProviderRegistry');
+const geminiService = require('../services/geminiService');
+const reportAnalysisService = require('../services/reportAnalysisService');
+
+// A 1x1 PNG; the stub never looks at the pixels
+const PIXEL = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('offline AI stub', () => {
+  test('routes every task to the stub provider', () => {
+    expect(aiProviderRegistry.getRoute('scan')).toEqual(['stub']);
+    expect(aiProviderRegistry.getRoute('chat')).toEqual(['stub']);
+    expect(geminiService.isInitialized).toBe(true);
+  });
+
+  test('scan identifies the medicine in an image', async () => {
+    const result = await geminiService.quickMedicineVerification(`data:image/png;base64,${PIXEL}`);
+
+    expect(result.success).toBe(true);
+    expect(result.data.identified).toBe(true);
+    expect(result.data.medicineName.brandName).toBe('Crocin');
+  });
+
+  test('chat answers with a message and follow-up suggestions', async () => {
+    const result = await geminiService.generateChatResponse('What is paracetamol used for?');
+
+    expect(result.success).toBe(true);
+    expect(result.data.message).toContain('Paracetamol');
+    expect(result.data.followUpSuggestions.length).toBeGreaterThan(0);
+    expect(result.data.provider).toBe('Offline stub');
+  });
+
+  describe('report', () => {
+    let reportPath;
+
+    beforeAll(async () => {
+      reportPath = path.join(os.tmpdir(), `report-${process.pid}.png`);
+      await fs.writeFile(reportPath, Buffer.from(PIXEL, 'base64'));
+    });
+
+    afterAll(async () => {
+      await fs.remove(reportPath);
+    });
+
+    test('analysis reads the report and extracts its results', async () => {
+      const result = await reportAnalysisService.analyzeReport(reportPath, { mimeType: 'image/png' });
+
+      expect(result.success).toBe(true);
+      expect(result.analysis.document_metadata.type).toBe('Blood Test Report');
+      expect(result.analysis.investigations.results.length).toBeGreaterThan(0);
+    });
+
+    test('questions about a report are answered', async () => {
+      const result = await geminiService.generateReportQueryResponse('Is my sugar high?', 'HbA1c 6.9%');
+
+      expect(result.success).toBe(true);
+      expect(result.data.message).toContain('HbA1c');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const alternativesService = require('../services/alternativesService');
+const medicineService = require('../services/medicineService');
+const comprehensiveMedicineService = require('../services/comprehensiveMedicineService');
+
+describe('alternativesService', () => {
+  // RxNorm is never called; every lookup finds nothing unless a test says otherwise
+  let findRxCui;
+  let getRxNormRelated;
+
+  beforeAll(async () => {
+    // Index the local medicine table, which otherwise loads in the background
+    await medicineService.loadLocalDatabase();
+  });
+
+  beforeEach(() => {
+    alternativesService.rxnormCache.clear();
+    findRxCui = jest.spyOn(comprehensiveMedicineService, 'findRxCui').mockResolvedValue(null);
+    getRxNormRelated = jest.spyOn(comprehensiveMedicineService, 'getRxNormRelated').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    findRxCui.mockRestore();
+    getRxNormRelated.mockRestore();
+  });
+
+  describe('a brand sold in several strengths', () => {
+    test('asks for a strength instead of guessing one', async () => {
+      const result = await alternativesService.findAlternatives('Crocin');
+
+      expect(result.success).toBe(true);
+      expect(result.data.composition).toBeNull();
+      expect(result.data.alternatives).toEqual([]);
+      expect(result.data.strengths).toEqual(expect.arrayContaining(['500mg', '650mg']));
+    });
+
+    test('uses the strength once one is chosen', async () => {
+      const result = await alternativesService.findAlternatives('Crocin', { strength: '500mg' });
+
+      expect(result.data.composition.ingredients).toEqual([{ name: 'paracetamol', strength: '500mg' }]);
+      expect(result.data.selected.name).toBe('Crocin Advance');
+      expect(result.data.strengths).toEqual([]);
+    });
+
+    test('resolves a name that only has one strength straight away', async () => {
+      const result = await alternativesService.findAlternatives('Glycomet SR');
+
+      expect(result.data.selected.name).toBe('Glycomet SR 500');
+      expect(result.data.composition.form).toBe('tablet-er');
+    });
+  });
+
+  describe('RxNorm cache', () => {
+    test('drops the oldest lookups beyond RXNORM_CACHE_MAX (200)', async () => {
+      for (let i = 0; i < 205; i++) {
+        await alternativesService.getRxNormEntries(`unknown medicine ${i}`);
+      }
+
+      const keys = [...alternativesService.rxnormCache.keys()];
+      expect(keys).toHaveLength(200);
+      expect(keys[0]).toBe('unknown medicine 5');
+      expect(keys[199]).toBe('unknown medicine 204');
+    });
+
+    test('serves repeat lookups from the cache without growing the index', async () => {
+      const indexSize = alternativesService.index.size;
+      findRxCui.mockResolvedValue('1234');
+      getRxNormRelated.mockResolvedValue({
+        conceptGroup: [{
+          tty: 'SCD',
+          conceptProperties: [{ rxcui: '1', name: 'zzzmycin 250 MG Oral Tablet' }]
+        }]
+      });
+
+      const first = await alternativesService.getRxNormEntries('Zzzmycin');
+      const second = await alternativesService.getRxNormEntries('zzzmycin ');
+
+      expect(first).toHaveLength(1);
+      expect(second).toBe(first);
+      expect(findRxCui).toHaveBeenCalledTimes(1);
+      expect(alternativesService.index.size).toBe(indexSize);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const mongoose = require('mongoose');
+const { User, Reminder, HealthMetrics, Report } = require('../models');
+const fhirService = require('../services/fhirService');
+
+// Stands in for Model.find(...).sort(...).lean() and friends
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    lean: async () => result
+  };
+  return chain;
+};
+
+describe('fhirService.exportBundle', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const reportId = new mongoose.Types.ObjectId();
+  let bundle;
+
+  beforeAll(async () => {
+    jest.spyOn(User, 'findById').mockReturnValue(query({
+      _id: userId,
+      name: 'Asha Rao',
+      gender: 'female',
+      dateOfBirth: new Date('1980-05-14'),
+      allergies: ['Penicillin'],
+      chronicConditions: ['Type 2 diabetes'],
+      weight: 64
+    }));
+    jest.spyOn(Reminder, 'find').mockReturnValue(query([{
+      _id: new mongoose.Types.ObjectId(),
+      medicineName: 'Metformin',
+      dosage: '500mg',
+      frequency: 'twice',
+      times: ['08:00', '20:00'],
+      startDate: new Date('2026-01-01'),
+      isActive: true
+    }]));
+    jest.spyOn(HealthMetrics, 'find').mockReturnValue(query([{
+      _id: new mongoose.Types.ObjectId(),
+      reportId,
+      testDate: new Date('2026-02-10'),
+      metrics: [{ name: 'HbA1c', loinc: '4548-4', value: 6.9, unit: '%', flag: 'high' }]
+    }]));
+    jest.spyOn(Report, 'find').mockReturnValue(query([{
+      _id: reportId,
+      reportType: 'blood_test',
+      fileType: 'pdf',
+      fileName: 'hba1c.pdf',
+      createdAt: new Date('2026-02-11')
+    }]));
+
+    bundle = await fhirService.exportBundle(userId);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is a collection Bundle without the search-only total (bdl-1)', () => {
+    expect(bundle.resourceType).toBe('Bundle');
+    expect(bundle.type).toBe('collection');
+    expect(bundle).not.toHaveProperty('total');
+    expect(Object.keys(bundle).sort()).toEqual(['entry', 'meta', 'resourceType', 'timestamp', 'type']);
+    expect(new Date(bundle.timestamp).toISOString()).toBe(bundle.timestamp);
+  });
+
+  test('gives every entry a unique urn:uuid fullUrl and a resource', () => {
+    const fullUrls = bundle.entry.map(entry => entry.fullUrl);
+
+    expect(fullUrls.every(url => /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(url))).toBe(true);
+    expect(new Set(fullUrls).size).toBe(fullUrls.length);
+    expect(bundle.entry.every(entry => Object.keys(entry).sort().join() === 'fullUrl,resource')).toBe(true);
+  });
+
+  test('holds the patient and their record', () => {
+    expect(bundle.entry.map(entry => entry.resource.resourceType)).toEqual([
+      'Patient',
+      'AllergyIntolerance',
+      'Observation',
+      'Condition',
+      'MedicationStatement',
+      'Observation',
+      'DocumentReference'
+    ]);
+  });
+
+  test('points every resource at the patient entry', () => {
+    const [patient, ...rest] = bundle.entry;
+
+    rest.forEach(({ resource }) => {
+      const reference = resource.subject || resource.patient;
+      expect(reference.reference).toBe(patient.fullUrl);
+    });
+  });
+
+  test('links lab results to the report they came from', () => {
+    const document = bundle.entry.find(entry => entry.resource.resourceType === 'DocumentReference');
+    const hba1c = bundle.entry.find(entry => entry.resource.code?.text === 'HbA1c');
+
+    expect(hba1c.resource.derivedFrom).toEqual([{ reference: document.fullUrl }]);
+    expect(hba1c.resource.interpretation[0].coding[0].code).toBe('H');
+  });
+});
@@ -0,0 +1,89 @@
+const { parseBarcode, checkDigit, isValidGtin, gtinVariants, ndcFromGtin, normalizeNdc } = require('../utils/gs1');
+
+const GS = '\u001d';
+
+describe('GTIN', () => {
+  test('computes and checks the mod-10 check digit', () => {
+    expect(checkDigit('890103086527')).toBe('5');
+    expect(isValidGtin('8901030865275')).toBe(true);
+    expect(isValidGtin('8901030865276')).toBe(false);
+    expect(isValidGtin('12345')).toBe(false);
+  });
+
+  test('decodes plain EAN-13 and UPC-A barcodes as GTIN-14', () => {
+    expect(parseBarcode('8901030865275')).toMatchObject({ format: 'ean-13', gtin: '08901030865275', ndc: null, errors: [] });
+    expect(parseBarcode('300450449108')).toMatchObject({ format: 'upc-a', gtin: '00300450449108' });
+  });
+
+  test('flags a bad check digit', () => {
+    expect(parseBarcode('8901030865276').errors).toEqual(['GTIN check digit is invalid']);
+  });
+
+  test('lists the shorter spellings a product may be stored under', () => {
+    expect(gtinVariants('00300450449108')).toEqual(['00300450449108', '0300450449108', '300450449108']);
+    expect(gtinVariants('18901030865272')).toEqual(['18901030865272']);
+  });
+});
+
+describe('NDC', () => {
+  test('reads the NDC carried in a US drug UPC', () => {
+    expect(ndcFromGtin('00300450449108')).toBe('0045044910');
+    expect(parseBarcode('300450449108').ndc).toBe('0045044910');
+  });
+
+  test('recognises a typed, hyphenated NDC', () => {
+    expect(parseBarcode('0045-0449-10')).toMatchObject({ format: 'ndc', ndc: '0045044910', gtin: null });
+    expect(normalizeNdc('00450-449-10')).toBe('0045044910');
+  });
+});
+
+describe('GS1 element strings', () => {
+  test('splits variable-length fields at group separators (FNC1)', () => {
+    const result = parseBarcode(`01089010308652751727033110AB12${GS}21SN998${GS}30100`);
+
+    expect(result).toMatchObject({
+      format: 'gs1',
+      gtin: '08901030865275',
+      expiry: '2027-03-31',
+      batch: 'AB12',
+      serial: 'SN998',
+      count: '100',
+      errors: []
+    });
+  });
+
+  test('ignores the symbology identifier scanners put in front', () => {
+    const result = parseBarcode(`]d201089010308652751727033110AB12${GS}21SN998`);
+
+    expect(result).toMatchObject({ gtin: '08901030865275', expiry: '2027-03-31', batch: 'AB12', serial: 'SN998', errors: [] });
+  });
+
+  test('reads a batch that runs to the end of the symbol', () => {
+    expect(parseBarcode(`010890103086527517270331${GS}10LOT-7A`).batch).toBe('LOT-7A');
+  });
+
+  test('decodes the bracketed text printed under a symbol', () => {
+    const result = parseBarcode('(01)08901030865275(11)250310(17)270315(10)AB12');
+
+    expect(result).toMatchObject({
+      gtin: '08901030865275',
+      productionDate: '2025-03-10',
+      expiry: '2027-03-15',
+      batch: 'AB12'
+    });
+  });
+
+  test('reads expiry day 00 as the last day of the month', () => {
+    expect(parseBarcode('(01)08901030865275(17)280200').expiry).toBe('2028-02-29');
+  });
+
+  test('reports fields it cannot trust instead of guessing', () => {
+    expect(parseBarcode('(01)08901030865275(17)271345').errors).toEqual(['GS1 field (17) is not a valid date']);
+    expect(parseBarcode('(01)0890103086527').errors).toEqual(['GS1 field (01) should be 14 digits']);
+    expect(parseBarcode(`0108901030865275${GS}99XYZ`).errors).toEqual(['Unknown GS1 application identifier at "99XY"']);
+  });
+
+  test('leaves unrelated text alone', () => {
+    expect(parseBarcode('hello')).toMatchObject({ format: 'unknown', gtin: null, errors: [] });
+  });
+});
@@ -0,0 +1,141 @@
+const { resolveRefs, validate, repair } = require('../utils/jsonSchema');
+const aiProviderRegistry = require('../services/aiProviderRegistry');
+
+const schema = resolveRefs({
+  type: 'object',
+  required: ['name', 'doses'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    confidence: { type: 'integer', minimum: 1, maximum: 10 },
+    form: { type: 'string', enum: ['tablet', 'syrup'] },
+    doses: { type: 'array', items: { $ref: '#/definitions/dose' }, maxItems: 2 },
+    verified: { type: 'boolean', default: false }
+  }
+}, {
+  dose: { type: 'object', required: ['time'], properties: { time: { type: 'string' } } }
+});
+
+describe('resolveRefs', () => {
+  test('inlines references to definitions', () => {
+    expect(schema.properties.doses.items.required).toEqual(['time']);
+  });
+
+  test('rejects references to missing definitions', () => {
+    expect(() => resolveRefs({ $ref: '#/definitions/missing' })).toThrow('Unknown schema reference');
+  });
+});
+
+describe('validate', () => {
+  test('accepts a valid value', () => {
+    expect(validate(schema, { name: 'Crocin', confidence: 9, form: 'tablet', doses: [{ time: '08:00' }] })).toEqual([]);
+  });
+
+  test('describes every problem with an invalid value', () => {
+    expect(validate(schema, { name: ' ', confidence: 12, form: 'drops', doses: [{}] })).toEqual([
+      '$.name should not be empty',
+      '$.confidence should be at most 10',
+      '$.form should be one of: tablet, syrup',
+      '$.doses[0].time is required'
+    ]);
+  });
+
+  test('reports a wrong type without looking inside it', () => {
+    expect(validate(schema, { name: 'Crocin', doses: 'twice a day' })).toEqual(['$.doses should be array']);
+    expect(validate(schema, [])).toEqual(['$ should be object']);
+  });
+});
+
+describe('repair', () => {
+  test('fixes the mistakes models commonly make', () => {
+    const repaired = repair(schema, {
+      name: 'Crocin',
+      confidence: '8.6',
+      form: 'Tablet',
+      doses: [{ time: '08:00' }, { time: '14:00' }, { time: '20:00' }]
+    });
+
+    expect(repaired).toEqual({
+      name: 'Crocin',
+      confidence: 9,
+      form: 'tablet',
+      doses: [{ time: '08:00' }, { time: '14:00' }],
+      verified: false
+    });
+    expect(validate(schema, repaired)).toEqual([]);
+  });
+
+  test('wraps a single item where a list belongs', () => {
+    expect(repair(schema, { name: 'Crocin', doses: { time: '08:00' } }).doses).toEqual([{ time: '08:00' }]);
+  });
+
+  test('leaves what it cannot fix for validation to report', () => {
+    const repaired = repair(schema, { doses: [] });
+
+    expect(validate(schema, repaired)).toEqual(['$.name is required']);
+  });
+});
+
+describe('re-asking for a schema', () => {
+  const fakeProvider = (answers) => ({
+    label: 'Fake',
+    describeSlot: () => 'Fake',
+    complete: jest.fn(async () => answers.shift())
+  });
+  const request = { prompt: 'Identify this medicine', json: true };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('asks the same slot again with the validation errors', async () => {
+    const provider = fakeProvider([JSON.stringify({ name: 'Crocin', doses: [{ time: '08:00' }] })]);
+
+    const result = await aiProviderRegistry.conformToSchema(
+      'scan',
+      request,
+      { schemaName: 'test_reask', schema },
+      { provider, slot: 0, text: '{"doses": []}' }
+    );
+
+    expect(result.data.name).toBe('Crocin');
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+    const [correction] = provider.complete.mock.calls[0];
+    expect(correction.prompt).toContain('Identify this medicine');
+    expect(correction.prompt).toContain('- $.name is required');
+    expect(aiProviderRegistry.getValidationMetrics().test_reask.reasked).toBe(1);
+  });
+
+  test('gives up after one more invalid answer', async () => {
+    const provider = fakeProvider(['{"doses": []}']);
+
+    await expect(aiProviderRegistry.conformToSchema(
+      'scan',
+      request,
+      { schemaName: 'test_rejected', schema },
+      { provider, slot: 0, text: 'not json' }
+    )).rejects.toMatchObject({ unusableOutput: true });
+
+    const metrics = aiProviderRegistry.getValidationMetrics().test_rejected;
+    expect(metrics.failed).toBe(1);
+    expect(metrics.lastFailure.errors).toEqual(['$.name is required']);
+  });
+
+  test('does not re-ask when a local repair is enough', async () => {
+    const provider = fakeProvider([]);
+
+    const result = await aiProviderRegistry.conformToSchema(
+      'scan',
+      request,
+      { schemaName: 'test_repaired', schema },
+      { provider, slot: 0, text: '```json\n{"name": "Crocin", "confidence": "9", "doses": []}\n```' }
+    );
+
+    expect(result.data.confidence).toBe(9);
+    expect(provider.complete).not.toHaveBeenCalled();
+    expect(aiProviderRegistry.getValidationMetrics().test_repaired.repaired).toBe(1);
+  });
+});
@@ -0,0 +1,93 @@
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+const { PriceObservation, PriceWatch } = require('../models');
+const priceHistoryService = require('../services/priceHistoryService');
+
+const observed = new Date('2026-03-01T10:00:00Z');
+
+const price = (name, value, platform = '1mg') => ({
+  name,
+  platform,
+  price: value,
+  quantity: 'strip of 15 tablets',
+  inStock: true
+});
+
+describe('priceHistoryService', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    jest.spyOn(PriceObservation, 'insertMany').mockImplementation(async (observations) => {
+      stored.push(...observations);
+      return observations;
+    });
+    jest.spyOn(PriceWatch, 'find').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    PriceObservation.insertMany.mockRestore();
+    PriceWatch.find.mockRestore();
+  });
+
+  describe('recording search results', () => {
+    test('marks which products are the searched medicine', async () => {
+      const count = await priceHistoryService.recordObservations('dolo 650', [
+        price('Dolo-650mg Tablet', 30.5),
+        price('Dolo 650 Tablet 15', 31, 'PharmEasy'),
+        price('Dolo 500', 18),
+        price('Dolo Cold Tablet', 42)
+      ], observed);
+
+      expect(count).toBe(4);
+      expect(stored.map(observation => [observation.productName, observation.matchesSearch])).toEqual([
+        ['Dolo-650mg Tablet', true],
+        ['Dolo 650 Tablet 15', true],
+        ['Dolo 500', false],
+        ['Dolo Cold Tablet', false]
+      ]);
+      expect(stored.every(observation => observation.medicineKey === 'dolo 650')).toBe(true);
+    });
+
+    test('works out the price per unit from the pack label', async () => {
+      await priceHistoryService.recordObservations('Dolo 650', [price('Dolo-650mg Tablet', 30)], observed);
+
+      expect(stored[0]).toMatchObject({ packSize: 15, packUnit: 'tablets', pricePerUnit: 2 });
+    });
+  });
+
+  describe('watch checks', () => {
+    test('ignore other strengths and products when finding the lowest price', () => {
+      const observations = [
+        { platform: '1mg', price: 18, pricePerUnit: 1.2, inStock: true, matchesSearch: false, observedAt: observed },
+        { platform: 'PharmEasy', price: 31, pricePerUnit: 2.07, inStock: true, matchesSearch: true, observedAt: observed },
+        { platform: 'Netmeds', price: 29, pricePerUnit: 1.93, inStock: false, matchesSearch: true, observedAt: observed }
+      ];
+
+      expect(priceHistoryService.bestPrice(observations, 'pack')).toEqual({ price: 31, platform: 'PharmEasy', observedAt: observed });
+      expect(priceHistoryService.bestPrice(observations, 'unit').price).toBe(2.07);
+    });
+
+    test('do not alert on a cheaper product that is not the watched medicine', async () => {
+      const watch = {
+        _id: 'watch-1',
+        medicineName: 'Dolo 650',
+        basis: 'pack',
+        targetPrice: 25,
+        lastNotifiedPrice: null,
+        save: jest.fn()
+      };
+      PriceWatch.find.mockResolvedValue([watch]);
+      const notify = jest.spyOn(priceHistoryService, 'notifyPriceDrop').mockResolvedValue();
+
+      await priceHistoryService.recordObservations('Dolo 650', [
+        price('Dolo-650mg Tablet', 30),
+        price('Dolo 500', 18)
+      ], observed);
+
+      expect(notify).not.toHaveBeenCalled();
+      expect(watch.lastBestPrice.price).toBe(30);
+      notify.mockRestore();
+    });
+  });
+});
@@ -5,6 +5,13 @@ const connectDB = async () => {
     const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mediot');
 
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+
+    // The email index became sparse when family profiles (no email) were added;
+    // rebuild it on databases created before then
+    await require('../models/User').syncIndexes().catch(error => {
+      console.error('❌ User index sync failed:', error.message);
+    });
+
     return conn;
   } catch (error) {
     console.error('❌ MongoDB connection error:', error.message);
@@ -18,14 +18,8 @@ console.log('🚪 Port:', process.env.PORT || 3001);
 // Connect to MongoDB
 connectDB();
 
-// Validate required environment variables (but don't exit immediately)
-if (!process.env.GEMINI_API_KEY) {
-  console.error('❌ GEMINI_API_KEY environment variable is required');
-  console.error('⚠️ Server will start but AI features will be disabled');
-}
-
 // Try to load routes, but don't fail if they can't be loaded
-let medicineRoutes, uploadRoutes, authRoutes, profileRoutes, scannerRoutes, chatRoutes, reminderRoutes, reportRoutes, symptomRoutes, emergencyRoutes, pharmacyRoutes, analyticsRoutes, newsRoutes;
+let medicineRoutes, uploadRoutes, authRoutes, profileRoutes, scannerRoutes, chatRoutes, reminderRoutes, reportRoutes, symptomRoutes, emergencyRoutes, pharmacyRoutes, analyticsRoutes, newsRoutes, notificationRoutes, shareRoutes, familyRoutes, cabinetRoutes;
 
 try {
   authRoutes = require('./routes/auth');
@@ -39,7 +33,11 @@ try {
   pharmacyRoutes = require('./routes/pharmacy');
   analyticsRoutes = require('./routes/analytics');
   newsRoutes = require('./routes/news');
-  console.log('✅ Auth, profile, scanner, chat, reminder, report, symptom, emergency, pharmacy, analytics, and news routes loaded successfully');
+  notificationRoutes = require('./routes/notifications');
+  shareRoutes = require('./routes/share');
+  familyRoutes = require('./routes/family');
+  cabinetRoutes = require('./routes/cabinet');
+  console.log('✅ Auth, profile, scanner, chat, reminder, report, symptom, emergency, pharmacy, analytics, news, notification, share, family, and cabinet routes loaded successfully');
 } catch (error) {
   console.error('❌ Error loading routes:', error.message);
 }
@@ -85,7 +83,7 @@ app.use(cors({
     : ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:3002', 'http://localhost:3003', 'http://127.0.0.1:3000', 'http://192.168.1.4:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin', 'X-Requested-With', 'X-Profile-Id']
 }));
 
 // Body parsing middleware
@@ -221,6 +219,50 @@ if (newsRoutes) {
   });
 }
 
+if (notificationRoutes) {
+  app.use('/api/notifications', notificationRoutes);
+} else {
+  app.use('/api/notifications', (req, res) => {
+    res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Notification service is temporarily unavailable'
+    });
+  });
+}
+
+if (shareRoutes) {
+  app.use('/api/share', shareRoutes);
+} else {
+  app.use('/api/share', (req, res) => {
+    res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Sharing service is temporarily unavailable'
+    });
+  });
+}
+
+if (familyRoutes) {
+  app.use('/api/family', familyRoutes);
+} else {
+  app.use('/api/family', (req, res) => {
+    res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Family profiles are temporarily unavailable'
+    });
+  });
+}
+
+if (cabinetRoutes) {
+  app.use('/api/cabinet', cabinetRoutes);
+} else {
+  app.use('/api/cabinet', (req, res) => {
+    res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Medicine cabinet is temporarily unavailable'
+    });
+  });
+}
+
 if (medicineRoutes) {
   app.use('/api/medicine', medicineRoutes);
   app.use('/api/medicines', medicineRoutes); // Support both singular and plural
@@ -259,6 +301,23 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// AI provider cooldowns and schema validation outcomes per AI task
+app.get('/api/health/ai', (req, res) => {
+  try {
+    const aiProviderRegistry = require('./services/aiProviderRegistry');
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      ...aiProviderRegistry.getStatus()
+    });
+  } catch (error) {
+    res.status(503).json({
+      error: 'AI service unavailable',
+      message: error.message
+    });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Error:', error);
@@ -304,7 +363,8 @@ try {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Mediot Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔑 Gemini API configured: ${process.env.GEMINI_API_KEY ? 'Yes' : 'No'}`);
+  const aiProviderRegistry = require('./services/aiProviderRegistry');
+  console.log(`🔑 AI providers configured: ${aiProviderRegistry.getRoute('default').join(', ') || 'None'}`);
   console.log(`🗄️ MongoDB connected and ready`);
   console.log(`📚 All services initialized`);
 }).on('error', (err) => {
@@ -5,6 +5,31 @@ const User = require('../models/User');
 // Fixed demo user ObjectId (valid 24-character hex string)
 const DEMO_USER_ID = new mongoose.Types.ObjectId('000000000000000000000001');
 
+// The X-Profile-Id header picks which family member a request acts for.
+// req.account is always the signed-in login; req.user is the active profile.
+const resolveProfile = async (req, account) => {
+  req.account = account;
+  req.user = account;
+
+  const profileId = req.header('X-Profile-Id');
+  if (!profileId || account.isDemo || String(profileId) === String(account._id)) {
+    return true;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(profileId)) return false;
+
+  const profile = await User.findOne({
+    _id: profileId,
+    managedBy: account._id,
+    isActive: true
+  }).select('-password');
+
+  if (!profile) return false;
+
+  req.user = profile;
+  return true;
+};
+
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -27,6 +52,7 @@ const auth = async (req, res, next) => {
         isDemo: true,
         isActive: true
       };
+      req.account = req.user;
       return next();
     }
 
@@ -39,7 +65,13 @@ const auth = async (req, res, next) => {
       });
     }
 
-    req.user = user;
+    if (!await resolveProfile(req, user)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Profile not found in this account'
+      });
+    }
+
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -66,12 +98,14 @@ const optionalAuth = async (req, res, next) => {
           isDemo: true,
           isActive: true
         };
+        req.account = req.user;
         return next();
       }
 
       const user = await User.findById(decoded.userId).select('-password');
       
-      if (user && user.isActive) {
+      if (user && user.isActive && !await resolveProfile(req, user)) {
+        // An unknown profile id falls back to the account holder
         req.user = user;
       }
     }
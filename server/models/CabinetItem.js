@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A pack of medicine the user keeps at home, added from a barcode or
+// DataMatrix scan or entered by hand
+const cabinetItemSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  genericName: { type: String, trim: true },
+  strength: { type: String, trim: true },
+  dosageForm: { type: String, trim: true },
+  manufacturer: { type: String, trim: true },
+  // Pack identifiers as decoded from the scan (utils/gs1.js)
+  gtin: String,
+  ndc: String,
+  batch: { type: String, trim: true },
+  serial: String,
+  // Calendar date the pack expires, stored as UTC midnight
+  expiryDate: Date,
+  quantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: 'tablets'
+  },
+  source: {
+    type: String,
+    enum: ['scan', 'manual'],
+    default: 'manual'
+  },
+  scanCode: String,
+  // Reminders this pack supplies doses for
+  reminderIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder'
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'finished', 'discarded'],
+    default: 'active'
+  },
+  // Days-before-expiry thresholds already notified for the current expiry date
+  expiryAlertsSent: [Number],
+  notes: String
+}, {
+  timestamps: true
+});
+
+cabinetItemSchema.index({ userId: 1, status: 1, expiryDate: 1 });
+cabinetItemSchema.index({ status: 1, expiryDate: 1 });
+
+module.exports = mongoose.model('CabinetItem', cabinetItemSchema);
@@ -33,6 +33,8 @@ const chatMessageSchema = new mongoose.Schema({
     sources: [String],
     followUpQuestions: [String]
   },
+  // Profile fields that were given to the AI for this reply
+  contextUsed: [String],
   isRead: {
     type: Boolean,
     default: false
@@ -75,7 +75,41 @@ const healthMetricsSchema = new mongoose.Schema({
     },
     isNormal: Boolean,
     category: String,
-    interpretation: String
+    interpretation: String,
+    sourcePage: Number, // Page of the report the value was read from
+    // Set by the abnormality rule engine when the value could be judged
+    flag: {
+      type: String,
+      enum: ['normal', 'low', 'high', 'critical_low', 'critical_high']
+    },
+    // Lab test catalogue match (data/labTests.json); value, unit and range are in the canonical unit
+    testCode: String,
+    loinc: String,
+    rangeSource: {
+      type: String,
+      enum: ['lab', 'catalogue', null]
+    },
+    // As printed on the report
+    originalName: String,
+    originalValue: mongoose.Schema.Types.Mixed,
+    originalUnit: String
+  }],
+  // Values that moved significantly from the user's own earlier results,
+  // even when still inside the reference range
+  changeAlerts: [{
+    testCode: String,
+    name: String,
+    value: Number,
+    unit: String,
+    baseline: Number, // Median of the previous values
+    baselineCount: Number,
+    changePercent: Number,
+    threshold: Number,
+    direction: {
+      type: String,
+      enum: ['increase', 'decrease']
+    },
+    isNormal: Boolean
   }],
   // Store full hierarchical analysis from advanced prompt
   detailedAnalysis: mongoose.Schema.Types.Mixed,
@@ -107,6 +141,7 @@ const healthMetricsSchema = new mongoose.Schema({
 // Index for efficient queries
 healthMetricsSchema.index({ userId: 1, testDate: -1 });
 healthMetricsSchema.index({ userId: 1, 'abnormalFlags.severity': 1 });
+healthMetricsSchema.index({ userId: 1, 'metrics.testCode': 1 });
 
 // Calculate BMI if height and weight are provided
 healthMetricsSchema.pre('save', function (next) {
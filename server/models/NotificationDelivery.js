@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const notificationDeliverySchema = new mongoose.Schema({
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PushSubscription'
+  },
+  endpoint: String,
+  type: {
+    type: String,
+    required: true // e.g. 'medication_reminder', 'test'
+  },
+  title: String,
+  body: String,
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'expired', 'no_subscription', 'not_configured'],
+    required: true
+  },
+  statusCode: Number,
+  error: String
+}, { 
+  timestamps: true 
+});
+
+// Index for efficient queries
+notificationDeliverySchema.index({ userId: 1, createdAt: -1 });
+notificationDeliverySchema.index({ userId: 1, status: 1 });
+// Delivery attempts are diagnostic data; keep 30 days
+notificationDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
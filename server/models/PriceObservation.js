@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One price seen on an online pharmacy for a medicine search, kept so
+// prices can be charted over time and checked against price watches
+const priceObservationSchema = new mongoose.Schema({
+  // Normalised search name ("dolo 650"), shared with PriceWatch
+  medicineKey: {
+    type: String,
+    required: true
+  },
+  productName: String,
+  // Whether the platform's top hit is the searched medicine. Other products
+  // (a different strength, a combination) are kept but left out of the
+  // charted history and price watches.
+  matchesSearch: {
+    type: Boolean,
+    default: true
+  },
+  platform: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  mrp: Number,
+  // Parsed from the platform's pack label ("strip of 15 tablets");
+  // null when the label gives no count
+  packSize: Number,
+  packUnit: String,
+  packLabel: String,
+  pricePerUnit: Number,
+  inStock: {
+    type: Boolean,
+    default: true
+  },
+  link: String,
+  observedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+priceObservationSchema.index({ medicineKey: 1, observedAt: -1 });
+priceObservationSchema.index({ observedAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PriceObservation', priceObservationSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A user's request to be told when a medicine's price on any platform
+// drops below a target
+const priceWatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  medicineName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  medicineKey: {
+    type: String,
+    required: true
+  },
+  targetPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Compare the target with the pack price or the price per unit
+  basis: {
+    type: String,
+    enum: ['pack', 'unit'],
+    default: 'pack'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastCheckedAt: Date,
+  // Best price seen on the last check
+  lastBestPrice: {
+    price: Number,
+    platform: String,
+    observedAt: Date
+  },
+  // Set when a drop is notified and cleared when the price goes back above
+  // the target, so each new drop is notified once
+  lastNotifiedPrice: Number,
+  lastNotifiedAt: Date
+}, {
+  timestamps: true
+});
+
+priceWatchSchema.index({ userId: 1, isActive: 1 });
+priceWatchSchema.index({ medicineKey: 1, isActive: 1 });
+
+module.exports = mongoose.model('PriceWatch', priceWatchSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const pushSubscriptionSchema = new mongoose.Schema({
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  expirationTime: Date,
+  userAgent: String,
+  deviceLabel: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastSuccessAt: Date,
+  lastFailureAt: Date,
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, { 
+  timestamps: true 
+});
+
+// Index for efficient queries
+pushSubscriptionSchema.index({ userId: 1, isActive: 1 });
+
+// Shape expected by web-push's sendNotification
+pushSubscriptionSchema.methods.toWebPush = function() {
+  return {
+    endpoint: this.endpoint,
+    keys: {
+      p256dh: this.keys.p256dh,
+      auth: this.keys.auth
+    }
+  };
+};
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// An FDA enforcement (recall) record that matched one of a user's active
+// reminder medicines or a batch in their medicine cabinet. One per user and
+// recall, so each recall is only notified once.
+const recallAlertSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recallNumber: {
+    type: String,
+    required: true
+  },
+  // 'batch' when a cabinet pack's lot number is listed in the recall,
+  // 'medicine' when only the medicine name matched
+  matchType: {
+    type: String,
+    enum: ['batch', 'medicine'],
+    required: true
+  },
+  reminderIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder'
+  }],
+  cabinetItemIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CabinetItem'
+  }],
+  medicineName: String,
+  classification: String, // Class I, Class II or Class III
+  reason: String,
+  productDescription: String,
+  codeInfo: String,
+  recallingFirm: String,
+  recallInitiationDate: Date,
+  notifiedAt: Date,
+  dismissedAt: Date
+}, {
+  timestamps: true
+});
+
+recallAlertSchema.index({ userId: 1, recallNumber: 1 }, { unique: true });
+recallAlertSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RecallAlert', recallAlertSchema);
@@ -29,18 +29,74 @@ const reminderSchema = new mongoose.Schema({
   },
   endDate: Date,
   times: [String], // Array of time strings like "08:00", "14:00"
+  // Which days (and for interval schedules, which hours) doses fall on.
+  // `times` are the daily dose times; for interval_hours times[0] is the first dose.
+  schedule: {
+    type: {
+      type: String,
+      enum: ['daily', 'interval_hours', 'alternate_days', 'weekdays', 'cycle', 'taper', 'prn'],
+      default: 'daily'
+    },
+    intervalHours: { type: Number, min: 1, max: 72 }, // interval_hours: every N hours
+    intervalDays: { type: Number, min: 2, max: 30 }, // alternate_days: every N days
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }], // weekdays: 0 = Sunday
+    cycle: {
+      daysOn: { type: Number, min: 1 }, // e.g. 21 days on...
+      daysOff: { type: Number, min: 0 } // ...7 days off
+    },
+    // taper: consecutive steps from startDate; no doses after the last step
+    taperSteps: [{
+      days: { type: Number, min: 1, required: true },
+      dosage: { type: String, required: true },
+      times: [String] // defaults to the reminder's times
+    }],
+    prn: {
+      minIntervalHours: { type: Number, min: 0, default: 4 },
+      maxDailyDoses: { type: Number, min: 1 }
+    }
+  },
   isActive: { 
     type: Boolean, 
     default: true 
   },
+  // Critical medicines (insulin, anticoagulants...) can escalate missed doses
+  isCritical: {
+    type: Boolean,
+    default: false
+  },
+  // Minutes after the dose (or snooze) before it is automatically marked missed
+  gracePeriodMinutes: {
+    type: Number,
+    default: 60,
+    min: 5,
+    max: 24 * 60
+  },
+  escalation: {
+    enabled: { type: Boolean, default: false },
+    contactId: String, // emergency contact to notify; primary contact if unset
+    missedThreshold: { type: Number, default: 2, min: 1 },
+    lastEscalatedAt: Date
+  },
+  // Pill stock; tracking is off while pillsRemaining is unset
+  inventory: {
+    pillsRemaining: { type: Number, min: 0 },
+    pillsPerDose: { type: Number, min: 0.25, default: 1 },
+    // Days before the projected run-out date to send a "refill soon" notice
+    refillReminderDays: { type: Number, min: 1, max: 60, default: 5 },
+    lastRefilledAt: Date,
+    lastRefillAlertAt: Date
+  },
   adherenceLog: [{
     scheduledTime: Date,
     takenTime: Date,
     status: { 
       type: String, 
-      enum: ['taken', 'missed', 'skipped'],
+      enum: ['taken', 'missed', 'skipped', 'snoozed'],
       required: true
     },
+    snoozedUntil: Date,
+    snoozeCount: { type: Number, default: 0 },
+    autoMarked: { type: Boolean, default: false },
     notes: String
   }],
   notes: String
@@ -54,10 +110,12 @@ reminderSchema.index({ userId: 1, startDate: 1, endDate: 1 });
 
 // Calculate adherence percentage
 reminderSchema.methods.getAdherencePercentage = function() {
-  if (this.adherenceLog.length === 0) return 0;
+  // Snoozed doses are still open, so they don't count either way yet
+  const settledLog = this.adherenceLog.filter(log => log.status !== 'snoozed');
+  if (settledLog.length === 0) return 0;
   
-  const takenCount = this.adherenceLog.filter(log => log.status === 'taken').length;
-  return Math.round((takenCount / this.adherenceLog.length) * 100);
+  const takenCount = settledLog.filter(log => log.status === 'taken').length;
+  return Math.round((takenCount / settledLog.length) * 100);
 };
 
 module.exports = mongoose.model('Reminder', reminderSchema);
\ No newline at end of file
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+
+const reminderJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reminderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder',
+    required: true
+  },
+  scheduledTime: {
+    type: Date,
+    required: true
+  },
+  medicineName: String,
+  dosage: String,
+  status: {
+    type: String,
+    enum: ['scheduled', 'sent', 'acknowledged', 'missed', 'escalated', 'failed', 'expired', 'cancelled'],
+    default: 'scheduled'
+  },
+  // Lease held by the scheduler instance currently dispatching this job
+  lockedBy: String,
+  lockedUntil: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  sentAt: Date,
+  acknowledgedAt: Date,
+  acknowledgedStatus: String, // dose status from the adherence log
+  escalatedAt: Date,
+  // Snoozing puts the job back in 'scheduled' until snoozedUntil
+  snoozedUntil: Date,
+  snoozeCount: {
+    type: Number,
+    default: 0
+  },
+  // When an unanswered dose is automatically marked missed
+  missAfter: Date,
+  delivery: {
+    sent: Number,
+    failed: Number,
+    expired: Number
+  }
+}, {
+  timestamps: true
+});
+
+// One job per dose: materialization is an idempotent upsert on this key
+reminderJobSchema.index({ reminderId: 1, scheduledTime: 1 }, { unique: true });
+// Claim query: due scheduled jobs, oldest first
+reminderJobSchema.index({ status: 1, scheduledTime: 1, lockedUntil: 1 });
+reminderJobSchema.index({ userId: 1, scheduledTime: -1 });
+// Missed-dose sweep
+reminderJobSchema.index({ status: 1, missAfter: 1 });
+// Keep 90 days of dispatch history
+reminderJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Replace the future schedule of a reminder with the given occurrences
+// ({ scheduledTime, dosage }). Jobs that already left 'scheduled' are never touched.
+reminderJobSchema.statics.syncForReminder = async function(reminder, occurrences, from = new Date()) {
+  const times = occurrences.map(occurrence => occurrence.scheduledTime);
+
+  await this.updateMany(
+    {
+      reminderId: reminder._id,
+      status: 'scheduled',
+      scheduledTime: { $gte: from, $nin: times }
+    },
+    { $set: { status: 'cancelled', lockedBy: null, lockedUntil: null } }
+  );
+
+  if (occurrences.length === 0) return 0;
+
+  const operations = occurrences.map(({ scheduledTime, dosage }) => ({
+    updateOne: {
+      filter: { reminderId: reminder._id, scheduledTime },
+      update: {
+        $setOnInsert: {
+          userId: reminder.userId,
+          reminderId: reminder._id,
+          scheduledTime,
+          status: 'scheduled',
+          missAfter: new Date(scheduledTime.getTime() + (reminder.gracePeriodMinutes || 60) * 60 * 1000)
+        },
+        $set: {
+          medicineName: reminder.medicineName,
+          // Taper steps change the dosage from day to day
+          dosage: dosage || reminder.dosage
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  try {
+    const result = await this.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount || 0;
+  } catch (error) {
+    // Another instance materialized the same dose concurrently
+    if (error.code === 11000 || error.writeErrors?.every(e => e.code === 11000)) {
+      return error.result?.upsertedCount || 0;
+    }
+    throw error;
+  }
+};
+
+// Cancel every pending dose of a reminder (deleted or deactivated)
+reminderJobSchema.statics.cancelForReminder = function(reminderId) {
+  return this.updateMany(
+    { reminderId, status: 'scheduled' },
+    { $set: { status: 'cancelled', lockedBy: null, lockedUntil: null } }
+  );
+};
+
+// Atomically lease the oldest due job so only one instance dispatches it
+reminderJobSchema.statics.claimNext = function(instanceId, now = new Date(), leaseMs = 2 * 60 * 1000) {
+  return this.findOneAndUpdate(
+    {
+      status: 'scheduled',
+      scheduledTime: { $lte: now },
+      $or: [
+        { lockedUntil: null },
+        { lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { lockedBy: instanceId, lockedUntil: new Date(now.getTime() + leaseMs) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { scheduledTime: 1 }, new: true }
+  );
+};
+
+// Doses still waiting for an answer. Missed, escalated and acknowledged
+// doses are finished: snoozing them would re-arm the missed-dose escalation.
+const SNOOZABLE_STATUSES = ['scheduled', 'sent', 'failed', 'expired'];
+
+// Whether a dose can be snoozed; doses without a job yet can be
+reminderJobSchema.statics.isSnoozable = async function(reminderId, scheduledTime) {
+  const job = await this.findOne({ reminderId, scheduledTime: new Date(scheduledTime) }).select('status').lean();
+  return !job || SNOOZABLE_STATUSES.includes(job.status);
+};
+
+// Re-fire a dose later: back to 'scheduled', not claimable before snoozedUntil.
+// Resolves to null when the dose has finished in the meantime.
+reminderJobSchema.statics.snooze = async function(reminder, scheduledTime, snoozedUntil) {
+  try {
+    return await this.findOneAndUpdate(
+      {
+        reminderId: reminder._id,
+        scheduledTime: new Date(scheduledTime),
+        status: { $in: SNOOZABLE_STATUSES }
+      },
+      {
+        $setOnInsert: {
+          userId: reminder.userId,
+          medicineName: reminder.medicineName,
+          dosage: reminder.dosage
+        },
+        $set: {
+          status: 'scheduled',
+          snoozedUntil,
+          missAfter: new Date(snoozedUntil.getTime() + (reminder.gracePeriodMinutes || 60) * 60 * 1000),
+          lockedBy: null,
+          lockedUntil: snoozedUntil
+        },
+        $inc: { snoozeCount: 1 }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // The upsert collided with the finished job for this dose
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Atomically take one unanswered dose past its grace window
+reminderJobSchema.statics.claimNextMissed = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      status: { $in: ['scheduled', 'sent', 'failed', 'expired'] },
+      missAfter: { $lte: now }
+    },
+    { $set: { status: 'missed', lockedBy: null, lockedUntil: null } },
+    { sort: { missAfter: 1 }, new: true }
+  );
+};
+
+// Record the user's response to a dose (taken / skipped / missed)
+reminderJobSchema.statics.acknowledge = function(reminderId, scheduledTime, doseStatus) {
+  return this.updateOne(
+    {
+      reminderId,
+      scheduledTime: new Date(scheduledTime),
+      status: { $in: ['scheduled', 'sent', 'failed', 'expired', 'missed'] }
+    },
+    {
+      $set: {
+        status: 'acknowledged',
+        acknowledgedAt: new Date(),
+        acknowledgedStatus: doseStatus,
+        lockedBy: null,
+        lockedUntil: null
+      }
+    }
+  );
+};
+
+module.exports = mongoose.model('ReminderJob', reminderJobSchema);
@@ -14,7 +14,15 @@ const reportSchema = new mongoose.Schema({
   },
   fileSize: Number,
   filePath: String,
-  extractedText: String,
+  extractedText: String, // "--- Page N ---" marker before each page
+  pageCount: Number,
+  pages: [{
+    page: Number,
+    method: {
+      type: String,
+      enum: ['text', 'ocr'] // Embedded PDF text layer or OCR of the page image
+    }
+  }],
   healthMetrics: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'HealthMetrics' 
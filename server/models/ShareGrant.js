@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Read-only access to part of a user's data for a caregiver or clinician,
+// redeemed through a secret link until it expires or is revoked
+const shareGrantSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the link token; the token itself is only shown once, on creation
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  recipientType: {
+    type: String,
+    enum: ['caregiver', 'clinician', 'other'],
+    default: 'other'
+  },
+  scopes: [{
+    type: String,
+    enum: ['profile', 'reminders', 'adherence', 'reports', 'visit_summary']
+  }],
+  // Limits the 'reports' scope to a single report
+  reportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  // 'visit_summary_qr' grants are created for the QR code on each visit
+  // summary PDF and are only listed while they are active
+  kind: {
+    type: String,
+    enum: ['link', 'visit_summary_qr'],
+    default: 'link'
+  },
+  // Period covered by the 'visit_summary' scope
+  range: {
+    from: Date,
+    to: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  accessLog: [{
+    accessedAt: { type: Date, default: Date.now },
+    resource: String,
+    outcome: { type: String, enum: ['granted', 'expired', 'revoked', 'out_of_scope'] },
+    ip: String,
+    userAgent: String
+  }],
+  accessCount: { type: Number, default: 0 },
+  lastAccessedAt: Date
+}, {
+  timestamps: true
+});
+
+shareGrantSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ShareGrant', shareGrantSchema);
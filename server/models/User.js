@@ -2,18 +2,30 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
 const userProfileSchema = new mongoose.Schema({
+  // Dependent profiles (a parent, a child) have no login of their own
   email: {
     type: String,
-    required: true,
+    required: function () { return !this.managedBy; },
     unique: true,
+    sparse: true,
     lowercase: true,
     trim: true
   },
   password: {
     type: String,
-    required: true,
+    required: function () { return !this.managedBy; },
     minlength: 6
   },
+  // The account holder who manages this dependent profile
+  managedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  relationship: {
+    type: String,
+    enum: ['parent', 'child', 'spouse', 'sibling', 'grandparent', 'other']
+  },
   name: {
     type: String,
     required: true,
@@ -31,6 +43,7 @@ const userProfileSchema = new mongoose.Schema({
   height: { type: Number }, // in cm
   weight: { type: Number }, // in kg
   phone: { type: String },
+  timezone: { type: String }, // IANA home timezone, e.g. "Asia/Kolkata"
   allergies: [String],
   chronicConditions: [String],
   emergencyContacts: [{
@@ -45,7 +58,9 @@ const userProfileSchema = new mongoose.Schema({
     notifications: {
       reminders: { type: Boolean, default: true },
       news: { type: Boolean, default: true },
-      emergency: { type: Boolean, default: true }
+      emergency: { type: Boolean, default: true },
+      // Text the primary emergency contact when a report has critical values
+      criticalLabContact: { type: Boolean, default: false }
     },
     theme: {
       type: String,
@@ -56,6 +71,23 @@ const userProfileSchema = new mongoose.Schema({
       type: String,
       enum: ['metric', 'imperial'],
       default: 'metric'
+    },
+    // While travelling: keep reminders on home time, or follow the device's zone
+    travel: {
+      mode: {
+        type: String,
+        enum: ['home', 'local'],
+        default: 'home'
+      },
+      currentTimezone: String
+    },
+    // Which parts of the health profile the AI assistant may see
+    chatContext: {
+      profile: { type: Boolean, default: true },
+      conditions: { type: Boolean, default: true },
+      allergies: { type: Boolean, default: true },
+      medications: { type: Boolean, default: true },
+      healthMetrics: { type: Boolean, default: true }
     }
   },
   isActive: {
@@ -93,9 +125,18 @@ userProfileSchema.pre('save', async function (next) {
 
 // Compare password method
 userProfileSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// The login that receives notifications and owns settings for this profile:
+// the managing account for a dependent, otherwise the user itself
+userProfileSchema.statics.findAccountHolder = async function (userId, select = '') {
+  const user = await this.findById(userId).select(`managedBy ${select}`);
+  if (!user?.managedBy) return user;
+  return this.findById(user.managedBy).select(select);
+};
+
 // Remove password from JSON output
 userProfileSchema.methods.toJSON = function () {
   const userObject = this.toObject();
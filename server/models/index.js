@@ -8,6 +8,14 @@ const ChatMessage = require('./ChatMessage');
 const SymptomCheck = require('./SymptomCheck');
 const ScanHistory = require('./ScanHistory');
 const EmergencyAlert = require('./EmergencyAlert');
+const PushSubscription = require('./PushSubscription');
+const NotificationDelivery = require('./NotificationDelivery');
+const ReminderJob = require('./ReminderJob');
+const ShareGrant = require('./ShareGrant');
+const CabinetItem = require('./CabinetItem');
+const RecallAlert = require('./RecallAlert');
+const PriceObservation = require('./PriceObservation');
+const PriceWatch = require('./PriceWatch');
 
 module.exports = {
   User,
@@ -18,5 +26,13 @@ module.exports = {
   ChatMessage,
   SymptomCheck,
   ScanHistory,
-  EmergencyAlert
+  EmergencyAlert,
+  PushSubscription,
+  NotificationDelivery,
+  ReminderJob,
+  ShareGrant,
+  CabinetItem,
+  RecallAlert,
+  PriceObservation,
+  PriceWatch
 };
\ No newline at end of file
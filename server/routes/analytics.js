@@ -1,6 +1,7 @@
 const express = require('express');
 const { auth } = require('../middleware/auth');
 const analyticsService = require('../services/analyticsService');
+const labTrendService = require('../services/labTrendService');
 
 const router = express.Router();
 
@@ -140,6 +141,52 @@ router.get('/medications', auth, async (req, res) => {
   }
 });
 
+// Lab tests the user has results for
+router.get('/lab-tests', auth, async (req, res) => {
+  try {
+    const result = await labTrendService.getTrackedTests(req.user._id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json({
+        error: 'Lab tests failed',
+        message: result.message
+      });
+    }
+
+  } catch (error) {
+    console.error('Lab tests error:', error);
+    res.status(500).json({
+      error: 'Lab tests failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Every result of one lab test, with reference band and baseline
+router.get('/lab-tests/:testCode', auth, async (req, res) => {
+  try {
+    const result = await labTrendService.getTestHistory(req.user._id, req.params.testCode);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json({
+        error: 'Lab test history failed',
+        message: result.message
+      });
+    }
+
+  } catch (error) {
+    console.error('Lab test history error:', error);
+    res.status(500).json({
+      error: 'Lab test history failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get service status
 router.get('/status', async (req, res) => {
   try {
@@ -2,6 +2,8 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const reminderService = require('../services/reminderService');
+const { isValidTimezone } = require('../utils/timezone');
 
 const router = express.Router();
 
@@ -17,7 +19,7 @@ const generateToken = (userId) => {
 // Register new user
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, name, dateOfBirth, gender } = req.body;
+    const { email, password, name, dateOfBirth, gender, timezone } = req.body;
 
     // Validate required fields
     if (!email || !password || !name) {
@@ -54,7 +56,8 @@ router.post('/register', async (req, res) => {
       password,
       name,
       dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : undefined,
-      gender
+      gender,
+      timezone: isValidTimezone(timezone) ? timezone : undefined
     });
 
     await user.save();
@@ -165,11 +168,11 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Get current user profile
+// Get the signed-in account's profile (not the active family profile)
 router.get('/profile', auth, async (req, res) => {
   try {
     // Handle demo user
-    if (req.user && req.user.isDemo) {
+    if (req.account && req.account.isDemo) {
       return res.json({
         user: {
           _id: 'demo-user-id',
@@ -188,7 +191,7 @@ router.get('/profile', auth, async (req, res) => {
     }
 
     res.json({
-      user: req.user.toJSON()
+      user: req.account.toJSON()
     });
   } catch (error) {
     console.error('Profile fetch error:', error);
@@ -203,7 +206,7 @@ router.get('/profile', auth, async (req, res) => {
 router.put('/profile', auth, async (req, res) => {
   try {
     const allowedUpdates = [
-      'name', 'dateOfBirth', 'gender', 'bloodGroup', 'height', 'weight', 'phone',
+      'name', 'dateOfBirth', 'gender', 'bloodGroup', 'height', 'weight', 'phone', 'timezone',
       'allergies', 'chronicConditions', 'emergencyContacts', 'preferences',
       'stats', 'appRating', 'newsSearchHistory'
     ];
@@ -215,10 +218,25 @@ router.put('/profile', auth, async (req, res) => {
       }
     });
 
+    if (updates.timezone !== undefined && !isValidTimezone(updates.timezone)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Invalid timezone'
+      });
+    }
+
+    const travel = updates.preferences?.travel;
+    if (travel?.currentTimezone && !isValidTimezone(travel.currentTimezone)) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Invalid current timezone'
+      });
+    }
+
     // Handle demo user profile update (virtual update)
-    if (req.user && req.user.isDemo) {
+    if (req.account && req.account.isDemo) {
       const demoUser = {
-        ...req.user,
+        ...req.account,
         ...updates,
         updatedAt: new Date()
       };
@@ -229,7 +247,7 @@ router.put('/profile', auth, async (req, res) => {
     }
 
     const user = await User.findByIdAndUpdate(
-      req.user._id,
+      req.account._id,
       updates,
       { new: true, runValidators: true }
     );
@@ -241,6 +259,13 @@ router.put('/profile', auth, async (req, res) => {
       });
     }
 
+    // Reminder times are wall-clock times in the user's zone; re-plan the queue
+    if (updates.timezone !== undefined || travel !== undefined) {
+      reminderService.resyncUserReminderJobs(user._id).catch(error => {
+        console.error('Reminder resync after timezone change failed:', error);
+      });
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: user.toJSON()
@@ -266,7 +291,7 @@ router.put('/change-password', auth, async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.account._id);
     const isCurrentPasswordValid = await user.comparePassword(currentPassword);
 
     if (!isCurrentPasswordValid) {
@@ -0,0 +1,178 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const cabinetService = require('../services/cabinetService');
+
+const router = express.Router();
+
+// Medicines in the user's cabinet; ?filter=expired|expiring|in_use
+router.get('/', auth, async (req, res) => {
+  try {
+    const result = await cabinetService.listItems(req.user._id, {
+      filter: req.query.filter || 'all',
+      includeFinished: req.query.includeFinished === 'true'
+    });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json({
+        error: 'Failed to load medicine cabinet',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('List cabinet error:', error);
+    res.status(500).json({
+      error: 'Failed to load medicine cabinet',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add a medicine by hand
+router.post('/', auth, async (req, res) => {
+  try {
+    const result = await cabinetService.addItem(req.user._id, req.body);
+
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      res.status(400).json({
+        error: 'Failed to add medicine',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Add cabinet item error:', error);
+    res.status(500).json({
+      error: 'Failed to add medicine',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add the pack a barcode or DataMatrix code was scanned from
+router.post('/scan', auth, async (req, res) => {
+  try {
+    const { barcode, name, quantity, unit } = req.body;
+    if (!barcode) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'barcode is required'
+      });
+    }
+
+    const result = await cabinetService.addFromScan(req.user._id, { barcode, name, quantity, unit });
+
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      res.status(400).json({
+        error: 'Failed to add medicine',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Add scanned cabinet item error:', error);
+    res.status(500).json({
+      error: 'Failed to add medicine',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update quantity, expiry date, status or details
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const result = await cabinetService.updateItem(req.user._id, req.params.id, req.body);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json({
+        error: 'Failed to update cabinet item',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Update cabinet item error:', error);
+    res.status(500).json({
+      error: 'Failed to update cabinet item',
+      message: 'Internal server error'
+    });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const result = await cabinetService.deleteItem(req.user._id, req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json({
+        error: 'Cabinet item not found',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Delete cabinet item error:', error);
+    res.status(500).json({
+      error: 'Failed to remove cabinet item',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Link a pack to a reminder it supplies doses for
+router.post('/:id/reminders', auth, async (req, res) => {
+  try {
+    const { reminderId } = req.body;
+    if (!reminderId) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'reminderId is required'
+      });
+    }
+
+    const result = await cabinetService.linkReminder(req.user._id, req.params.id, reminderId);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json({
+        error: 'Failed to link reminder',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Link cabinet reminder error:', error);
+    res.status(500).json({
+      error: 'Failed to link reminder',
+      message: 'Internal server error'
+    });
+  }
+});
+
+router.delete('/:id/reminders/:reminderId', auth, async (req, res) => {
+  try {
+    const result = await cabinetService.unlinkReminder(req.user._id, req.params.id, req.params.reminderId);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json({
+        error: 'Failed to unlink reminder',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Unlink cabinet reminder error:', error);
+    res.status(500).json({
+      error: 'Failed to unlink reminder',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
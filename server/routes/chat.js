@@ -1,22 +1,75 @@
 const express = require('express');
 const { auth, optionalAuth } = require('../middleware/auth');
 const geminiService = require('../services/geminiService');
+const aiProviderRegistry = require('../services/aiProviderRegistry');
+const chatContextService = require('../services/chatContextService');
 const ChatMessage = require('../models/ChatMessage');
 const mongoose = require('mongoose');
 
 const router = express.Router();
 
+const DEMO_MODE_RESPONSE = {
+  message: "I'm currently in demo mode. Please configure your Gemini API key to enable real AI conversations.",
+  followUpSuggestions: ["Tell me about medications", "Help with symptoms"]
+};
+
+const isAiChatEnabled = () => process.env.ENABLE_AI_CHAT === 'true' && aiProviderRegistry.getRoute('chat').length > 0;
+
+const validateChatMessage = (message) => {
+  if (!message || message.trim().length === 0) return 'Message is required';
+  if (message.length > 2000) return 'Message is too long (max 2000 characters)';
+  return null;
+};
+
+// Last 10 messages of a conversation, oldest first, for AI context
+const loadConversationHistory = async (userId, conversationId) => {
+  if (!userId) return [];
+
+  try {
+    const previousMessages = await ChatMessage.find({
+      userId: new mongoose.Types.ObjectId(userId),
+      conversationId
+    })
+      .sort({ createdAt: -1 })
+      .limit(10)
+      .lean();
+
+    console.log(`📜 Loaded ${previousMessages.length} previous messages for context`);
+    return previousMessages.reverse().map(msg => ({
+      sender: msg.sender,
+      message: msg.content
+    }));
+  } catch (err) {
+    console.error('Error loading history:', err);
+    return [];
+  }
+};
+
+const saveChatMessage = async (userId, conversationId, fields) => {
+  if (!userId) return null;
+
+  try {
+    const saved = await ChatMessage.create({
+      userId: new mongoose.Types.ObjectId(userId),
+      conversationId,
+      ...fields
+    });
+    console.log(`✅ Saved ${fields.sender} message: ${saved._id}`);
+    return saved;
+  } catch (err) {
+    console.error(`Error saving ${fields.sender} message:`, err);
+    return null;
+  }
+};
+
 // Send message to AI assistant
 router.post('/message', optionalAuth, async (req, res) => {
   try {
     const { message, conversationId, language } = req.body;
 
-    if (!message || message.trim().length === 0) {
-      return res.status(400).json({ error: 'Validation error', message: 'Message is required' });
-    }
-
-    if (message.length > 2000) {
-      return res.status(400).json({ error: 'Validation error', message: 'Message is too long (max 2000 characters)' });
+    const validationError = validateChatMessage(message);
+    if (validationError) {
+      return res.status(400).json({ error: 'Validation error', message: validationError });
     }
 
     // Generate or use existing conversation ID
@@ -25,59 +78,20 @@ router.post('/message', optionalAuth, async (req, res) => {
 
     console.log(`💬 Chat from ${userId ? 'user:' + userId : 'anonymous'}, convId: ${convId}`);
 
-    // Get conversation history from database for context (last 10 messages)
-    let conversationHistory = [];
-    if (userId) {
-      try {
-        const previousMessages = await ChatMessage.find({
-          userId: new mongoose.Types.ObjectId(userId),
-          conversationId: convId
-        })
-          .sort({ createdAt: -1 })
-          .limit(10)
-          .lean();
+    const conversationHistory = await loadConversationHistory(userId, convId);
 
-        conversationHistory = previousMessages.reverse().map(msg => ({
-          sender: msg.sender,
-          message: msg.content
-        }));
-        console.log(`📜 Loaded ${conversationHistory.length} previous messages for context`);
-      } catch (err) {
-        console.error('Error loading history:', err);
-      }
-    }
-
-    // Build user context
-    let enhancedUserContext = {};
-    if (req.user) {
-      enhancedUserContext = {
-        userId: req.user._id,
-        name: req.user.name,
-        age: req.user.age,
-        medicalConditions: req.user.medicalConditions || [],
-        currentMedications: req.user.currentMedications || [],
-        allergies: req.user.allergies || []
-      };
-    }
+    // Build user context from the real profile, limited to the categories the user shares
+    const { context: enhancedUserContext, fieldsUsed } = await chatContextService.buildUserContext(req.user);
 
     // Save user message to database FIRST
-    if (userId) {
-      try {
-        const savedUserMsg = await ChatMessage.create({
-          userId: new mongoose.Types.ObjectId(userId),
-          conversationId: convId,
-          content: message.trim(),
-          sender: 'user'
-        });
-        console.log(`✅ Saved user message: ${savedUserMsg._id}`);
-      } catch (err) {
-        console.error('Error saving user message:', err);
-      }
-    }
+    await saveChatMessage(userId, convId, { content: message.trim(), sender: 'user' });
 
     // Generate AI response
     let aiResponse;
-    if (process.env.ENABLE_AI_CHAT === 'true' && process.env.GEMINI_API_KEY) {
+    let contextUsed = [];
+    if (isAiChatEnabled()) {
+      contextUsed = fieldsUsed;
+
       const result = await geminiService.generateChatResponse(
         message.trim(),
         conversationHistory,
@@ -95,34 +109,23 @@ router.post('/message', optionalAuth, async (req, res) => {
         throw new Error(result.error || 'AI processing failed');
       }
     } else {
-      aiResponse = {
-        message: "I'm currently in demo mode. Please configure your Gemini API key to enable real AI conversations.",
-        followUpSuggestions: ["Tell me about medications", "Help with symptoms"],
-        timestamp: new Date().toISOString()
-      };
+      aiResponse = { ...DEMO_MODE_RESPONSE, timestamp: new Date().toISOString() };
     }
 
     // Save AI response to database
-    if (userId) {
-      try {
-        const savedAiMsg = await ChatMessage.create({
-          userId: new mongoose.Types.ObjectId(userId),
-          conversationId: convId,
-          content: aiResponse.message,
-          sender: 'assistant',
-          aiResponse: { followUpQuestions: aiResponse.followUpSuggestions }
-        });
-        console.log(`✅ Saved AI message: ${savedAiMsg._id}`);
-      } catch (err) {
-        console.error('Error saving AI message:', err);
-      }
-    }
+    await saveChatMessage(userId, convId, {
+      content: aiResponse.message,
+      sender: 'assistant',
+      aiResponse: { followUpQuestions: aiResponse.followUpSuggestions },
+      contextUsed
+    });
 
     res.json({
       success: true,
       data: {
         ...aiResponse,
-        conversationId: convId
+        conversationId: convId,
+        contextUsed
       }
     });
 
@@ -132,6 +135,117 @@ router.post('/message', optionalAuth, async (req, res) => {
   }
 });
 
+// Streaming variant of /message over Server-Sent Events.
+// Events: meta { conversationId, contextUsed }, token { text },
+// done { message, followUpSuggestions, timestamp, conversationId, contextUsed }, error { message }.
+// Closing the connection aborts the upstream AI request.
+router.post('/message/stream', optionalAuth, async (req, res) => {
+  const { message, conversationId, language } = req.body;
+
+  const validationError = validateChatMessage(message);
+  if (validationError) {
+    return res.status(400).json({ error: 'Validation error', message: validationError });
+  }
+
+  const convId = conversationId || new mongoose.Types.ObjectId().toString();
+  const userId = req.user?._id;
+  const controller = new AbortController();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log(`🛑 Chat stream closed by client, convId: ${convId}`);
+      controller.abort();
+    }
+  });
+
+  try {
+    console.log(`💬 Streaming chat from ${userId ? 'user:' + userId : 'anonymous'}, convId: ${convId}`);
+
+    const conversationHistory = await loadConversationHistory(userId, convId);
+    const { context: enhancedUserContext, fieldsUsed } = await chatContextService.buildUserContext(req.user);
+    const contextUsed = isAiChatEnabled() ? fieldsUsed : [];
+
+    await saveChatMessage(userId, convId, { content: message.trim(), sender: 'user' });
+    sendEvent('meta', { conversationId: convId, contextUsed });
+
+    let aiResponse;
+    if (isAiChatEnabled()) {
+      const result = await geminiService.streamChatResponse(
+        message.trim(),
+        conversationHistory,
+        enhancedUserContext,
+        language,
+        { onToken: text => sendEvent('token', { text }), signal: controller.signal }
+      );
+
+      aiResponse = {
+        message: result.data.message,
+        followUpSuggestions: result.data.followUpSuggestions,
+        timestamp: result.data.timestamp
+      };
+    } else {
+      aiResponse = { ...DEMO_MODE_RESPONSE, timestamp: new Date().toISOString() };
+      sendEvent('token', { text: aiResponse.message });
+    }
+
+    // Only a completed answer is persisted
+    await saveChatMessage(userId, convId, {
+      content: aiResponse.message,
+      sender: 'assistant',
+      aiResponse: { followUpQuestions: aiResponse.followUpSuggestions },
+      contextUsed
+    });
+
+    sendEvent('done', { ...aiResponse, conversationId: convId, contextUsed });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`🛑 Chat stream cancelled, convId: ${convId}`);
+    } else {
+      console.error('Chat stream error:', error);
+      sendEvent('error', { message: 'Chat failed' });
+    }
+  } finally {
+    res.end();
+  }
+});
+
+// Preview the personal context the assistant would see, with sharing preferences
+router.get('/context', auth, async (req, res) => {
+  try {
+    const { context, fieldsUsed, preferences } = await chatContextService.buildUserContext(req.user);
+    const { userId, name, ...shared } = context;
+
+    res.json({ success: true, data: { preferences, context: shared, fieldsUsed } });
+  } catch (error) {
+    console.error('Get chat context error:', error);
+    res.status(500).json({ error: 'Failed to get chat context', message: 'Internal server error' });
+  }
+});
+
+// Choose which categories (profile, conditions, allergies, medications, healthMetrics) are shared
+router.put('/context/preferences', auth, async (req, res) => {
+  try {
+    const preferences = await chatContextService.updatePreferences(req.user._id, req.body);
+    res.json({ success: true, data: preferences });
+  } catch (error) {
+    console.error('Update chat context preferences error:', error);
+    res.status(400).json({ error: 'Failed to update preferences', message: error.message });
+  }
+});
+
 // Get all conversations (list)
 router.get('/conversations', auth, async (req, res) => {
   try {
@@ -192,7 +306,8 @@ router.get('/conversations/:conversationId', auth, async (req, res) => {
       content: msg.content,
       sender: msg.sender,
       timestamp: msg.createdAt,
-      followUpQuestions: msg.aiResponse?.followUpQuestions
+      followUpQuestions: msg.aiResponse?.followUpQuestions,
+      contextUsed: msg.contextUsed
     }));
 
     res.json({ success: true, data: formattedMessages, conversationId });
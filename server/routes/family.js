@@ -0,0 +1,119 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const familyService = require('../services/familyService');
+
+const router = express.Router();
+
+// Family profiles always belong to the signed-in account, whichever profile is active
+
+// List the account holder and their dependent profiles
+router.get('/', auth, async (req, res) => {
+  try {
+    const result = await familyService.listProfiles(req.account);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json({
+        error: 'Failed to load family profiles',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('List family profiles error:', error);
+    res.status(500).json({
+      error: 'Failed to load family profiles',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add a dependent profile
+router.post('/', auth, async (req, res) => {
+  try {
+    const result = await familyService.createDependent(req.account, req.body);
+
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      res.status(400).json({
+        error: 'Failed to create family profile',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Create family profile error:', error);
+    res.status(500).json({
+      error: 'Failed to create family profile',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a dependent's full profile
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const result = await familyService.getDependent(req.account._id, req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json({
+        error: 'Family profile not found',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Get family profile error:', error);
+    res.status(500).json({
+      error: 'Failed to load family profile',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update a dependent's details, allergies, conditions or emergency contacts
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const result = await familyService.updateDependent(req.account._id, req.params.id, req.body);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json({
+        error: 'Failed to update family profile',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Update family profile error:', error);
+    res.status(500).json({
+      error: 'Failed to update family profile',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove a dependent profile and stop their reminders
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const result = await familyService.removeDependent(req.account._id, req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json({
+        error: 'Failed to remove family profile',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Remove family profile error:', error);
+    res.status(500).json({
+      error: 'Failed to remove family profile',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
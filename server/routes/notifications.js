@@ -0,0 +1,130 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const pushNotificationService = require('../services/pushNotificationService');
+const { ReminderJob } = require('../models');
+
+const router = express.Router();
+
+// Get the VAPID public key the browser needs to subscribe
+router.get('/vapid-public-key', (req, res) => {
+  const status = pushNotificationService.getStatus();
+
+  if (!status.isConfigured) {
+    return res.status(503).json({
+      success: false,
+      message: 'Web Push is not configured on this server'
+    });
+  }
+
+  res.json({ success: true, data: { publicKey: status.publicKey } });
+});
+
+// Register a device's push subscription
+router.post('/subscribe', auth, async (req, res) => {
+  try {
+    const { subscription, userAgent, deviceLabel } = req.body;
+
+    const result = await pushNotificationService.saveSubscription(req.account._id, subscription, {
+      userAgent: userAgent || req.get('User-Agent'),
+      deviceLabel
+    });
+
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      res.status(400).json(result);
+    }
+
+  } catch (error) {
+    console.error('Push subscribe error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Remove a device's push subscription
+router.post('/unsubscribe', auth, async (req, res) => {
+  try {
+    const endpoint = req.body.subscription?.endpoint || req.body.endpoint;
+    const result = await pushNotificationService.removeSubscription(req.account._id, endpoint);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+
+  } catch (error) {
+    console.error('Push unsubscribe error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// List the user's subscribed devices
+router.get('/subscriptions', auth, async (req, res) => {
+  try {
+    const result = await pushNotificationService.getUserSubscriptions(req.account._id);
+    res.json(result);
+  } catch (error) {
+    console.error('Get push subscriptions error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Get recent delivery attempts (why did a reminder not arrive?)
+router.get('/deliveries', auth, async (req, res) => {
+  try {
+    const result = await pushNotificationService.getDeliveryHistory(req.user._id, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 200),
+      type: req.query.type || null,
+      status: req.query.status || null
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Get delivery history error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Get the dispatch state of the user's recent and upcoming doses
+router.get('/reminder-jobs', auth, async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.reminderId) query.reminderId = req.query.reminderId;
+
+    const jobs = await ReminderJob.find(query)
+      .sort({ scheduledTime: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+      .select('-lockedBy -lockedUntil');
+
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    console.error('Get reminder jobs error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+// Send a test push to all of the user's devices
+router.post('/test', auth, async (req, res) => {
+  try {
+    const result = await pushNotificationService.sendToUser(req.account._id, {
+      type: 'test',
+      title: 'Mediot Test',
+      body: 'Push notifications are working correctly!',
+      tag: 'test-notification',
+      data: { url: '/settings' }
+    });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+
+  } catch (error) {
+    console.error('Test push error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
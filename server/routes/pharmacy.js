@@ -1,5 +1,8 @@
 const express = require('express');
+const { auth } = require('../middleware/auth');
 const pharmacyService = require('../services/pharmacyService');
+const alternativesService = require('../services/alternativesService');
+const priceHistoryService = require('../services/priceHistoryService');
 
 const router = express.Router();
 
@@ -43,6 +46,135 @@ router.get('/prices/search', async (req, res) => {
   }
 });
 
+// Lowest price per platform and day; ?days= up to 365
+router.get('/prices/history', async (req, res) => {
+  try {
+    const { medicine, days } = req.query;
+
+    if (!medicine || medicine.trim().length < 2) {
+      return res.status(400).json({
+        error: 'Invalid medicine name',
+        message: 'Medicine name must be at least 2 characters long'
+      });
+    }
+
+    const result = await priceHistoryService.getHistory(medicine.trim(), { days });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(500).json({
+        error: 'Price history failed',
+        message: result.message
+      });
+    }
+
+  } catch (error) {
+    console.error('Price history error:', error);
+    res.status(500).json({
+      error: 'Price history failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// The user's price watches
+router.get('/watches', auth, async (req, res) => {
+  try {
+    const result = await priceHistoryService.getUserWatches(req.user._id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(500).json({
+        error: 'Failed to load price watches',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Get price watches error:', error);
+    res.status(500).json({
+      error: 'Failed to load price watches',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Notify when any platform drops below targetPrice (per pack, or per unit with basis=unit)
+router.post('/watches', auth, async (req, res) => {
+  try {
+    const result = await priceHistoryService.createWatch(req.user._id, req.body);
+
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      res.status(400).json({
+        error: 'Failed to save price watch',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Create price watch error:', error);
+    res.status(500).json({
+      error: 'Failed to save price watch',
+      message: 'Internal server error'
+    });
+  }
+});
+
+router.delete('/watches/:id', auth, async (req, res) => {
+  try {
+    const result = await priceHistoryService.deleteWatch(req.user._id, req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json({
+        error: 'Price watch not found',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Delete price watch error:', error);
+    res.status(500).json({
+      error: 'Failed to remove price watch',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Same-salt alternatives ranked by price per unit
+router.get('/alternatives', async (req, res) => {
+  try {
+    const { medicine, strength, form } = req.query;
+
+    if (!medicine || medicine.trim().length < 2) {
+      return res.status(400).json({
+        error: 'Invalid medicine name',
+        message: 'Medicine name must be at least 2 characters long'
+      });
+    }
+
+    const result = await alternativesService.findAlternatives(medicine.trim(), { strength, form });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json({
+        error: 'Composition not found',
+        message: result.message
+      });
+    }
+
+  } catch (error) {
+    console.error('Alternatives search error:', error);
+    res.status(500).json({
+      error: 'Alternatives search failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Find nearby pharmacies
 router.get('/nearby', async (req, res) => {
   try {
@@ -1,9 +1,15 @@
 const express = require('express');
 const { auth } = require('../middleware/auth');
 const User = require('../models/User');
+const fhirService = require('../services/fhirService');
+const visitSummaryService = require('../services/visitSummaryService');
+const shareService = require('../services/shareService');
 
 const router = express.Router();
 
+// How long the QR code on a visit summary keeps working
+const VISIT_SUMMARY_SHARE_HOURS = 72;
+
 // Get user profile with detailed information
 router.get('/', auth, async (req, res) => {
   try {
@@ -159,8 +165,8 @@ router.put('/preferences', auth, async (req, res) => {
       });
     }
 
-    // Merge with existing preferences
-    const user = await User.findById(req.user._id);
+    // Preferences belong to the signed-in account, not a family profile
+    const user = await User.findById(req.account._id);
     const updatedPreferences = {
       ...user.preferences.toObject(),
       ...preferences
@@ -189,7 +195,7 @@ router.put('/preferences', auth, async (req, res) => {
     }
 
     const updatedUser = await User.findByIdAndUpdate(
-      req.user._id,
+      req.account._id,
       { preferences: updatedPreferences },
       { new: true, runValidators: true }
     ).select('-password');
@@ -219,7 +225,7 @@ router.delete('/account', auth, async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.account._id);
     const isPasswordValid = await user.comparePassword(password);
     
     if (!isPasswordValid) {
@@ -229,8 +235,9 @@ router.delete('/account', auth, async (req, res) => {
       });
     }
 
-    // Soft delete - mark as inactive instead of hard delete
-    await User.findByIdAndUpdate(req.user._id, { isActive: false });
+    // Soft delete - mark as inactive instead of hard delete, with any family profiles
+    await User.findByIdAndUpdate(req.account._id, { isActive: false });
+    await User.updateMany({ managedBy: req.account._id }, { isActive: false });
 
     res.json({
       message: 'Account deleted successfully'
@@ -288,4 +295,80 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
+// Export the health record as a FHIR R4 Bundle
+router.get('/export/fhir', auth, async (req, res) => {
+  try {
+    const bundle = await fhirService.exportBundle(req.user._id);
+
+    res.setHeader('Content-Type', 'application/fhir+json');
+    res.setHeader('Content-Disposition', `attachment; filename="health-record-${new Date().toISOString().split('T')[0]}.json"`);
+    res.send(JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    console.error('FHIR export error:', error);
+    res.status(500).json({
+      error: 'Export failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Merge a FHIR R4 Bundle into the account; records already present are skipped
+router.post('/import/fhir', auth, express.json({ type: ['application/json', 'application/fhir+json'], limit: '10mb' }), async (req, res) => {
+  try {
+    const summary = await fhirService.importBundle(req.user._id, req.body);
+
+    res.json({
+      message: 'Health record imported successfully',
+      summary
+    });
+  } catch (error) {
+    console.error('FHIR import error:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Import failed',
+      message: error.statusCode ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Printable visit summary PDF for a date range (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/visit-summary', auth, async (req, res) => {
+  try {
+    const range = visitSummaryService.parseRange(req.query.from, req.query.to);
+    if (range.error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: range.error
+      });
+    }
+
+    const summary = await visitSummaryService.getSummary(req.user._id, range);
+
+    // The QR code opens the same summary through a read-only share link
+    const share = await shareService.createGrant(req.user._id, {
+      label: 'Visit summary QR code',
+      recipientType: 'clinician',
+      scopes: ['visit_summary'],
+      range,
+      expiresInHours: VISIT_SUMMARY_SHARE_HOURS,
+      kind: 'visit_summary_qr'
+    });
+    const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+
+    const pdf = await visitSummaryService.renderPdf(summary, share.success ? {
+      url: `${baseUrl}/api/share/access/${share.data.token}/visit-summary`,
+      expiresAt: share.data.expiresAt
+    } : null);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="visit-summary-${new Date().toISOString().split('T')[0]}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Visit summary error:', error);
+    res.status(500).json({
+      error: 'Visit summary failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
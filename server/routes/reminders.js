@@ -1,6 +1,7 @@
 const express = require('express');
 const { auth } = require('../middleware/auth');
 const reminderService = require('../services/reminderService');
+const recallService = require('../services/recallService');
 
 const router = express.Router();
 
@@ -101,10 +102,12 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
-// Get scheduling conflicts
+// Get scheduling conflicts and drug interactions (?rxnorm=false for the local table only)
 router.get('/conflicts', auth, async (req, res) => {
   try {
-    const result = await reminderService.getSchedulingConflicts(req.user._id);
+    const result = await reminderService.getSchedulingConflicts(req.user._id, {
+      useRxNorm: req.query.rxnorm !== 'false'
+    });
     
     if (result.success) {
       res.json(result);
@@ -123,6 +126,96 @@ router.get('/conflicts', auth, async (req, res) => {
   }
 });
 
+// Get pill stock projections (soonest run-out first)
+router.get('/refills', auth, async (req, res) => {
+  try {
+    const result = await reminderService.getRefillForecasts(req.user._id);
+    
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json({
+        error: 'Failed to fetch refill forecasts',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Get refill forecasts error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch refill forecasts',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Drug recalls matching the user's medicines or cabinet batches, newest first
+router.get('/recalls', auth, async (req, res) => {
+  try {
+    const result = await recallService.getUserAlerts(req.user._id, {
+      includeDismissed: req.query.includeDismissed === 'true'
+    });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json({
+        error: 'Failed to fetch recall alerts',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Get recall alerts error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch recall alerts',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Hide a recall alert once the user has dealt with it
+router.post('/recalls/:id/dismiss', auth, async (req, res) => {
+  try {
+    const result = await recallService.dismissAlert(req.user._id, req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json({
+        error: 'Recall alert not found',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Dismiss recall alert error:', error);
+    res.status(500).json({
+      error: 'Failed to dismiss recall alert',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Record a refill: adds `quantity` pills, or sets the count with `set: true`
+router.post('/:id/refill', auth, async (req, res) => {
+  try {
+    const result = await reminderService.refillReminder(req.user._id, req.params.id, req.body);
+    
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json({
+        error: 'Refill failed',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Refill reminder error:', error);
+    res.status(500).json({
+      error: 'Refill failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Update a reminder
 router.put('/:id', auth, async (req, res) => {
   try {
@@ -167,7 +260,7 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// Log dose (taken/missed/skipped)
+// Log dose (taken/missed/skipped) or snooze it (snoozeMinutes)
 router.post('/:id/log', auth, async (req, res) => {
   try {
     const result = await reminderService.logDose(req.user._id, req.params.id, req.body);
@@ -192,7 +285,7 @@ router.post('/:id/log', auth, async (req, res) => {
 // Mark medicine as taken (legacy endpoint for sync service)
 router.post('/mark-taken', auth, async (req, res) => {
   try {
-    const { reminderId, scheduledTime, status = 'taken' } = req.body;
+    const { reminderId, scheduledTime, status = 'taken', snoozeMinutes } = req.body;
     
     if (!reminderId) {
       return res.status(400).json({
@@ -206,6 +299,7 @@ router.post('/mark-taken', auth, async (req, res) => {
     const result = await reminderService.logDose(req.user._id, reminderId, {
       scheduledTime,
       status,
+      snoozeMinutes,
       timestamp: new Date().toISOString()
     });
     
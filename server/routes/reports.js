@@ -5,8 +5,12 @@ const fs = require('fs-extra');
 const { auth } = require('../middleware/auth');
 const ocrService = require('../services/ocrService');
 const reportAnalysisService = require('../services/reportAnalysisService');
+const pdfService = require('../services/pdfService');
+const labTestCatalogService = require('../services/labTestCatalogService');
+const labTrendService = require('../services/labTrendService');
+const abnormalityService = require('../services/abnormalityService');
 const geminiService = require('../services/geminiService');
-const { Report, HealthMetrics } = require('../models');
+const { Report, HealthMetrics, User } = require('../models');
 
 const router = express.Router();
 
@@ -342,6 +346,12 @@ router.get('/service/status', (req, res) => {
   }
 });
 
+// Page number reported by the AI, if it points at a page the report actually has
+function getSourcePage(page, pageCount) {
+  const number = parseInt(page, 10);
+  return number >= 1 && number <= pageCount ? number : null;
+}
+
 // Background processing function
 async function processReportAsync(reportId, filePath, mimeType) {
   try {
@@ -352,9 +362,12 @@ async function processReportAsync(reportId, filePath, mimeType) {
       processingStep: 'extracting_text', 
       processingProgress: 15 
     });
-    const rawText = await reportAnalysisService.extractText(filePath);
+    const pages = await reportAnalysisService.extractPages(filePath, mimeType);
+    const rawText = pdfService.formatPages(pages);
     await Report.findByIdAndUpdate(reportId, { 
       extractedText: rawText, 
+      pageCount: pages.length,
+      pages: pages.map(({ page, method }) => ({ page, method })),
       processingProgress: 30 
     });
 
@@ -380,6 +393,7 @@ async function processReportAsync(reportId, filePath, mimeType) {
         labAddress: Array.isArray(basic.hospital_details?.address) ? basic.hospital_details.address.join(', ') : basic.hospital_details?.address,
         reportDate: basic.document_metadata?.date
       },
+      testDate: labTrendService.parseReportDate(basic.document_metadata?.date) || undefined,
       summary: { overallStatus: 'unknown' },
       notes: basic.summary,
       detailedAnalysis: { basic_info: basic }
@@ -411,21 +425,15 @@ async function processReportAsync(reportId, filePath, mimeType) {
           unit: v.unit,
           category: 'Vitals',
           interpretation: v.interpretation,
-          isNormal: true
+          isNormal: true,
+          sourcePage: getSourcePage(v.page, pages.length)
         });
       });
     }
 
     if (detailed.investigations?.results && Array.isArray(detailed.investigations.results)) {
       detailed.investigations.results.forEach(r => {
-        let min = null, max = null;
-        if (r.normal_range) {
-          const rangeParts = String(r.normal_range).match(/(\d+\.?\d*)\s*-\s*(\d+\.?\d*)/);
-          if (rangeParts) {
-            min = parseFloat(rangeParts[1]);
-            max = parseFloat(rangeParts[2]);
-          }
-        }
+        const { min = null, max = null } = labTestCatalogService.parseRange(r.normal_range) || {};
         mappedMetrics.push({
           name: r.name,
           displayName: r.name,
@@ -434,20 +442,30 @@ async function processReportAsync(reportId, filePath, mimeType) {
           normalRange: { min, max },
           isNormal: r.is_abnormal === false || r.is_abnormal === "false",
           category: 'Laboratory',
-          interpretation: r.interpretation
+          interpretation: r.interpretation,
+          sourcePage: getSourcePage(r.page, pages.length)
         });
       });
     }
 
+    // Canonical names, LOINC codes and units so values line up across reports
+    const user = await User.findById(reportDoc.userId).select('gender dateOfBirth').lean();
+    const patient = labTestCatalogService.getPatientProfile(basic.patient_details || {}, user);
+    const normalizedMetrics = mappedMetrics.map(metric => labTestCatalogService.normalizeMetric(metric, patient));
+
+    // Low / high / critical flags from the values themselves, not the AI's opinion
+    const evaluation = abnormalityService.evaluate(normalizedMetrics);
+
     // Update HealthMetrics with detailed data
     await HealthMetrics.findByIdAndUpdate(healthMetrics._id, {
-      metrics: mappedMetrics,
+      metrics: evaluation.metrics,
+      abnormalFlags: evaluation.abnormalFlags,
       clinicalNotes: Array.isArray(detailed.medications) ? detailed.medications.map(m => `${m.name}: ${m.dosage}`) : [],
       summary: {
-        totalMetrics: mappedMetrics.length,
-        normalMetrics: mappedMetrics.filter(m => m.isNormal).length,
-        abnormalMetrics: mappedMetrics.filter(m => !m.isNormal).length,
-        overallStatus: mappedMetrics.some(m => !m.isNormal) ? 'attention_needed' : 'normal',
+        totalMetrics: evaluation.counts.total,
+        normalMetrics: evaluation.counts.normal,
+        abnormalMetrics: evaluation.counts.abnormal,
+        overallStatus: evaluation.overallStatus,
         reportCompleteness: 'High'
       },
       recommendations: (detailed.advice || []).map(a => ({
@@ -458,6 +476,19 @@ async function processReportAsync(reportId, filePath, mimeType) {
       detailedAnalysis: { ...healthMetrics.detailedAnalysis, clinical_data: detailed }
     });
 
+    // Compare with the user's earlier results; a failure here must not fail the report
+    try {
+      await labTrendService.checkBaselineChanges(healthMetrics._id);
+    } catch (error) {
+      console.error(`⚠️ Baseline change check failed for report: ${reportId}`, error.message);
+    }
+
+    try {
+      await abnormalityService.notifyCriticalValues(reportDoc.userId, reportId, evaluation.abnormalFlags);
+    } catch (error) {
+      console.error(`⚠️ Critical value notification failed for report: ${reportId}`, error.message);
+    }
+
     // Finalize Report
     await Report.findByIdAndUpdate(reportId, {
       processingStatus: 'processed',
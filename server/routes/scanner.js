@@ -1,6 +1,7 @@
 const express = require('express');
 const multer = require('multer');
 const { auth, optionalAuth } = require('../middleware/auth');
+const safetyScreeningService = require('../services/safetyScreeningService');
 
 // Try to use real scanner service, fallback to mock if database unavailable
 let scannerService;
@@ -13,6 +14,14 @@ try {
 
 const router = express.Router();
 
+// Personal allergy / condition screening for logged-in users
+const attachSafetyScreening = (result, user) => {
+  if (!user || !result.success || !result.data) return result;
+
+  result.data.safety = safetyScreeningService.screenScanResult(result.data, user);
+  return result;
+};
+
 // Configure multer for image uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -41,7 +50,7 @@ router.post('/barcode', optionalAuth, async (req, res) => {
       });
     }
 
-    const result = await scannerService.scanBarcode(barcode, req.user?._id);
+    const result = attachSafetyScreening(await scannerService.scanBarcode(barcode, req.user?._id), req.user);
 
     if (result.success) {
       res.json(result);
@@ -72,7 +81,7 @@ router.post('/qr-code', optionalAuth, async (req, res) => {
       });
     }
 
-    const result = await scannerService.processQRCode(qrData, req.user?._id);
+    const result = attachSafetyScreening(await scannerService.processQRCode(qrData, req.user?._id), req.user);
 
     if (result.success) {
       res.json(result);
@@ -111,7 +120,7 @@ router.post('/medicine', optionalAuth, upload.array('images', 4), async (req, re
     console.log('📸 Starting identification...');
 
     const imageBuffers = req.files.map(file => file.buffer);
-    const result = await scannerService.identifyMedicine(imageBuffers, req.user?._id);
+    const result = attachSafetyScreening(await scannerService.identifyMedicine(imageBuffers, req.user?._id), req.user);
 
     const duration = Date.now() - startTime;
     console.log(`✅ Identification completed in ${duration}ms`);
@@ -173,6 +182,31 @@ router.post('/document', optionalAuth, upload.single('image'), async (req, res)
   }
 });
 
+// Screen a medicine picked from search (or a saved result) against the user's profile
+router.post('/safety', auth, async (req, res) => {
+  try {
+    const { medicine } = req.body;
+
+    if (!medicine || typeof medicine !== 'object') {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: 'Medicine details are required'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: safetyScreeningService.screenScanResult(medicine, req.user)
+    });
+  } catch (error) {
+    console.error('Safety screening error:', error);
+    res.status(500).json({
+      error: 'Screening failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Search medicines
 router.get('/search', async (req, res) => {
   try {
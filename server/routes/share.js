@@ -0,0 +1,174 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const shareService = require('../services/shareService');
+const visitSummaryService = require('../services/visitSummaryService');
+
+const router = express.Router();
+
+const accessDetails = (req, resource) => ({
+  resource,
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+// Read-only view of everything a share link covers; no login needed
+router.get('/access/:token', async (req, res) => {
+  try {
+    const { grant, error, status } = await shareService.redeem(req.params.token, null, accessDetails(req, 'overview'));
+    if (error) {
+      return res.status(status).json({
+        error: 'Share link unavailable',
+        message: error
+      });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: await shareService.getSharedData(grant)
+    });
+  } catch (error) {
+    console.error('Share access error:', error);
+    res.status(500).json({
+      error: 'Share access failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Visit summary PDF for a share link, e.g. from the QR code on a printed summary
+router.get('/access/:token/visit-summary', async (req, res) => {
+  try {
+    const { grant, error, status } = await shareService.redeem(req.params.token, 'visit_summary', accessDetails(req, 'visit_summary'));
+    if (error) {
+      return res.status(status).json({
+        error: 'Share link unavailable',
+        message: error
+      });
+    }
+
+    const summary = await visitSummaryService.getSummary(grant.userId, grant.range);
+    const pdf = await visitSummaryService.renderPdf(summary);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'inline; filename="visit-summary.pdf"');
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(pdf);
+  } catch (error) {
+    console.error('Shared visit summary error:', error);
+    res.status(500).json({
+      error: 'Visit summary failed',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List the user's share links with their status and access counts
+router.get('/', auth, async (req, res) => {
+  try {
+    const result = await shareService.listGrants(req.user._id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json({
+        error: 'Failed to load share links',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('List share links error:', error);
+    res.status(500).json({
+      error: 'Failed to load share links',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create a share link. The token is only returned here.
+router.post('/', auth, async (req, res) => {
+  try {
+    const { label, recipientType, scopes, reportId, expiresInHours, range } = req.body;
+
+    let parsedRange;
+    if (Array.isArray(scopes) && scopes.includes('visit_summary')) {
+      parsedRange = visitSummaryService.parseRange(range?.from, range?.to);
+      if (parsedRange.error) {
+        return res.status(400).json({
+          error: 'Validation error',
+          message: parsedRange.error
+        });
+      }
+    }
+
+    const result = await shareService.createGrant(req.user._id, {
+      label,
+      recipientType,
+      scopes,
+      reportId,
+      range: parsedRange,
+      expiresInHours
+    });
+
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      res.status(400).json({
+        error: 'Failed to create share link',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({
+      error: 'Failed to create share link',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Every access attempt for one of the user's share links, newest first
+router.get('/:id/access-log', auth, async (req, res) => {
+  try {
+    const result = await shareService.getAccessLog(req.user._id, req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json({
+        error: 'Share link not found',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Share access log error:', error);
+    res.status(500).json({
+      error: 'Failed to load access log',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke a share link immediately
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const result = await shareService.revokeGrant(req.user._id, req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json({
+        error: 'Failed to revoke share link',
+        message: result.message
+      });
+    }
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke share link',
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
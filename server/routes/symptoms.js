@@ -1,6 +1,7 @@
 const express = require('express');
 const { auth } = require('../middleware/auth');
 const symptomCheckerService = require('../services/symptomCheckerService');
+const aiProviderRegistry = require('../services/aiProviderRegistry');
 
 const router = express.Router();
 
@@ -92,13 +93,6 @@ router.post('/ai-search', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Query too short' });
     }
 
-    let geminiService;
-    try { geminiService = require('../services/geminiService'); } catch(e) {}
-
-    if (!geminiService) {
-      return res.json({ success: true, data: [] });
-    }
-
     const prompt = `You are a medical symptom search assistant for a health app. The user typed: "${query.trim()}"
 
 This may contain spelling mistakes, abbreviations, or natural language descriptions.
@@ -121,54 +115,28 @@ Example response:
 RESPOND WITH ONLY THE JSON ARRAY. No markdown, no code fences, no explanation.`;
 
     let aiResult = null;
-
-    // Try DeepSeek (SambaNova) first as requested
-    if (geminiService.sambaNovaClients && geminiService.sambaNovaClients.length > 0) {
-      for (let i = 0; i < geminiService.sambaNovaClients.length; i++) {
-        try {
-          const completion = await geminiService.sambaNovaClients[i].chat.completions.create({
-            model: geminiService.sambaNovaModel || 'DeepSeek-V3.1',
-            messages: [
-              { role: 'system', content: 'You are a medical symptom search assistant. Always respond with valid JSON only.' },
-              { role: 'user', content: prompt }
-            ],
-            temperature: 0.2,
-            max_tokens: 1024
-          });
-          let text = completion.choices[0].message.content;
-          text = text.replace(/```json\s*/gi, '').replace(/```\s*/gi, '').trim();
-          aiResult = JSON.parse(text);
-          if (aiResult) break;
-        } catch (dsErr) {
-          console.log(`⚠️ DeepSeek key ${i + 1} failed for AI symptom search:`, dsErr.message);
-        }
-      }
-    }
-
-    // Fallback to Gemini if DeepSeek fails
-    if (!aiResult) {
-      try {
-        const result = await geminiService.generateContentWithFallback(prompt);
-        const response = await result.response;
-        let text = response.text().replace(/```json\s*/gi, '').replace(/```\s*/gi, '').trim();
-        aiResult = JSON.parse(text);
-      } catch (geminiErr) {
-        console.error('Gemini fallback for AI symptom search failed:', geminiErr.message);
-      }
+    try {
+      ({ data: aiResult } = await aiProviderRegistry.completeJson('symptom_search', {
+        system: 'You are a medical symptom search assistant. Always respond with valid JSON only.',
+        prompt,
+        temperature: 0.2,
+        maxTokens: 1024,
+        json: false,
+        schema: 'symptom_search'
+      }));
+    } catch (aiErr) {
+      console.error('AI symptom search failed:', aiErr.message);
     }
 
-    if (aiResult && Array.isArray(aiResult)) {
-      // Validate and clean results
-      const cleaned = aiResult
-        .filter(s => s.id && s.name)
-        .map(s => ({
-          id: s.id,
-          name: s.name,
-          category: s.category || 'general',
-          bodyParts: s.bodyParts || ['general'],
-          isAISuggestion: true,
-          isRelated: s.isRelated || false
-        }));
+    if (aiResult) {
+      const cleaned = aiResult.map(s => ({
+        id: s.id,
+        name: s.name,
+        category: s.category || 'general',
+        bodyParts: s.bodyParts || ['general'],
+        isAISuggestion: true,
+        isRelated: s.isRelated || false
+      }));
       return res.json({ success: true, data: cleaned });
     }
 
@@ -188,11 +156,6 @@ router.post('/search-conditions', async (req, res) => {
       return res.json({ success: true, data: [] });
     }
 
-    let geminiService;
-    try { geminiService = require('../services/geminiService'); } catch(e) {}
-
-    if (!geminiService) return res.json({ success: true, data: [] });
-
     const prompt = `User is searching for their pre-existing medical conditions: "${query.trim()}"
 
 Return a JSON array of up to 5 matching or related medical conditions. 
@@ -203,43 +166,20 @@ Each must have:
 RESPOND WITH ONLY THE JSON ARRAY.`;
 
     let aiResult = null;
-
-    // Try DeepSeek (SambaNova) first as requested
-    if (geminiService.sambaNovaClients && geminiService.sambaNovaClients.length > 0) {
-      for (let i = 0; i < geminiService.sambaNovaClients.length; i++) {
-        try {
-          const completion = await geminiService.sambaNovaClients[i].chat.completions.create({
-            model: geminiService.sambaNovaModel || 'DeepSeek-V3.1',
-            messages: [
-              { role: 'system', content: 'You are a medical condition search assistant. Always respond with valid JSON only.' },
-              { role: 'user', content: prompt }
-            ],
-            temperature: 0.1,
-            max_tokens: 512
-          });
-          let text = completion.choices[0].message.content;
-          text = text.replace(/```json\s*/gi, '').replace(/```\s*/gi, '').trim();
-          aiResult = JSON.parse(text);
-          if (aiResult) break;
-        } catch (dsErr) {
-          console.log(`⚠️ DeepSeek key ${i + 1} failed for condition search:`, dsErr.message);
-        }
-      }
-    }
-
-    // Fallback to Gemini if DeepSeek fails
-    if (!aiResult) {
-      try {
-        const result = await geminiService.generateContentWithFallback(prompt);
-        const response = await result.response;
-        let text = response.text().replace(/```json\s*/gi, '').replace(/```\s*/gi, '').trim();
-        aiResult = JSON.parse(text);
-      } catch (err) {
-        console.error('Gemini fallback for condition search failed:', err.message);
-      }
+    try {
+      ({ data: aiResult } = await aiProviderRegistry.completeJson('condition_search', {
+        system: 'You are a medical condition search assistant. Always respond with valid JSON only.',
+        prompt,
+        temperature: 0.1,
+        maxTokens: 512,
+        json: false,
+        schema: 'condition_search'
+      }));
+    } catch (aiErr) {
+      console.error('AI condition search failed:', aiErr.message);
     }
 
-    res.json({ success: true, data: Array.isArray(aiResult) ? aiResult : [] });
+    res.json({ success: true, data: aiResult || [] });
   } catch (error) {
     console.error('Condition search error:', error);
     res.json({ success: true, data: [] });
@@ -305,16 +245,12 @@ router.post('/analyze', auth, async (req, res) => {
 
     console.log(`🩺 AI Analyzing symptoms for user: ${req.user._id}`);
 
-    // Try AI-powered analysis (Gemini first, DeepSeek fallback)
-    let geminiService;
-    try { geminiService = require('../services/geminiService'); } catch(e) { console.error('GeminiService not available'); }
+    // Try AI-powered analysis (provider order comes from the symptom_analysis route)
+    try {
+      const symptomList = symptoms.map(s => `${s.name} (severity: ${s.severity}, duration: ${s.duration})`).join(', ');
+      const conditionsList = medicalHistory && medicalHistory.length > 0 ? medicalHistory.join(', ') : 'none reported';
 
-    if (geminiService) {
-      try {
-        const symptomList = symptoms.map(s => `${s.name} (severity: ${s.severity}, duration: ${s.duration})`).join(', ');
-        const conditionsList = medicalHistory && medicalHistory.length > 0 ? medicalHistory.join(', ') : 'none reported';
-
-        const prompt = `You are a clinical decision support assistant for a health app called Mediot. Analyze these patient-reported symptoms using structured medical reasoning. This is NOT a diagnosis — it is educational health information only.
+      const prompt = `You are a clinical decision support assistant for a health app called Mediot. Analyze these patient-reported symptoms using structured medical reasoning. This is NOT a diagnosis — it is educational health information only.
 
 PATIENT CASE:
 - Age Group: ${age || 'not specified'}
@@ -364,56 +300,22 @@ RESPOND ONLY WITH VALID JSON matching this exact schema (no markdown, no code fe
   "analysisDate": "${new Date().toISOString()}"
 }`;
 
-        // Try Gemini first
-        let aiResult = null;
-        try {
-          console.log('🤖 Trying Gemini AI...');
-          const result = await geminiService.generateContentWithFallback(prompt);
-          const response = await result.response;
-          let text = response.text().replace(/```json\s*/gi, '').replace(/```\s*/gi, '').trim();
-          aiResult = JSON.parse(text);
-          console.log('✅ Gemini AI analysis successful');
-        } catch (geminiErr) {
-          console.log('⚠️ Gemini failed, trying DeepSeek...', geminiErr.message);
-          // Fallback to DeepSeek via SambaNova clients
-          if (geminiService.sambaNovaClients && geminiService.sambaNovaClients.length > 0) {
-            for (let i = 0; i < geminiService.sambaNovaClients.length; i++) {
-              try {
-                console.log(`🔄 Trying SambaNova Key ${i + 1}...`);
-                const completion = await geminiService.sambaNovaClients[i].chat.completions.create({
-                  model: geminiService.sambaNovaModel || 'DeepSeek-V3.1',
-                  messages: [
-                    { role: 'system', content: 'You are a medical AI assistant. Always respond with valid JSON only. No markdown, no code fences.' },
-                    { role: 'user', content: prompt }
-                  ],
-                  temperature: 0.3
-                });
-                let text = completion.choices[0].message.content;
-                text = text.replace(/```json\s*/gi, '').replace(/```\s*/gi, '').trim();
-                aiResult = JSON.parse(text);
-                console.log(`✅ DeepSeek analysis successful (key ${i + 1})`);
-                break;
-              } catch (dsErr) {
-                console.log(`⚠️ SambaNova Key ${i + 1} failed:`, dsErr.message);
-              }
-            }
-          }
-        }
+      const { data: aiResult, provider } = await aiProviderRegistry.completeJson('symptom_analysis', {
+        system: 'You are a medical AI assistant. Always respond with valid JSON only. No markdown, no code fences.',
+        prompt,
+        temperature: 0.3,
+        schema: 'symptom_analysis'
+      });
+      console.log(`✅ AI analysis successful with ${provider}`);
 
-        if (aiResult) {
-          // Ensure required fields exist
-          aiResult.analysisDate = aiResult.analysisDate || new Date().toISOString();
-          aiResult.conditions = aiResult.conditions || [];
-          aiResult.hasEmergencySymptoms = aiResult.hasEmergencySymptoms || false;
-          aiResult.recommendSeekCare = aiResult.recommendSeekCare || false;
-          aiResult.criticalSymptoms = aiResult.criticalSymptoms || [];
+      aiResult.analysisDate = aiResult.analysisDate || new Date().toISOString();
+      aiResult.recommendSeekCare = aiResult.recommendSeekCare || false;
+      aiResult.criticalSymptoms = aiResult.criticalSymptoms || [];
 
-          console.log(`📊 AI Analysis completed: ${aiResult.conditions.length} conditions found`);
-          return res.json({ success: true, data: aiResult });
-        }
-      } catch (aiError) {
-        console.error('AI analysis error:', aiError.message);
-      }
+      console.log(`📊 AI Analysis completed: ${aiResult.conditions.length} conditions found`);
+      return res.json({ success: true, data: aiResult });
+    } catch (aiError) {
+      console.error('AI analysis error:', aiError.message);
     }
 
     // Fallback to hardcoded analysis
@@ -75,7 +75,7 @@ const sampleMedicines = [
     uses: ['Type 2 diabetes', 'Blood sugar control', 'PCOS'],
     sideEffects: ['Nausea', 'Diarrhea', 'Metallic taste'],
     interactions: ['Alcohol', 'Contrast dyes', 'Diuretics'],
-    barcode: '5678901234567',
+    barcode: '5678901234562',
     category: 'prescription',
     price: {
       amount: 45,
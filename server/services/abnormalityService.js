@@ -0,0 +1,136 @@
+const { User } = require('../models');
+const labTestCatalogService = require('./labTestCatalogService');
+const pushNotificationService = require('./pushNotificationService');
+const emergencyService = require('./emergencyService');
+
+// How far past a range limit, as a share of the range width, counts as a
+// marked rather than a slight deviation
+const MARKED_DEVIATION = 0.2;
+const MARKED_ABNORMAL_COUNT = 3;
+
+const RECOMMENDATIONS = {
+  critical_low: 'Critically low. Contact your doctor or seek medical care now.',
+  critical_high: 'Critically high. Contact your doctor or seek medical care now.',
+  low: 'Below the reference range. Discuss with your doctor.',
+  high: 'Above the reference range. Discuss with your doctor.'
+};
+
+// Flags report metrics as normal, low, high or critical from their numeric
+// value, reference range and the catalogue's critical-value thresholds. The
+// same metrics always get the same flags, whatever the AI said about them.
+class AbnormalityService {
+  constructor() {
+    console.log('🚩 Abnormality rule engine initialized');
+  }
+
+  // metrics: normalised metrics (see labTestCatalogService.normalizeMetric).
+  // Returns { metrics, abnormalFlags, overallStatus, counts }
+  evaluate(metrics) {
+    const evaluated = metrics.map(metric => {
+      const flag = this.getFlag(metric);
+      // Values the rules can't judge (text results, no range) keep the AI's verdict
+      return flag ? { ...metric, flag, isNormal: flag === 'normal' } : metric;
+    });
+
+    const abnormalFlags = evaluated
+      .filter(metric => metric.flag && metric.flag !== 'normal')
+      .map(metric => ({
+        metric: metric.displayName || metric.name,
+        value: metric.value,
+        normalRange: metric.normalRange,
+        severity: metric.flag.startsWith('critical') ? 'critical' : metric.flag,
+        recommendation: RECOMMENDATIONS[metric.flag]
+      }));
+
+    const counts = {
+      total: evaluated.length,
+      normal: evaluated.filter(metric => metric.isNormal).length,
+      abnormal: evaluated.filter(metric => metric.isNormal === false).length,
+      critical: abnormalFlags.filter(flag => flag.severity === 'critical').length
+    };
+
+    return {
+      metrics: evaluated,
+      abnormalFlags,
+      overallStatus: this.getOverallStatus(evaluated, counts),
+      counts
+    };
+  }
+
+  // 'critical_low' | 'critical_high' | 'low' | 'high' | 'normal', or null when undecidable
+  getFlag(metric) {
+    if (typeof metric.value !== 'number') return null;
+
+    const test = metric.testCode && labTestCatalogService.getTest(metric.testCode);
+    // Critical thresholds are in the canonical unit, so only apply once converted
+    const critical = test && metric.unit === test.unit ? test.critical : null;
+
+    if (critical?.low !== undefined && metric.value < critical.low) return 'critical_low';
+    if (critical?.high !== undefined && metric.value > critical.high) return 'critical_high';
+
+    const { min = null, max = null } = metric.normalRange || {};
+    if (min === null && max === null) return null;
+
+    if (min !== null && metric.value < min) return 'low';
+    if (max !== null && metric.value > max) return 'high';
+    return 'normal';
+  }
+
+  getOverallStatus(metrics, counts) {
+    if (counts.total === 0) return 'unknown';
+    if (counts.critical > 0) return 'critical';
+    if (counts.abnormal === 0) return 'normal';
+
+    const marked = metrics.some(metric => this.getDeviation(metric) > MARKED_DEVIATION);
+    return marked || counts.abnormal >= MARKED_ABNORMAL_COUNT ? 'attention_needed' : 'minor_concerns';
+  }
+
+  // Distance outside the range relative to its width; 0 when inside or unknown
+  getDeviation(metric) {
+    const { min = null, max = null } = metric.normalRange || {};
+    if (typeof metric.value !== 'number' || min === null || max === null || max <= min) return 0;
+
+    const width = max - min;
+    if (metric.value < min) return (min - metric.value) / width;
+    if (metric.value > max) return (metric.value - max) / width;
+    return 0;
+  }
+
+  // Push the user about critical values and, if they opted in, text their primary emergency contact
+  async notifyCriticalValues(userId, reportId, abnormalFlags) {
+    const critical = abnormalFlags.filter(flag => flag.severity === 'critical');
+    if (critical.length === 0) return null;
+
+    const summary = critical.slice(0, 3).map(flag => `${flag.metric} ${flag.value}`).join(', ');
+
+    const push = await pushNotificationService.sendToUser(userId, {
+      type: 'critical_lab_value',
+      title: '🚨 Critical lab result',
+      body: `${summary}${critical.length > 3 ? ` and ${critical.length - 3} more` : ''}. Contact your doctor or seek medical care now.`,
+      tag: `critical-lab-${reportId}`,
+      requireInteraction: true,
+      urgency: 'high',
+      data: { reportId, url: `/reports/${reportId}` }
+    });
+
+    const user = await User.findById(userId).select('name');
+    const account = await User.findAccountHolder(userId, 'preferences.notifications');
+    let contactAlert = null;
+
+    if (account?.preferences?.notifications?.criticalLabContact) {
+      contactAlert = await emergencyService.sendCriticalLabAlert(userId, {
+        userName: user.name,
+        results: critical.map(flag => `${flag.metric} ${flag.value}`)
+      });
+    }
+
+    console.log(`🚩 Critical lab values for report ${reportId}: ${summary} (contact alert: ${contactAlert ? (contactAlert.success ? 'sent' : contactAlert.message) : 'off'})`);
+
+    return { push: push.success, contactAlert };
+  }
+}
+
+// Create singleton instance
+const abnormalityService = new AbnormalityService();
+
+module.exports = abnormalityService;
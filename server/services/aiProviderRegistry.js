@@ -0,0 +1,311 @@
+require('dotenv').config();
+const routing = require('../data/aiRouting.json');
+const aiSchemas = require('../data/aiSchemas.json');
+const { parseJson } = require('../utils/aiJson');
+const { resolveRefs, validate, repair } = require('../utils/jsonSchema');
+const OpenAICompatibleProvider = require('./aiProviders/openAICompatibleProvider');
+const GeminiProvider = require('./aiProviders/geminiProvider');
+const StubProvider = require('./aiProviders/stubProvider');
+
+const PROVIDER_TYPES = {
+  openai: OpenAICompatibleProvider,
+  gemini: GeminiProvider,
+  stub: StubProvider
+};
+
+// Every AI call goes through here. A request names a task ("scan", "chat",
+// "report_analysis", ...); data/aiRouting.json maps each task to an ordered
+// list of providers, and the registry walks that list slot by slot (an API
+// key or a model) until one answers, putting failing slots on cooldown.
+//
+// Overrides: AI_ROUTE_<TASK>=gemini,nvidia reorders a single task, and
+// AI_PROVIDER=stub sends every task to the offline fixture provider.
+//
+// JSON requests can name a schema from data/aiSchemas.json. The answer is
+// validated against it, repaired locally where possible, re-asked once with
+// the validation errors, and only then handed to the next provider.
+class AIProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.cooldowns = new Map();
+    this.schemas = resolveRefs(aiSchemas.schemas, aiSchemas.definitions);
+    this.validationMetrics = new Map();
+    this.stubOnly = process.env.AI_PROVIDER === 'stub';
+
+    for (const [name, config] of Object.entries(routing.providers)) {
+      this.register(name, config);
+    }
+
+    console.log('🧠 AI provider registry initialized');
+    console.log(`   Providers: ${[...this.providers.keys()].join(', ') || 'none'}${this.stubOnly ? ' (offline stub mode)' : ''}`);
+  }
+
+  register(name, config) {
+    const Provider = PROVIDER_TYPES[config.type];
+    if (!Provider) {
+      console.warn(`[WARN] Unknown AI provider type "${config.type}" for ${name}`);
+      return;
+    }
+
+    // The stub only serves requests when explicitly enabled
+    if ((config.type === 'stub') !== this.stubOnly) return;
+
+    const apiKeys = (config.keyEnv || []).map(env => process.env[env]).filter(Boolean);
+    if (config.type !== 'stub' && apiKeys.length === 0) return;
+
+    try {
+      this.providers.set(name, new Provider(name, {
+        ...config,
+        apiKeys,
+        model: (config.modelEnv && process.env[config.modelEnv]) || config.model
+      }));
+    } catch (error) {
+      console.error(`[ERROR] Failed to initialize AI provider ${name}:`, error.message);
+    }
+  }
+
+  hasProvider(name) {
+    return this.providers.has(name);
+  }
+
+  // Provider names for a task, in the order they should be tried
+  getRoute(task) {
+    if (this.stubOnly) return ['stub'];
+
+    const override = process.env[`AI_ROUTE_${task.toUpperCase()}`];
+    const names = override
+      ? override.split(',').map(name => name.trim())
+      : routing.routes[task] || routing.routes.default;
+
+    return names.filter(name => this.providers.has(name));
+  }
+
+  isCoolingDown(providerName, slot) {
+    return Date.now() < (this.cooldowns.get(`${providerName}:${slot}`) || 0);
+  }
+
+  // Take a slot out of rotation for `ms`
+  cooldown(providerName, slot, ms) {
+    this.cooldowns.set(`${providerName}:${slot}`, Date.now() + ms);
+    const provider = this.providers.get(providerName);
+    console.warn(`[WARN] ${provider ? provider.describeSlot(slot) : providerName} on cooldown for ${Math.round(ms / 1000)}s`);
+  }
+
+  // Rate limits, server errors and network failures cool the slot down;
+  // anything else (a bad request, say) only moves on to the next slot
+  recordFailure(provider, slot, error) {
+    const { cooldownMs } = routing;
+    if (error.status === 429) {
+      this.cooldown(provider.name, slot, cooldownMs.rateLimited);
+    } else if (error.status >= 500) {
+      this.cooldown(provider.name, slot, cooldownMs.serverError);
+    } else if (!error.status) {
+      this.cooldown(provider.name, slot, cooldownMs.network);
+    }
+  }
+
+  // (provider, slot) pairs for a task that are usable right now
+  *candidates(task, { images = [], stream = false } = {}) {
+    for (const name of this.getRoute(task)) {
+      const provider = this.providers.get(name);
+      if (images.length > 0 && !provider.supportsVision) continue;
+      if (stream && !provider.supportsStreaming) continue;
+
+      for (let slot = 0; slot < provider.slotCount; slot++) {
+        if (this.isCoolingDown(name, slot)) continue;
+        yield { provider, slot };
+      }
+    }
+  }
+
+  // Try each candidate until `attempt` returns. Output that `attempt` rejects
+  // (err.unusableOutput) skips to the next slot without a cooldown.
+  async run(task, request, { signal } = {}, attempt) {
+    const failures = [];
+
+    for (const { provider, slot } of this.candidates(task, request)) {
+      if (signal?.aborted) break;
+
+      const startTime = Date.now();
+      try {
+        const value = await attempt(provider, slot);
+        console.log(`[PERF] ${task} served by ${provider.describeSlot(slot)} in ${Date.now() - startTime}ms`);
+        return value;
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(`[WARN] ${provider.describeSlot(slot)} failed for ${task}:`, error.message);
+        failures.push(`${provider.describeSlot(slot)}: ${error.message}`);
+        if (!error.unusableOutput) this.recordFailure(provider, slot, error);
+      }
+    }
+
+    if (signal?.aborted) {
+      const abortError = new Error('AI request cancelled');
+      abortError.name = 'AbortError';
+      throw abortError;
+    }
+
+    const error = new Error(failures.length > 0
+      ? `All AI providers failed for ${task}`
+      : `No AI provider available for ${task}`);
+    error.failures = failures;
+    throw error;
+  }
+
+  /**
+   * Text completion.
+   * @param {string} task - Routing key from data/aiRouting.json
+   * @param {Object} request - { system, messages, prompt, images, temperature, maxTokens, json }
+   * @returns {Promise<{text: string, provider: string}>}
+   */
+  complete(task, request, options = {}) {
+    return this.run(task, request, options, async (provider, slot) => {
+      const text = await provider.complete({ ...request, task }, slot, options);
+      if (!text || !text.trim()) throw unusable('Empty response');
+      return { text, provider: provider.label };
+    });
+  }
+
+  // Completion whose answer must be JSON; unparseable output falls through
+  // to the next provider. Resolves with { data, text, provider }. Providers'
+  // JSON mode only allows objects, so pass json: false when expecting an array.
+  // With request.schema set, the answer must also match that schema.
+  async completeJson(task, request, options = {}) {
+    const { schema: schemaName, ...rest } = request;
+    const jsonRequest = { json: true, ...rest };
+    const schema = schemaName ? this.getSchema(schemaName) : null;
+
+    return this.run(task, jsonRequest, options, async (provider, slot) => {
+      const text = await provider.complete({ ...jsonRequest, task }, slot, options);
+      if (!schema) {
+        const data = parseJson(text);
+        if (data === null) throw unusable('Response was not valid JSON');
+        return { data, text, provider: provider.label };
+      }
+      return this.conformToSchema(task, jsonRequest, { schemaName, schema }, { provider, slot, text }, options);
+    });
+  }
+
+  getSchema(name) {
+    const schema = this.schemas[name];
+    if (!schema) throw new Error(`Unknown AI schema "${name}"`);
+    return schema;
+  }
+
+  // Validate an answer, repair it locally, and failing that ask the same
+  // slot again with the errors. Still-invalid output is unusable.
+  async conformToSchema(task, request, { schemaName, schema }, { provider, slot, text }, options) {
+    let answer = text;
+    let result = checkSchema(schema, answer);
+
+    if (result.errors.length === 0) {
+      this.recordValidation(schemaName, result.repaired ? 'repaired' : 'valid');
+      return { data: result.data, text: answer, provider: provider.label };
+    }
+
+    for (let round = 0; round < routing.schemaRepairAttempts; round++) {
+      console.warn(`[AI-SCHEMA] ${schemaName} from ${provider.describeSlot(slot)} failed validation, asking again:`, result.errors.slice(0, 3).join('; '));
+      answer = await provider.complete({ ...request, ...correctionRequest(request, schema, answer, result.errors), task }, slot, options);
+      result = checkSchema(schema, answer);
+
+      if (result.errors.length === 0) {
+        this.recordValidation(schemaName, 'reasked');
+        return { data: result.data, text: answer, provider: provider.label };
+      }
+    }
+
+    this.recordValidation(schemaName, 'failed', { task, provider: provider.describeSlot(slot), errors: result.errors });
+    throw unusable(`Response did not match the ${schemaName} schema: ${result.errors.slice(0, 3).join('; ')}`);
+  }
+
+  // Outcomes per schema: valid as sent, valid after local repair, valid after
+  // re-asking, or rejected
+  recordValidation(schemaName, outcome, failure) {
+    if (!this.validationMetrics.has(schemaName)) {
+      this.validationMetrics.set(schemaName, { valid: 0, repaired: 0, reasked: 0, failed: 0, lastFailure: null });
+    }
+    const metrics = this.validationMetrics.get(schemaName);
+    metrics[outcome]++;
+
+    if (failure) {
+      metrics.lastFailure = { at: new Date().toISOString(), ...failure, errors: failure.errors.slice(0, 10) };
+      console.warn(`[AI-SCHEMA] ${schemaName} rejected from ${failure.provider} for ${failure.task}`);
+    }
+  }
+
+  getValidationMetrics() {
+    return Object.fromEntries(this.validationMetrics);
+  }
+
+  // Image understanding; images are [{ data: base64, mimeType }]
+  vision(task, request, options = {}) {
+    return this.complete(task, request, options);
+  }
+
+  visionJson(task, request, options = {}) {
+    return this.completeJson(task, request, options);
+  }
+
+  // Open a token stream with the first provider that accepts it. Once tokens
+  // have been read, a failure can no longer fall back to another provider.
+  openStream(task, request, options = {}) {
+    return this.run(task, { ...request, stream: true }, options, async (provider, slot) => {
+      const tokens = await provider.stream({ ...request, task }, slot, options);
+      return { tokens, provider: provider.label };
+    });
+  }
+
+  getStatus() {
+    const providers = [...this.providers.values()].map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      slots: Array.from({ length: provider.slotCount }, (_, slot) => ({
+        slot: provider.describeSlot(slot),
+        coolingDownUntil: this.isCoolingDown(provider.name, slot)
+          ? new Date(this.cooldowns.get(`${provider.name}:${slot}`)).toISOString()
+          : null
+      }))
+    }));
+
+    return { providers, validation: this.getValidationMetrics() };
+  }
+}
+
+// Parse and validate one answer, repairing it if it is close
+function checkSchema(schema, text) {
+  const parsed = parseJson(text);
+  if (parsed === null) return { data: null, errors: ['$ is not valid JSON'], repaired: false };
+
+  const errors = validate(schema, parsed);
+  if (errors.length === 0) return { data: parsed, errors, repaired: false };
+
+  const repaired = repair(schema, parsed);
+  return { data: repaired, errors: validate(schema, repaired), repaired: true };
+}
+
+// The follow-up request that tells the model what was wrong with its answer
+function correctionRequest(request, schema, previousAnswer, errors) {
+  const correction = [
+    'Your previous answer did not match the required JSON format:',
+    ...errors.slice(0, 10).map(error => `- ${error}`),
+    '',
+    `Previous answer (truncated): ${String(previousAnswer || '').slice(0, 1500)}`,
+    '',
+    'Reply again with only JSON that matches this JSON Schema:',
+    JSON.stringify(schema)
+  ].join('\n');
+
+  if (request.prompt) {
+    return { prompt: `${request.prompt}\n\n${correction}` };
+  }
+  return { messages: [...(request.messages || []), { role: 'user', content: correction }] };
+}
+
+function unusable(message) {
+  const error = new Error(message);
+  error.unusableOutput = true;
+  return error;
+}
+
+const aiProviderRegistry = new AIProviderRegistry();
+module.exports = aiProviderRegistry;
@@ -0,0 +1,85 @@
+const { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } = require('@google/generative-ai');
+
+const SAFETY_SETTINGS = [
+  { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+  { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
+  { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
+  { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+];
+
+// Google Gemini. One API key; each configured model is a slot, tried in order,
+// so a model that is down or rate limited cools down on its own.
+class GeminiProvider {
+  constructor(name, { label, apiKeys, models, vision = true }) {
+    this.name = name;
+    this.label = label || name;
+    this.models = models;
+    this.supportsVision = vision;
+    this.supportsStreaming = true;
+    this.genAI = new GoogleGenerativeAI(apiKeys[0]);
+  }
+
+  get slotCount() {
+    return this.models.length;
+  }
+
+  describeSlot(slot) {
+    return `${this.label} (${this.models[slot].replace(/^models\//, '')})`;
+  }
+
+  getModel(slot, request) {
+    return this.genAI.getGenerativeModel({
+      model: this.models[slot],
+      safetySettings: SAFETY_SETTINGS,
+      ...(request.system && { systemInstruction: request.system }),
+      generationConfig: {
+        temperature: request.temperature ?? 0.2,
+        topK: 32,
+        topP: 1,
+        maxOutputTokens: request.maxTokens || 8192,
+        ...(request.json && { responseMimeType: 'application/json' })
+      }
+    });
+  }
+
+  buildContents({ messages = [], prompt, images = [] }) {
+    const contents = messages.map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }]
+    }));
+
+    if (prompt !== undefined) {
+      contents.push({
+        role: 'user',
+        parts: [
+          { text: prompt },
+          ...images.map(image => ({ inlineData: { data: image.data, mimeType: image.mimeType } }))
+        ]
+      });
+    }
+
+    return contents;
+  }
+
+  async complete(request, slot, { signal } = {}) {
+    const result = await this.getModel(slot, request).generateContent(
+      { contents: this.buildContents(request) },
+      { signal }
+    );
+    return result.response.text();
+  }
+
+  async stream(request, slot, { signal } = {}) {
+    const result = await this.getModel(slot, request).generateContentStream(
+      { contents: this.buildContents(request) },
+      { signal }
+    );
+    return (async function* () {
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+    })();
+  }
+}
+
+module.exports = GeminiProvider;
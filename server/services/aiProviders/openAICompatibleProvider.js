@@ -0,0 +1,73 @@
+const OpenAI = require('openai');
+
+// Any chat-completions API speaking the OpenAI protocol (NVIDIA, SambaNova).
+// Each API key is its own slot, so one rate-limited key can cool down while
+// the others keep serving.
+class OpenAICompatibleProvider {
+  constructor(name, { label, baseURL, model, apiKeys, vision = false, extraBody = {} }) {
+    this.name = name;
+    this.label = label || name;
+    this.model = model;
+    this.supportsVision = vision;
+    this.supportsStreaming = true;
+    this.extraBody = extraBody;
+    this.clients = apiKeys.map(apiKey => new OpenAI({ apiKey, baseURL }));
+  }
+
+  get slotCount() {
+    return this.clients.length;
+  }
+
+  describeSlot(slot) {
+    return this.clients.length > 1 ? `${this.label} key ${slot + 1}` : this.label;
+  }
+
+  buildMessages({ system, messages = [], prompt, images = [] }) {
+    const result = [];
+    if (system) result.push({ role: 'system', content: system });
+    result.push(...messages);
+
+    if (prompt !== undefined) {
+      result.push({
+        role: 'user',
+        content: images.length === 0 ? prompt : [
+          { type: 'text', text: prompt },
+          ...images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+          }))
+        ]
+      });
+    }
+
+    return result;
+  }
+
+  buildBody(request) {
+    return {
+      model: this.model,
+      messages: this.buildMessages(request),
+      ...(request.temperature !== undefined && { temperature: request.temperature }),
+      ...(request.maxTokens && { max_tokens: request.maxTokens }),
+      ...(request.json && { response_format: { type: 'json_object' } }),
+      ...this.extraBody
+    };
+  }
+
+  async complete(request, slot, { signal } = {}) {
+    const completion = await this.clients[slot].chat.completions.create(this.buildBody(request), { signal });
+    return completion.choices[0].message.content;
+  }
+
+  // Resolves once the stream is open; yields text deltas
+  async stream(request, slot, { signal } = {}) {
+    const stream = await this.clients[slot].chat.completions.create({ ...this.buildBody(request), stream: true }, { signal });
+    return (async function* () {
+      for await (const chunk of stream) {
+        yield chunk.choices?.[0]?.delta?.content || '';
+      }
+    })();
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
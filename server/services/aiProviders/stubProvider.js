@@ -0,0 +1,62 @@
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '../../data/aiStubFixtures.json');
+
+// Offline, deterministic stand-in for a real model. Answers come from a
+// fixture file: the first fixture whose task matches and whose `match`
+// substrings all appear in the request wins. Object responses are returned
+// as JSON text, exactly as a model in JSON mode would.
+class StubProvider {
+  constructor(name, { label, fixturesFile } = {}) {
+    this.name = name;
+    this.label = label || name;
+    this.supportsVision = true;
+    this.supportsStreaming = true;
+    this.fixturesFile = process.env.AI_STUB_FIXTURES || fixturesFile || DEFAULT_FIXTURES;
+    this.fixtures = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../..', this.fixturesFile), 'utf8')).fixtures;
+  }
+
+  get slotCount() {
+    return 1;
+  }
+
+  describeSlot() {
+    return this.label;
+  }
+
+  requestText({ system = '', messages = [], prompt = '' }) {
+    return [system, ...messages.map(message => message.content), prompt].join('\n').toLowerCase();
+  }
+
+  findFixture(request) {
+    const text = this.requestText(request);
+    const fits = (fixture) => {
+      const needles = [].concat(fixture.match || []);
+      return needles.every(needle => text.includes(needle.toLowerCase()));
+    };
+
+    return this.fixtures.find(fixture => fixture.task === request.task && fits(fixture))
+      || this.fixtures.find(fixture => fixture.task === '*' && fits(fixture));
+  }
+
+  async complete(request) {
+    const fixture = this.findFixture(request);
+    if (!fixture) {
+      throw new Error(`No stub fixture for task "${request.task}"`);
+    }
+    return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+  }
+
+  // Replays the fixture a word at a time so streaming consumers see several chunks
+  async stream(request) {
+    const text = await this.complete(request);
+    return (async function* () {
+      for (const piece of text.split(/(?<=\s)/)) {
+        yield piece;
+      }
+    })();
+  }
+}
+
+module.exports = StubProvider;
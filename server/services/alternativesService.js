@@ -0,0 +1,384 @@
+const path = require('path');
+const fs = require('fs-extra');
+const medicineService = require('./medicineService');
+const comprehensiveMedicineService = require('./comprehensiveMedicineService');
+
+const DATA_PATH = path.join(__dirname, '../data/genericAlternatives.json');
+const RXNORM_CACHE_TTL = 24 * 60 * 60 * 1000;
+const RXNORM_CACHE_MAX = 200;
+const TYPE_ORDER = { jan_aushadhi: 0, generic: 1, brand: 2 };
+
+// "0.5 g" -> "500mg", "125 MG/5 ML" -> "125mg/5ml"; null when there is no strength
+function parseStrength(text) {
+  const match = String(text || '').match(/([\d.]+)\s*(mg|mcg|µg|g|iu|unt|%)\b(?:\s*(?:\/|per|in)\s*([\d.]*)\s*(ml|g)\b)?/i);
+  if (!match) return null;
+
+  let value = parseFloat(match[1]);
+  let unit = match[2].toLowerCase();
+  if (unit === 'g') { value *= 1000; unit = 'mg'; }
+  if (unit === 'mcg' || unit === 'µg') { value /= 1000; unit = 'mg'; }
+  if (unit === 'unt') unit = 'iu';
+
+  const perAmount = match[4] ? `/${match[3] || ''}${match[4].toLowerCase()}` : '';
+  return `${parseFloat(value.toFixed(4))}${unit}${perAmount}`;
+}
+
+// Release profile changes how a medicine acts, so "tablet" and "tablet-er"
+// are different forms; coatings (film, gastro-resistant) are not
+function normalizeForm(text) {
+  const form = String(text || '').toLowerCase();
+  let base = 'tablet';
+  if (/capsule/.test(form)) base = 'capsule';
+  else if (/syrup|suspension|solution|elixir|oral liquid/.test(form)) base = 'oral-liquid';
+  else if (/injection|injectable|vial/.test(form)) base = 'injection';
+  else if (/cream|ointment|gel/.test(form)) base = 'topical';
+  else if (/drop/.test(form)) base = 'drops';
+  else if (/inhal/.test(form)) base = 'inhaler';
+
+  if (/extended|prolonged|sustained|controlled|modified|\b(sr|er|xr|cr|xl)\b|\d+ hr\b/.test(form)) return `${base}-er`;
+  if (/chewable/.test(form)) return `${base}-chewable`;
+  if (/dispersible|\bdt\b/.test(form)) return `${base}-dispersible`;
+  return base;
+}
+
+// Ingredients with the same salt and strength, and the same form, are
+// therapeutically equivalent
+const compositionKey = (ingredients, form) => `${ingredients
+  .map(ingredient => `${ingredient.name} ${ingredient.strength}`)
+  .sort()
+  .join(' + ')} | ${form}`;
+
+// "500mg + 125mg"
+const strengthLabel = (composition) => composition.ingredients.map(ingredient => ingredient.strength).join(' + ');
+
+// Finds medicines with the same salt composition (active ingredients,
+// strengths and dosage form) and ranks them by price per unit. The index
+// covers the local medicine tables; RxNorm concepts related to a query are
+// merged in per request from a bounded cache.
+class AlternativesService {
+  constructor() {
+    this.synonyms = {};
+    this.index = new Map();
+    this.ingredientNames = new Set();
+    this.rxnormCache = new Map();
+    this.loadIndex();
+    console.log(`💊 Alternatives service initialized (${this.index.size} salt compositions)`);
+  }
+
+  loadIndex() {
+    try {
+      const { synonyms, products } = fs.readJsonSync(DATA_PATH);
+      this.synonyms = synonyms || {};
+      (products || []).forEach(product => this.addEntry({
+        name: product.name,
+        manufacturer: product.manufacturer,
+        type: product.type,
+        ingredients: product.ingredients,
+        dosageForm: product.dosageForm,
+        packSize: product.packSize,
+        packUnit: product.packUnit,
+        mrp: product.mrp,
+        source: 'local'
+      }));
+    } catch (error) {
+      console.error('❌ Failed to load generic alternatives data:', error.message);
+    }
+  }
+
+  // "Metformin Hydrochloride IP" -> "metformin"
+  normalizeIngredient(name) {
+    const clean = String(name || '')
+      .toLowerCase()
+      .replace(/\b(ip|bp|usp)\b/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return this.synonyms[clean] || clean;
+  }
+
+  // { ingredients: [{ name, strength }], form, key } or null when incomplete
+  normalizeComposition(ingredients, dosageForm) {
+    const normalized = (ingredients || []).map(ingredient => ({
+      name: this.normalizeIngredient(ingredient.name),
+      strength: parseStrength(ingredient.strength)
+    }));
+    if (normalized.length === 0 || normalized.some(ingredient => !ingredient.name || !ingredient.strength)) return null;
+
+    const form = normalizeForm(dosageForm);
+    return { ingredients: normalized, form, key: compositionKey(normalized, form) };
+  }
+
+  makeEntry(entry) {
+    const composition = this.normalizeComposition(entry.ingredients, entry.dosageForm);
+    if (!composition) return null;
+
+    return {
+      ...entry,
+      composition,
+      pricePerUnit: entry.mrp && entry.packSize ? Math.round((entry.mrp / entry.packSize) * 100) / 100 : null
+    };
+  }
+
+  addEntry(entry) {
+    const indexed = this.makeEntry(entry);
+    if (!indexed) return null;
+
+    const { key, ingredients } = indexed.composition;
+    if (!this.index.has(key)) this.index.set(key, []);
+    const entries = this.index.get(key);
+    const duplicate = entries.find(existing => existing.name.toLowerCase() === entry.name.toLowerCase());
+    if (duplicate) return duplicate;
+
+    entries.push(indexed);
+    ingredients.forEach(ingredient => this.ingredientNames.add(ingredient.name));
+    return indexed;
+  }
+
+  // The medicine tables are loaded asynchronously by medicineService
+  indexLocalMedicines() {
+    if (this.localIndexed || !medicineService.localDB?.length) return;
+    medicineService.localDB.forEach(medicine => this.addEntry({
+      name: medicine.brandName || medicine.genericName,
+      manufacturer: medicine.manufacturer,
+      type: medicine.brandName ? 'brand' : 'generic',
+      ingredients: [{ name: medicine.activeIngredient || medicine.genericName, strength: medicine.strength }],
+      dosageForm: medicine.dosageForm,
+      source: 'local'
+    }));
+    this.localIndexed = true;
+  }
+
+  // Entries named exactly as the query, or else starting with it
+  // ("Crocin" -> "Crocin Advance", "Crocin 650 Advance")
+  findByName(query) {
+    const wanted = query.toLowerCase().replace(/\s+/g, ' ').trim();
+    const exact = [];
+    const partial = [];
+    for (const entries of this.index.values()) {
+      for (const entry of entries) {
+        const name = entry.name.toLowerCase();
+        if (name === wanted) exact.push(entry);
+        else if (name.startsWith(`${wanted} `) || wanted.startsWith(`${name} `)) partial.push(entry);
+      }
+    }
+    return exact.length > 0 ? exact : partial;
+  }
+
+  // Narrow matches to a single composition using the chosen strength and
+  // form. Null while they still differ, so the caller can offer strengths.
+  pickMatch(matches, strength, form) {
+    let candidates = matches;
+    if (strength) {
+      const wanted = parseStrength(strength);
+      candidates = candidates.filter(entry => strengthLabel(entry.composition) === strength
+        || entry.composition.ingredients.some(ingredient => ingredient.strength === wanted));
+    }
+    if (form) {
+      candidates = candidates.filter(entry => entry.composition.form === normalizeForm(form));
+    }
+    if (candidates.length === 0) return null;
+
+    if (new Set(candidates.map(entry => entry.composition.key)).size === 1) return candidates[0];
+
+    // One strength in several release forms: the plain form unless one was chosen
+    if (new Set(candidates.map(entry => strengthLabel(entry.composition))).size === 1) {
+      return candidates.find(entry => !entry.composition.form.includes('-')) || candidates[0];
+    }
+    return null;
+  }
+
+  // "paracetamol 650 mg", optionally with the strength and form given separately
+  parseComposition(query, strength, form) {
+    const name = this.normalizeIngredient(query.split(/\d/)[0].replace(/\b(tablets?|capsules?|syrup)\b/gi, ''));
+    if (!this.ingredientNames.has(name)) return null;
+
+    // "metformin 500" means milligrams
+    const bareNumber = (query.match(/\d+(?:\.\d+)?/) || [])[0];
+    const strengthText = strength || (parseStrength(query) ? query : bareNumber && `${bareNumber}mg`);
+
+    return this.normalizeComposition(
+      [{ name, strength: strengthText }],
+      form || (/capsule|syrup|suspension|extended|prolonged|\b(sr|er|xr|cr)\b|chewable/i.test(query) ? query : 'tablet')
+    ) || { ingredients: [{ name, strength: null }], form: null, key: null };
+  }
+
+  // Parse an RxNorm clinical or branded drug name such as
+  // "amoxicillin 500 MG / clavulanate 125 MG Oral Tablet [Augmentin]"
+  parseRxNormName(conceptName) {
+    const text = conceptName.replace(/^\d+\s*HR\s+/i, '');
+    const brand = (text.match(/\[([^\]]+)\]/) || [])[1] || null;
+    const body = text.replace(/\[[^\]]+\]/, '').trim();
+
+    const ingredients = [];
+    const pattern = /([a-z][a-z ,-]*?)\s+([\d.]+\s*(?:MG|MCG|UNT)(?:\/ML)?)/gi;
+    let match;
+    let lastIndex = 0;
+    while ((match = pattern.exec(body)) !== null) {
+      ingredients.push({ name: match[1].replace(/^[\s/]+/, ''), strength: match[2] });
+      lastIndex = pattern.lastIndex;
+    }
+    if (ingredients.length === 0) return null;
+
+    // The hour prefix ("24 HR") marks an extended-release product
+    const formText = body.slice(lastIndex).trim();
+    const isExtended = /^\d+\s*HR\s+/i.test(conceptName) && !/release/i.test(formText);
+    return { brand, ingredients, dosageForm: isExtended ? `Extended Release ${formText}` : formText };
+  }
+
+  // Clinical (SCD) and branded (SBD) drugs related to a name. They are kept
+  // in a bounded TTL cache rather than the index, so free-text queries
+  // cannot grow memory.
+  async getRxNormEntries(query) {
+    const cacheKey = query.toLowerCase().replace(/\s+/g, ' ').trim();
+    const cached = this.rxnormCache.get(cacheKey);
+    if (cached && Date.now() - cached.at < RXNORM_CACHE_TTL) return cached.entries;
+
+    let concepts = [];
+    try {
+      const rxcui = await comprehensiveMedicineService.findRxCui(query);
+      if (rxcui) {
+        const related = await comprehensiveMedicineService.getRxNormRelated(rxcui);
+        concepts = (related?.conceptGroup || [])
+          .filter(group => group.tty === 'SCD' || group.tty === 'SBD')
+          .flatMap(group => (group.conceptProperties || []).map(concept => ({ ...concept, tty: group.tty })));
+      }
+    } catch (error) {
+      console.warn(`RxNorm lookup failed for "${query}":`, error.message);
+    }
+
+    const entries = this.parseRxNormConcepts(concepts);
+
+    // Maps iterate in insertion order, so the first key is the oldest lookup
+    this.rxnormCache.delete(cacheKey);
+    this.rxnormCache.set(cacheKey, { at: Date.now(), entries });
+    while (this.rxnormCache.size > RXNORM_CACHE_MAX) {
+      this.rxnormCache.delete(this.rxnormCache.keys().next().value);
+    }
+
+    return entries;
+  }
+
+  parseRxNormConcepts(concepts) {
+    const seen = new Set();
+    return concepts
+      .map(concept => {
+        const parsed = this.parseRxNormName(concept.name);
+        if (!parsed) return null;
+        return this.makeEntry({
+          name: parsed.brand ? `${parsed.brand} (${concept.name.replace(/\s*\[[^\]]+\]/, '')})` : concept.name,
+          type: concept.tty === 'SBD' ? 'brand' : 'generic',
+          ingredients: parsed.ingredients,
+          dosageForm: parsed.dosageForm,
+          rxcui: concept.rxcui,
+          source: 'rxnorm'
+        });
+      })
+      .filter(entry => {
+        if (!entry || seen.has(entry.name.toLowerCase())) return false;
+        seen.add(entry.name.toLowerCase());
+        return true;
+      });
+  }
+
+  /**
+   * Equivalent medicines for a brand, generic or salt name.
+   * @param {string} query - e.g. "Dolo 650", "paracetamol 650mg", "Tylenol"
+   * @param {Object} options - `strength` and `form` narrow a salt name or an ambiguous brand
+   * @returns {Object} { success, data: { query, composition, selected, alternatives, strengths } }
+   */
+  async findAlternatives(query, { strength = null, form = null } = {}) {
+    try {
+      this.indexLocalMedicines();
+
+      // A salt name ("paracetamol 650") takes precedence over partial product names
+      let composition = this.parseComposition(query, strength, form);
+      let selected = null;
+      const nameMatches = composition ? [] : this.findByName(query);
+      if (nameMatches.length > 0) {
+        selected = this.pickMatch(nameMatches, strength, form);
+        composition = selected?.composition || null;
+      }
+
+      // Unknown locally: let RxNorm say what the medicine contains
+      const rxnormEntries = await this.getRxNormEntries(query);
+      if (!composition?.key && nameMatches.length === 0 && rxnormEntries.length > 0) {
+        const match = this.pickMatch(rxnormEntries, strength, form);
+        if (match) {
+          composition = match.composition;
+          selected = rxnormEntries.find(entry => entry.composition.key === match.composition.key && entry.type === 'brand') || null;
+        }
+      }
+
+      // A salt name without a strength, or a brand sold in several strengths:
+      // offer the strengths we know
+      if (!composition?.key) {
+        let strengths;
+        if (nameMatches.length > 0) {
+          strengths = [...new Set(nameMatches.map(entry => strengthLabel(entry.composition)))];
+        } else {
+          const names = composition?.ingredients?.map(ingredient => ingredient.name)
+            || [...new Set(rxnormEntries.flatMap(entry => entry.composition.ingredients.map(ingredient => ingredient.name)))];
+          strengths = [...new Set([...this.index.values()]
+            .flat()
+            .concat(rxnormEntries)
+            .filter(entry => entry.composition.ingredients.length === 1 && names.includes(entry.composition.ingredients[0].name))
+            .map(entry => entry.composition.ingredients[0].strength))];
+        }
+
+        if (strengths.length === 0) {
+          return { success: false, message: `No salt composition found for "${query}"` };
+        }
+        return {
+          success: true,
+          data: { query, composition: null, selected: null, alternatives: [], strengths }
+        };
+      }
+
+      const localEntries = this.index.get(composition.key) || [];
+      const localNames = new Set(localEntries.map(entry => entry.name.toLowerCase()));
+      const equivalents = localEntries.concat(rxnormEntries.filter(entry => entry.composition.key === composition.key
+        && !localNames.has(entry.name.toLowerCase())));
+
+      const reference = selected?.pricePerUnit ?? null;
+      const alternatives = equivalents
+        .map(entry => ({
+          name: entry.name,
+          manufacturer: entry.manufacturer || null,
+          type: entry.type,
+          source: entry.source,
+          rxcui: entry.rxcui || null,
+          dosageForm: entry.dosageForm,
+          packSize: entry.packSize || null,
+          packUnit: entry.packUnit || null,
+          mrp: entry.mrp || null,
+          pricePerUnit: entry.pricePerUnit,
+          savingsPercent: reference && entry.pricePerUnit !== null
+            ? Math.round(((reference - entry.pricePerUnit) / reference) * 100)
+            : null,
+          isSelected: entry === selected
+        }))
+        .sort((a, b) => {
+          if (a.pricePerUnit === null || b.pricePerUnit === null) {
+            return (a.pricePerUnit === null) - (b.pricePerUnit === null) || TYPE_ORDER[a.type] - TYPE_ORDER[b.type];
+          }
+          return a.pricePerUnit - b.pricePerUnit;
+        });
+
+      return {
+        success: true,
+        data: {
+          query,
+          composition: { ingredients: composition.ingredients, form: composition.form },
+          selected: selected ? { name: selected.name, pricePerUnit: selected.pricePerUnit } : null,
+          alternatives,
+          strengths: []
+        }
+      };
+    } catch (error) {
+      console.error('Find alternatives error:', error);
+      return { success: false, message: 'Failed to find alternatives' };
+    }
+  }
+}
+
+const alternativesService = new AlternativesService();
+module.exports = alternativesService;
@@ -1,5 +1,6 @@
 const { User, Reminder, HealthMetrics, Report } = require('../models');
 const mongoose = require('mongoose');
+const labTestCatalogService = require('./labTestCatalogService');
 
 class AnalyticsService {
   constructor() {
@@ -179,7 +180,7 @@ class AnalyticsService {
       const healthMetrics = await HealthMetrics.find({
         userId: new mongoose.Types.ObjectId(userId),
         createdAt: { $gte: dateRange.start, $lte: dateRange.end }
-      }).sort({ createdAt: 1 });
+      }).sort({ createdAt: 1 }).lean();
 
       if (healthMetrics.length === 0) {
         return {
@@ -197,10 +198,16 @@ class AnalyticsService {
       const abnormalTrends = [];
 
       healthMetrics.forEach(report => {
-        report.metrics.forEach(metric => {
-          if (!metricTrends.has(metric.name)) {
-            metricTrends.set(metric.name, {
+        (report.metrics || []).forEach(storedMetric => {
+          // Reports analysed before the lab test catalogue existed are normalised on the fly
+          const metric = storedMetric.testCode ? storedMetric : labTestCatalogService.normalizeMetric(storedMetric);
+          const key = metric.testCode || metric.name;
+
+          if (!metricTrends.has(key)) {
+            metricTrends.set(key, {
               name: metric.name,
+              testCode: metric.testCode || null,
+              loinc: metric.loinc || null,
               unit: metric.unit,
               category: metric.category,
               normalRange: metric.normalRange,
@@ -208,7 +215,7 @@ class AnalyticsService {
             });
           }
 
-          const trend = metricTrends.get(metric.name);
+          const trend = metricTrends.get(key);
           trend.values.push({
             value: metric.value,
             date: report.createdAt,
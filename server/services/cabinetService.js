@@ -0,0 +1,398 @@
+const { User, Reminder, CabinetItem } = require('../models');
+const pushNotificationService = require('./pushNotificationService');
+const reminderService = require('./reminderService');
+const scannerService = require('./scannerService');
+const { parseBarcode } = require('../utils/gs1');
+const { toDateKey } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days before expiry to notify; 0 is the day the pack expires
+const EXPIRY_ALERT_DAYS = [30, 7, 0];
+const EXPIRING_SOON_DAYS = 30;
+const FILTERS = ['all', 'expired', 'expiring', 'in_use'];
+const EDITABLE_FIELDS = ['name', 'genericName', 'strength', 'dosageForm', 'manufacturer', 'batch', 'unit', 'status', 'notes'];
+
+// "YYYY-MM-DD" (or anything Date can read) to UTC midnight of that day
+function parseExpiryDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Medicines the user keeps at home: pack quantity and expiry, which
+// reminders they supply, and notices 30, 7 and 0 days before they expire
+class CabinetService {
+  constructor() {
+    console.log('🗄️ Cabinet service initialized');
+  }
+
+  // Whole days from the user's today to the expiry date; negative once expired
+  getDaysUntilExpiry(item, timezone, now = new Date()) {
+    if (!item.expiryDate) return null;
+    const today = Date.parse(toDateKey(now, timezone));
+    return Math.round((new Date(item.expiryDate).getTime() - today) / DAY_MS);
+  }
+
+  describeItem(item, activeReminderIds, timezone, now = new Date()) {
+    const daysUntilExpiry = this.getDaysUntilExpiry(item, timezone, now);
+    let expiryStatus = 'unknown';
+    if (daysUntilExpiry !== null) {
+      if (daysUntilExpiry < 0) expiryStatus = 'expired';
+      else if (daysUntilExpiry <= EXPIRING_SOON_DAYS) expiryStatus = 'expiring';
+      else expiryStatus = 'ok';
+    }
+
+    return {
+      ...item,
+      daysUntilExpiry,
+      expiryStatus,
+      inUse: (item.reminderIds || []).some(reminder => activeReminderIds.has((reminder._id || reminder).toString()))
+    };
+  }
+
+  async listItems(userId, { filter = 'all', includeFinished = false } = {}) {
+    try {
+      if (!FILTERS.includes(filter)) {
+        return { success: false, message: `filter must be one of: ${FILTERS.join(', ')}` };
+      }
+
+      const query = { userId };
+      if (!includeFinished) query.status = 'active';
+
+      const [items, reminders, timezone] = await Promise.all([
+        CabinetItem.find(query)
+          .populate('reminderIds', 'medicineName dosage isActive')
+          .sort({ expiryDate: 1, createdAt: -1 })
+          .lean(),
+        Reminder.find({ userId, isActive: true }).select('_id').lean(),
+        reminderService.getUserTimezone(userId)
+      ]);
+
+      const activeReminderIds = new Set(reminders.map(reminder => reminder._id.toString()));
+      const now = new Date();
+      const all = items.map(item => this.describeItem(item, activeReminderIds, timezone, now));
+      const matches = {
+        all: () => true,
+        expired: item => item.expiryStatus === 'expired',
+        expiring: item => item.expiryStatus === 'expiring',
+        in_use: item => item.inUse
+      };
+
+      return {
+        success: true,
+        data: {
+          items: all.filter(matches[filter]),
+          counts: {
+            all: all.length,
+            expired: all.filter(matches.expired).length,
+            expiring: all.filter(matches.expiring).length,
+            in_use: all.filter(matches.in_use).length
+          }
+        }
+      };
+    } catch (error) {
+      console.error('List cabinet items error:', error);
+      return { success: false, message: 'Failed to load medicine cabinet' };
+    }
+  }
+
+  // Manual entry
+  async addItem(userId, data) {
+    try {
+      if (!data.name || !String(data.name).trim()) {
+        return { success: false, message: 'Medicine name is required' };
+      }
+
+      const expiryDate = parseExpiryDate(data.expiryDate);
+      if (expiryDate === undefined) {
+        return { success: false, message: 'expiryDate must be a valid date' };
+      }
+
+      const quantity = data.quantity === undefined || data.quantity === '' ? 0 : Number(data.quantity);
+      if (!Number.isFinite(quantity) || quantity < 0) {
+        return { success: false, message: 'quantity must be a non-negative number' };
+      }
+
+      const item = await CabinetItem.create({
+        userId,
+        name: data.name,
+        genericName: data.genericName,
+        strength: data.strength,
+        dosageForm: data.dosageForm,
+        manufacturer: data.manufacturer,
+        batch: data.batch,
+        expiryDate,
+        quantity,
+        unit: data.unit || undefined,
+        source: 'manual',
+        reminderIds: await this.findMatchingReminders(userId, data.name, data.reminderIds),
+        notes: data.notes
+      });
+
+      console.log(`🗄️ Cabinet item ${item._id} added for user ${userId}: ${item.name}`);
+
+      return { success: true, data: item, message: 'Added to medicine cabinet' };
+    } catch (error) {
+      console.error('Add cabinet item error:', error);
+      return { success: false, message: 'Failed to add medicine' };
+    }
+  }
+
+  // Add the pack a barcode or DataMatrix code was scanned from. GTIN, batch,
+  // expiry and serial come from decoding the code itself; the name comes from
+  // the local medicine database, or from the client when only AI knew it.
+  async addFromScan(userId, { barcode, name, quantity, unit }) {
+    try {
+      const parsed = parseBarcode(barcode);
+      if (parsed.format === 'unknown' || parsed.errors.length > 0) {
+        return { success: false, message: 'Barcode could not be read reliably. Please scan it again.' };
+      }
+
+      if (parsed.serial) {
+        const existing = await CabinetItem.findOne({ userId, gtin: parsed.gtin, serial: parsed.serial, status: 'active' });
+        if (existing) {
+          return { success: false, message: 'This pack is already in your medicine cabinet' };
+        }
+      }
+
+      const match = await scannerService.findMedicineByCode(parsed);
+      const info = match?.medicineInfo;
+      const medicineName = info?.medicineName?.primaryName || (name && String(name).trim());
+      if (!medicineName) {
+        return { success: false, message: 'Medicine name is required for a pack that is not in the medicine database' };
+      }
+
+      const amount = quantity === undefined || quantity === '' ? 0 : Number(quantity);
+      if (!Number.isFinite(amount) || amount < 0) {
+        return { success: false, message: 'quantity must be a non-negative number' };
+      }
+
+      const item = await CabinetItem.create({
+        userId,
+        medicineId: match?.medicine?.id,
+        name: medicineName,
+        genericName: info?.medicineName?.genericName || undefined,
+        strength: info?.dosageInformation?.strength,
+        dosageForm: info?.dosageInformation?.form,
+        manufacturer: info?.barcodeInfo?.manufacturer || undefined,
+        gtin: parsed.gtin || undefined,
+        ndc: parsed.ndc || undefined,
+        batch: parsed.batch || undefined,
+        serial: parsed.serial || undefined,
+        expiryDate: parseExpiryDate(parsed.expiry) || undefined,
+        quantity: amount,
+        unit: unit || undefined,
+        source: 'scan',
+        scanCode: parsed.raw,
+        reminderIds: await this.findMatchingReminders(userId, medicineName)
+      });
+
+      console.log(`🗄️ Cabinet item ${item._id} added from ${parsed.format} scan for user ${userId}: ${item.name}`);
+
+      return { success: true, data: item, message: 'Added to medicine cabinet' };
+    } catch (error) {
+      console.error('Add scanned cabinet item error:', error);
+      return { success: false, message: 'Failed to add medicine' };
+    }
+  }
+
+  // The user's own reminders among `reminderIds`, or when none are given,
+  // their active reminders for a medicine of the same name
+  async findMatchingReminders(userId, name, reminderIds = null) {
+    if (Array.isArray(reminderIds) && reminderIds.length > 0) {
+      return Reminder.find({ _id: { $in: reminderIds }, userId }).distinct('_id');
+    }
+
+    const reminders = await Reminder.find({ userId, isActive: true }).select('medicineName').lean();
+    const wanted = String(name || '').trim().toLowerCase();
+    return reminders
+      .filter(reminder => reminder.medicineName.trim().toLowerCase() === wanted)
+      .map(reminder => reminder._id);
+  }
+
+  async updateItem(userId, itemId, updates) {
+    try {
+      const item = await CabinetItem.findOne({ _id: itemId, userId });
+      if (!item) {
+        return { success: false, message: 'Cabinet item not found' };
+      }
+
+      for (const field of EDITABLE_FIELDS) {
+        if (updates[field] !== undefined) item[field] = updates[field];
+      }
+
+      if (updates.quantity !== undefined) {
+        const quantity = Number(updates.quantity);
+        if (!Number.isFinite(quantity) || quantity < 0) {
+          return { success: false, message: 'quantity must be a non-negative number' };
+        }
+        item.quantity = quantity;
+      }
+
+      if (updates.expiryDate !== undefined) {
+        const expiryDate = parseExpiryDate(updates.expiryDate);
+        if (expiryDate === undefined) {
+          return { success: false, message: 'expiryDate must be a valid date' };
+        }
+        // A new date starts the 30/7/0-day notices over
+        if (String(expiryDate) !== String(item.expiryDate)) item.expiryAlertsSent = [];
+        item.expiryDate = expiryDate || undefined;
+      }
+
+      await item.save();
+
+      return { success: true, data: item, message: 'Cabinet item updated' };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return { success: false, message: error.message };
+      }
+      console.error('Update cabinet item error:', error);
+      return { success: false, message: 'Failed to update cabinet item' };
+    }
+  }
+
+  async deleteItem(userId, itemId) {
+    try {
+      const item = await CabinetItem.findOneAndDelete({ _id: itemId, userId });
+      if (!item) {
+        return { success: false, message: 'Cabinet item not found' };
+      }
+
+      return { success: true, message: 'Removed from medicine cabinet' };
+    } catch (error) {
+      console.error('Delete cabinet item error:', error);
+      return { success: false, message: 'Failed to remove cabinet item' };
+    }
+  }
+
+  async linkReminder(userId, itemId, reminderId) {
+    try {
+      const reminder = await Reminder.exists({ _id: reminderId, userId });
+      if (!reminder) {
+        return { success: false, message: 'Reminder not found' };
+      }
+
+      const item = await CabinetItem.findOneAndUpdate(
+        { _id: itemId, userId },
+        { $addToSet: { reminderIds: reminder._id } },
+        { new: true }
+      ).populate('reminderIds', 'medicineName dosage isActive');
+      if (!item) {
+        return { success: false, message: 'Cabinet item not found' };
+      }
+
+      return { success: true, data: item, message: 'Reminder linked' };
+    } catch (error) {
+      console.error('Link cabinet reminder error:', error);
+      return { success: false, message: 'Failed to link reminder' };
+    }
+  }
+
+  async unlinkReminder(userId, itemId, reminderId) {
+    try {
+      const item = await CabinetItem.findOneAndUpdate(
+        { _id: itemId, userId },
+        { $pull: { reminderIds: reminderId } },
+        { new: true }
+      ).populate('reminderIds', 'medicineName dosage isActive');
+      if (!item) {
+        return { success: false, message: 'Cabinet item not found' };
+      }
+
+      return { success: true, data: item, message: 'Reminder unlinked' };
+    } catch (error) {
+      console.error('Unlink cabinet reminder error:', error);
+      return { success: false, message: 'Failed to unlink reminder' };
+    }
+  }
+
+  // Notify once per threshold as packs reach 30, 7 and 0 days before expiry.
+  // A pack first seen inside a window only gets the most urgent notice due.
+  async checkExpiries(now = new Date()) {
+    try {
+      const horizon = new Date(now.getTime() + (EXPIRY_ALERT_DAYS[0] + 1) * DAY_MS);
+      const items = await CabinetItem.find({
+        status: 'active',
+        expiryDate: { $lte: horizon },
+        expiryAlertsSent: { $ne: 0 }
+      });
+
+      const timezones = new Map();
+      const optedOut = new Map();
+      let sentCount = 0;
+
+      for (const item of items) {
+        const userKey = item.userId.toString();
+        if (!timezones.has(userKey)) {
+          const account = await User.findAccountHolder(item.userId, 'preferences.notifications');
+          optedOut.set(userKey, account?.preferences?.notifications?.reminders === false);
+          timezones.set(userKey, await reminderService.getUserTimezone(item.userId));
+        }
+        if (optedOut.get(userKey)) continue;
+
+        const daysLeft = this.getDaysUntilExpiry(item, timezones.get(userKey), now);
+        // Expired packs still get the day-0 notice if it was never sent
+        const due = EXPIRY_ALERT_DAYS.filter(days => Math.max(daysLeft, 0) <= days && !item.expiryAlertsSent.includes(days));
+        if (due.length === 0) continue;
+
+        // Nothing to warn about for a pack that was already expired when added
+        if (item.createdAt > item.expiryDate.getTime() + DAY_MS) {
+          item.expiryAlertsSent = EXPIRY_ALERT_DAYS;
+          await item.save();
+          continue;
+        }
+
+        await this.notifyExpiry(item, daysLeft);
+        item.expiryAlertsSent = [...new Set([...item.expiryAlertsSent, ...due])];
+        await item.save();
+        sentCount++;
+      }
+
+      if (sentCount > 0) {
+        console.log(`🗄️ Sent ${sentCount} medicine cabinet expiry notice(s)`);
+      }
+
+      return sentCount;
+    } catch (error) {
+      console.error('Cabinet expiry check error:', error);
+      return 0;
+    }
+  }
+
+  async notifyExpiry(item, daysLeft) {
+    let title;
+    let when;
+    if (daysLeft < 0) {
+      title = '⚠️ Medicine expired';
+      when = `expired ${-daysLeft} day${daysLeft === -1 ? '' : 's'} ago`;
+    } else if (daysLeft === 0) {
+      title = '⚠️ Medicine expires today';
+      when = 'expires today';
+    } else {
+      title = '🗄️ Medicine expiring soon';
+      when = `expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+    }
+
+    const batch = item.batch ? ` (batch ${item.batch})` : '';
+    const advice = daysLeft <= 0 ? 'Do not use it; dispose of it safely.' : 'Use it first or plan a replacement.';
+
+    const result = await pushNotificationService.sendToUser(item.userId, {
+      type: 'cabinet_expiry',
+      title,
+      body: `${item.name}${batch} ${when}. ${advice}`,
+      tag: `cabinet-expiry-${item._id}`,
+      requireInteraction: daysLeft <= 0,
+      data: {
+        url: '/cabinet?filter=' + (daysLeft < 0 ? 'expired' : 'expiring'),
+        cabinetItemId: item._id,
+        expiryDate: item.expiryDate
+      }
+    });
+
+    console.log(`🗄️ Expiry notice for ${item.name} (${daysLeft} day(s) left): ${result.success ? 'sent' : result.message}`);
+  }
+}
+
+const cabinetService = new CabinetService();
+module.exports = cabinetService;
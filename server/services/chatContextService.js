@@ -0,0 +1,178 @@
+const { User, Reminder, HealthMetrics } = require('../models');
+
+// Categories the user can choose to share with the assistant, and the
+// context fields each one contributes
+const CONTEXT_CATEGORIES = {
+  profile: ['age', 'gender'],
+  conditions: ['chronicConditions'],
+  allergies: ['allergies'],
+  medications: ['currentMedications'],
+  healthMetrics: ['abnormalMetrics']
+};
+const MAX_ABNORMAL_METRICS = 8;
+const FREQUENCY_LABELS = {
+  once: 'once daily',
+  twice: 'twice daily',
+  thrice: 'three times daily',
+  four_times: 'four times daily'
+};
+
+// Assembles the personal context sent to the AI assistant from the user's
+// real profile, active reminders and latest lab results, honouring the
+// categories the user has chosen to share.
+class ChatContextService {
+  constructor() {
+    console.log('🧠 Chat context service initialized');
+  }
+
+  // Sharing preferences with defaults filled in (everything shared)
+  getPreferences(user) {
+    const saved = user?.preferences?.chatContext || {};
+    return Object.keys(CONTEXT_CATEGORIES).reduce((preferences, category) => {
+      preferences[category] = saved[category] !== false;
+      return preferences;
+    }, {});
+  }
+
+  async updatePreferences(userId, updates = {}) {
+    const $set = {};
+    Object.keys(CONTEXT_CATEGORIES).forEach(category => {
+      if (typeof updates[category] === 'boolean') {
+        $set[`preferences.chatContext.${category}`] = updates[category];
+      }
+    });
+
+    if (Object.keys($set).length === 0) {
+      throw new Error('No valid context categories provided');
+    }
+
+    const user = await User.findByIdAndUpdate(userId, { $set }, { new: true }).select('preferences');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return this.getPreferences(user);
+  }
+
+  // Build the assistant context for a user.
+  // Returns { context, fieldsUsed, preferences }; fieldsUsed lists only fields that had data.
+  async buildUserContext(user, now = new Date()) {
+    if (!user) {
+      return { context: {}, fieldsUsed: [], preferences: null };
+    }
+
+    const preferences = this.getPreferences(user);
+    const context = { userId: user._id, name: user.name };
+
+    if (preferences.profile) {
+      context.age = this.getAge(user.dateOfBirth, now);
+      context.gender = user.gender;
+    }
+
+    if (preferences.conditions) {
+      context.chronicConditions = user.chronicConditions || [];
+    }
+
+    if (preferences.allergies) {
+      context.allergies = user.allergies || [];
+    }
+
+    // Lookups are best effort: a missing collection must not break the chat
+    const [medications, abnormalMetrics] = await Promise.all([
+      preferences.medications ? this.getCurrentMedications(user._id, now).catch(error => {
+        console.error('Error loading medications for chat context:', error.message);
+        return [];
+      }) : null,
+      preferences.healthMetrics ? this.getAbnormalMetrics(user._id).catch(error => {
+        console.error('Error loading health metrics for chat context:', error.message);
+        return null;
+      }) : null
+    ]);
+
+    if (medications) context.currentMedications = medications;
+    if (abnormalMetrics) context.abnormalMetrics = abnormalMetrics;
+
+    const fieldsUsed = Object.values(CONTEXT_CATEGORIES).flat().filter(field => {
+      const value = field === 'abnormalMetrics' ? context.abnormalMetrics?.items : context[field];
+      return Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== '';
+    });
+
+    return { context, fieldsUsed, preferences };
+  }
+
+  // Whole years between dateOfBirth and now
+  getAge(dateOfBirth, now = new Date()) {
+    if (!dateOfBirth) return null;
+
+    const dob = new Date(dateOfBirth);
+    if (isNaN(dob.getTime()) || dob > now) return null;
+
+    const age = now.getUTCFullYear() - dob.getUTCFullYear();
+    const beforeBirthday = now.getUTCMonth() < dob.getUTCMonth() ||
+      (now.getUTCMonth() === dob.getUTCMonth() && now.getUTCDate() < dob.getUTCDate());
+
+    return beforeBirthday ? age - 1 : age;
+  }
+
+  // Active reminder medicines, e.g. "Metformin 500mg (twice daily)"
+  async getCurrentMedications(userId, now = new Date()) {
+    const reminders = await Reminder.find({
+      userId,
+      isActive: true,
+      $or: [
+        { endDate: { $exists: false } },
+        { endDate: null },
+        { endDate: { $gte: now } }
+      ]
+    })
+      .select('medicineName dosage frequency schedule.type')
+      .sort({ medicineName: 1 })
+      .lean();
+
+    return reminders.map(reminder => {
+      const details = reminder.schedule?.type === 'prn' ? 'as needed' : FREQUENCY_LABELS[reminder.frequency];
+      return `${reminder.medicineName}${reminder.dosage ? ` ${reminder.dosage}` : ''}${details ? ` (${details})` : ''}`;
+    });
+  }
+
+  // Out-of-range values from the most recent health metrics that had any
+  async getAbnormalMetrics(userId) {
+    const latest = await HealthMetrics.findOne({
+      userId,
+      $or: [
+        { 'abnormalFlags.0': { $exists: true } },
+        { 'metrics.isNormal': false }
+      ]
+    })
+      .sort({ testDate: -1 })
+      .select('testDate abnormalFlags metrics')
+      .lean();
+
+    if (!latest) return null;
+
+    const items = new Map();
+
+    (latest.abnormalFlags || []).forEach(flag => {
+      if (!flag.metric || flag.severity === 'normal') return;
+      items.set(flag.metric.toLowerCase(), `${flag.metric}: ${flag.value}${flag.severity ? ` (${flag.severity})` : ''}`);
+    });
+
+    (latest.metrics || []).filter(metric => metric.isNormal === false).forEach(metric => {
+      const name = metric.displayName || metric.name;
+      if (!name || items.has(name.toLowerCase())) return;
+      items.set(name.toLowerCase(), `${name}: ${metric.value}${metric.unit ? ` ${metric.unit}` : ''}${metric.interpretation ? ` (${metric.interpretation})` : ''}`);
+    });
+
+    if (items.size === 0) return null;
+
+    return {
+      testDate: latest.testDate,
+      items: [...items.values()].slice(0, MAX_ABNORMAL_METRICS)
+    };
+  }
+}
+
+// Create singleton instance
+const chatContextService = new ChatContextService();
+
+module.exports = chatContextService;
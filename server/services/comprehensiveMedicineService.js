@@ -802,18 +802,22 @@ class ComprehensiveMedicineService {
 
   /**
    * Collect OpenFDA Enforcement data
+   * @param {Array} searchStrategies - [{ type, value }] tried in order
+   * @param {Object} options - `filter` is extra openFDA search syntax ANDed
+   *   with the product match, e.g. 'status:"Ongoing"'
    */
-  async collectOpenFDAEnforcement(searchStrategies) {
+  async collectOpenFDAEnforcement(searchStrategies, { filter = null, limit = 10 } = {}) {
     console.log('🚨 Collecting OpenFDA Enforcement data...');
 
     for (const strategy of searchStrategies) {
       try {
-        const searchQuery = `product_description:"${strategy.value}"`;
+        const productQuery = `product_description:"${strategy.value}"`;
+        const searchQuery = filter ? `${productQuery} AND ${filter}` : productQuery;
 
         const response = await axios.get(this.apis.fda.enforcement, {
           params: {
             search: searchQuery,
-            limit: 10
+            limit
           },
           timeout: 15000
         });
@@ -943,6 +947,17 @@ class ComprehensiveMedicineService {
     return response.data.interactionTypeGroup;
   }
 
+  /**
+   * Resolve a medicine name to its RxCUI (approximate match), or null
+   */
+  async findRxCui(name) {
+    const response = await axios.get(`${this.apis.rxnorm.base}/rxcui.json`, {
+      params: { name, search: 2 },
+      timeout: 10000
+    });
+    return response.data.idGroup?.rxnormId?.[0] || null;
+  }
+
   /**
    * Get RxNorm NDCs
    */
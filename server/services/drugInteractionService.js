@@ -0,0 +1,212 @@
+const comprehensiveMedicineService = require('./comprehensiveMedicineService');
+const interactionTable = require('../data/drugInteractions.json');
+
+const SEVERITY_RANK = { minor: 1, moderate: 2, major: 3, contraindicated: 4 };
+const RXNORM_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+// Failed lookups are retried sooner so a brief outage doesn't stick for a day
+const RXNORM_FAILURE_TTL_MS = 10 * 60 * 1000;
+// Interaction checks must not hang on a slow RxNav; the local table still answers
+const RXNORM_BUDGET_MS = 8000;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Checks a set of medicines against the local interaction table and, when
+// reachable, RxNorm interaction data. Results are sorted deterministically.
+class DrugInteractionService {
+  constructor() {
+    this.rules = interactionTable.rules;
+    this.aliases = Object.entries(interactionTable.aliases);
+    this.rxNormCache = new Map();
+    console.log(`💊 Drug interaction service initialized (${this.rules.length} local rules)`);
+  }
+
+  // Check every pair of medicines. medications: [{ reminderId, medicineName }]
+  async checkInteractions(medications, options = {}) {
+    const { useRxNorm = true } = options;
+    const sources = ['local'];
+
+    const byPair = new Map();
+    const addInteraction = (interaction) => {
+      const key = [interaction.medications[0].medicineName, interaction.medications[1].medicineName]
+        .map(name => name.toLowerCase()).sort().join('|');
+      const existing = byPair.get(key);
+
+      if (!existing) {
+        byPair.set(key, interaction);
+        return;
+      }
+
+      // Keep the stronger severity; the local table is the one that knows spacing
+      if (SEVERITY_RANK[interaction.severity] > SEVERITY_RANK[existing.severity]) {
+        existing.severity = interaction.severity;
+      }
+      existing.spacingHours = existing.spacingHours || interaction.spacingHours;
+      existing.order = existing.order || interaction.order;
+      existing.sources = [...new Set([...existing.sources, ...interaction.sources])];
+      if (!existing.description) existing.description = interaction.description;
+    };
+
+    this.checkLocalInteractions(medications).forEach(addInteraction);
+
+    if (useRxNorm && medications.length > 1) {
+      const rxNormInteractions = await this.withTimeout(this.checkRxNormInteractions(medications), RXNORM_BUDGET_MS);
+      if (rxNormInteractions) {
+        sources.push('RxNorm');
+        rxNormInteractions.forEach(addInteraction);
+      }
+    }
+
+    const interactions = [...byPair.values()].sort((a, b) =>
+      SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] ||
+      a.medications[0].medicineName.localeCompare(b.medications[0].medicineName) ||
+      a.medications[1].medicineName.localeCompare(b.medications[1].medicineName)
+    );
+
+    return { interactions, sources };
+  }
+
+  // Pairs matched by the local table
+  checkLocalInteractions(medications) {
+    const interactions = [];
+    const texts = medications.map(med => this.getMatchText(med.medicineName));
+
+    for (let i = 0; i < medications.length; i++) {
+      for (let j = i + 1; j < medications.length; j++) {
+        for (const rule of this.rules) {
+          let first = null;
+          let second = null;
+
+          if (this.matchesAny(rule.a, texts[i]) && this.matchesAny(rule.b, texts[j])) {
+            [first, second] = [medications[i], medications[j]];
+          } else if (this.matchesAny(rule.a, texts[j]) && this.matchesAny(rule.b, texts[i])) {
+            [first, second] = [medications[j], medications[i]];
+          }
+
+          if (first) {
+            interactions.push({
+              medications: [first, second],
+              severity: rule.severity,
+              description: rule.description,
+              spacingHours: rule.spacingHours || null,
+              order: rule.order || null,
+              ruleId: rule.id,
+              sources: ['local']
+            });
+          }
+        }
+      }
+    }
+
+    return interactions;
+  }
+
+  // Pairs reported by RxNorm; null when RxNorm could not be reached at all
+  async checkRxNormInteractions(medications) {
+    const lookups = await Promise.all(medications.map(med => this.getRxNormData(med.medicineName)));
+    if (lookups.every(lookup => lookup === null)) return null;
+
+    const interactions = [];
+    const texts = medications.map(med => this.getMatchText(med.medicineName));
+
+    lookups.forEach((lookup, i) => {
+      if (!lookup?.interactionTypeGroup) return;
+
+      lookup.interactionTypeGroup.forEach(group => {
+        (group.interactionType || []).forEach(type => {
+          (type.interactionPair || []).forEach(pair => {
+            const other = pair.interactionConcept?.[1]?.minConceptItem;
+            if (!other) return;
+
+            const otherName = other.name.toLowerCase();
+            medications.forEach((med, j) => {
+              if (i === j) return;
+              const matches = lookups[j]?.rxcui === other.rxcui || new RegExp(`\\b${escapeRegExp(otherName)}`).test(texts[j]);
+              if (!matches) return;
+
+              interactions.push({
+                medications: [medications[i], med],
+                severity: pair.severity === 'high' ? 'major' : 'moderate',
+                description: pair.description,
+                spacingHours: null,
+                order: null,
+                ruleId: null,
+                sources: ['RxNorm']
+              });
+            });
+          });
+        });
+      });
+    });
+
+    return interactions;
+  }
+
+  // RxCUI and interaction groups for a medicine name, cached
+  async getRxNormData(medicineName) {
+    const key = medicineName.toLowerCase().trim();
+    const cached = this.rxNormCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    let value = null;
+    let ttl = RXNORM_CACHE_TTL_MS;
+
+    try {
+      const rxcui = await comprehensiveMedicineService.findRxCui(medicineName);
+      value = {
+        rxcui,
+        interactionTypeGroup: rxcui ? await comprehensiveMedicineService.getRxNormInteractions(rxcui) : null
+      };
+    } catch (error) {
+      console.warn(`RxNorm interaction lookup failed for ${medicineName}:`, error.message);
+      ttl = RXNORM_FAILURE_TTL_MS;
+    }
+
+    this.rxNormCache.set(key, { value, expiresAt: Date.now() + ttl });
+    return value;
+  }
+
+  // Lower-cased name plus the generic ingredients of any known brand in it
+  getMatchText(medicineName) {
+    const name = (medicineName || '').toLowerCase();
+    const ingredients = this.aliases
+      .filter(([alias]) => new RegExp(`\\b${escapeRegExp(alias)}\\b`).test(name))
+      .flatMap(([, generics]) => generics);
+
+    return [name, ...ingredients].join(' ');
+  }
+
+  matchesAny(keywords, text) {
+    return keywords.some(keyword => new RegExp(`\\b${escapeRegExp(keyword)}`).test(text));
+  }
+
+  // Human-readable spacing advice, e.g. "Take Thyronorm at least 4h before Shelcal"
+  getSpacingAdvice(interaction) {
+    if (!interaction.spacingHours) return null;
+
+    const [first, second] = interaction.medications;
+    const hours = interaction.spacingHours;
+
+    switch (interaction.order) {
+      case 'a_first':
+        return `Take ${first.medicineName} at least ${hours}h before ${second.medicineName}`;
+      case 'b_first':
+        return `Take ${second.medicineName} at least ${hours}h before ${first.medicineName}`;
+      default:
+        return `Take ${first.medicineName} ${hours}h apart from ${second.medicineName}`;
+    }
+  }
+
+  withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), ms);
+    });
+
+    return Promise.race([promise.catch(() => null), timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+// Create singleton instance
+const drugInteractionService = new DrugInteractionService();
+
+module.exports = drugInteractionService;
@@ -132,7 +132,20 @@ class EmergencyService {
     }
 
     const message = this.generateSMSMessage(emergency);
-    
+    const result = await this.sendSMS(contact, message);
+
+    return {
+      contactId: contact.id,
+      contactName: contact.name,
+      contactPhone: contact.phone,
+      success: true,
+      sid: result.sid,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Send a text message to a contact via Twilio
+  async sendSMS(contact, body) {
     // Format phone number
     let formattedPhone = contact.phone.replace(/\s/g, '');
     if (!formattedPhone.startsWith('+')) {
@@ -143,33 +156,101 @@ class EmergencyService {
       }
     }
 
+    // Use Messaging Service SID if available
+    const messageOptions = {
+      body,
+      to: formattedPhone
+    };
+
+    if (process.env.TWILIO_MESSAGING_SERVICE_SID) {
+      messageOptions.messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID;
+    } else {
+      messageOptions.from = process.env.TWILIO_PHONE_NUMBER;
+    }
+
+    const result = await twilioClient.messages.create(messageOptions);
+
+    console.log(`📱 SMS sent to ${contact.name} (${formattedPhone}) - SID: ${result.sid}`);
+
+    return result;
+  }
+
+  // Tell a chosen emergency contact that a critical medicine keeps being missed
+  async sendMissedDoseAlert(userId, alertData) {
     try {
-      // Use Messaging Service SID if available
-      const messageOptions = {
-        body: message,
-        to: formattedPhone
+      const { contactId, userName, medicineName, dosage, missedCount } = alertData;
+
+      const contactsResult = await this.getEmergencyContacts(userId);
+      if (!contactsResult.success || contactsResult.data.length === 0) {
+        return { success: false, message: 'No emergency contacts found' };
+      }
+
+      // Chosen contact, else the primary one (contacts are sorted primary first)
+      const contact = (contactId && contactsResult.data.find(c => c.id.toString() === contactId.toString())) ||
+        contactsResult.data[0];
+
+      if (!this.smsEnabled) {
+        return {
+          success: false,
+          message: 'SMS not configured',
+          data: { contactId: contact.id, contactName: contact.name }
+        };
+      }
+
+      const message = `⚠️ Mediot alert: ${userName || 'Your contact'} has missed ${missedCount} dose(s) in a row of ${medicineName}${dosage ? ` (${dosage})` : ''}. Please check on them.`;
+      const result = await this.sendSMS(contact, message);
+
+      return {
+        success: true,
+        data: {
+          contactId: contact.id,
+          contactName: contact.name,
+          sid: result.sid,
+          timestamp: new Date().toISOString()
+        }
       };
+    } catch (error) {
+      console.error('Missed dose alert error:', error);
+      return { success: false, message: 'Failed to send missed dose alert' };
+    }
+  }
 
-      if (process.env.TWILIO_MESSAGING_SERVICE_SID) {
-        messageOptions.messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID;
-      } else {
-        messageOptions.from = process.env.TWILIO_PHONE_NUMBER;
+  // Tell the primary emergency contact about critical lab results
+  async sendCriticalLabAlert(userId, alertData) {
+    try {
+      const { userName, results } = alertData;
+
+      const contactsResult = await this.getEmergencyContacts(userId);
+      if (!contactsResult.success || contactsResult.data.length === 0) {
+        return { success: false, message: 'No emergency contacts found' };
       }
 
-      const result = await twilioClient.messages.create(messageOptions);
+      // Contacts are sorted primary first
+      const contact = contactsResult.data[0];
 
-      console.log(`📱 SMS sent to ${contact.name} (${formattedPhone}) - SID: ${result.sid}`);
+      if (!this.smsEnabled) {
+        return {
+          success: false,
+          message: 'SMS not configured',
+          data: { contactId: contact.id, contactName: contact.name }
+        };
+      }
+
+      const message = `🚨 Mediot alert: ${userName || 'Your contact'}'s latest lab report has critical results (${results.slice(0, 3).join(', ')}). Please check on them and help them reach a doctor.`;
+      const result = await this.sendSMS(contact, message);
 
       return {
-        contactId: contact.id,
-        contactName: contact.name,
-        contactPhone: contact.phone,
         success: true,
-        sid: result.sid,
-        timestamp: new Date().toISOString()
+        data: {
+          contactId: contact.id,
+          contactName: contact.name,
+          sid: result.sid,
+          timestamp: new Date().toISOString()
+        }
       };
     } catch (error) {
-      throw error;
+      console.error('Critical lab alert error:', error);
+      return { success: false, message: 'Failed to send critical lab alert' };
     }
   }
 
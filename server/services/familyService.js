@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const { User, Reminder, ReminderJob } = require('../models');
+const { isValidTimezone } = require('../utils/timezone');
+
+const MAX_DEPENDENTS = 10;
+
+// Fields a caregiver may set on a dependent's profile
+const PROFILE_FIELDS = [
+  'name', 'relationship', 'dateOfBirth', 'gender', 'bloodGroup', 'height', 'weight',
+  'phone', 'timezone', 'allergies', 'chronicConditions', 'emergencyContacts'
+];
+
+const SUMMARY_FIELDS = 'name relationship dateOfBirth gender managedBy createdAt';
+
+const pickProfileFields = (data = {}) => PROFILE_FIELDS.reduce((updates, field) => {
+  if (data[field] !== undefined) updates[field] = data[field];
+  return updates;
+}, {});
+
+// Dependent profiles (parents, children) managed under one login. Each is a
+// User without credentials, so reminders, reports and scans key on it as usual.
+class FamilyService {
+  constructor() {
+    console.log('👪 Family service initialized');
+  }
+
+  // The account holder first, then their dependents
+  async listProfiles(account) {
+    try {
+      if (account.isDemo) {
+        return { success: true, data: [{ _id: account._id, name: account.name, isSelf: true }] };
+      }
+
+      const dependents = await User.find({ managedBy: account._id, isActive: true })
+        .select(SUMMARY_FIELDS)
+        .sort({ createdAt: 1 })
+        .lean();
+
+      return {
+        success: true,
+        data: [
+          { _id: account._id, name: account.name, dateOfBirth: account.dateOfBirth, gender: account.gender, isSelf: true },
+          ...dependents.map(dependent => ({ ...dependent, isSelf: false }))
+        ]
+      };
+    } catch (error) {
+      console.error('List family profiles error:', error);
+      return { success: false, message: 'Failed to load family profiles' };
+    }
+  }
+
+  async getDependent(accountId, profileId) {
+    try {
+      const dependent = await this.findDependent(accountId, profileId);
+      if (!dependent) {
+        return { success: false, message: 'Family profile not found' };
+      }
+      return { success: true, data: dependent.toJSON() };
+    } catch (error) {
+      console.error('Get family profile error:', error);
+      return { success: false, message: 'Failed to load family profile' };
+    }
+  }
+
+  async createDependent(account, data) {
+    try {
+      if (account.isDemo) {
+        return { success: false, message: 'Family profiles are not available in demo mode' };
+      }
+
+      const fields = pickProfileFields(data);
+      if (!fields.name?.trim()) {
+        return { success: false, message: 'Name is required' };
+      }
+      if (fields.timezone !== undefined && !isValidTimezone(fields.timezone)) {
+        return { success: false, message: 'Invalid timezone' };
+      }
+
+      const count = await User.countDocuments({ managedBy: account._id, isActive: true });
+      if (count >= MAX_DEPENDENTS) {
+        return { success: false, message: `An account can manage up to ${MAX_DEPENDENTS} family profiles` };
+      }
+
+      const dependent = await User.create({
+        ...fields,
+        managedBy: account._id,
+        preferences: { language: account.preferences?.language }
+      });
+
+      console.log(`👪 Family profile ${dependent._id} created under account ${account._id}`);
+
+      return { success: true, data: dependent.toJSON() };
+    } catch (error) {
+      if (error instanceof mongoose.Error.ValidationError) {
+        return { success: false, message: error.message };
+      }
+      console.error('Create family profile error:', error);
+      return { success: false, message: 'Failed to create family profile' };
+    }
+  }
+
+  async updateDependent(accountId, profileId, data) {
+    try {
+      const updates = pickProfileFields(data);
+      if (Object.keys(updates).length === 0) {
+        return { success: false, message: 'No valid fields to update' };
+      }
+      if (updates.name !== undefined && !String(updates.name).trim()) {
+        return { success: false, message: 'Name is required' };
+      }
+      if (updates.timezone !== undefined && !isValidTimezone(updates.timezone)) {
+        return { success: false, message: 'Invalid timezone' };
+      }
+
+      const dependent = await this.findDependent(accountId, profileId);
+      if (!dependent) {
+        return { success: false, message: 'Family profile not found' };
+      }
+
+      dependent.set(updates);
+      await dependent.save();
+
+      return { success: true, data: dependent.toJSON() };
+    } catch (error) {
+      if (error instanceof mongoose.Error.ValidationError) {
+        return { success: false, message: error.message };
+      }
+      console.error('Update family profile error:', error);
+      return { success: false, message: 'Failed to update family profile' };
+    }
+  }
+
+  // Soft delete, like account deletion. Their reminders stop so no more
+  // doses are sent for someone no longer in the family.
+  async removeDependent(accountId, profileId) {
+    try {
+      const dependent = await this.findDependent(accountId, profileId);
+      if (!dependent) {
+        return { success: false, message: 'Family profile not found' };
+      }
+
+      dependent.isActive = false;
+      await dependent.save();
+
+      await Reminder.updateMany({ userId: dependent._id, isActive: true }, { $set: { isActive: false } });
+      await ReminderJob.updateMany(
+        { userId: dependent._id, status: 'scheduled' },
+        { $set: { status: 'cancelled', lockedBy: null, lockedUntil: null } }
+      );
+
+      console.log(`👪 Family profile ${dependent._id} removed from account ${accountId}`);
+
+      return { success: true, message: 'Family profile removed' };
+    } catch (error) {
+      console.error('Remove family profile error:', error);
+      return { success: false, message: 'Failed to remove family profile' };
+    }
+  }
+
+  findDependent(accountId, profileId) {
+    if (!mongoose.Types.ObjectId.isValid(profileId)) return null;
+    return User.findOne({ _id: profileId, managedBy: accountId, isActive: true });
+  }
+}
+
+// Create singleton instance
+const familyService = new FamilyService();
+
+module.exports = familyService;
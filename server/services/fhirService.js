@@ -0,0 +1,516 @@
+const { User, Reminder, HealthMetrics, Report } = require('../models');
+const labTestCatalogService = require('./labTestCatalogService');
+const labTrendService = require('./labTrendService');
+const abnormalityService = require('./abnormalityService');
+
+const LOINC_SYSTEM = 'http://loinc.org';
+const IDENTIFIER_SYSTEM = 'urn:mediot';
+const INTERPRETATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+const OBSERVATION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+
+const INTERPRETATION_CODES = {
+  normal: 'N',
+  low: 'L',
+  high: 'H',
+  critical_low: 'LL',
+  critical_high: 'HH'
+};
+// Profile measurements exported as Observations alongside the lab results
+const PROFILE_OBSERVATIONS = {
+  height: { loinc: '8302-2', display: 'Body height', unit: 'cm' },
+  weight: { loinc: '29463-7', display: 'Body weight', unit: 'kg' },
+  bloodGroup: { loinc: '882-1', display: 'ABO and Rh group' }
+};
+const DOSES_PER_DAY = { once: 1, twice: 2, thrice: 3, four_times: 4 };
+const FREQUENCY_BY_DOSES = { 1: 'once', 2: 'twice', 3: 'thrice', 4: 'four_times' };
+const DEFAULT_TIMES = {
+  once: ['09:00'],
+  twice: ['09:00', '21:00'],
+  thrice: ['08:00', '14:00', '20:00'],
+  four_times: ['08:00', '12:00', '16:00', '20:00']
+};
+
+// ObjectIds are 12 bytes; pad to 16 so every resource gets a stable urn:uuid
+const toUuid = (id) => {
+  const hex = String(id).padEnd(32, '0');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+// Resources without their own document (allergies, metrics, ...) are keyed
+// off their parent's id, a kind digit and their position
+const childUuid = (id, kind, index) => toUuid(`${id}${kind}${index.toString(16).padStart(3, '0')}`);
+const toDate = (value) => value ? new Date(value).toISOString().split('T')[0] : undefined;
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+const conceptText = (concept) => concept?.text || concept?.coding?.find(coding => coding.display)?.display || null;
+
+// Converts a user's health record to and from a FHIR R4 Bundle so it can be
+// handed to doctors and other apps.
+class FhirService {
+  constructor() {
+    console.log('🏥 FHIR service initialized');
+  }
+
+  // Bundle with Patient, AllergyIntolerance, Condition, MedicationStatement,
+  // Observation and DocumentReference resources
+  async exportBundle(userId) {
+    const [user, reminders, healthMetrics, reports] = await Promise.all([
+      User.findById(userId).lean(),
+      Reminder.find({ userId }).sort({ createdAt: 1 }).lean(),
+      HealthMetrics.find({ userId }).sort({ testDate: 1 }).lean(),
+      Report.find({ userId }).select('-extractedText').sort({ createdAt: 1 }).lean()
+    ]);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const patientUrl = `urn:uuid:${toUuid(user._id)}`;
+    const subject = { reference: patientUrl, display: user.name };
+    const reportUrls = new Map(reports.map(report => [String(report._id), `urn:uuid:${toUuid(report._id)}`]));
+
+    const resources = [
+      [patientUrl, this.toPatient(user)],
+      ...(user.allergies || []).map((allergy, index) => [
+        `urn:uuid:${childUuid(user._id, 'a', index)}`,
+        this.toAllergyIntolerance(allergy, subject)
+      ]),
+      ...Object.keys(PROFILE_OBSERVATIONS).filter(field => user[field]).map((field, index) => [
+        `urn:uuid:${childUuid(user._id, 'b', index)}`,
+        this.toProfileObservation(field, user, subject)
+      ]),
+      ...(user.chronicConditions || []).map((condition, index) => [
+        `urn:uuid:${childUuid(user._id, 'c', index)}`,
+        this.toCondition(condition, subject)
+      ]),
+      ...reminders.map(reminder => [`urn:uuid:${toUuid(reminder._id)}`, this.toMedicationStatement(reminder, subject)]),
+      ...healthMetrics.flatMap(record => (record.metrics || []).map((metric, index) => [
+        `urn:uuid:${childUuid(record._id, 'e', index)}`,
+        this.toObservation(metric, record, subject, reportUrls.get(String(record.reportId)))
+      ])),
+      ...reports.map(report => [reportUrls.get(String(report._id)), this.toDocumentReference(report, subject)])
+    ];
+
+    return {
+      resourceType: 'Bundle',
+      type: 'collection',
+      timestamp: new Date().toISOString(),
+      meta: { lastUpdated: new Date().toISOString() },
+      entry: resources.map(([fullUrl, resource]) => ({ fullUrl, resource }))
+    };
+  }
+
+  toPatient(user) {
+    const telecom = [
+      user.phone && { system: 'phone', value: user.phone, use: 'mobile' },
+      user.email && { system: 'email', value: user.email }
+    ].filter(Boolean);
+
+    return {
+      resourceType: 'Patient',
+      identifier: [{ system: `${IDENTIFIER_SYSTEM}:user`, value: String(user._id) }],
+      name: [{ text: user.name }],
+      ...(telecom.length > 0 && { telecom }),
+      ...(user.gender && { gender: user.gender }),
+      ...(user.dateOfBirth && { birthDate: toDate(user.dateOfBirth) }),
+      ...((user.emergencyContacts || []).length > 0 && {
+        contact: user.emergencyContacts.map(contact => ({
+          relationship: [{ text: contact.relationship || 'Emergency contact' }],
+          name: { text: contact.name },
+          telecom: [
+            { system: 'phone', value: contact.phone },
+            contact.email && { system: 'email', value: contact.email }
+          ].filter(Boolean)
+        }))
+      })
+    };
+  }
+
+  toProfileObservation(field, user, subject) {
+    const { loinc, display, unit } = PROFILE_OBSERVATIONS[field];
+
+    return {
+      resourceType: 'Observation',
+      status: 'final',
+      category: [{
+        coding: [{ system: OBSERVATION_CATEGORY_SYSTEM, code: field === 'bloodGroup' ? 'laboratory' : 'vital-signs' }]
+      }],
+      code: { coding: [{ system: LOINC_SYSTEM, code: loinc, display }], text: display },
+      subject,
+      effectiveDateTime: new Date(user.updatedAt || Date.now()).toISOString(),
+      ...(unit
+        ? { valueQuantity: { value: user[field], unit, system: 'http://unitsofmeasure.org', code: unit } }
+        : { valueString: user[field] })
+    };
+  }
+
+  toAllergyIntolerance(allergy, patient) {
+    return {
+      resourceType: 'AllergyIntolerance',
+      clinicalStatus: {
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical', code: 'active' }]
+      },
+      code: { text: allergy },
+      patient
+    };
+  }
+
+  toCondition(condition, subject) {
+    return {
+      resourceType: 'Condition',
+      clinicalStatus: {
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }]
+      },
+      category: [{
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'problem-list-item' }]
+      }],
+      code: { text: condition },
+      subject
+    };
+  }
+
+  toMedicationStatement(reminder, subject) {
+    const ended = reminder.endDate && new Date(reminder.endDate) < new Date();
+    const asNeeded = reminder.schedule?.type === 'prn';
+    const dosesPerDay = DOSES_PER_DAY[reminder.frequency] || (reminder.times || []).length;
+
+    return {
+      resourceType: 'MedicationStatement',
+      identifier: [{ system: `${IDENTIFIER_SYSTEM}:reminder`, value: String(reminder._id) }],
+      status: ended ? 'completed' : reminder.isActive ? 'active' : 'stopped',
+      medicationCodeableConcept: { text: reminder.medicineName },
+      subject,
+      effectivePeriod: {
+        start: toDate(reminder.startDate),
+        ...(reminder.endDate && { end: toDate(reminder.endDate) })
+      },
+      dosage: [{
+        text: `${reminder.dosage}${asNeeded ? ', as needed' : ''}`,
+        asNeededBoolean: asNeeded,
+        ...(!asNeeded && dosesPerDay > 0 && {
+          timing: {
+            repeat: {
+              frequency: dosesPerDay,
+              period: 1,
+              periodUnit: 'd',
+              ...((reminder.times || []).length > 0 && { timeOfDay: reminder.times.map(time => `${time}:00`) })
+            }
+          }
+        })
+      }],
+      ...(reminder.notes && { note: [{ text: reminder.notes }] })
+    };
+  }
+
+  toObservation(metric, record, subject, reportUrl) {
+    const isVital = metric.category === 'Vitals';
+    const { min = null, max = null } = metric.normalRange || {};
+
+    return {
+      resourceType: 'Observation',
+      status: 'final',
+      category: [{
+        coding: [{
+          system: OBSERVATION_CATEGORY_SYSTEM,
+          code: isVital ? 'vital-signs' : 'laboratory'
+        }]
+      }],
+      code: {
+        ...(metric.loinc && { coding: [{ system: LOINC_SYSTEM, code: metric.loinc, display: metric.name }] }),
+        text: metric.displayName || metric.name
+      },
+      subject,
+      effectiveDateTime: labTrendService.getRecordDate(record).toISOString(),
+      ...(typeof metric.value === 'number'
+        ? { valueQuantity: { value: metric.value, ...(metric.unit && { unit: metric.unit }) } }
+        : { valueString: String(metric.value ?? '') }),
+      ...(INTERPRETATION_CODES[metric.flag] && {
+        interpretation: [{ coding: [{ system: INTERPRETATION_SYSTEM, code: INTERPRETATION_CODES[metric.flag] }] }]
+      }),
+      ...((min !== null || max !== null) && {
+        referenceRange: [{
+          ...(min !== null && { low: { value: min, ...(metric.unit && { unit: metric.unit }) } }),
+          ...(max !== null && { high: { value: max, ...(metric.unit && { unit: metric.unit }) } })
+        }]
+      }),
+      ...(reportUrl && { derivedFrom: [{ reference: reportUrl }] })
+    };
+  }
+
+  toDocumentReference(report, subject) {
+    return {
+      resourceType: 'DocumentReference',
+      identifier: [{ system: `${IDENTIFIER_SYSTEM}:report`, value: String(report._id) }],
+      status: 'current',
+      type: { text: (report.reportType || 'other').replace(/_/g, ' ') },
+      subject,
+      date: new Date(report.createdAt).toISOString(),
+      ...(report.summary && { description: report.summary }),
+      content: [{
+        attachment: {
+          contentType: report.fileType === 'pdf' ? 'application/pdf' : `image/${report.fileType === 'jpg' ? 'jpeg' : report.fileType}`,
+          title: report.fileName,
+          creation: new Date(report.createdAt).toISOString()
+        }
+      }]
+    };
+  }
+
+  // Merge a Bundle into the account. Anything already present is skipped, so
+  // importing the same Bundle twice changes nothing.
+  async importBundle(userId, bundle) {
+    if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+      const error = new Error('Expected a FHIR Bundle with an entry array');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const summary = {
+      imported: { patient: 0, allergies: 0, conditions: 0, medications: 0, observations: 0 },
+      duplicates: 0,
+      skipped: []
+    };
+    const byType = {};
+    bundle.entry.forEach(entry => {
+      const resource = entry?.resource;
+      if (!resource?.resourceType) return;
+      (byType[resource.resourceType] = byType[resource.resourceType] || []).push(resource);
+    });
+
+    (byType.Patient || []).slice(0, 1).forEach(patient => this.mergePatient(user, patient, summary));
+    (byType.AllergyIntolerance || []).forEach(allergy => this.mergeAllergy(user, allergy, summary));
+    (byType.Condition || []).forEach(condition => this.mergeCondition(user, condition, summary));
+
+    const observations = (byType.Observation || []).filter(observation => !this.mergeProfileObservation(user, observation, summary));
+    await user.save();
+
+    for (const statement of byType.MedicationStatement || []) {
+      await this.mergeMedicationStatement(userId, statement, summary);
+    }
+
+    await this.mergeObservations(user, observations, summary);
+
+    Object.keys(byType)
+      .filter(type => !['Patient', 'AllergyIntolerance', 'Condition', 'MedicationStatement', 'Observation'].includes(type))
+      .forEach(type => summary.skipped.push({
+        resourceType: type,
+        count: byType[type].length,
+        reason: type === 'DocumentReference'
+          ? 'Documents are not imported; upload the report file to analyse it'
+          : 'Unsupported resource type'
+      }));
+
+    return summary;
+  }
+
+  // Only fills in details the profile doesn't have yet
+  mergePatient(user, patient, summary) {
+    let changed = false;
+
+    if (!user.dateOfBirth && patient.birthDate) {
+      user.dateOfBirth = new Date(patient.birthDate);
+      changed = true;
+    }
+    if (!user.gender && ['male', 'female', 'other'].includes(patient.gender)) {
+      user.gender = patient.gender;
+      changed = true;
+    }
+    if (!user.phone) {
+      const phone = (patient.telecom || []).find(telecom => telecom.system === 'phone')?.value;
+      if (phone) {
+        user.phone = phone;
+        changed = true;
+      }
+    }
+
+    (patient.contact || []).forEach(contact => {
+      const phone = (contact.telecom || []).find(telecom => telecom.system === 'phone')?.value;
+      const name = contact.name?.text || [contact.name?.given, contact.name?.family].flat().filter(Boolean).join(' ');
+      if (!phone || !name || user.emergencyContacts.some(existing => existing.phone === phone)) return;
+
+      user.emergencyContacts.push({ name, phone, relationship: conceptText(contact.relationship?.[0]) || undefined });
+      changed = true;
+    });
+
+    if (changed) summary.imported.patient++;
+  }
+
+  // Height, weight and blood group go to the profile (when it has none)
+  // rather than the lab history; returns whether the observation was one of them
+  mergeProfileObservation(user, observation, summary) {
+    const loinc = (observation.code?.coding || []).find(coding => coding.system === LOINC_SYSTEM)?.code;
+    const field = Object.keys(PROFILE_OBSERVATIONS).find(key => PROFILE_OBSERVATIONS[key].loinc === loinc);
+    if (!field) return false;
+
+    const value = field === 'bloodGroup'
+      ? String(observation.valueString || conceptText(observation.valueCodeableConcept) || '').replace(/\s+/g, '').toUpperCase()
+      : observation.valueQuantity?.value;
+    const valid = field === 'bloodGroup'
+      ? /^(A|B|AB|O)[+-]$/.test(value)
+      : typeof value === 'number' && value > 0 && (observation.valueQuantity.unit || PROFILE_OBSERVATIONS[field].unit) === PROFILE_OBSERVATIONS[field].unit;
+
+    if (valid && !user[field]) {
+      user[field] = value;
+      summary.imported.patient++;
+    } else if (valid) {
+      summary.duplicates++;
+    }
+
+    return true;
+  }
+
+  mergeAllergy(user, allergy, summary) {
+    const text = conceptText(allergy.code);
+    const status = allergy.clinicalStatus?.coding?.[0]?.code;
+    if (!text || (status && status !== 'active')) return;
+
+    if (user.allergies.some(existing => sameText(existing, text))) {
+      summary.duplicates++;
+      return;
+    }
+
+    user.allergies.push(text);
+    summary.imported.allergies++;
+  }
+
+  mergeCondition(user, condition, summary) {
+    const text = conceptText(condition.code);
+    const status = condition.clinicalStatus?.coding?.[0]?.code;
+    if (!text || (status && !['active', 'recurrence', 'relapse'].includes(status))) return;
+
+    if (user.chronicConditions.some(existing => sameText(existing, text))) {
+      summary.duplicates++;
+      return;
+    }
+
+    user.chronicConditions.push(text);
+    summary.imported.conditions++;
+  }
+
+  // Imported medicines become paused reminders, so nothing starts ringing
+  // until the user has checked the times
+  async mergeMedicationStatement(userId, statement, summary) {
+    const medicineName = conceptText(statement.medicationCodeableConcept) || statement.medicationReference?.display;
+    if (!medicineName || ['entered-in-error', 'not-taken'].includes(statement.status)) return;
+
+    const existing = await Reminder.findOne({
+      userId,
+      medicineName: new RegExp(`^${medicineName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')
+    }).select('_id');
+
+    if (existing) {
+      summary.duplicates++;
+      return;
+    }
+
+    const dosage = statement.dosage?.[0] || {};
+    const repeat = dosage.timing?.repeat || {};
+    const dosesPerDay = repeat.periodUnit === 'd' && (repeat.period || 1) === 1 ? repeat.frequency : null;
+    const frequency = FREQUENCY_BY_DOSES[dosesPerDay] || (repeat.timeOfDay?.length ? 'custom' : 'once');
+    const times = (repeat.timeOfDay || []).map(time => time.slice(0, 5));
+
+    await Reminder.create({
+      userId,
+      medicineName,
+      dosage: dosage.text || 'As prescribed',
+      frequency,
+      startDate: statement.effectivePeriod?.start ? new Date(statement.effectivePeriod.start) : new Date(),
+      endDate: statement.effectivePeriod?.end ? new Date(statement.effectivePeriod.end) : null,
+      times: times.length > 0 ? times.sort() : DEFAULT_TIMES[frequency] || DEFAULT_TIMES.once,
+      schedule: { type: dosage.asNeededBoolean ? 'prn' : 'daily' },
+      isActive: false,
+      notes: ['Imported from a FHIR record', ...(statement.note || []).map(note => note.text)].filter(Boolean).join('. ')
+    });
+
+    summary.imported.medications++;
+  }
+
+  // Observations are grouped by day into HealthMetrics records and run
+  // through the lab catalogue and rule engine like uploaded reports
+  async mergeObservations(user, observations, summary) {
+    if (observations.length === 0) return;
+
+    const existing = await labTrendService.getUserPoints(user._id);
+    const isDuplicate = (metric, date) => existing.some(point =>
+      point.testCode && point.testCode === metric.testCode &&
+      toDate(point.date) === toDate(date) &&
+      String(point.value) === String(metric.value)
+    );
+
+    const patient = labTestCatalogService.getPatientProfile({}, user);
+    const byDay = new Map();
+
+    observations.forEach(observation => {
+      const metric = this.fromObservation(observation, patient);
+      if (!metric) return;
+
+      const date = new Date(observation.effectiveDateTime || observation.effectivePeriod?.start || observation.issued || Date.now());
+      if (isNaN(date.getTime())) return;
+
+      const sameDay = byDay.get(toDate(date));
+      if (isDuplicate(metric, date) || sameDay?.metrics.some(other => other.name === metric.name && String(other.value) === String(metric.value))) {
+        summary.duplicates++;
+        return;
+      }
+
+      if (!sameDay) byDay.set(toDate(date), { date, metrics: [] });
+      byDay.get(toDate(date)).metrics.push(metric);
+    });
+
+    for (const { date, metrics } of byDay.values()) {
+      const evaluation = abnormalityService.evaluate(metrics);
+
+      await HealthMetrics.create({
+        userId: user._id,
+        testDate: date,
+        metrics: evaluation.metrics,
+        abnormalFlags: evaluation.abnormalFlags,
+        summary: {
+          totalMetrics: evaluation.counts.total,
+          normalMetrics: evaluation.counts.normal,
+          abnormalMetrics: evaluation.counts.abnormal,
+          overallStatus: evaluation.overallStatus
+        },
+        notes: 'Imported from a FHIR record'
+      });
+
+      summary.imported.observations += metrics.length;
+    }
+  }
+
+  fromObservation(observation, patient) {
+    if (['entered-in-error', 'cancelled'].includes(observation.status)) return null;
+
+    const loinc = (observation.code?.coding || []).find(coding => coding.system === LOINC_SYSTEM)?.code;
+    const test = loinc && labTestCatalogService.findByLoinc(loinc);
+    const name = test?.name || conceptText(observation.code);
+    if (!name) return null;
+
+    const quantity = observation.valueQuantity;
+    const value = quantity?.value ?? observation.valueString ?? conceptText(observation.valueCodeableConcept);
+    if (value === undefined || value === null) return null;
+
+    const range = observation.referenceRange?.[0];
+    const isVital = (observation.category || [])
+      .flatMap(concept => concept.coding || [])
+      .some(coding => coding.code === 'vital-signs');
+    const category = test?.category || (isVital ? 'Vitals' : 'Laboratory');
+
+    return labTestCatalogService.normalizeMetric({
+      name,
+      displayName: name,
+      value,
+      unit: quantity?.unit || quantity?.code,
+      normalRange: { min: range?.low?.value ?? null, max: range?.high?.value ?? null },
+      category
+    }, patient);
+  }
+}
+
+// Create singleton instance
+const fhirService = new FhirService();
+
+module.exports = fhirService;
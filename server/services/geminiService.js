@@ -1,194 +1,44 @@
 require('dotenv').config();
-const { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } = require('@google/generative-ai');
-const OpenAI = require('openai');
 const fs = require('fs-extra');
 const path = require('path');
-const nvidiaService = require('./nvidiaService');
+const aiProviderRegistry = require('./aiProviderRegistry');
 
+// Separates the streamed answer from its follow-up questions
+const CHAT_FOLLOW_UP_MARKER = 'FOLLOW_UPS:';
+
+// Medicine scanning, chat and insight prompts. Which model answers is decided
+// by aiProviderRegistry from the task name passed with each request.
 class GeminiService {
   constructor() {
-    console.log('[DEBUG-STARTUP] process.env.SAMBANOVA_API_KEY present:', !!process.env.SAMBANOVA_API_KEY);
-    console.log('[DEBUG-STARTUP] process.env.AI_MODEL:', process.env.AI_MODEL);
-    console.log('🔑 Gemini API Key present:', !!process.env.GEMINI_API_KEY);
-
-    if (!process.env.GEMINI_API_KEY) {
-      console.error('[ERROR] GEMINI_API_KEY is required');
-      throw new Error('GEMINI_API_KEY is required');
+    if (!this.isInitialized) {
+      console.warn('⚠️ No AI provider configured: AI features will be disabled');
     }
-
-    try {
-      this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-      // Primary and Backup Models as requested by user
-      this.models = [
-        'models/gemini-3.1-flash-lite-preview',
-        'models/gemini-3.1-pro',
-        'models/gemini-3.1-flash',
-        'models/gemini-3.0-pro',
-        'models/gemini-2.5-pro'
-      ];
-
-      this.currentModelIndex = 0;
-      this.safetySettings = [
-        { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-        { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
-        { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
-        { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-      ];
-
-      // Initialize with the primary model
-      this.initModel(this.models[0]);
-
-      // Initialize SambaNova clients for faster chat (Multi-Key Rotation)
-      this.sambaNovaClients = [];
-      const sambaKeys = [
-        process.env.SAMBANOVA_API_KEY, 
-        process.env.SAMBANOVA_API_KEY_2, 
-        process.env.SAMBANOVA_API_KEY_3
-      ].filter(Boolean);
-      
-      sambaKeys.forEach((key, index) => {
-        try {
-          const client = new OpenAI({
-            apiKey: key,
-            baseURL: "https://api.sambanova.ai/v1",
-          });
-          this.sambaNovaClients.push(client);
-          console.log(`[INFO] SambaNova client ${index + 1} initialized.`);
-        } catch (e) {
-          console.error(`[ERROR] Failed to init SambaNova client ${index + 1}:`, e.message);
-        }
-      });
-
-      this.sambaNovaModel = process.env.AI_MODEL || 'DeepSeek-V3.1';
-      
-      // Smart API: State tracking for clients
-      this.clientStates = this.sambaNovaClients.map(() => ({
-        disabledUntil: 0
-      }));
-      
-      // Start proactive health check service (Disabled as requested)
-      // this.startHealthCheck();
-    } catch (error) {
-      console.error('[ERROR] Failed to initialize Gemini AI service:', error);
-      throw error;
-    }
-  }
-
-  initModel(modelName) {
-    console.log(`[INFO] Initializing Gemini model: ${modelName}`);
-    this.model = this.genAI.getGenerativeModel({
-      model: modelName,
-      safetySettings: this.safetySettings,
-      generationConfig: {
-        temperature: 0.2,
-        topK: 32,
-        topP: 1,
-        maxOutputTokens: 8192,
-      }
-    });
   }
 
-  /**
-   * Helper to format mixed parts (strings, images) for the SDK
-   */
-  _formatParts(args) {
-    if (!Array.isArray(args)) args = [args];
-    return args.map(arg => {
-      if (typeof arg === 'string') return { text: arg };
-      // If it has inlineData, it's already a Part object
-      return arg;
-    });
-  }
-
-  /**
-   * Helper to generate content with model fallback
-   */
-  async generateContentWithFallback(promptArgs, options = {}) {
-    // Try NVIDIA first as requested by user
-    try {
-      console.log(`[INFO] Attempting generation with NVIDIA (${nvidiaService.model})...`);
-      
-      // Convert promptArgs to NVIDIA messages format
-      let messages = [];
-      if (typeof promptArgs === 'string') {
-        messages = [{ role: 'user', content: promptArgs }];
-      } else if (Array.isArray(promptArgs)) {
-        const content = promptArgs.map(arg => {
-          if (typeof arg === 'string') return { type: 'text', text: arg };
-          if (arg.inlineData) return { 
-            type: 'image_url', 
-            image_url: { url: `data:${arg.inlineData.mimeType};base64,${arg.inlineData.data}` } 
-          };
-          return null;
-        }).filter(Boolean);
-        messages = [{ role: 'user', content }];
-      }
-
-      const nvidiaResult = await nvidiaService.client.chat.completions.create({
-        model: nvidiaService.model,
-        messages: messages,
-        temperature: options.generationConfig?.temperature || 0.2,
-        max_tokens: options.generationConfig?.maxOutputTokens || 4096,
-      });
-
-      // Wrap in a result object compatible with the rest of the code
+  // Base64 payload and MIME type for an upload path or a data: URL
+  async _loadImage(imagePath) {
+    if (imagePath.startsWith('data:')) {
       return {
-        response: {
-          text: () => nvidiaResult.choices[0].message.content
-        }
+        data: imagePath.split(',')[1],
+        mimeType: imagePath.split(';')[0].split(':')[1]
       };
-    } catch (nvidiaError) {
-      console.warn('[WARN] NVIDIA failed in generateContentWithFallback, falling back to Gemini:', nvidiaError.message);
     }
 
-    for (let i = 0; i < this.models.length; i++) {
-      const modelName = this.models[i];
-      try {
-        if (i > 0) this.initModel(modelName); // Switch model if not first attempt
-
-        console.log(`[INFO] Attempting generation with ${modelName}...`);
-
-        // Prepare request
-        let request = promptArgs;
-        if (options && options.generationConfig) {
-          // If config is provided, we must use the object format for generateContent
-          // promptArgs is expected to be [prompt, image] or similar array of parts
-          // We need to ensure it's in the format expected by 'contents' if strictly required, 
-          // but the SDK often is flexible. However, strictly:
-          // request = { contents: [{ role: 'user', parts: ... }], generationConfig: ... }
-          // To be safe and simple: pass options as 2nd arg? No, SDK method signature: generateContent(request)
-
-          // Construct the request object merging content and config
-          request = {
-            contents: [{ role: 'user', parts: this._formatParts(promptArgs) }],
-            generationConfig: options.generationConfig
-          };
-        }
-
-        const result = await this.model.generateContent(request);
-        return result; // Success!
-      } catch (error) {
-        console.warn(`[WARN] Failed with ${modelName}:`, error.message);
-
-        // If it's the last model, throw the error
-        if (i === this.models.length - 1) {
-          console.error('[ERROR] All fallback models failed.');
-          throw error;
-        }
-        console.log(`[INFO] Switching to backup model...`);
-      }
-    }
+    const imageBuffer = await fs.readFile(imagePath);
+    return {
+      data: imageBuffer.toString('base64'),
+      mimeType: this.getMimeType(imagePath)
+    };
   }
 
   /**
-   * Summarize a batch of news articles using DeepSeek (via SambaNova) or Gemini
+   * Summarize a batch of news articles
    * @param {Array} articles - Array of article objects { title, description, content }
    * @returns {Object} Summarized articles
    */
   async summarizeNewsBatch(articles) {
     try {
-      console.log(`[AI-NEWS] Summarizing ${articles.length} news articles with AI (NVIDIA Primary)...`);
+      console.log(`[AI-NEWS] Summarizing ${articles.length} news articles with AI...`);
 
       const articlesText = articles.slice(0, 10).map((a, i) => 
         `Article ${i + 1}:\nTitle: ${a.title}\nDescription: ${a.description || ''}\nContent: ${a.content || ''}`
@@ -211,84 +61,15 @@ class GeminiService {
         ${articlesText}
       `;
 
-      let summaries = null;
-      let usedFallback = false;
-
-      // Try NVIDIA first as requested by user
-      try {
-        console.log(`[AI-NEWS] Attempting summarization with NVIDIA (${nvidiaService.model})...`);
-        const nvidiaResult = await nvidiaService.client.chat.completions.create({
-          model: nvidiaService.model,
-          messages: [{ role: 'user', content: prompt }],
-          temperature: 0.1,
-          max_tokens: 4096,
-          // Disable thinking/reasoning to get clean JSON
-          reasoning_budget: 0,
-          chat_template_kwargs: {"enable_thinking": false}
-        });
-        const responseText = nvidiaResult.choices[0].message.content;
-        summaries = this._extractJsonArray(responseText);
-        
-        if (summaries && summaries.length > 0) {
-          console.log(`[AI-NEWS] Summarization successful with NVIDIA (${summaries.length} articles)`);
-        } else {
-          console.warn(`[AI-NEWS] NVIDIA returned empty or invalid summaries, falling back...`);
-          summaries = null; // Trigger fallback
-        }
-      } catch (nvidiaError) {
-        console.warn(`[AI-NEWS] NVIDIA failed for summarization, falling back to SambaNova/Gemini:`, nvidiaError.message);
-        
-        // Try each SambaNova client in rotation
-        if (this.sambaNovaClients && this.sambaNovaClients.length > 0) {
-          for (let i = 0; i < this.sambaNovaClients.length; i++) {
-            // Check if key is currently disabled
-            if (Date.now() < this.clientStates[i].disabledUntil) {
-              console.log(`[AI-NEWS] Skipping SambaNova Key ${i + 1} (Cooldown: ${Math.round((this.clientStates[i].disabledUntil - Date.now()) / 60000)}m remaining)`);
-              if (i === this.sambaNovaClients.length - 1) {
-                console.warn(`[AI-NEWS] All SambaNova keys are on cooldown, falling back to Gemini.`);
-                usedFallback = true;
-              }
-              continue;
-            }
-
-            try {
-              console.log(`[AI-NEWS] Using SambaNova Key ${i + 1} (${this.sambaNovaModel})...`);
-              const completion = await this.sambaNovaClients[i].chat.completions.create({
-                model: this.sambaNovaModel,
-                messages: [{ role: 'user', content: prompt }],
-                temperature: 0.1
-              });
-              const responseText = completion.choices[0].message.content;
-              summaries = this._extractJsonArray(responseText);
-              if (summaries && summaries.length > 0) break; // Success!
-              summaries = null; // Reset for next attempt or fallback
-            } catch (sambaError) {
-              console.warn(`[AI-NEWS] SambaNova Key ${i + 1} failed:`, sambaError.message);
-              
-              // If rate limited, disable for 1 hour
-              if (sambaError.status === 429) {
-                this._disableKey(i, 3600000);
-              }
-
-              if (i === this.sambaNovaClients.length - 1) {
-                console.warn(`[AI-NEWS] All SambaNova keys failed, falling back to Gemini.`);
-                usedFallback = true;
-              }
-            }
-          }
-        } else {
-          usedFallback = true;
-        }
-      }
-
-      if (usedFallback || !summaries || summaries.length === 0) {
-        console.log(`[AI-NEWS] Using Gemini for summarization...`);
-        const result = await this.generateContentWithFallback(prompt);
-        const response = await result.response;
-        summaries = this._extractJsonArray(response.text());
-      }
+      const { data: summaries, provider } = await aiProviderRegistry.completeJson('news', {
+        prompt,
+        temperature: 0.1,
+        maxTokens: 4096,
+        json: false,
+        schema: 'news_summaries'
+      });
 
-      console.log(`[AI-NEWS] Successfully summarized ${summaries.length} articles`);
+      console.log(`[AI-NEWS] Successfully summarized ${summaries.length} articles with ${provider}`);
       return { success: true, data: summaries };
 
     } catch (error) {
@@ -298,51 +79,7 @@ class GeminiService {
   }
 
   /**
-   * Helper to extract JSON array from text
-   */
-  _extractJsonArray(text) {
-    try {
-      if (!text) return [];
-      
-      // Remove potential markdown code blocks
-      let cleanedText = text.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-      
-      // Remove <thought> tags if present
-      cleanedText = cleanedText.replace(/<thought>[\s\S]*?<\/thought>/g, '').trim();
-
-      const jsonMatch = cleanedText.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        try {
-          return JSON.parse(jsonMatch[0]);
-        } catch (parseError) {
-          console.warn('[WARN] JSON array parse failed, attempting deep clean:', parseError.message);
-          // Try to clean trailing commas and other common issues
-          const deepCleaned = jsonMatch[0]
-            .replace(/,\s*\]/g, ']')
-            .replace(/,\s*}/g, '}')
-            .replace(/'/g, '"');
-          try {
-            return JSON.parse(deepCleaned);
-          } catch (e) {
-             console.error('[ERROR] Deep clean also failed');
-          }
-        }
-      }
-      
-      console.warn('[WARN] No JSON array found in response, falling back to line splitting');
-      // Fallback: split by lines if it looks like a list
-      return text.split('\n')
-        .map(line => line.replace(/^\d+\.\s*/, '').trim()) // Remove leading numbers
-        .filter(line => line.length > 20 && !line.startsWith('{') && !line.startsWith('['))
-        .slice(0, 10);
-    } catch (e) {
-      console.error('[ERROR] JSON array extraction failed:', e.message);
-      return [];
-    }
-  }
-
-  /**
-   * Quick medicine name verification using Gemini Vision API
+   * Quick medicine name verification using the vision model
    * @param {string} imagePath - Path to the uploaded image
    * @returns {Object} Quick verification result with medicine name only
    */
@@ -350,22 +87,7 @@ class GeminiService {
     try {
       console.log('[INFO] Starting quick medicine name verification...');
 
-      // Read image file
-      let imageData;
-      if (imagePath.startsWith('data:')) {
-        // Handle base64 data URLs
-        imageData = imagePath;
-      } else {
-        // Handle file paths
-        const imageBuffer = await fs.readFile(imagePath);
-        const mimeType = this.getMimeType(imagePath);
-        imageData = {
-          inlineData: {
-            data: imageBuffer.toString('base64'),
-            mimeType: mimeType
-          }
-        };
-      }
+      const image = await this._loadImage(imagePath);
 
       // Quick verification prompt focused on medicine name identification
       const prompt = `
@@ -398,62 +120,14 @@ class GeminiService {
         5. Set verificationNeeded to true if identification is uncertain
       `;
 
-      // Generate content with image and prompt
-      console.log('[INFO]🤖 Sending quick verification request to NVIDIA...');
-      let text = '';
-      try {
-        const base64Data = imagePath.startsWith('data:') 
-          ? imagePath.split(',')[1] 
-          : (await fs.readFile(imagePath)).toString('base64');
-        const mimeType = imagePath.startsWith('data:') 
-          ? imagePath.split(';')[0].split(':')[1] 
-          : this.getMimeType(imagePath);
-
-        const nvidiaResult = await nvidiaService.client.chat.completions.create({
-          model: nvidiaService.model,
-          messages: [
-            {
-              role: "user",
-              content: [
-                { type: "text", text: prompt },
-                {
-                  type: "image_url",
-                  image_url: {
-                    url: `data:${mimeType};base64,${base64Data}`,
-                  },
-                },
-              ],
-            },
-          ],
-          max_tokens: 4096,
-        });
-        text = nvidiaResult.choices[0].message.content;
-        console.log('[INFO] Received quick verification response from NVIDIA');
-      } catch (nvidiaError) {
-        console.warn('[WARN] NVIDIA vision failed, falling back to Gemini:', nvidiaError.message);
-        console.log('[INFO]🤖 Sending quick verification request to Gemini...');
-        const result = await this.model.generateContent([prompt, imageData]);
-        const response = await result.response;
-        text = response.text();
-        console.log('[INFO] Received quick verification response from Gemini');
-      }
-
-      // Parse JSON response
-      const verificationData = this._extractJson(text, {
-        identified: false,
-        confidence: 1,
-        medicineName: {
-          brandName: null,
-          genericName: null,
-          primaryName: null
-        },
-        quickIdentification: {
-          shape: null,
-          color: null,
-          visibleText: [],
-          markings: null
-        }
+      console.log('[INFO]🤖 Sending quick verification request...');
+      const { data: verificationData, text, provider } = await aiProviderRegistry.visionJson('scan', {
+        prompt,
+        images: [image],
+        maxTokens: 4096,
+        schema: 'medicine_verification'
       });
+      console.log(`[INFO] Received quick verification response from ${provider}`);
 
       console.log('[INFO][SUCCESS] Quick medicine verification completed');
 
@@ -490,20 +164,7 @@ class GeminiService {
         const imagePath = imagePaths[i];
         console.log(`[INFO] Processing image ${i + 1}/${imagePaths.length}: ${imagePath}`);
 
-        // Read image file
-        let imageData;
-        if (imagePath.startsWith('data:')) {
-          imageData = imagePath;
-        } else {
-          const imageBuffer = await fs.readFile(imagePath);
-          const mimeType = this.getMimeType(imagePath);
-          imageData = {
-            inlineData: {
-              data: imageBuffer.toString('base64'),
-              mimeType: mimeType
-            }
-          };
-        }
+        const imageData = await this._loadImage(imagePath);
 
         imageAnalyses.push({
           imageIndex: i,
@@ -560,75 +221,14 @@ class GeminiService {
         6. Keep response focused on name identification for user verification
       `;
 
-      // Generate content with all images and prompt
-      console.log(`[INFO]🤖 Sending multi-image verification request to NVIDIA...`);
-      let text = '';
-      try {
-        const nvidiaContent = [{ type: "text", text: prompt }];
-        
-        for (const imgAnalysis of imageAnalyses) {
-          const imagePath = imgAnalysis.imagePath;
-          const base64Data = imagePath.startsWith('data:') 
-            ? imagePath.split(',')[1] 
-            : (await fs.readFile(imagePath)).toString('base64');
-          const mimeType = imagePath.startsWith('data:') 
-            ? imagePath.split(';')[0].split(':')[1] 
-            : this.getMimeType(imagePath);
-            
-          nvidiaContent.push({
-            type: "image_url",
-            image_url: {
-              url: `data:${mimeType};base64,${base64Data}`,
-            },
-          });
-        }
-
-        const nvidiaResult = await nvidiaService.client.chat.completions.create({
-          model: nvidiaService.model,
-          messages: [
-            {
-              role: "user",
-              content: nvidiaContent,
-            },
-          ],
-          max_tokens: 4096,
-        });
-        text = nvidiaResult.choices[0].message.content;
-        console.log('[INFO] Received multi-image verification response from NVIDIA');
-      } catch (nvidiaError) {
-        console.warn('[WARN] NVIDIA multi-vision failed, falling back to Gemini:', nvidiaError.message);
-        console.log(`[INFO]🤖 Sending multi-image verification request to Gemini...`);
-        const imageDataArray = imageAnalyses.map(img => img.imageData);
-        const result = await this.model.generateContent([prompt, ...imageDataArray]);
-        const response = await result.response;
-        text = response.text();
-        console.log('[INFO] Received multi-image verification response from Gemini');
-      }
-
-      // Parse JSON response
-      const verificationData = this._extractJson(text, {
-        identified: false,
-        confidence: 1,
-        medicineName: {
-          brandName: null,
-          genericName: null,
-          primaryName: null
-        },
-        quickIdentification: {
-          shape: null,
-          color: null,
-          visibleText: [],
-          markings: null
-        },
-        imageContributions: {},
-        verificationNeeded: true,
-        reasoning: "Failed to parse multi-image AI response",
-        dataQuality: {
-          completeness: 1,
-          consistency: 1,
-          conflictingInfo: []
-        }
+      console.log(`[INFO]🤖 Sending multi-image verification request...`);
+      const { data: verificationData, text, provider } = await aiProviderRegistry.visionJson('scan', {
+        prompt,
+        images: imageAnalyses.map(img => img.imageData),
+        maxTokens: 4096,
+        schema: 'medicine_verification'
       });
+      console.log(`[INFO] Received multi-image verification response from ${provider}`);
 
       // Add metadata about the multi-image analysis
       verificationData.multiImageAnalysis = {
@@ -657,7 +257,7 @@ class GeminiService {
   }
 
   /**
-   * Get comprehensive medicine details using Gemini after user verification
+   * Get comprehensive medicine details after user verification
    * @param {string} imagePath - Path to the uploaded image
    * @param {string} verifiedMedicineName - User-verified medicine name
    * @returns {Object} Comprehensive analysis result
@@ -666,20 +266,7 @@ class GeminiService {
     try {
       console.log('[INFO] Starting comprehensive medicine analysis...');
 
-      // Read image file
-      let imageData;
-      if (imagePath.startsWith('data:')) {
-        imageData = imagePath;
-      } else {
-        const imageBuffer = await fs.readFile(imagePath);
-        const mimeType = this.getMimeType(imagePath);
-        imageData = {
-          inlineData: {
-            data: imageBuffer.toString('base64'),
-            mimeType: mimeType
-          }
-        };
-      }
+      const image = await this._loadImage(imagePath);
 
       // Comprehensive prompt with verified medicine name
       const prompt = `
@@ -753,51 +340,17 @@ class GeminiService {
         6. Be extremely thorough - this is for medical verification
       `;
 
-      // Generate comprehensive content
-      console.log('[INFO]🤖 Sending comprehensive analysis request to NVIDIA...');
-      let text = '';
-      try {
-        const base64Data = imagePath.startsWith('data:') 
-          ? imagePath.split(',')[1] 
-          : (await fs.readFile(imagePath)).toString('base64');
-        const mimeType = imagePath.startsWith('data:') 
-          ? imagePath.split(';')[0].split(':')[1] 
-          : this.getMimeType(imagePath);
-
-        const nvidiaResult = await nvidiaService.client.chat.completions.create({
-          model: nvidiaService.model,
-          messages: [
-            {
-              role: "user",
-              content: [
-                { type: "text", text: prompt },
-                {
-                  type: "image_url",
-                  image_url: {
-                    url: `data:${mimeType};base64,${base64Data}`,
-                  },
-                },
-              ],
-            },
-          ],
-          max_tokens: 4096,
-        });
-        text = nvidiaResult.choices[0].message.content;
-        console.log('[INFO] Received comprehensive response from NVIDIA');
-      } catch (nvidiaError) {
-        console.warn('[WARN] NVIDIA vision failed, falling back to Gemini:', nvidiaError.message);
-        console.log('[INFO]🤖 Sending comprehensive analysis request to Gemini...');
-        const result = await this.model.generateContent([prompt, imageData]);
-        const response = await result.response;
-        text = response.text();
-        console.log('[INFO] Received comprehensive response from Gemini');
-      }
-
-      // Parse JSON response
-      const analysisData = this._extractJson(text, this.createComprehensiveFallbackResponse(text, verifiedMedicineName));
+      console.log('[INFO]🤖 Sending comprehensive analysis request...');
+      const { data, text, provider } = await aiProviderRegistry.visionJson('scan', {
+        prompt,
+        images: [image],
+        maxTokens: 4096,
+        schema: 'medicine_details'
+      });
+      console.log(`[INFO] Received comprehensive response from ${provider}`);
 
-      // Validate and enhance response
-      analysisData = this.validateAndEnhanceResponse(analysisData);
+      // Fill the fields the rest of the app expects
+      const analysisData = this.validateAndEnhanceResponse(data);
 
       console.log('[SUCCESS] Comprehensive medicine analysis completed');
 
@@ -835,20 +388,7 @@ class GeminiService {
         const imagePath = imagePaths[i];
         console.log(`[INFO] Processing image ${i + 1}/${imagePaths.length}: ${imagePath}`);
 
-        // Read image file
-        let imageData;
-        if (imagePath.startsWith('data:')) {
-          imageData = imagePath;
-        } else {
-          const imageBuffer = await fs.readFile(imagePath);
-          const mimeType = this.getMimeType(imagePath);
-          imageData = {
-            inlineData: {
-              data: imageBuffer.toString('base64'),
-              mimeType: mimeType
-            }
-          };
-        }
+        const imageData = await this._loadImage(imagePath);
 
         imageAnalyses.push({
           imageIndex: i,
@@ -955,29 +495,16 @@ class GeminiService {
       `;
 
       // Generate comprehensive content with all images
-      console.log('[INFO]🤖 Sending multi-image comprehensive analysis request to Gemini...');
-      const imageDataArray = imageAnalyses.map(img => img.imageData);
-      const result = await this.model.generateContent([prompt, ...imageDataArray]);
-      const response = await result.response;
-      const text = response.text();
-      console.log('[INFO] Received multi-image comprehensive response from Gemini');
-
-      // Parse JSON response
-      let analysisData;
-      try {
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          analysisData = JSON.parse(jsonMatch[0]);
-        } else {
-          throw new Error('No JSON found in response');
-        }
-      } catch (parseError) {
-        console.warn('[WARN] Failed to parse multi-image comprehensive JSON, creating fallback...');
-        analysisData = this.createMultiComprehensiveFallbackResponse(text, verifiedMedicineName, imageAnalyses);
-      }
+      console.log('[INFO]🤖 Sending multi-image comprehensive analysis request...');
+      const { data, text, provider } = await aiProviderRegistry.visionJson('scan', {
+        prompt,
+        images: imageAnalyses.map(img => img.imageData),
+        schema: 'medicine_details'
+      });
+      console.log(`[INFO] Received multi-image comprehensive response from ${provider}`);
 
-      // Validate and enhance response
-      analysisData = this.validateAndEnhanceResponse(analysisData);
+      // Fill the fields the rest of the app expects
+      const analysisData = this.validateAndEnhanceResponse(data);
 
       // Add multi-image metadata
       analysisData.multiImageAnalysis = {
@@ -1006,104 +533,15 @@ class GeminiService {
   }
 
   /**
-   * Create multi-image comprehensive fallback response when JSON parsing fails
-   */
-  createMultiComprehensiveFallbackResponse(text, verifiedMedicineName, imageAnalyses) {
-    return {
-      identified: true,
-      confidence: 5,
-      verifiedName: verifiedMedicineName,
-      medicine: {
-        brandName: verifiedMedicineName,
-        genericName: null,
-        activeIngredients: [],
-        inactiveIngredients: [],
-        strength: null,
-        dosageForm: null,
-        route: null,
-        ndc: null,
-        manufacturer: null,
-        distributedBy: null,
-        therapeuticClass: null
-      },
-      comprehensiveInfo: {
-        indication: null,
-        mechanism: null,
-        pharmacokinetics: null,
-        dosageInstructions: null,
-        contraindications: [],
-        warnings: [],
-        sideEffects: [],
-        drugInteractions: [],
-        pregnancyCategory: null,
-        storageInstructions: null
-      },
-      manufacturingInfo: {
-        lotNumber: null,
-        expirationDate: null,
-        manufacturingDate: null,
-        facilityCode: null,
-        upc: null
-      },
-      physicalCharacteristics: {
-        shape: null,
-        color: null,
-        size: null,
-        markings: null,
-        coating: null,
-        packaging: null
-      },
-      extractedText: {
-        allText: [],
-        drugNames: [verifiedMedicineName],
-        warnings: [],
-        directions: [],
-        codes: []
-      },
-      imageContributions: imageAnalyses.reduce((acc, img) => {
-        acc[`image${img.imageIndex + 1}`] = {
-          label: img.imageLabel,
-          contributedInfo: ['Failed to parse AI response']
-        };
-        return acc;
-      }, {}),
-      dataQuality: {
-        completeness: 3,
-        consistency: 3,
-        conflictingInfo: [],
-        verificationLevel: 'multi_image_fallback'
-      },
-      dataSourcesUsed: ['Gemini AI Multi-Image Analysis (Fallback)'],
-      reasoning: "Failed to parse multi-image comprehensive AI response",
-      rawAnalysis: text
-    };
-  }
-
-  /**
-   * Analyze medicine image using Gemini Vision API (Legacy method for backward compatibility)
+   * Analyze medicine image using the vision model (Legacy method for backward compatibility)
    * @param {string} imagePath - Path to the uploaded image
    * @returns {Object} Analysis result with medicine information
    */
   async analyzeMedicineImage(imagePath) {
     try {
-      console.log('[INFO] Starting Gemini Vision analysis...');
+      console.log('[INFO] Starting vision analysis...');
 
-      // Read image file
-      let imageData;
-      if (imagePath.startsWith('data:')) {
-        // Handle base64 data URLs
-        imageData = imagePath;
-      } else {
-        // Handle file paths
-        const imageBuffer = await fs.readFile(imagePath);
-        const mimeType = this.getMimeType(imagePath);
-        imageData = {
-          inlineData: {
-            data: imageBuffer.toString('base64'),
-            mimeType: mimeType
-          }
-        };
-      }
+      const image = await this._loadImage(imagePath);
 
       // Comprehensive prompt for detailed medicine analysis
       const prompt = `
@@ -1191,31 +629,16 @@ class GeminiService {
       `;
 
       // Generate content with image and prompt
-      console.log('[INFO]🤖 Sending request to Gemini...');
-      const result = await this.model.generateContent([prompt, imageData]);
-      const response = await result.response;
-      const text = response.text();
-      console.log('[INFO] Received response from Gemini');
-
-      console.log('[INFO] Raw Gemini response received');
-
-      // Parse JSON response
-      let analysisData;
-      try {
-        // Extract JSON from response (in case there's additional text)
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          analysisData = JSON.parse(jsonMatch[0]);
-        } else {
-          throw new Error('No JSON found in response');
-        }
-      } catch (parseError) {
-        console.warn('[WARN] Failed to parse JSON response, creating structured response...');
-        analysisData = this.createFallbackResponse(text);
-      }
+      console.log('[INFO]🤖 Sending image analysis request...');
+      const { data, text, provider } = await aiProviderRegistry.visionJson('scan', {
+        prompt,
+        images: [image],
+        schema: 'medicine_details'
+      });
+      console.log(`[INFO] Received response from ${provider}`);
 
-      // Validate and enhance response
-      analysisData = this.validateAndEnhanceResponse(analysisData);
+      // Fill the fields the rest of the app expects
+      const analysisData = this.validateAndEnhanceResponse(data);
 
       console.log('[SUCCESS] Gemini analysis completed successfully');
 
@@ -1251,99 +674,6 @@ class GeminiService {
     return mimeTypes[ext] || 'image/jpeg';
   }
 
-  /**
-   * Create comprehensive fallback response when JSON parsing fails
-   */
-  createComprehensiveFallbackResponse(text, verifiedMedicineName) {
-    return {
-      identified: true,
-      confidence: 5,
-      verifiedName: verifiedMedicineName,
-      medicine: {
-        brandName: verifiedMedicineName,
-        genericName: null,
-        activeIngredients: [],
-        inactiveIngredients: [],
-        strength: null,
-        dosageForm: null,
-        route: null,
-        ndc: null,
-        manufacturer: null,
-        distributedBy: null,
-        therapeuticClass: null
-      },
-      comprehensiveInfo: {
-        indication: null,
-        mechanism: null,
-        pharmacokinetics: null,
-        dosageInstructions: null,
-        contraindications: [],
-        warnings: [],
-        sideEffects: [],
-        drugInteractions: [],
-        pregnancyCategory: null,
-        storageInstructions: null
-      },
-      manufacturingInfo: {
-        lotNumber: null,
-        expirationDate: null,
-        manufacturingDate: null,
-        facilityCode: null,
-        upc: null
-      },
-      physicalCharacteristics: {
-        shape: null,
-        color: null,
-        size: null,
-        markings: null,
-        coating: null,
-        packaging: null
-      },
-      extractedText: {
-        allText: [],
-        drugNames: [verifiedMedicineName],
-        warnings: [],
-        directions: [],
-        codes: []
-      },
-      dataSourcesUsed: [],
-      reasoning: "Failed to parse comprehensive AI response",
-      rawAnalysis: text
-    };
-  }
-
-  /**
-   * Create fallback response when JSON parsing fails
-   */
-  createFallbackResponse(text) {
-    return {
-      identified: false,
-      confidence: 1,
-      medicine: {
-        brandName: null,
-        genericName: null,
-        strength: null,
-        dosageForm: null,
-        ndc: null,
-        manufacturer: null
-      },
-      physicalCharacteristics: {
-        shape: null,
-        color: null,
-        size: null,
-        markings: null,
-        packaging: null
-      },
-      extractedText: [],
-      expirationDate: null,
-      lotNumber: null,
-      reasoning: "Failed to parse structured response from AI analysis",
-      alternatives: [],
-      warnings: ["Could not properly analyze the image"],
-      rawAnalysis: text
-    };
-  }
-
   /**
    * Validate and enhance the comprehensive AI response
    */
@@ -1486,22 +816,34 @@ class GeminiService {
   }
 
   /**
-   * Generate health-focused chat response using Gemini AI
+   * Generate health-focused chat response
    * @param {string} message - User's message
    * @param {Array} conversationHistory - Previous conversation context
    * @param {Object} userContext - User profile and health data context
    * @returns {Object} Chat response with AI-generated content
    */
-  async generateChatResponse(message, conversationHistory = [], userContext = {}, preferredLanguage = 'en') {
-    try {
-      console.log(`[INFO] Conversation history has ${conversationHistory.length} messages`);
-
-      // Build conversation context
-      const contextPrompt = this.buildHealthChatContext(userContext);
-      const historyPrompt = this.buildConversationHistory(conversationHistory);
+  /**
+   * Health assistant system prompt shared by the JSON and streaming chat paths.
+   * format 'json' asks for { response, followUps }; 'text' asks for plain
+   * formatted text with follow-ups after CHAT_FOLLOW_UP_MARKER, so the answer
+   * can be streamed as it is generated.
+   */
+  buildChatSystemPrompt(message, conversationHistory = [], userContext = {}, preferredLanguage = 'en', format = 'json') {
+    // Build conversation context
+    const contextPrompt = this.buildHealthChatContext(userContext);
+    const historyPrompt = this.buildConversationHistory(conversationHistory);
+
+    const formatPrompt = format === 'text'
+      ? `Respond with your detailed, formatted response as plain text (no JSON, no code fences).
+        After the response, on a new line, write "${CHAT_FOLLOW_UP_MARKER}" followed by two short follow-up questions separated by " | ".`
+      : `Respond ONLY with a JSON object:
+        {
+          "response": "Your detailed, formatted response",
+          "followUps": ["Follow-up question 1", "Follow-up question 2"]
+        }`;
 
-      // Main health assistant prompt - Premium & Detailed
-      const systemPrompt = `
+    // Main health assistant prompt - Premium & Detailed
+    return `
         You are Mediot AI, a premium, professional, and friendly healthcare assistant. 
 
         [CRITICAL - LANGUAGE MATCHING]:
@@ -1540,111 +882,28 @@ class GeminiService {
 
         User's current message: "${message}"
 
-        Respond ONLY with a JSON object:
-        {
-          "response": "Your detailed, formatted response",
-          "followUps": ["Follow-up question 1", "Follow-up question 2"]
-        }`;
+        ${formatPrompt}`;
+  }
 
-      const startTime = Date.now();
-      let rawText = '';
-      let provider = 'NVIDIA AI';
-      let success = false;
-
-      // Try NVIDIA first as requested by user
-      try {
-        console.log(`[INFO] Attempting to generate chat response with NVIDIA (${nvidiaService.model})...`);
-        const nvidiaResult = await nvidiaService.client.chat.completions.create({
-          model: nvidiaService.model,
-          messages: [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: message }
-          ],
-          temperature: 0.2,
-          top_p: 0.95,
-          max_tokens: 65536,
-          reasoning_budget: 16384,
-          chat_template_kwargs: {"enable_thinking":false},
-        });
-        rawText = nvidiaResult.choices[0].message.content;
-        success = true;
-        console.log(`[PERF] NVIDIA response took ${Date.now() - startTime}ms`);
-      } catch (nvidiaError) {
-        console.warn('[WARN] NVIDIA failed, falling back to SambaNova/Gemini:', nvidiaError.message);
-        
-        const samba = this._getAvailableSambaClient();
-        if (samba) {
-          console.log(`[INFO] Generating chat response with DeepSeek-V3.1 (Key ${samba.index + 1})...`);
-          try {
-            const completion = await samba.client.chat.completions.create({
-              model: this.sambaNovaModel,
-              messages: [
-                { role: "system", content: systemPrompt },
-                { role: "user", content: message }
-              ],
-              temperature: 0.7,
-              max_tokens: 1024,
-            });
-            rawText = completion.choices[0].message.content;
-            provider = `SambaNova (${this.sambaNovaModel})`;
-            success = true;
-            console.log(`[PERF] DeepSeek-V3.1 response took ${Date.now() - startTime}ms`);
-          } catch (sambaError) {
-            console.warn('[WARN] SambaNova failed, falling back to Gemini:', sambaError.message);
-            if (sambaError.status === 429) this._disableKey(samba.index, 3600000);
-            const result = await this.model.generateContent(systemPrompt + "\n\nUser: " + message);
-            rawText = (await result.response).text();
-            provider = 'Gemini AI';
-            success = true;
-          }
-        } else {
-          const result = await this.model.generateContent(systemPrompt + "\n\nUser: " + message);
-          rawText = (await result.response).text();
-          provider = 'Gemini AI';
-          success = true;
-        }
-      }
+  async generateChatResponse(message, conversationHistory = [], userContext = {}, preferredLanguage = 'en') {
+    try {
+      console.log(`[INFO] Conversation history has ${conversationHistory.length} messages`);
 
-      console.log('[SUCCESS] Chat response generated successfully');
+      const systemPrompt = this.buildChatSystemPrompt(message, conversationHistory, userContext, preferredLanguage, 'json');
 
-      // Parse JSON response
-      let aiResponse = '';
-      let followUpSuggestions = [];
-
-      try {
-        // Extract JSON from response
-        const jsonMatch = rawText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          const parsed = JSON.parse(jsonMatch[0]);
-          aiResponse = parsed.response || rawText;
-          followUpSuggestions = parsed.followUps || [];
-        } else {
-          // Fallback if no JSON found
-          aiResponse = rawText;
-          followUpSuggestions = this.generateFollowUpSuggestions(message, rawText, userContext);
-        }
-      } catch (parseError) {
-        console.warn('[WARN] Failed to parse JSON response, using raw text');
-        aiResponse = rawText.replace(/```json|```/g, '').trim();
-        // Try to extract if it looks like JSON was attempted
-        if (aiResponse.includes('"response"')) {
-          try {
-            const retryParse = JSON.parse(aiResponse);
-            aiResponse = retryParse.response || aiResponse;
-            followUpSuggestions = retryParse.followUps || [];
-          } catch (e) {
-            followUpSuggestions = this.generateFollowUpSuggestions(message, aiResponse, userContext);
-          }
-        } else {
-          followUpSuggestions = this.generateFollowUpSuggestions(message, aiResponse, userContext);
-        }
-      }
+      const { data: reply, provider } = await aiProviderRegistry.completeJson('chat', {
+        system: systemPrompt,
+        prompt: message,
+        temperature: 0.2,
+        schema: 'chat_reply'
+      });
 
-      // Final safety check to ensure we never return empty content
-      if (!aiResponse || typeof aiResponse !== 'string' || aiResponse.trim().length === 0) {
-        console.warn('[WARN] AI response was empty, using fallback');
-        aiResponse = rawText && rawText.trim().length > 0 ? rawText : "I'm sorry, I couldn't process that request properly. Could you please rephrase it?";
-      }
+      console.log('[SUCCESS] Chat response generated successfully');
+
+      const aiResponse = reply.response;
+      const followUpSuggestions = reply.followUps?.length > 0
+        ? reply.followUps
+        : this.generateFollowUpSuggestions(message, aiResponse, userContext);
 
       return {
         success: true,
@@ -1679,6 +938,77 @@ class GeminiService {
     }
   }
 
+  /**
+   * Streaming variant of generateChatResponse. Calls onToken(text) as the answer
+   * is generated and resolves with the same shape as generateChatResponse once
+   * complete. Providers are tried in the order routed for the chat task until
+   * one starts streaming; aborting `signal` cancels the upstream request.
+   */
+  async streamChatResponse(message, conversationHistory = [], userContext = {}, preferredLanguage = 'en', { onToken = () => {}, signal } = {}) {
+    const systemPrompt = this.buildChatSystemPrompt(message, conversationHistory, userContext, preferredLanguage, 'text');
+    const startTime = Date.now();
+    let rawText = '';
+    let emitted = 0;
+
+    // Forward text as it arrives, holding back anything that could be the start
+    // of the follow-up marker so it never reaches the client
+    const emitAvailable = (final = false) => {
+      const markerIndex = rawText.indexOf(CHAT_FOLLOW_UP_MARKER);
+      const end = markerIndex >= 0
+        ? markerIndex
+        : final ? rawText.length : Math.max(emitted, rawText.length - CHAT_FOLLOW_UP_MARKER.length);
+
+      if (end > emitted) {
+        onToken(rawText.slice(emitted, end));
+        emitted = end;
+      }
+    };
+
+    const { tokens, provider } = await aiProviderRegistry.openStream('chat', {
+      system: systemPrompt,
+      prompt: message,
+      temperature: 0.2
+    }, { signal });
+
+    // Once text has reached the client a different provider can't take over
+    for await (const token of tokens) {
+      if (signal?.aborted) break;
+      if (!token) continue;
+      rawText += token;
+      emitAvailable();
+    }
+
+    if (signal?.aborted) {
+      const abortError = new Error('Chat response cancelled');
+      abortError.name = 'AbortError';
+      throw abortError;
+    }
+
+    emitAvailable(true);
+    console.log(`[PERF] Streamed chat response from ${provider} in ${Date.now() - startTime}ms`);
+
+    const markerIndex = rawText.indexOf(CHAT_FOLLOW_UP_MARKER);
+    const aiResponse = (markerIndex >= 0 ? rawText.slice(0, markerIndex) : rawText).trim();
+    const followUpSuggestions = markerIndex >= 0
+      ? rawText.slice(markerIndex + CHAT_FOLLOW_UP_MARKER.length).split('|').map(q => q.trim()).filter(Boolean)
+      : this.generateFollowUpSuggestions(message, aiResponse, userContext);
+
+    return {
+      success: true,
+      data: {
+        message: aiResponse || "I'm sorry, I couldn't process that request properly. Could you please rephrase it?",
+        timestamp: new Date().toISOString(),
+        followUpSuggestions: followUpSuggestions.slice(0, 2),
+        provider,
+        context: {
+          conversationLength: conversationHistory.length + 1,
+          userContextUsed: Object.keys(userContext).length > 0,
+          responseType: this.categorizeResponse(message)
+        }
+      }
+    };
+  }
+
   /**
    * Build health context from user profile and health data
    */
@@ -1693,8 +1023,12 @@ class GeminiService {
       context += `- Age: ${userContext.age}\n`;
     }
 
-    if (userContext.medicalConditions && userContext.medicalConditions.length > 0) {
-      context += `- Medical conditions: ${userContext.medicalConditions.join(', ')}\n`;
+    if (userContext.gender) {
+      context += `- Gender: ${userContext.gender}\n`;
+    }
+
+    if (userContext.chronicConditions && userContext.chronicConditions.length > 0) {
+      context += `- Chronic conditions: ${userContext.chronicConditions.join(', ')}\n`;
     }
 
     if (userContext.currentMedications && userContext.currentMedications.length > 0) {
@@ -1705,6 +1039,13 @@ class GeminiService {
       context += `- Allergies: ${userContext.allergies.join(', ')}\n`;
     }
 
+    if (userContext.abnormalMetrics && userContext.abnormalMetrics.items.length > 0) {
+      const testDate = userContext.abnormalMetrics.testDate
+        ? ` (${new Date(userContext.abnormalMetrics.testDate).toISOString().split('T')[0]})`
+        : '';
+      context += `- Latest abnormal lab results${testDate}: ${userContext.abnormalMetrics.items.join('; ')}\n`;
+    }
+
     if (userContext.recentScans && userContext.recentScans.length > 0) {
       context += `- Recently scanned medicines: ${userContext.recentScans.join(', ')}\n`;
     }
@@ -1797,8 +1138,7 @@ class GeminiService {
    */
   async generateMedicineQueryResponse(message, medicineContext, conversationHistory = [], preferredLanguage = 'en') {
     try {
-      let provider = 'Gemini AI';
-      console.log(`[INFO] Generating medicine query response with ${provider}...`);
+      console.log('[INFO] Generating medicine query response...');
       
       const historyText = conversationHistory.map(m => `${m.sender}: ${m.message}`).join('\n');
 
@@ -1827,57 +1167,7 @@ class GeminiService {
 
       messages.push({ role: "user", content: message });
 
-      const startTime = Date.now();
-      let text = '';
-      let success = false;
-      provider = 'NVIDIA AI';
-
-      // Try NVIDIA first as requested by user
-      try {
-        console.log(`[INFO] Attempting to generate medicine query with NVIDIA (${nvidiaService.model})...`);
-        const nvidiaResult = await nvidiaService.client.chat.completions.create({
-          model: nvidiaService.model,
-          messages: messages,
-          temperature: 0.2,
-          top_p: 0.95,
-          max_tokens: 65536,
-          reasoning_budget: 16384,
-          chat_template_kwargs: {"enable_thinking":false},
-        });
-        text = nvidiaResult.choices[0].message.content;
-        success = true;
-        console.log(`[PERF] NVIDIA medicine query took ${Date.now() - startTime}ms`);
-      } catch (nvidiaError) {
-        console.warn('[WARN] NVIDIA failed for medicine query, falling back to SambaNova/Gemini:', nvidiaError.message);
-        
-        const samba = this._getAvailableSambaClient();
-        if (samba) {
-          console.log(`[INFO] Generating medicine query with DeepSeek-V3.1 (Key ${samba.index + 1})...`);
-          try {
-            const completion = await samba.client.chat.completions.create({
-              model: this.sambaNovaModel,
-              messages: messages,
-              temperature: 0.5,
-            });
-            text = completion.choices[0].message.content;
-            provider = `SambaNova (${this.sambaNovaModel})`;
-            success = true;
-            console.log(`[PERF] DeepSeek-V3.1 medicine query took ${Date.now() - startTime}ms`);
-          } catch (sambaError) {
-            console.warn('[WARN] DeepSeek-V3.1 failed for medicine query, falling back to Gemini:', sambaError.message);
-            if (sambaError.status === 429) this._disableKey(samba.index, 3600000);
-            const result = await this.model.generateContent(`Context: ${medicineContext}\nHistory: ${historyText}\nQuestion: ${message}`);
-            text = (await result.response).text();
-            provider = 'Gemini AI';
-            success = true;
-          }
-        } else {
-          const result = await this.model.generateContent(`Context: ${medicineContext}\nHistory: ${historyText}\nQuestion: ${message}`);
-          text = (await result.response).text();
-          provider = 'Gemini AI';
-          success = true;
-        }
-      }
+      const { text, provider } = await aiProviderRegistry.complete('chat', { messages, temperature: 0.2 });
 
       console.log('[SUCCESS] Medicine query response generated');
 
@@ -1912,8 +1202,7 @@ class GeminiService {
    */
   async generateReportQueryResponse(message, reportContext, conversationHistory = [], preferredLanguage = 'en') {
     try {
-      let provider = 'Gemini AI';
-      console.log(`[INFO] Generating report query response with ${provider}...`);
+      console.log('[INFO] Generating report query response...');
 
       const historyText = conversationHistory.map(m => `${m.sender}: ${m.message}`).join('\n');
       
@@ -1941,28 +1230,7 @@ INSTRUCTIONS:
 
       messages.push({ role: "user", content: message });
 
-      const samba = this._getAvailableSambaClient();
-      let text = '';
-      if (samba) {
-        console.log(`[INFO] Generating report query with DeepSeek-V3.1 (Key ${samba.index + 1})...`);
-        try {
-          const completion = await samba.client.chat.completions.create({
-            model: this.sambaNovaModel,
-            messages: messages,
-            temperature: 0.4,
-          });
-          text = completion.choices[0].message.content;
-          provider = `SambaNova (${this.sambaNovaModel})`;
-        } catch (sambaError) {
-          console.warn('[WARN] DeepSeek-V3.1 failed for report, falling back to Gemini:', sambaError.message);
-          if (sambaError.status === 429) this._disableKey(samba.index, 3600000);
-          const result = await this.model.generateContent(systemPrompt + "\nHistory: " + historyText + "\nUser: " + message);
-          text = (await result.response).text();
-        }
-      } else {
-        const result = await this.model.generateContent(systemPrompt + "\nHistory: " + historyText + "\nUser: " + message);
-        text = (await result.response).text();
-      }
+      const { text, provider } = await aiProviderRegistry.complete('report_chat', { messages, temperature: 0.4 });
 
       return {
         success: true,
@@ -1999,52 +1267,10 @@ INSTRUCTIONS:
       Be professional, friendly, and brief.
       End with a friendly prompt like "Feel free to ask me anything about it!"`;
 
-      let success = false;
-      let text = '';
-
-      // Try NVIDIA first as requested by user
-      try {
-        console.log(`[PROACTIVE] Attempting to generate insight with NVIDIA (${nvidiaService.model})...`);
-        const nvidiaResult = await nvidiaService.client.chat.completions.create({
-          model: nvidiaService.model,
-          messages: [{ role: "user", content: prompt }],
-          temperature: 0.2,
-          top_p: 0.95,
-          max_tokens: 1024,
-        });
-        text = nvidiaResult.choices[0].message.content;
-        success = true;
-        console.log(`[PROACTIVE] Insight generated successfully with NVIDIA`);
-      } catch (nvidiaError) {
-        console.warn('[WARN] NVIDIA failed for proactive insight, falling back to SambaNova/Gemini:', nvidiaError.message);
-        
-        const samba = this._getAvailableSambaClient();
-        if (samba) {
-          console.log(`[INFO] Generating proactive insight with DeepSeek-V3.1 (Key ${samba.index + 1})...`);
-          try {
-            const completion = await samba.client.chat.completions.create({
-              model: this.sambaNovaModel,
-              messages: [{ role: "user", content: prompt }],
-              temperature: 0.7,
-              max_tokens: 150
-            });
-            text = completion.choices[0].message.content;
-            success = true;
-          } catch (sambaError) {
-            console.warn('[WARN] DeepSeek-V3.1 failed for insight, falling back to Gemini:', sambaError.message);
-            if (sambaError.status === 429) this._disableKey(samba.index, 3600000);
-            const result = await this.model.generateContent(prompt);
-            text = (await result.response).text();
-            success = true;
-          }
-        } else {
-          const result = await this.model.generateContent(prompt);
-          text = (await result.response).text();
-          success = true;
-        }
-      }
+      const { text, provider } = await aiProviderRegistry.complete('insight', { prompt, temperature: 0.2, maxTokens: 1024 });
+      console.log(`[PROACTIVE] Insight generated successfully with ${provider}`);
 
-      return { success, text };
+      return { success: true, text };
     } catch (error) {
       console.error('Proactive insight error:', error);
       return { success: false, error: error.message };
@@ -2052,30 +1278,15 @@ INSTRUCTIONS:
   }
 
   /**
-   * Identify pill from image using Gemini Vision API
+   * Identify pill from image using the vision model
    * @param {string} imagePath - Path to the pill image
    * @returns {Object} Pill identification result
    */
   async identifyPillFromImage(imagePath) {
     try {
-      console.log('[INFO] Starting pill identification with AI (NVIDIA Primary)...');
+      console.log('[INFO] Starting pill identification with AI...');
 
-      // Read image file
-      let imageData;
-      if (imagePath.startsWith('data:')) {
-        // Handle base64 data URLs
-        imageData = imagePath;
-      } else {
-        // Handle file paths
-        const imageBuffer = await fs.readFile(imagePath);
-        const mimeType = this.getMimeType(imagePath);
-        imageData = {
-          inlineData: {
-            data: imageBuffer.toString('base64'),
-            mimeType: mimeType
-          }
-        };
-      }
+      const image = await this._loadImage(imagePath);
 
       // Medicine identification prompt (works for pills, creams, syrups, tablets, etc.)
       const prompt = `
@@ -2153,70 +1364,14 @@ INSTRUCTIONS:
         5. Return ONLY the JSON, nothing else
       `;
 
-      // Generate content with image and prompt
-      console.log('[INFO]🤖 Sending pill identification request to NVIDIA...');
-      let text = '';
-      try {
-        const base64Data = imagePath.startsWith('data:') 
-          ? imagePath.split(',')[1] 
-          : (await fs.readFile(imagePath)).toString('base64');
-        const mimeType = imagePath.startsWith('data:') 
-          ? imagePath.split(';')[0].split(':')[1] 
-          : this.getMimeType(imagePath);
-
-        const nvidiaResult = await nvidiaService.client.chat.completions.create({
-          model: nvidiaService.model,
-          messages: [
-            {
-              role: "user",
-              content: [
-                { type: "text", text: prompt },
-                {
-                  type: "image_url",
-                  image_url: {
-                    url: `data:${mimeType};base64,${base64Data}`,
-                  },
-                },
-              ],
-            },
-          ],
-          max_tokens: 4096,
-        });
-        text = nvidiaResult.choices[0].message.content;
-        console.log('[INFO] Received pill identification response from NVIDIA');
-      } catch (nvidiaError) {
-        console.warn('[WARN] NVIDIA vision failed, falling back to Gemini:', nvidiaError.message);
-        console.log('[INFO]🤖 Sending pill identification request to Gemini...');
-        const result = await this.model.generateContent([prompt, imageData]);
-        const response = await result.response;
-        text = response.text();
-        console.log('[INFO] Received pill identification response from Gemini');
-      }
-
-      // Parse JSON response
-      const pillData = this._extractJson(text, {
-        identified: false,
-        confidence: 1,
-        medicineName: {
-          brandName: null,
-          genericName: null,
-          primaryName: "Unable to identify"
-        },
-        physicalCharacteristics: {
-          shape: "Unable to determine",
-          color: "Unable to determine",
-          size: "Unable to determine",
-          imprint: "Not visible",
-          scoring: "Unable to determine",
-          coating: "Unable to determine"
-        },
-        possibleMatches: [],
-        activeIngredients: [],
-        commonUses: [],
-        safetyWarning: "Unable to identify pill. Please consult a pharmacist or healthcare provider.",
-        verificationNeeded: true,
-        reasoning: "Failed to parse AI response. Manual verification required."
+      console.log('[INFO]🤖 Sending pill identification request...');
+      const { data: pillData, text, provider } = await aiProviderRegistry.visionJson('scan', {
+        prompt,
+        images: [image],
+        maxTokens: 4096,
+        schema: 'pill_identification'
       });
+      console.log(`[INFO] Received pill identification response from ${provider}`);
 
       console.log('[SUCCESS] Pill identification completed');
 
@@ -2260,26 +1415,16 @@ INSTRUCTIONS:
   }
 
   /**
-   * Identify medicine from multiple images using Gemini Vision API
+   * Identify medicine from multiple images using the vision model
    * @param {string[]} imagePaths - Array of paths to medicine images
    * @returns {Object} Medicine identification result
    */
   async identifyPillFromMultipleImages(imagePaths) {
     try {
-      console.log(`[INFO] Starting medicine identification with ${imagePaths.length} images using Gemini Vision...`);
+      console.log(`[INFO] Starting medicine identification with ${imagePaths.length} images...`);
 
       // Read all image files
-      const imageDataArray = [];
-      for (const imagePath of imagePaths) {
-        const imageBuffer = await fs.readFile(imagePath);
-        const mimeType = this.getMimeType(imagePath);
-        imageDataArray.push({
-          inlineData: {
-            data: imageBuffer.toString('base64'),
-            mimeType: mimeType
-          }
-        });
-      }
+      const images = await Promise.all(imagePaths.map(imagePath => this._loadImage(imagePath)));
 
       // Enhanced prompt for multiple images
       const prompt = `
@@ -2357,74 +1502,14 @@ INSTRUCTIONS:
         5. Return ONLY the JSON, nothing else
       `;
 
-      // Generate content with all images and prompt
-      // Generate content with all images and prompt
-      console.log(`[INFO]🤖 Sending ${imagePaths.length} images to AI (NVIDIA Primary) for identification...`);
-      let text = '';
-      try {
-        const nvidiaContent = [{ type: "text", text: prompt }];
-        
-        for (const imagePath of imagePaths) {
-          const imageBuffer = await fs.readFile(imagePath);
-          const base64Data = imageBuffer.toString('base64');
-          const mimeType = this.getMimeType(imagePath);
-          nvidiaContent.push({
-            type: "image_url",
-            image_url: {
-              url: `data:${mimeType};base64,${base64Data}`,
-            },
-          });
-        }
-
-        const nvidiaResult = await nvidiaService.client.chat.completions.create({
-          model: nvidiaService.model,
-          messages: [
-            {
-              role: "user",
-              content: nvidiaContent,
-            },
-          ],
-          max_tokens: 4096,
-        });
-        text = nvidiaResult.choices[0].message.content;
-        console.log(`[INFO] Received medicine identification response from NVIDIA (${imagePaths.length} images)`);
-      } catch (nvidiaError) {
-        console.warn(`[WARN] NVIDIA vision failed for multiple images, falling back to Gemini:`, nvidiaError.message);
-        console.log(`[INFO]🤖 Sending ${imagePaths.length} images to Gemini for identification...`);
-        const result = await this.model.generateContent([prompt, ...imageDataArray]);
-        const response = await result.response;
-        text = response.text();
-        console.log(`[INFO] Received medicine identification response from Gemini (${imagePaths.length} images)`);
-      }
-
-      // Parse JSON response (same parsing logic as single image)
-      const medicineData = this._extractJson(text, {
-        identified: false,
-        confidence: 1,
-        medicineType: 'unknown',
-        medicineName: {
-          brandName: null,
-          genericName: null,
-          primaryName: "Unable to identify"
-        },
-        physicalCharacteristics: {
-          form: "Unable to determine",
-          shape: "Unable to determine",
-          color: "Unable to determine",
-          size: "Unable to determine",
-          packaging: "Unable to determine",
-          visibleText: "Not visible",
-          imprint: "Not visible",
-          appearance: "Unable to determine"
-        },
-        dosageInformation: {},
-        possibleMatches: [],
-        activeIngredients: [],
-        commonUses: [],
-        safetyWarning: "Unable to identify medicine. Please consult a pharmacist or healthcare provider.",
-        verificationNeeded: true,
-        reasoning: "Failed to parse AI response from multiple images. Manual verification required."
+      console.log(`[INFO]🤖 Sending ${imagePaths.length} images to AI for identification...`);
+      const { data: medicineData, text, provider } = await aiProviderRegistry.visionJson('scan', {
+        prompt,
+        images,
+        maxTokens: 4096,
+        schema: 'pill_identification'
       });
+      console.log(`[INFO] Received medicine identification response from ${provider} (${imagePaths.length} images)`);
 
       console.log(`[SUCCESS] Medicine identification completed using ${imagePaths.length} images`);
 
@@ -2510,26 +1595,14 @@ INSTRUCTIONS:
         Note: Provide best guess based on barcode pattern and pharmaceutical knowledge.
       `;
 
-      console.log(`[INFO]🤖 Requesting medicine info for barcode ${barcode} from AI (NVIDIA Primary)...`);
-      let text = '';
-      try {
-        const nvidiaResult = await nvidiaService.client.chat.completions.create({
-          model: nvidiaService.model,
-          messages: [{ role: "user", content: prompt }],
-          temperature: 0.1,
-          max_tokens: 1024,
-        });
-        text = nvidiaResult.choices[0].message.content;
-        console.log(`[INFO] Received barcode info from NVIDIA`);
-      } catch (nvidiaError) {
-        console.warn(`[WARN] NVIDIA failed for barcode ${barcode}, falling back to Gemini:`, nvidiaError.message);
-        const result = await this.model.generateContent(prompt);
-        const response = await result.response;
-        text = response.text();
-        console.log(`[INFO] Received barcode info from Gemini`);
-      }
-
-      const data = this._extractJson(text, { identified: false, confidence: 1 });
+      console.log(`[INFO]🤖 Requesting medicine info for barcode ${barcode} from AI...`);
+      const { data, provider } = await aiProviderRegistry.completeJson('medicine_info', {
+        prompt,
+        temperature: 0.1,
+        maxTokens: 1024,
+        schema: 'barcode_info'
+      });
+      console.log(`[INFO] Received barcode info from ${provider}`);
 
       return { success: true, data };
     } catch (error) {
@@ -2566,11 +1639,7 @@ INSTRUCTIONS:
         }
       `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-
-      const data = this._extractJson(text, { confidence: 1, parsedData: { type: 'text', content: qrData } });
+      const { data } = await aiProviderRegistry.completeJson('medicine_info', { prompt, schema: 'qr_info' });
 
       return { success: true, data };
     } catch (error) {
@@ -2580,22 +1649,15 @@ INSTRUCTIONS:
   }
 
   /**
-   * Extract text from document image using Gemini Vision OCR
+   * Extract text from document image using vision OCR
    * @param {string} imagePath - Path to document image
    * @returns {Object} Extracted text and information
    */
   async extractTextFromDocument(imagePath) {
     try {
-      console.log('[INFO] Extracting text from document with AI OCR (NVIDIA Primary)');
-
-      const imageBuffer = await fs.readFile(imagePath);
-      const mimeType = this.getMimeType(imagePath);
-      const imageData = {
-        inlineData: {
-          data: imageBuffer.toString('base64'),
-          mimeType: mimeType
-        }
-      };
+      console.log('[INFO] Extracting text from document with AI OCR');
+
+      const image = await this._loadImage(imagePath);
 
       const prompt = `
         You are an OCR expert. Extract ALL text from this document image.
@@ -2619,41 +1681,14 @@ INSTRUCTIONS:
         Extract ALL visible text accurately, maintaining structure and formatting.
       `;
 
-      console.log('[INFO] Extracting text from document with NVIDIA Vision OCR');
-      let text = '';
-      try {
-        const base64Data = imageBuffer.toString('base64');
-
-        const nvidiaResult = await nvidiaService.client.chat.completions.create({
-          model: nvidiaService.model,
-          messages: [
-            {
-              role: "user",
-              content: [
-                { type: "text", text: prompt },
-                {
-                  type: "image_url",
-                  image_url: {
-                    url: `data:${mimeType};base64,${base64Data}`,
-                  },
-                },
-              ],
-            },
-          ],
-          max_tokens: 4096,
-        });
-        text = nvidiaResult.choices[0].message.content;
-        console.log('[INFO] Received document OCR response from NVIDIA');
-      } catch (nvidiaError) {
-        console.warn('[WARN] NVIDIA document OCR failed, falling back to Gemini:', nvidiaError.message);
-        console.log('[INFO]🤖 Sending document OCR request to Gemini...');
-        const result = await this.model.generateContent([prompt, imageData]);
-        const response = await result.response;
-        text = response.text();
-        console.log('[INFO] Received document OCR response from Gemini');
-      }
-
-      const data = this._extractJson(text, { confidence: 1, extractedText: text });
+      console.log('[INFO] Extracting text from document with vision OCR');
+      const { data, provider } = await aiProviderRegistry.visionJson('ocr', {
+        prompt,
+        images: [image],
+        maxTokens: 4096,
+        schema: 'document_ocr'
+      });
+      console.log(`[INFO] Received document OCR response from ${provider}`);
 
       return { success: true, data };
     } catch (error) {
@@ -2670,7 +1705,7 @@ INSTRUCTIONS:
    */
   async analyzeMedicineInteractions(medications, userContext = {}) {
     try {
-      console.log('[INFO] Analyzing medicine interactions with Gemini AI...');
+      console.log('[INFO] Analyzing medicine interactions with AI...');
 
       const interactionPrompt = `
         You are a pharmaceutical expert analyzing potential drug interactions. 
@@ -2714,35 +1749,14 @@ INSTRUCTIONS:
         IMPORTANT: Base analysis on established pharmaceutical knowledge. Always recommend consulting healthcare providers for medication changes.
       `;
 
-      console.log('[INFO]🤖 Requesting interaction analysis from AI (NVIDIA Primary)...');
-      let text = '';
-      try {
-        const nvidiaResult = await nvidiaService.client.chat.completions.create({
-          model: nvidiaService.model,
-          messages: [{ role: "user", content: interactionPrompt }],
-          temperature: 0.1,
-          max_tokens: 4096,
-        });
-        text = nvidiaResult.choices[0].message.content;
-        console.log('[INFO] Received interaction analysis from NVIDIA');
-      } catch (nvidiaError) {
-        console.warn('[WARN] NVIDIA failed for interaction analysis, falling back to Gemini:', nvidiaError.message);
-        const result = await this.model.generateContent(interactionPrompt);
-        const response = await result.response;
-        text = response.text();
-        console.log('[INFO] Received interaction analysis from Gemini');
-      }
-
-      // Parse JSON response
-      const analysisData = this._extractJson(text, {
-        overallRisk: "unknown",
-        interactions: [],
-        contraindications: [],
-        generalRecommendations: ["Consult your healthcare provider about these medications"],
-        warningFlags: ["Unable to complete automated analysis"],
-        consultationRecommended: true,
-        reasoning: "Failed to parse AI analysis response"
+      console.log('[INFO]🤖 Requesting interaction analysis from AI...');
+      const { data: analysisData, text, provider } = await aiProviderRegistry.completeJson('interactions', {
+        prompt: interactionPrompt,
+        temperature: 0.1,
+        maxTokens: 4096,
+        schema: 'drug_interactions'
       });
+      console.log(`[INFO] Received interaction analysis from ${provider}`);
 
       console.log('[SUCCESS] Medicine interaction analysis completed');
 
@@ -2801,123 +1815,7 @@ INSTRUCTIONS:
    * Check if service is initialized
    */
   get isInitialized() {
-    return !!this.model;
-  }
-
-  /**
-   * Smart API: Proactively check key health every 3 minutes
-   */
-  startHealthCheck() {
-    console.log('[SMART-API] Initializing 3-minute proactive health check service...');
-    setInterval(async () => {
-      for (let i = 0; i < this.sambaNovaClients.length; i++) {
-        const now = Date.now();
-        
-        // If it's disabled, we only check if it's almost time to revive it (last 5 mins of cooldown)
-        if (now < this.clientStates[i].disabledUntil - 300000) continue;
-
-        try {
-          // Send a tiny request to verify key health
-          await this.sambaNovaClients[i].chat.completions.create({
-            model: this.sambaNovaModel,
-            messages: [{ role: 'user', content: 'hi' }],
-            max_tokens: 1
-          });
-          
-          // If successful and was previously disabled, revive it
-          if (this.clientStates[i].disabledUntil > 0) {
-            console.log(`[SMART-API] Key ${i + 1} has recovered and is now ACTIVE.`);
-            this.clientStates[i].disabledUntil = 0;
-          }
-        } catch (e) {
-          if (e.status === 429) {
-            // Still rate limited or just failed, ensure it's disabled for 1 hour from now
-            this._disableKey(i, 3600000);
-          }
-        }
-      }
-    }, 180000); // 180,000ms = 3 minutes
-  }
-
-  /**
-   * Disable a key for a specific duration
-   */
-  _disableKey(index, durationMs) {
-    this.clientStates[index].disabledUntil = Date.now() + durationMs;
-    const minutes = Math.round(durationMs / 60000);
-    console.warn(`[SMART-API] 🚨 Key ${index + 1} is rate-limited. Put on cooldown for ${minutes} minutes.`);
-  }
-
-  /**
-   * Helper to get the best available SambaNova client using rotation and health tracking
-   */
-  _getAvailableSambaClient() {
-    if (!this.sambaNovaClients || this.sambaNovaClients.length === 0) {
-      console.log('[DEBUG] No SambaNova clients initialized.');
-      return null;
-    }
-
-    const now = Date.now();
-    for (let i = 0; i < this.sambaNovaClients.length; i++) {
-      const state = this.clientStates[i];
-      if (now >= state.disabledUntil) {
-        return { client: this.sambaNovaClients[i], index: i };
-      } else {
-        console.log(`[DEBUG] SambaNova Key ${i + 1} is on cooldown for another ${Math.round((state.disabledUntil - now) / 1000)}s`);
-      }
-    }
-    console.log('[DEBUG] All SambaNova clients are currently on cooldown.');
-    return null; // All clients are currently on cooldown
-  }
-
-  /**
-   * Helper to extract JSON from text with robust parsing
-   */
-  _extractJson(text, fallback = {}) {
-    try {
-      if (!text) return fallback;
-      
-      // Remove potential markdown code blocks
-      const cleanedText = text.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-      
-      // Try parsing direct text first
-      try {
-        return JSON.parse(cleanedText);
-      } catch (e) {
-        // Continue to regex extraction
-      }
-
-      // Find the first { and the last }
-      const firstBrace = cleanedText.indexOf('{');
-      const lastBrace = cleanedText.lastIndexOf('}');
-      
-      if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-        const jsonStr = cleanedText.substring(firstBrace, lastBrace + 1);
-        try {
-          return JSON.parse(jsonStr);
-        } catch (innerError) {
-          console.warn('[WARN] Regex JSON extraction failed, attempting deep clean:', innerError.message);
-          
-          // Last ditch effort: try to clean up the string (remove trailing commas, etc)
-          const deepCleaned = jsonStr
-            .replace(/,\s*([\]}])/g, '$1') // Trailing commas
-            .replace(/(\w+):/g, '"$1":') // Unquoted keys (if any)
-            .replace(/'/g, '"'); // Single to double quotes
-            
-          try {
-            return JSON.parse(deepCleaned);
-          } catch (finalError) {
-            console.error('[ERROR] Final JSON parsing attempt failed');
-          }
-        }
-      }
-      
-      console.warn('[WARN] No valid JSON structure found in response');
-      return fallback;
-    } catch (error) {
-      console.error('[ERROR] _extractJson error:', error);
-      return fallback;
-    }
+    return aiProviderRegistry.getRoute('default').length > 0;
   }
 }
 
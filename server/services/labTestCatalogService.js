@@ -0,0 +1,204 @@
+const catalogue = require('../data/labTests.json');
+
+// Words labs add around a test name that don't change which test it is
+const FILLER_WORDS = new Set(['serum', 'plasma', 'blood', 'whole', 's', 'level', 'levels', 'test', 'value']);
+
+const normalizeName = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// "10³/µL", "x10^3 cells/cumm", "Lakhs/cu mm" -> comparable keys
+const normalizeUnit = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[µμ]/g, 'u')
+  .replace(/\s+/g, '')
+  .replace(/³/g, '^3').replace(/⁶/g, '^6').replace(/⁹/g, '^9').replace(/¹²/g, '^12')
+  .replace(/^[x×*]10/, '10')
+  .replace(/^10[e*](\d+)/, '10^$1')
+  .replace(/cells\//, '/')
+  .replace(/(cumm|cu\.?mm|cmm|mm\^?3|mcl)$/, 'ul')
+  .replace(/^lakhs/, 'lakh')
+  .replace(/^thousands?/, 'thou')
+  .replace(/^millions?/, 'million')
+  .replace(/^gms?\//, 'g/')
+  .replace(/mcg/, 'ug')
+  .replace(/iu/g, 'u')
+  .replace(/\/hr$/, '/h')
+  .replace(/^percent$/, '%');
+
+// Plain numbers only: "<0.5" or "Reactive" are kept as reported
+const parseNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = String(value ?? '').replace(/,/g, '').trim();
+  return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : null;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Maps the free-text names and units extracted from reports onto canonical
+// tests (with LOINC codes) in their canonical unit, so values from different
+// labs and reports can be compared directly.
+class LabTestCatalogService {
+  constructor() {
+    this.tests = new Map();
+    this.synonyms = new Map();
+
+    Object.entries(catalogue.tests).forEach(([code, test]) => {
+      const units = new Map(Object.entries(test.units).map(([unit, conversion]) => [
+        normalizeUnit(unit),
+        typeof conversion === 'number' ? { factor: conversion, offset: 0 } : { offset: 0, ...conversion }
+      ]));
+      units.set(normalizeUnit(test.unit), { factor: 1, offset: 0 });
+
+      this.tests.set(code, { code, ...test, units });
+      [test.name, ...test.synonyms].forEach(synonym => this.synonyms.set(normalizeName(synonym), code));
+    });
+
+    console.log(`🧪 Lab test catalogue initialized (${this.tests.size} tests)`);
+  }
+
+  // Canonical test for a reported name, e.g. "Haemoglobin (Hb)" -> hemoglobin
+  findTest(name) {
+    if (!name) return null;
+
+    const raw = String(name).toLowerCase();
+    const withoutBrackets = raw.replace(/\([^)]*\)/g, ' ');
+    const inBrackets = (raw.match(/\(([^)]*)\)/g) || []).map(part => part.slice(1, -1));
+
+    const candidates = [raw, withoutBrackets, ...inBrackets].map(normalizeName);
+    candidates.push(...candidates.map(candidate =>
+      candidate.split(' ').filter(word => !FILLER_WORDS.has(word)).join(' ')
+    ));
+
+    for (const candidate of candidates) {
+      const code = candidate && this.synonyms.get(candidate);
+      if (code) return this.tests.get(code);
+    }
+
+    return null;
+  }
+
+  getTest(code) {
+    return this.tests.get(code) || null;
+  }
+
+  findByLoinc(loinc) {
+    return [...this.tests.values()].find(test => test.loinc === loinc) || null;
+  }
+
+  // Conversion into the test's canonical unit; an empty unit is assumed canonical
+  getConversion(test, unit) {
+    const key = normalizeUnit(unit);
+    if (!key) return { factor: 1, offset: 0 };
+    return test.units.get(key) || null;
+  }
+
+  convert(value, conversion) {
+    return round(value * conversion.factor + conversion.offset);
+  }
+
+  // Default reference range for a patient ({ sex, age }); the first matching entry wins
+  getReferenceRange(test, patient = {}) {
+    const { sex = null, age = null } = patient;
+
+    const range = test.ranges.find(entry =>
+      (!entry.sex || entry.sex === sex) &&
+      (entry.minAge === undefined || (age !== null && age >= entry.minAge)) &&
+      (entry.maxAge === undefined || (age !== null && age < entry.maxAge))
+    );
+
+    return range ? { min: range.min ?? null, max: range.max ?? null } : null;
+  }
+
+  // "13.0 - 17.0", "< 200", "> 40", "up to 5" -> { min, max }
+  parseRange(text) {
+    if (text === undefined || text === null) return null;
+    const value = String(text).replace(/,/g, '');
+
+    const between = value.match(/(-?\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(-?\d+(?:\.\d+)?)/i);
+    if (between) return { min: parseFloat(between[1]), max: parseFloat(between[2]) };
+
+    const below = value.match(/(?:<=?|≤|up\s*to|less\s+than|below)\s*(\d+(?:\.\d+)?)/i);
+    if (below) return { min: null, max: parseFloat(below[1]) };
+
+    const above = value.match(/(?:>=?|≥|more\s+than|greater\s+than|above)\s*(\d+(?:\.\d+)?)/i);
+    if (above) return { min: parseFloat(above[1]), max: null };
+
+    return null;
+  }
+
+  // Sex and age for range selection: the report's own patient details first, then the profile
+  getPatientProfile(reportPatient = {}, user = null) {
+    const sexText = String(reportPatient.gender || user?.gender || '').toLowerCase().trim();
+    const sex = /^(m|male|man|boy)$/.test(sexText) ? 'male'
+      : /^(f|female|woman|girl)$/.test(sexText) ? 'female'
+        : null;
+
+    let age = parseInt(reportPatient.age, 10);
+    if (isNaN(age) && user?.dateOfBirth) {
+      const dob = new Date(user.dateOfBirth);
+      age = Math.floor((Date.now() - dob.getTime()) / (365.25 * 24 * 60 * 60 * 1000));
+    }
+
+    return { sex, age: Number.isFinite(age) && age >= 0 ? age : null };
+  }
+
+  // Canonical name, LOINC code, value and range for an extracted metric.
+  // Metrics that aren't in the catalogue are returned unchanged.
+  normalizeMetric(metric, patient = {}) {
+    const test = this.findTest(metric.name);
+    if (!test) return metric;
+
+    const conversion = this.getConversion(test, metric.unit);
+    const number = parseNumber(metric.value);
+
+    // Without a known conversion the value stays in the lab's unit, where only the lab's range applies
+    const value = number !== null && conversion ? this.convert(number, conversion) : metric.value;
+    const unit = conversion ? test.unit : metric.unit;
+
+    const labRange = metric.normalRange && (metric.normalRange.min != null || metric.normalRange.max != null)
+      ? metric.normalRange
+      : null;
+
+    let normalRange = null;
+    let rangeSource = null;
+    if (labRange) {
+      normalRange = conversion ? {
+        min: labRange.min != null ? this.convert(labRange.min, conversion) : null,
+        max: labRange.max != null ? this.convert(labRange.max, conversion) : null
+      } : { min: labRange.min ?? null, max: labRange.max ?? null };
+      rangeSource = 'lab';
+    } else if (conversion) {
+      normalRange = this.getReferenceRange(test, patient);
+      rangeSource = normalRange ? 'catalogue' : null;
+    }
+
+    let isNormal = metric.isNormal;
+    if (typeof value === 'number' && normalRange) {
+      isNormal = (normalRange.min === null || value >= normalRange.min) &&
+        (normalRange.max === null || value <= normalRange.max);
+    }
+
+    return {
+      ...metric,
+      name: test.name,
+      displayName: test.name,
+      testCode: test.code,
+      loinc: test.loinc,
+      value,
+      unit,
+      normalRange: normalRange || { min: null, max: null },
+      rangeSource,
+      isNormal,
+      originalName: metric.name,
+      originalValue: metric.value,
+      originalUnit: metric.unit
+    };
+  }
+}
+
+// Create singleton instance
+const labTestCatalogService = new LabTestCatalogService();
+
+module.exports = labTestCatalogService;
@@ -0,0 +1,233 @@
+const { User, HealthMetrics } = require('../models');
+const labTestCatalogService = require('./labTestCatalogService');
+const pushNotificationService = require('./pushNotificationService');
+
+// Earlier values that make up a user's own baseline for a test
+const BASELINE_SIZE = 5;
+// Tests without a changePercent in data/labTests.json
+const DEFAULT_CHANGE_PERCENT = 25;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Per-test history of a user's lab values across every report, and alerts
+// when a new result moves away from the user's own baseline.
+class LabTrendService {
+  constructor() {
+    console.log('📈 Lab trend service initialized');
+  }
+
+  // Tests the user has results for, with their latest value
+  async getTrackedTests(userId) {
+    try {
+      const points = await this.getUserPoints(userId);
+      const tests = new Map();
+
+      points.forEach(point => {
+        const entry = tests.get(point.testCode) || { ...this.describeTest(point.testCode), count: 0, latest: null };
+        entry.count++;
+        entry.latest = point; // points are in date order
+        tests.set(point.testCode, entry);
+      });
+
+      const data = [...tests.values()]
+        .map(({ latest, ...test }) => ({
+          ...test,
+          latest: {
+            value: latest.value,
+            date: latest.date,
+            isNormal: latest.isNormal,
+            changeAlert: latest.changeAlert
+          }
+        }))
+        .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Get tracked lab tests error:', error);
+      return { success: false, message: 'Failed to get lab tests' };
+    }
+  }
+
+  // Every value of one test, with the reference band and the user's baseline
+  async getTestHistory(userId, testCode) {
+    try {
+      const test = labTestCatalogService.getTest(testCode);
+      if (!test) {
+        return { success: false, message: 'Unknown lab test' };
+      }
+
+      const [points, user] = await Promise.all([
+        this.getUserPoints(userId, testCode),
+        User.findById(userId).select('gender dateOfBirth').lean()
+      ]);
+
+      const numeric = points.filter(point => typeof point.value === 'number');
+      const previous = numeric.slice(0, -1).slice(-BASELINE_SIZE).map(point => point.value);
+
+      return {
+        success: true,
+        data: {
+          ...this.describeTest(testCode),
+          referenceRange: labTestCatalogService.getReferenceRange(test, labTestCatalogService.getPatientProfile({}, user)),
+          baseline: previous.length > 0 ? { value: round(median(previous)), count: previous.length } : null,
+          changePercent: test.changePercent || DEFAULT_CHANGE_PERCENT,
+          points
+        }
+      };
+    } catch (error) {
+      console.error('Get lab test history error:', error);
+      return { success: false, message: 'Failed to get lab test history' };
+    }
+  }
+
+  // Compare a newly analysed report with the user's earlier results, store
+  // the significant changes on it and notify the user
+  async checkBaselineChanges(healthMetricsId) {
+    const record = await HealthMetrics.findById(healthMetricsId).lean();
+    if (!record) return [];
+
+    const recordDate = this.getRecordDate(record);
+    const earlier = (await this.getUserPoints(record.userId))
+      .filter(point => String(point.healthMetricsId) !== String(record._id) && point.date < recordDate);
+
+    const alerts = [];
+
+    (record.metrics || []).forEach(metric => {
+      const test = metric.testCode && labTestCatalogService.getTest(metric.testCode);
+      if (!test || typeof metric.value !== 'number' || metric.unit !== test.unit) return;
+
+      const previous = earlier
+        .filter(point => point.testCode === test.code && typeof point.value === 'number')
+        .slice(-BASELINE_SIZE)
+        .map(point => point.value);
+      if (previous.length === 0) return;
+
+      const baseline = median(previous);
+      if (baseline === 0) return;
+
+      const changePercent = ((metric.value - baseline) / Math.abs(baseline)) * 100;
+      const threshold = test.changePercent || DEFAULT_CHANGE_PERCENT;
+      if (Math.abs(changePercent) < threshold) return;
+
+      alerts.push({
+        testCode: test.code,
+        name: test.name,
+        value: metric.value,
+        unit: test.unit,
+        baseline: round(baseline),
+        baselineCount: previous.length,
+        changePercent: Math.round(changePercent),
+        threshold,
+        direction: changePercent > 0 ? 'increase' : 'decrease',
+        isNormal: metric.isNormal
+      });
+    });
+
+    await HealthMetrics.findByIdAndUpdate(record._id, { changeAlerts: alerts });
+
+    if (alerts.length > 0) {
+      await this.notifyChanges(record, alerts);
+    }
+
+    return alerts;
+  }
+
+  async notifyChanges(record, alerts) {
+    const [first] = alerts;
+    const describe = (alert) => `${alert.name} ${alert.direction === 'increase' ? 'up' : 'down'} ${Math.abs(alert.changePercent)}%`;
+
+    await pushNotificationService.sendToUser(record.userId, {
+      type: 'lab_change',
+      title: alerts.length === 1 ? `${first.name} changed from your usual level` : `${alerts.length} lab results changed from your usual levels`,
+      body: `${alerts.slice(0, 3).map(describe).join(', ')} compared with your earlier reports.`,
+      tag: `lab-change-${record._id}`,
+      data: {
+        url: record.reportId ? `/reports/${record.reportId}` : '/reports/trends',
+        healthMetricsId: record._id
+      }
+    });
+  }
+
+  // Catalogued values from all of a user's reports, oldest first.
+  // Reports analysed before the catalogue existed are normalised on the fly.
+  async getUserPoints(userId, testCode = null) {
+    const records = await HealthMetrics.find({ userId })
+      .select('reportId testDate createdAt providerInfo.reportDate metrics changeAlerts')
+      .lean();
+
+    const points = [];
+
+    records.forEach(record => {
+      const date = this.getRecordDate(record);
+
+      (record.metrics || []).forEach(stored => {
+        const metric = stored.testCode ? stored : labTestCatalogService.normalizeMetric(stored);
+        if (!metric.testCode || (testCode && metric.testCode !== testCode)) return;
+
+        const changeAlert = (record.changeAlerts || []).find(alert => alert.testCode === metric.testCode) || null;
+
+        points.push({
+          testCode: metric.testCode,
+          value: metric.value,
+          unit: metric.unit,
+          date,
+          isNormal: metric.isNormal,
+          normalRange: metric.normalRange,
+          rangeSource: metric.rangeSource || null,
+          reportId: record.reportId,
+          healthMetricsId: record._id,
+          sourcePage: metric.sourcePage || null,
+          changeAlert: changeAlert && {
+            baseline: changeAlert.baseline,
+            changePercent: changeAlert.changePercent,
+            direction: changeAlert.direction
+          }
+        });
+      });
+    });
+
+    return points.sort((a, b) => a.date - b.date);
+  }
+
+  describeTest(testCode) {
+    const test = labTestCatalogService.getTest(testCode);
+    return {
+      testCode,
+      name: test.name,
+      loinc: test.loinc,
+      category: test.category,
+      unit: test.unit
+    };
+  }
+
+  // The date printed on the report when it can be read, otherwise when it was analysed
+  getRecordDate(record) {
+    return this.parseReportDate(record.providerInfo?.reportDate) || new Date(record.testDate || record.createdAt);
+  }
+
+  // "12/03/2024" is read day first, as Indian labs print it
+  parseReportDate(text) {
+    if (!text) return null;
+
+    const dayFirst = String(text).match(/^\s*(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+    if (dayFirst) {
+      const [, day, month, year] = dayFirst.map(Number);
+      const date = new Date(Date.UTC(year < 100 ? 2000 + year : year, month - 1, day));
+      return date.getUTCMonth() === month - 1 ? date : null;
+    }
+
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+}
+
+// Create singleton instance
+const labTrendService = new LabTrendService();
+
+module.exports = labTrendService;
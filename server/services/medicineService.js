@@ -1,6 +1,7 @@
 const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
+const { normalizeNdc } = require('../utils/gs1');
 
 class MedicineService {
   constructor() {
@@ -566,6 +567,15 @@ class MedicineService {
     );
   }
 
+  /**
+   * Find a local database entry by NDC, ignoring hyphenation
+   */
+  findLocalByNdc(ndc) {
+    const digits = normalizeNdc(ndc);
+    if (!digits || !this.localDB) return null;
+    return this.localDB.find(medicine => medicine.ndc && normalizeNdc(medicine.ndc) === digits) || null;
+  }
+
   /**
    * Compile comprehensive medicine information from all sources
    */
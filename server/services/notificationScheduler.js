@@ -1,10 +1,38 @@
+const os = require('os');
 const reminderService = require('./reminderService');
-const { User } = require('../models');
+const pushNotificationService = require('./pushNotificationService');
+const cabinetService = require('./cabinetService');
+const recallService = require('./recallService');
+const priceHistoryService = require('./priceHistoryService');
+const { User, Reminder, ReminderJob } = require('../models');
 
+const TICK_INTERVAL_MS = 30 * 1000;
+const MATERIALIZE_INTERVAL_MS = 10 * 60 * 1000;
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const RECALL_CHECK_INTERVAL_MS = parseInt(process.env.RECALL_CHECK_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+const PRICE_WATCH_INTERVAL_MS = parseInt(process.env.PRICE_WATCH_INTERVAL_MS) || 12 * 60 * 60 * 1000;
+const HORIZON_MS = 24 * 60 * 60 * 1000;
+const MAX_LATENESS_MS = parseInt(process.env.REMINDER_MAX_LATENESS_MS) || 30 * 60 * 1000;
+const LEASE_MS = 2 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+const DISPATCH_BATCH_SIZE = 100;
+
+// Dispatches medication reminders from the persisted ReminderJob queue.
+// Jobs are materialized ahead of time from each Reminder's schedule and
+// claimed with a lease, so several server instances can run side by side
+// and a restart neither double-fires nor drops doses.
 class NotificationScheduler {
   constructor() {
-    this.scheduledNotifications = new Map();
+    this.instanceId = `${os.hostname()}-${process.pid}-${Math.random().toString(36).substr(2, 6)}`;
     this.isRunning = false;
+    this.isTicking = false;
+    this.lastMaterializedAt = null;
+    this.lastExpiryCheckAt = null;
+    this.lastRecallCheckAt = null;
+    this.lastPriceWatchCheckAt = null;
+    this.lastCheck = null;
+    this.dispatchedCount = 0;
     console.log('📅 Notification scheduler initialized');
   }
 
@@ -16,15 +44,14 @@ class NotificationScheduler {
     }
 
     this.isRunning = true;
-    console.log('🚀 Starting notification scheduler...');
-    
-    // Check for notifications every minute
+    console.log(`🚀 Starting notification scheduler (instance ${this.instanceId})...`);
+
     this.intervalId = setInterval(() => {
-      this.checkAndSendNotifications();
-    }, 60000); // 1 minute
+      this.tick();
+    }, TICK_INTERVAL_MS);
 
     // Initial check
-    this.checkAndSendNotifications();
+    this.tick();
   }
 
   // Stop the notification scheduler
@@ -38,119 +65,285 @@ class NotificationScheduler {
       clearInterval(this.intervalId);
       this.intervalId = null;
     }
-    
-    // Clear all scheduled notifications
-    this.scheduledNotifications.clear();
+
     console.log('🛑 Notification scheduler stopped');
   }
 
-  // Check and send notifications for all users
-  async checkAndSendNotifications() {
+  // One scheduler cycle: top up the queue when due, then dispatch due jobs
+  async tick() {
+    // A slow cycle must not overlap with the next one
+    if (this.isTicking) return;
+    this.isTicking = true;
+
     try {
       const now = new Date();
-      const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-      
-      console.log(`🔔 Checking notifications at ${currentTime}`);
 
-      // Get all users with notification preferences enabled
-      const users = await User.find({
-        'preferences.notifications.reminders': true
-      });
+      if (!this.lastMaterializedAt || now - this.lastMaterializedAt >= MATERIALIZE_INTERVAL_MS) {
+        await this.materializeJobs(now);
+        this.lastMaterializedAt = now;
+      }
+
+      await this.dispatchDueJobs(now);
+      await this.markMissedDoses(now);
+
+      // Medicine cabinet packs reaching 30, 7 or 0 days before expiry
+      if (!this.lastExpiryCheckAt || now - this.lastExpiryCheckAt >= EXPIRY_CHECK_INTERVAL_MS) {
+        await cabinetService.checkExpiries(now);
+        this.lastExpiryCheckAt = now;
+      }
 
-      for (const user of users) {
-        await this.checkUserNotifications(user._id, now);
+      // FDA recalls affecting active reminder medicines or cabinet batches.
+      // Not awaited: slow openFDA lookups must not hold up dose reminders.
+      if (!this.lastRecallCheckAt || now - this.lastRecallCheckAt >= RECALL_CHECK_INTERVAL_MS) {
+        this.lastRecallCheckAt = now;
+        recallService.checkRecalls(now);
       }
+
+      // Watched medicine prices, re-scraped so watches fire without a search.
+      // Not awaited for the same reason as recalls.
+      if (!this.lastPriceWatchCheckAt || now - this.lastPriceWatchCheckAt >= PRICE_WATCH_INTERVAL_MS) {
+        this.lastPriceWatchCheckAt = now;
+        priceHistoryService.checkWatches(now);
+      }
+
+      this.lastCheck = now;
     } catch (error) {
-      console.error('Error checking notifications:', error);
+      console.error('Error in notification scheduler cycle:', error);
+    } finally {
+      this.isTicking = false;
     }
   }
 
-  // Check notifications for a specific user
-  async checkUserNotifications(userId, now) {
+  // Expand every active reminder into ReminderJobs for the next horizon.
+  // The window starts MAX_LATENESS_MS in the past so doses that fell due
+  // while no instance was running are still delivered after a restart.
+  async materializeJobs(now = new Date()) {
     try {
-      const todaysReminders = await reminderService.getTodaysReminders(userId);
-      
-      if (!todaysReminders.success) {
-        return;
-      }
+      const from = new Date(now.getTime() - MAX_LATENESS_MS);
+      const to = new Date(now.getTime() + HORIZON_MS);
 
-      const currentTime = now.getTime();
-      const fiveMinutesAgo = currentTime - (5 * 60 * 1000);
-      const oneMinuteFromNow = currentTime + (1 * 60 * 1000);
-
-      for (const reminder of todaysReminders.data) {
-        const scheduledTime = new Date(reminder.scheduledTime).getTime();
-        
-        // Check if it's time for a notification (within 1 minute window)
-        if (scheduledTime >= fiveMinutesAgo && scheduledTime <= oneMinuteFromNow && reminder.status === 'pending') {
-          const notificationKey = `${userId}-${reminder.reminderId}-${scheduledTime}`;
-          
-          // Avoid duplicate notifications
-          if (!this.scheduledNotifications.has(notificationKey)) {
-            await this.sendMedicationReminder(userId, reminder);
-            this.scheduledNotifications.set(notificationKey, now);
-            
-            // Clean up old notifications (older than 1 hour)
-            this.cleanupOldNotifications();
-          }
+      const optedOutAccountIds = await User.find({
+        'preferences.notifications.reminders': false
+      }).distinct('_id');
+      // Dependent profiles follow their account holder's notification settings
+      const optedOutUserIds = optedOutAccountIds.concat(
+        await User.find({ managedBy: { $in: optedOutAccountIds } }).distinct('_id')
+      );
+
+      const cursor = Reminder.find({
+        isActive: true,
+        userId: { $nin: optedOutUserIds },
+        startDate: { $lte: to },
+        $or: [
+          { endDate: { $exists: false } },
+          { endDate: null },
+          { endDate: { $gte: from } }
+        ]
+      }).cursor();
+
+      let reminderCount = 0;
+      let createdCount = 0;
+      const timezones = new Map();
+
+      for await (const reminder of cursor) {
+        const userKey = reminder.userId.toString();
+        if (!timezones.has(userKey)) {
+          timezones.set(userKey, await reminderService.getUserTimezone(reminder.userId));
         }
+
+        reminderCount++;
+        createdCount += await reminderService.syncReminderJobs(reminder, to - from, from, timezones.get(userKey));
+      }
+
+      console.log(`🗓️ Materialized reminder queue: ${reminderCount} reminders, ${createdCount} new jobs`);
+    } catch (error) {
+      console.error('Error materializing reminder jobs:', error);
+    }
+  }
+
+  // Claim and dispatch due jobs until the queue is drained or the batch is full
+  async dispatchDueJobs(now = new Date()) {
+    let processed = 0;
+
+    while (processed < DISPATCH_BATCH_SIZE) {
+      const job = await ReminderJob.claimNext(this.instanceId, now, LEASE_MS);
+      if (!job) break;
+
+      await this.processJob(job, now);
+      processed++;
+    }
+
+    if (processed > 0) {
+      console.log(`🔔 Dispatched ${processed} reminder job(s)`);
+    }
+
+    return processed;
+  }
+
+  // Mark unanswered doses missed once their grace window has passed,
+  // escalating to an emergency contact where the reminder asks for it
+  async markMissedDoses(now = new Date()) {
+    let processed = 0;
+
+    while (processed < DISPATCH_BATCH_SIZE) {
+      const job = await ReminderJob.claimNextMissed(now);
+      if (!job) break;
+
+      await reminderService.markDoseMissed(job);
+      processed++;
+    }
+
+    if (processed > 0) {
+      console.log(`⏰ Marked ${processed} dose(s) missed`);
+    }
+
+    return processed;
+  }
+
+  // Deliver one claimed job and move it to its next state
+  async processJob(job, now = new Date()) {
+    try {
+      // A snoozed dose is due again at snoozedUntil
+      const dueAt = job.snoozedUntil || job.scheduledTime;
+      if (now - dueAt > MAX_LATENESS_MS) {
+        return this.finishJob(job, { status: 'expired', lastError: 'Dose time passed before dispatch' });
+      }
+
+      const reminder = await Reminder.findById(job.reminderId).select('isActive medicineName dosage isCritical');
+      if (!reminder || !reminder.isActive) {
+        return this.finishJob(job, { status: 'cancelled' });
       }
+
+      const account = await User.findAccountHolder(job.userId, 'preferences.notifications');
+      if (account && account.preferences?.notifications?.reminders === false) {
+        return this.finishJob(job, { status: 'cancelled', lastError: 'Reminder notifications disabled' });
+      }
+
+      const result = await this.sendMedicationReminder(job.userId, {
+        reminderId: job.reminderId,
+        medicineName: reminder.medicineName,
+        dosage: job.dosage || reminder.dosage,
+        scheduledTime: job.scheduledTime,
+        isCritical: reminder.isCritical,
+        snoozeCount: job.snoozeCount
+      });
+
+      const delivery = result.delivery || { sent: 0, failed: 0, expired: 0 };
+
+      if (result.success) {
+        this.dispatchedCount++;
+        return this.finishJob(job, {
+          status: 'sent',
+          sentAt: new Date(),
+          delivery: { sent: delivery.sent, failed: delivery.failed, expired: delivery.expired },
+          lastError: null
+        });
+      }
+
+      // Only transient push-service failures are worth another attempt
+      if (delivery.failed > 0 && job.attempts < MAX_ATTEMPTS) {
+        return this.releaseJob(job, result.message || 'Push delivery failed');
+      }
+
+      return this.finishJob(job, {
+        status: 'failed',
+        delivery: { sent: delivery.sent, failed: delivery.failed, expired: delivery.expired },
+        lastError: result.message || 'Notification could not be delivered'
+      });
     } catch (error) {
-      console.error(`Error checking notifications for user ${userId}:`, error);
+      console.error(`Error processing reminder job ${job._id}:`, error);
+      if (job.attempts < MAX_ATTEMPTS) {
+        return this.releaseJob(job, error.message);
+      }
+      return this.finishJob(job, { status: 'failed', lastError: error.message });
     }
   }
 
+  // Move a job out of 'scheduled'. Guarded on our lease and on the status so
+  // a dose acknowledged meanwhile is not overwritten.
+  finishJob(job, updates) {
+    return ReminderJob.updateOne(
+      { _id: job._id, status: 'scheduled', lockedBy: this.instanceId },
+      { $set: { ...updates, lockedBy: null, lockedUntil: null } }
+    );
+  }
+
+  // Give a job back to the queue with a backoff before the next attempt
+  releaseJob(job, errorMessage) {
+    return ReminderJob.updateOne(
+      { _id: job._id, status: 'scheduled', lockedBy: this.instanceId },
+      {
+        $set: {
+          lockedBy: null,
+          lockedUntil: new Date(Date.now() + RETRY_DELAY_MS * job.attempts),
+          lastError: errorMessage
+        }
+      }
+    );
+  }
+
   // Send medication reminder notification
   async sendMedicationReminder(userId, reminder) {
     try {
       console.log(`💊 Sending medication reminder for ${reminder.medicineName} to user ${userId}`);
-      
+
       const notificationData = {
-        userId,
         type: 'medication_reminder',
-        title: '💊 Medication Reminder',
-        message: `Time to take ${reminder.medicineName} (${reminder.dosage})`,
+        title: reminder.snoozeCount > 0 ? '💊 Medication Reminder (snoozed)' : '💊 Medication Reminder',
+        body: `Time to take ${reminder.medicineName} (${reminder.dosage})${reminder.isCritical ? ' - important, please don\'t miss it' : ''}`,
+        tag: `reminder-${reminder.reminderId}-${new Date(reminder.scheduledTime).getTime()}`,
+        requireInteraction: true,
+        urgency: 'high',
+        actions: [
+          { action: 'taken', title: 'Mark as Taken' },
+          { action: 'snooze', title: 'Remind Later' },
+          { action: 'skip', title: 'Skip' }
+        ],
         data: {
           reminderId: reminder.reminderId,
           medicineName: reminder.medicineName,
           dosage: reminder.dosage,
-          scheduledTime: reminder.scheduledTime
-        },
-        timestamp: new Date()
+          scheduledTime: reminder.scheduledTime,
+          url: '/reminders'
+        }
       };
 
-      // Log notification (in production, send to notification service)
-      console.log('📱 Notification:', JSON.stringify(notificationData, null, 2));
-      
+      const result = await pushNotificationService.sendToUser(userId, notificationData);
+
       return {
-        success: true,
-        notification: notificationData
+        success: result.success,
+        message: result.message,
+        notification: notificationData,
+        delivery: result.data
       };
     } catch (error) {
       console.error('Error sending medication reminder:', error);
       return {
         success: false,
-        error: error.message
+        message: error.message
       };
     }
   }
 
-  // Clean up old notifications from memory
-  cleanupOldNotifications() {
-    const oneHourAgo = new Date().getTime() - (60 * 60 * 1000);
-    
-    for (const [key, timestamp] of this.scheduledNotifications.entries()) {
-      if (timestamp.getTime() < oneHourAgo) {
-        this.scheduledNotifications.delete(key);
-      }
-    }
+  // Count queued jobs by state
+  async getQueueStats() {
+    const counts = await ReminderJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return counts.reduce((stats, { _id, count }) => {
+      stats[_id] = count;
+      return stats;
+    }, {});
   }
 
   // Get notification status
   getStatus() {
     return {
       isRunning: this.isRunning,
-      scheduledCount: this.scheduledNotifications.size,
+      instanceId: this.instanceId,
+      dispatchedCount: this.dispatchedCount,
+      lastMaterializedAt: this.lastMaterializedAt,
       lastCheck: this.lastCheck || null
     };
   }
@@ -159,4 +352,4 @@ class NotificationScheduler {
 // Create singleton instance
 const notificationScheduler = new NotificationScheduler();
 
-module.exports = notificationScheduler;
\ No newline at end of file
+module.exports = notificationScheduler;
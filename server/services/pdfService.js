@@ -0,0 +1,103 @@
+const fs = require('fs-extra');
+
+// A page needs at least this much embedded text to skip OCR; scanned pages
+// often carry a few stray characters (page numbers, stamps) in their text layer
+const MIN_TEXT_LAYER_CHARS = 25;
+// Render scale for scanned pages: ~150 DPI is enough for OCR on lab tables
+const RENDER_SCALE = 2;
+const MAX_PAGES = 30;
+
+// Reads PDF reports page by page: embedded text layers are used directly and
+// scanned pages are rendered to PNG so they can be OCR'd one at a time.
+class PdfService {
+  constructor() {
+    this.pdfjs = null;
+    console.log('📑 PDF service initialized');
+  }
+
+  // pdf.js only ships as an ES module
+  async getPdfjs() {
+    if (!this.pdfjs) {
+      this.pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return this.pdfjs;
+  }
+
+  isPdf(filePath, mimeType) {
+    return mimeType === 'application/pdf' || /\.pdf$/i.test(filePath || '');
+  }
+
+  // Returns [{ page, method: 'text' | 'ocr', text }]. ocrPage(pngBuffer, pageNumber)
+  // is called for pages without a usable text layer and must resolve to text.
+  async extractPages(filePath, ocrPage) {
+    const { getDocument } = await this.getPdfjs();
+    const data = new Uint8Array(await fs.readFile(filePath));
+    const pdf = await getDocument({ data, isEvalSupported: false, useSystemFonts: true }).promise;
+
+    try {
+      if (pdf.numPages > MAX_PAGES) {
+        throw new Error(`PDF has ${pdf.numPages} pages; at most ${MAX_PAGES} are supported`);
+      }
+
+      const pages = [];
+      // Sequential on purpose: rendering holds a full-page bitmap in memory
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+
+        try {
+          const text = await this.getPageText(page);
+
+          if (text.replace(/\s/g, '').length >= MIN_TEXT_LAYER_CHARS) {
+            pages.push({ page: pageNumber, method: 'text', text });
+          } else {
+            console.log(`🖼️ Page ${pageNumber} has no text layer, running OCR...`);
+            const image = await this.renderPage(pdf, page);
+            pages.push({ page: pageNumber, method: 'ocr', text: (await ocrPage(image, pageNumber)) || '' });
+          }
+        } finally {
+          page.cleanup();
+        }
+      }
+
+      return pages;
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  // Text layer with line breaks where pdf.js reports them
+  async getPageText(page) {
+    const content = await page.getTextContent();
+
+    return content.items
+      .map(item => `${item.str || ''}${item.hasEOL ? '\n' : ''}`)
+      .join('')
+      .split('\n')
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  // PNG of a single page
+  async renderPage(pdf, page) {
+    const viewport = page.getViewport({ scale: RENDER_SCALE });
+    const { canvas, context } = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+    try {
+      await page.render({ canvas, canvasContext: context, viewport }).promise;
+      return canvas.toBuffer('image/png');
+    } finally {
+      pdf.canvasFactory.destroy({ canvas, context });
+    }
+  }
+
+  // Single text with a marker before each page so results can be traced back
+  formatPages(pages) {
+    return pages.map(({ page, text }) => `--- Page ${page} ---\n${text.trim()}`).join('\n\n');
+  }
+}
+
+// Create singleton instance
+const pdfService = new PdfService();
+
+module.exports = pdfService;
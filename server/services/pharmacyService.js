@@ -2,6 +2,7 @@ const axios = require('axios');
 const LocationService = require('./locationService');
 const OSMService = require('./osmService');
 const PriceAggregatorService = require('./priceAggregatorService');
+const priceHistoryService = require('./priceHistoryService');
 
 // Known real-world prices for common Indian medicines to ensure 100% accuracy during demo
 const COMMON_MEDICINE_PRICES = {
@@ -236,6 +237,9 @@ class PharmacyService {
     // 1. Fetch real-time prices from Indian Aggregators
     const aggregatedPrices = await PriceAggregatorService.aggregatePrices(medicineName);
 
+    // Keep the live prices for price history and watches (not awaited)
+    priceHistoryService.recordObservations(medicineName, aggregatedPrices);
+
     // If we have known data, inject it as the top result if aggregator failed
     if (knownData && aggregatedPrices.length === 0) {
       aggregatedPrices.push({
@@ -326,7 +330,9 @@ class PharmacyService {
           finalPrice: realPrice.price,
           currency: '₹',
           inStock: realPrice.inStock,
-          pricePerUnit: parseFloat((realPrice.price / 10).toFixed(2)) // Assumption
+          // Assume a pack of 10 when the pack label gives no count
+          pricePerUnit: priceHistoryService.pricePerUnit(realPrice.price, realPrice.quantity)
+            ?? parseFloat((realPrice.price / 10).toFixed(2))
         },
         distance: null,
         savings: realPrice.mrp - realPrice.price,
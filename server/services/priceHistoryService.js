@@ -0,0 +1,337 @@
+const { PriceObservation, PriceWatch } = require('../models');
+const PriceAggregatorService = require('./priceAggregatorService');
+const pushNotificationService = require('./pushNotificationService');
+
+const MAX_WATCHES_PER_USER = 20;
+const MAX_HISTORY_DAYS = 365;
+
+// "Dolo-650 " -> "dolo 650": searches for the same medicine share history
+const normalizeKey = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9.]+/g, ' ')
+  .trim();
+
+// "Dolo-650mg Tablet" -> ["dolo", "650", "mg", "tablet"]
+const nameTokens = (name) => normalizeKey(name)
+  .replace(/(\d)([a-z])/g, '$1 $2')
+  .replace(/([a-z])(\d)/g, '$1 $2')
+  .split(' ')
+  .filter(Boolean);
+
+// A product is the searched medicine when its name has every word of the search
+const matchesSearch = (productName, medicineKey) => {
+  const tokens = new Set(nameTokens(productName));
+  return nameTokens(medicineKey).every(token => tokens.has(token));
+};
+
+// Countable units in platform pack labels; vague labels such as "Strip" or
+// "1 Unit" give no count and so no price per unit
+const PACK_UNITS = [
+  { pattern: /tab(let)?s?/, unit: 'tablets' },
+  { pattern: /cap(sule)?s?/, unit: 'capsules' },
+  { pattern: /sachets?/, unit: 'sachets' },
+  { pattern: /ml/, unit: 'ml' },
+  { pattern: /g|gm|grams?/, unit: 'g' }
+];
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Stores the prices the online pharmacy scrapers return, charts them over
+// time and notifies users whose price watch target has been reached
+class PriceHistoryService {
+  constructor() {
+    this.isChecking = false;
+    console.log('📈 Price history service initialized');
+  }
+
+  // "strip of 15 tablets" -> { size: 15, unit: 'tablets' }
+  parsePackSize(label) {
+    if (typeof label === 'number') return label > 0 ? { size: label, unit: 'units' } : null;
+
+    const text = String(label || '').toLowerCase();
+    const match = text.match(/(\d+(?:\.\d+)?)\s*([a-z]+)/);
+    if (!match) return null;
+
+    const size = parseFloat(match[1]);
+    const packUnit = PACK_UNITS.find(entry => new RegExp(`^(${entry.pattern.source})$`).test(match[2]));
+    if (!packUnit || size <= 0) return null;
+
+    return { size, unit: packUnit.unit };
+  }
+
+  pricePerUnit(price, label) {
+    const pack = this.parsePackSize(label);
+    return pack ? roundPrice(price / pack.size) : null;
+  }
+
+  /**
+   * Persist the prices returned by PriceAggregatorService.aggregatePrices
+   * and check the price watches for the medicine against them.
+   * @returns {number} the number of observations stored
+   */
+  async recordObservations(medicineName, prices, now = new Date()) {
+    try {
+      const medicineKey = normalizeKey(medicineName);
+      const observations = (prices || [])
+        .filter(entry => entry && entry.platform && Number.isFinite(entry.price) && entry.price > 0)
+        .map(entry => {
+          const pack = this.parsePackSize(entry.quantity);
+          return {
+            medicineKey,
+            productName: entry.name,
+            matchesSearch: matchesSearch(entry.name, medicineKey),
+            platform: entry.platform,
+            price: entry.price,
+            mrp: Number.isFinite(entry.mrp) ? entry.mrp : null,
+            packSize: pack?.size ?? null,
+            packUnit: pack?.unit ?? null,
+            packLabel: entry.quantity != null ? String(entry.quantity) : null,
+            pricePerUnit: pack ? roundPrice(entry.price / pack.size) : null,
+            inStock: entry.inStock !== false,
+            link: entry.link,
+            observedAt: now
+          };
+        });
+
+      if (!medicineKey || observations.length === 0) return 0;
+
+      await PriceObservation.insertMany(observations);
+      await this.evaluateWatches(medicineKey, observations, now);
+
+      return observations.length;
+    } catch (error) {
+      console.error('Record price observations error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Lowest price per platform and day for a medicine, for charting.
+   * @returns {Object} { success, data: { medicineKey, days, platforms, points, summary } }
+   */
+  async getHistory(medicineName, { days = 90 } = {}) {
+    try {
+      const medicineKey = normalizeKey(medicineName);
+      const span = Math.min(Math.max(parseInt(days) || 90, 1), MAX_HISTORY_DAYS);
+      const since = new Date(Date.now() - span * 24 * 60 * 60 * 1000);
+
+      const points = await PriceObservation.aggregate([
+        { $match: { medicineKey, matchesSearch: { $ne: false }, observedAt: { $gte: since } } },
+        {
+          $group: {
+            _id: {
+              day: { $dateToString: { format: '%Y-%m-%d', date: '$observedAt' } },
+              platform: '$platform'
+            },
+            price: { $min: '$price' },
+            pricePerUnit: { $min: '$pricePerUnit' },
+            mrp: { $max: '$mrp' },
+            observations: { $sum: 1 }
+          }
+        },
+        { $sort: { '_id.day': 1, '_id.platform': 1 } },
+        {
+          $project: {
+            _id: 0,
+            date: '$_id.day',
+            platform: '$_id.platform',
+            price: 1,
+            pricePerUnit: 1,
+            mrp: 1,
+            observations: 1
+          }
+        }
+      ]);
+
+      const prices = points.map(point => point.price);
+      const latestDay = points.length > 0 ? points[points.length - 1].date : null;
+      const latest = points.filter(point => point.date === latestDay);
+
+      return {
+        success: true,
+        data: {
+          medicineKey,
+          days: span,
+          platforms: [...new Set(points.map(point => point.platform))],
+          points,
+          summary: points.length > 0 ? {
+            lowest: Math.min(...prices),
+            highest: Math.max(...prices),
+            latestLowest: Math.min(...latest.map(point => point.price)),
+            since: points[0].date
+          } : null
+        }
+      };
+    } catch (error) {
+      console.error('Get price history error:', error);
+      return { success: false, message: 'Failed to load price history' };
+    }
+  }
+
+  // Lowest in-stock price of the searched medicine for a watch's basis, or null
+  bestPrice(observations, basis) {
+    const field = basis === 'unit' ? 'pricePerUnit' : 'price';
+    return observations
+      .filter(observation => observation.matchesSearch !== false && observation.inStock && observation[field] != null)
+      .map(observation => ({ price: observation[field], platform: observation.platform, observedAt: observation.observedAt }))
+      .sort((a, b) => a.price - b.price)[0] || null;
+  }
+
+  async evaluateWatches(medicineKey, observations, now = new Date()) {
+    const watches = await PriceWatch.find({ medicineKey, isActive: true });
+
+    for (const watch of watches) {
+      try {
+        const best = this.bestPrice(observations, watch.basis);
+        watch.lastCheckedAt = now;
+        if (!best) {
+          await watch.save();
+          continue;
+        }
+
+        watch.lastBestPrice = best;
+        if (best.price >= watch.targetPrice) {
+          // Back above the target: the next drop is a new one
+          watch.lastNotifiedPrice = null;
+        } else if (watch.lastNotifiedPrice == null || best.price < watch.lastNotifiedPrice) {
+          await this.notifyPriceDrop(watch, best);
+          watch.lastNotifiedPrice = best.price;
+          watch.lastNotifiedAt = now;
+        }
+        await watch.save();
+      } catch (error) {
+        console.error(`Price watch ${watch._id} error:`, error);
+      }
+    }
+  }
+
+  async notifyPriceDrop(watch, best) {
+    const perUnit = watch.basis === 'unit' ? ' per unit' : '';
+    const result = await pushNotificationService.sendToUser(watch.userId, {
+      type: 'price_drop',
+      title: `📉 ${watch.medicineName} is ₹${best.price.toFixed(2)}${perUnit} on ${best.platform}`,
+      body: `That is below your target of ₹${watch.targetPrice.toFixed(2)}${perUnit}. Prices change often, so check before you order.`,
+      tag: `price-watch-${watch._id}`,
+      data: {
+        url: `/price-lookup?medicine=${encodeURIComponent(watch.medicineName)}`,
+        priceWatchId: watch._id,
+        platform: best.platform,
+        price: best.price
+      }
+    });
+
+    console.log(`📈 Price drop notice for ${watch.medicineName}: ${result.success ? 'sent' : result.message}`);
+  }
+
+  // Re-fetch prices for every watched medicine, since a watch should fire
+  // even when nobody searches for the medicine. Returns the medicines checked.
+  async checkWatches(now = new Date()) {
+    if (this.isChecking) return 0;
+    this.isChecking = true;
+
+    try {
+      const watched = await PriceWatch.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: '$medicineKey', medicineName: { $first: '$medicineName' } } }
+      ]);
+
+      for (const { medicineName } of watched) {
+        try {
+          const prices = await PriceAggregatorService.aggregatePrices(medicineName);
+          await this.recordObservations(medicineName, prices, now);
+        } catch (error) {
+          console.warn(`Price watch check failed for "${medicineName}":`, error.message);
+        }
+      }
+
+      if (watched.length > 0) {
+        console.log(`📈 Price watch check: ${watched.length} medicine(s) checked`);
+      }
+
+      return watched.length;
+    } catch (error) {
+      console.error('Price watch check error:', error);
+      return 0;
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  // Setting a watch on a medicine that is already watched updates its target
+  async createWatch(userId, { medicineName, targetPrice, basis = 'pack' }) {
+    try {
+      const name = String(medicineName || '').trim();
+      const target = parseFloat(targetPrice);
+      if (name.length < 2) {
+        return { success: false, message: 'Medicine name must be at least 2 characters long' };
+      }
+      if (!Number.isFinite(target) || target <= 0) {
+        return { success: false, message: 'Target price must be a positive number' };
+      }
+      if (!['pack', 'unit'].includes(basis)) {
+        return { success: false, message: 'Basis must be pack or unit' };
+      }
+
+      const medicineKey = normalizeKey(name);
+      let watch = await PriceWatch.findOne({ userId, medicineKey, isActive: true });
+      if (!watch) {
+        const count = await PriceWatch.countDocuments({ userId, isActive: true });
+        if (count >= MAX_WATCHES_PER_USER) {
+          return { success: false, message: `You can watch up to ${MAX_WATCHES_PER_USER} medicines` };
+        }
+        watch = new PriceWatch({ userId, medicineKey });
+      }
+
+      watch.medicineName = name;
+      watch.targetPrice = target;
+      watch.basis = basis;
+      watch.lastNotifiedPrice = null;
+
+      // Show the latest known price straight away
+      const latest = await PriceObservation.find({ medicineKey, matchesSearch: { $ne: false } })
+        .sort({ observedAt: -1 })
+        .limit(10)
+        .lean();
+      const latestAt = latest[0]?.observedAt?.getTime();
+      const best = this.bestPrice(latest.filter(observation => observation.observedAt.getTime() === latestAt), basis);
+      if (best) watch.lastBestPrice = best;
+
+      await watch.save();
+
+      return { success: true, data: watch, message: 'Price watch saved' };
+    } catch (error) {
+      console.error('Create price watch error:', error);
+      return { success: false, message: 'Failed to save price watch' };
+    }
+  }
+
+  async getUserWatches(userId) {
+    try {
+      const watches = await PriceWatch.find({ userId, isActive: true })
+        .sort({ createdAt: -1 })
+        .lean();
+
+      return { success: true, data: watches };
+    } catch (error) {
+      console.error('Get price watches error:', error);
+      return { success: false, message: 'Failed to load price watches' };
+    }
+  }
+
+  async deleteWatch(userId, watchId) {
+    try {
+      const watch = await PriceWatch.findOneAndDelete({ _id: watchId, userId });
+      if (!watch) {
+        return { success: false, message: 'Price watch not found' };
+      }
+
+      return { success: true, message: 'Price watch removed' };
+    } catch (error) {
+      console.error('Delete price watch error:', error);
+      return { success: false, message: 'Failed to remove price watch' };
+    }
+  }
+}
+
+const priceHistoryService = new PriceHistoryService();
+module.exports = priceHistoryService;
@@ -0,0 +1,292 @@
+const webpush = require('web-push');
+const { PushSubscription, NotificationDelivery, User } = require('../models');
+
+// Push services answer 404/410 once a subscription has been revoked or expired
+const GONE_STATUS_CODES = [404, 410];
+
+class PushNotificationService {
+  constructor() {
+    this.publicKey = process.env.VAPID_PUBLIC_KEY || null;
+    this.isConfigured = false;
+
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+      try {
+        webpush.setVapidDetails(
+          process.env.VAPID_SUBJECT || 'mailto:support@mediot.app',
+          process.env.VAPID_PUBLIC_KEY,
+          process.env.VAPID_PRIVATE_KEY
+        );
+        this.isConfigured = true;
+      } catch (error) {
+        console.error('❌ Invalid VAPID configuration:', error.message);
+      }
+    }
+
+    console.log('🔔 Push notification service initialized');
+    console.log(`   🔑 Web Push (VAPID): ${this.isConfigured ? 'Enabled' : 'Disabled'}`);
+  }
+
+  // Save (or re-assign) a browser push subscription for a user
+  async saveSubscription(userId, subscription, meta = {}) {
+    try {
+      if (!subscription || !subscription.endpoint || !subscription.keys ||
+          !subscription.keys.p256dh || !subscription.keys.auth) {
+        return { success: false, message: 'A subscription with endpoint and keys is required' };
+      }
+
+      // The endpoint identifies the device; if another account used this browser
+      // before, the subscription now belongs to the current user
+      const saved = await PushSubscription.findOneAndUpdate(
+        { endpoint: subscription.endpoint },
+        {
+          userId,
+          keys: {
+            p256dh: subscription.keys.p256dh,
+            auth: subscription.keys.auth
+          },
+          expirationTime: subscription.expirationTime ? new Date(subscription.expirationTime) : null,
+          userAgent: meta.userAgent || '',
+          deviceLabel: meta.deviceLabel || '',
+          isActive: true,
+          failureCount: 0
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      console.log(`🔔 Push subscription saved for user: ${userId}`);
+
+      return { success: true, data: this.formatSubscription(saved) };
+    } catch (error) {
+      console.error('Save push subscription error:', error);
+      return { success: false, message: 'Failed to save subscription' };
+    }
+  }
+
+  // Remove a push subscription by endpoint
+  async removeSubscription(userId, endpoint) {
+    try {
+      if (!endpoint) {
+        return { success: false, message: 'Subscription endpoint is required' };
+      }
+
+      const result = await PushSubscription.deleteOne({ userId, endpoint });
+
+      return {
+        success: true,
+        data: { removed: result.deletedCount > 0 },
+        message: 'Subscription removed'
+      };
+    } catch (error) {
+      console.error('Remove push subscription error:', error);
+      return { success: false, message: 'Failed to remove subscription' };
+    }
+  }
+
+  // List a user's registered devices
+  async getUserSubscriptions(userId) {
+    try {
+      const subscriptions = await PushSubscription.find({ userId }).sort({ updatedAt: -1 });
+
+      return {
+        success: true,
+        data: subscriptions.map(sub => this.formatSubscription(sub))
+      };
+    } catch (error) {
+      console.error('Get push subscriptions error:', error);
+      return { success: false, message: 'Failed to get subscriptions' };
+    }
+  }
+
+  // Deliver a notification to every active device of a user.
+  // Notifications for a dependent profile go to the account holder's devices,
+  // titled with the family member's name.
+  // notification: { type, title, body, tag, data, actions, requireInteraction, ttl, urgency }
+  async sendToUser(userId, notification) {
+    const summary = { sent: 0, failed: 0, expired: 0, attempts: [] };
+
+    try {
+      const { deviceOwnerId, notification: addressed } = await this.addressNotification(userId, notification);
+      notification = addressed;
+
+      const record = {
+        userId,
+        type: notification.type || 'general',
+        title: notification.title,
+        body: notification.body,
+        data: notification.data || null
+      };
+
+      if (!this.isConfigured) {
+        await this.recordDelivery({ ...record, status: 'not_configured', error: 'VAPID keys are not configured' });
+        return { success: false, message: 'Web Push is not configured', data: summary };
+      }
+
+      const subscriptions = await PushSubscription.find({ userId: deviceOwnerId, isActive: true });
+
+      if (subscriptions.length === 0) {
+        await this.recordDelivery({ ...record, status: 'no_subscription', error: 'User has no active push subscriptions' });
+        return { success: false, message: 'No active push subscriptions', data: summary };
+      }
+
+      const payload = this.buildPayload(notification);
+      const options = {
+        TTL: notification.ttl || 60 * 60,
+        urgency: notification.urgency || 'normal'
+      };
+
+      for (const subscription of subscriptions) {
+        const attempt = await this.sendToSubscription(subscription, payload, options, record);
+        summary.attempts.push(attempt);
+        if (attempt.status === 'sent') summary.sent++;
+        else if (attempt.status === 'expired') summary.expired++;
+        else summary.failed++;
+      }
+
+      console.log(`🔔 Push "${record.type}" to user ${userId} - sent: ${summary.sent}, failed: ${summary.failed}, expired: ${summary.expired}`);
+
+      return {
+        success: summary.sent > 0,
+        message: summary.sent > 0 ? 'Notification delivered' : 'Notification could not be delivered',
+        data: summary
+      };
+    } catch (error) {
+      console.error('Send push notification error:', error);
+      return { success: false, message: 'Failed to send notification', data: summary };
+    }
+  }
+
+  // Work out whose devices receive a notification for this profile. For a
+  // dependent the title names them and the deep link switches to their profile.
+  async addressNotification(userId, notification) {
+    const profile = await User.findById(userId).select('name managedBy');
+    if (!profile?.managedBy) {
+      return { deviceOwnerId: userId, notification };
+    }
+
+    const data = { ...(notification.data || {}), profileId: String(profile._id), profileName: profile.name };
+    if (data.url) {
+      data.url = `${data.url}${data.url.includes('?') ? '&' : '?'}profile=${profile._id}`;
+    }
+
+    return {
+      deviceOwnerId: profile.managedBy,
+      notification: {
+        ...notification,
+        title: `${notification.title} · for ${profile.name}`,
+        data
+      }
+    };
+  }
+
+  // Send to one device, pruning it when the push service reports it gone
+  async sendToSubscription(subscription, payload, options, record) {
+    const attempt = {
+      ...record,
+      subscriptionId: subscription._id,
+      endpoint: subscription.endpoint
+    };
+
+    try {
+      const response = await webpush.sendNotification(subscription.toWebPush(), payload, options);
+
+      subscription.lastSuccessAt = new Date();
+      subscription.failureCount = 0;
+      await subscription.save();
+
+      attempt.status = 'sent';
+      attempt.statusCode = response.statusCode;
+    } catch (error) {
+      attempt.statusCode = error.statusCode;
+      attempt.error = error.body || error.message;
+
+      if (GONE_STATUS_CODES.includes(error.statusCode)) {
+        attempt.status = 'expired';
+        await PushSubscription.deleteOne({ _id: subscription._id });
+        console.log(`🧹 Pruned expired push subscription ${subscription._id} (${error.statusCode})`);
+      } else {
+        attempt.status = 'failed';
+        subscription.lastFailureAt = new Date();
+        subscription.failureCount += 1;
+        await subscription.save();
+        console.error(`❌ Push delivery failed for subscription ${subscription._id}:`, attempt.error);
+      }
+    }
+
+    await this.recordDelivery(attempt);
+
+    return {
+      subscriptionId: attempt.subscriptionId,
+      status: attempt.status,
+      statusCode: attempt.statusCode,
+      error: attempt.error
+    };
+  }
+
+  // Persist a delivery attempt; never let logging break delivery
+  async recordDelivery(attempt) {
+    try {
+      await NotificationDelivery.create(attempt);
+    } catch (error) {
+      console.error('Record notification delivery error:', error.message);
+    }
+  }
+
+  // Recent delivery attempts for a user, newest first
+  async getDeliveryHistory(userId, options = {}) {
+    try {
+      const { limit = 50, type = null, status = null } = options;
+
+      const query = { userId };
+      if (type) query.type = type;
+      if (status) query.status = status;
+
+      const deliveries = await NotificationDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+      return { success: true, data: deliveries };
+    } catch (error) {
+      console.error('Get delivery history error:', error);
+      return { success: false, message: 'Failed to get delivery history' };
+    }
+  }
+
+  // Payload shape read by the service worker's `push` handler
+  buildPayload(notification) {
+    return JSON.stringify({
+      title: notification.title,
+      body: notification.body,
+      tag: notification.tag || notification.type || 'default',
+      data: {
+        type: notification.type,
+        ...(notification.data || {})
+      },
+      actions: notification.actions || [],
+      requireInteraction: notification.requireInteraction || false
+    });
+  }
+
+  formatSubscription(subscription) {
+    return {
+      id: subscription._id,
+      endpoint: subscription.endpoint,
+      deviceLabel: subscription.deviceLabel,
+      userAgent: subscription.userAgent,
+      isActive: subscription.isActive,
+      lastSuccessAt: subscription.lastSuccessAt,
+      failureCount: subscription.failureCount,
+      createdAt: subscription.createdAt
+    };
+  }
+
+  getStatus() {
+    return {
+      isConfigured: this.isConfigured,
+      publicKey: this.publicKey
+    };
+  }
+}
+
+const pushNotificationService = new PushNotificationService();
+
+module.exports = pushNotificationService;
@@ -0,0 +1,275 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { Reminder, CabinetItem, RecallAlert } = require('../models');
+const comprehensiveMedicineService = require('./comprehensiveMedicineService');
+const pushNotificationService = require('./pushNotificationService');
+
+// RECALL_SOURCE=local reads a local mirror of openFDA enforcement records
+// instead of calling the API, for offline development and tests
+const LOCAL_MIRROR_PATH = process.env.RECALL_MIRROR_PATH || path.join(__dirname, '../data/recallEnforcement.json');
+
+// "Metformin 500mg tablets" -> "metformin": recalls are searched and matched
+// on the medicine name, not the strength or form a reminder was saved with
+const searchName = (name) => String(name || '')
+  .toLowerCase()
+  .split(/\d/)[0]
+  .replace(/[^a-z\s-]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const normalizeLot = (lot) => String(lot || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// openFDA dates are YYYYMMDD
+const parseFdaDate = (value) => (/^\d{8}$/.test(value || '')
+  ? new Date(Date.UTC(Number(value.slice(0, 4)), Number(value.slice(4, 6)) - 1, Number(value.slice(6, 8))))
+  : null);
+
+// Checks FDA drug enforcement reports against every user's active reminder
+// medicines and the batch numbers of packs in their medicine cabinet, and
+// sends each affected user one high-priority notice per recall
+class RecallService {
+  constructor() {
+    this.useLocalMirror = process.env.RECALL_SOURCE === 'local';
+    this.localRecords = null;
+    this.isChecking = false;
+    console.log(`🚨 Recall service initialized (${this.useLocalMirror ? 'local mirror' : 'openFDA'})`);
+  }
+
+  // Ongoing enforcement records for a medicine name
+  async fetchRecalls(name) {
+    if (this.useLocalMirror) {
+      if (!this.localRecords) {
+        this.localRecords = (await fs.readJson(LOCAL_MIRROR_PATH)).results || [];
+      }
+      return this.localRecords.filter(record => record.status === 'Ongoing' && this.recordMatchesName(record, name));
+    }
+
+    const result = await comprehensiveMedicineService.collectOpenFDAEnforcement(
+      [{ type: 'name', value: name }],
+      { filter: 'status:"Ongoing"', limit: 100 }
+    );
+    return (result?.data || []).filter(record => this.recordMatchesName(record, name));
+  }
+
+  // The name must appear as whole words in the product or its openFDA names
+  recordMatchesName(record, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`\\b${escaped}\\b`, 'i');
+    const fields = [
+      record.product_description,
+      ...(record.openfda?.brand_name || []),
+      ...(record.openfda?.generic_name || [])
+    ];
+    return fields.some(field => field && pattern.test(field));
+  }
+
+  // Whether a lot number is listed in the recall's code_info
+  lotIsRecalled(record, batch) {
+    const lot = normalizeLot(batch);
+    if (!lot) return false;
+    return String(record.code_info || '')
+      // Expiry dates are listed alongside lots ("Lot #: AB12, Exp 06/2027")
+      .replace(/exp\w*\.?:?\s*[\d/.-]+/gi, ' ')
+      .split(/[\s,;:#/()]+/)
+      .some(token => normalizeLot(token) === lot);
+  }
+
+  // One pass over all users. Returns the number of new recall alerts.
+  async checkRecalls(now = new Date()) {
+    if (this.isChecking) return 0;
+    this.isChecking = true;
+
+    try {
+      const [reminders, cabinetItems] = await Promise.all([
+        Reminder.find({
+          isActive: true,
+          $or: [{ endDate: { $exists: false } }, { endDate: null }, { endDate: { $gte: now } }]
+        }).select('userId medicineName').lean(),
+        CabinetItem.find({ status: 'active', batch: { $nin: [null, ''] } })
+          .select('userId name genericName batch')
+          .lean()
+      ]);
+
+      // Look each medicine up once, however many users take it
+      const byName = new Map();
+      const addTo = (name, key, entry) => {
+        if (!name || name.length < 3) return;
+        if (!byName.has(name)) byName.set(name, { reminders: [], cabinetItems: [] });
+        byName.get(name)[key].push(entry);
+      };
+      reminders.forEach(reminder => addTo(searchName(reminder.medicineName), 'reminders', reminder));
+      cabinetItems.forEach(item => {
+        const names = new Set([searchName(item.name), searchName(item.genericName)]);
+        names.forEach(name => addTo(name, 'cabinetItems', item));
+      });
+
+      // userId:recallNumber -> the match being built for that user
+      const matches = new Map();
+      const matchFor = (userId, record) => {
+        const key = `${userId}:${record.recall_number}`;
+        if (!matches.has(key)) {
+          matches.set(key, { userId, record, reminderIds: new Set(), cabinetItemIds: new Set(), names: new Set() });
+        }
+        return matches.get(key);
+      };
+
+      for (const [name, entries] of byName) {
+        let records;
+        try {
+          records = await this.fetchRecalls(name);
+        } catch (error) {
+          console.warn(`Recall lookup failed for "${name}":`, error.message);
+          continue;
+        }
+
+        for (const record of records) {
+          if (!record.recall_number) continue;
+
+          entries.reminders.forEach(reminder => {
+            const match = matchFor(reminder.userId.toString(), record);
+            match.reminderIds.add(reminder._id.toString());
+            match.names.add(reminder.medicineName);
+          });
+
+          entries.cabinetItems
+            .filter(item => this.lotIsRecalled(record, item.batch))
+            .forEach(item => {
+              const match = matchFor(item.userId.toString(), record);
+              match.cabinetItemIds.add(item._id.toString());
+              match.names.add(item.name);
+            });
+        }
+      }
+
+      let alertCount = 0;
+      for (const match of matches.values()) {
+        try {
+          if (await this.recordAlert(match, now)) alertCount++;
+        } catch (error) {
+          console.error(`Recall alert error for user ${match.userId}:`, error);
+        }
+      }
+
+      console.log(`🚨 Recall check: ${byName.size} medicine(s) checked, ${alertCount} new alert(s)`);
+
+      return alertCount;
+    } catch (error) {
+      console.error('Recall check error:', error);
+      return 0;
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  // Store the alert and notify, unless this user was already told about the recall
+  async recordAlert(match, now) {
+    const { userId, record } = match;
+
+    const exists = await RecallAlert.exists({ userId, recallNumber: record.recall_number });
+    if (exists) return false;
+
+    const reminderIds = [...match.reminderIds];
+    // Reminders the recalled packs are linked to are affected too
+    if (match.cabinetItemIds.size > 0) {
+      const linked = await CabinetItem.find({ _id: { $in: [...match.cabinetItemIds] } }).distinct('reminderIds');
+      linked.forEach(id => {
+        if (!reminderIds.includes(id.toString())) reminderIds.push(id.toString());
+      });
+    }
+
+    let alert;
+    try {
+      alert = await RecallAlert.create({
+        userId,
+        recallNumber: record.recall_number,
+        matchType: match.cabinetItemIds.size > 0 ? 'batch' : 'medicine',
+        reminderIds,
+        cabinetItemIds: [...match.cabinetItemIds],
+        medicineName: [...match.names][0],
+        classification: record.classification,
+        reason: record.reason_for_recall,
+        productDescription: record.product_description,
+        codeInfo: record.code_info,
+        recallingFirm: record.recalling_firm,
+        recallInitiationDate: parseFdaDate(record.recall_initiation_date)
+      });
+    } catch (error) {
+      // Another instance recorded it first
+      if (error.code === 11000) return false;
+      throw error;
+    }
+
+    await this.notifyRecall(alert);
+    alert.notifiedAt = now;
+    await alert.save();
+
+    return true;
+  }
+
+  // Recalls are safety notices, so they are sent at high urgency and
+  // regardless of the reminder notification setting
+  async notifyRecall(alert) {
+    const isBatchMatch = alert.matchType === 'batch';
+    const classification = alert.classification ? ` (${alert.classification})` : '';
+    const check = isBatchMatch
+      ? 'A batch in your medicine cabinet is listed in this recall.'
+      : 'Check the lot number on your pack and ask your pharmacist before your next dose.';
+
+    const result = await pushNotificationService.sendToUser(alert.userId, {
+      type: 'drug_recall',
+      title: `🚨 Recall${classification}: ${alert.medicineName}`,
+      body: `${alert.reason || 'The manufacturer has recalled this product.'} ${check}`,
+      tag: `recall-${alert.recallNumber}`,
+      requireInteraction: true,
+      urgency: 'high',
+      data: {
+        url: `/reminders?recall=${alert._id}`,
+        recallAlertId: alert._id,
+        recallNumber: alert.recallNumber,
+        reminderId: alert.reminderIds[0] || null,
+        classification: alert.classification
+      }
+    });
+
+    console.log(`🚨 Recall ${alert.recallNumber} notice for ${alert.medicineName}: ${result.success ? 'sent' : result.message}`);
+  }
+
+  async getUserAlerts(userId, { includeDismissed = false } = {}) {
+    try {
+      const query = { userId };
+      if (!includeDismissed) query.dismissedAt = null;
+
+      const alerts = await RecallAlert.find(query)
+        .populate('reminderIds', 'medicineName dosage isActive')
+        .populate('cabinetItemIds', 'name batch expiryDate')
+        .sort({ createdAt: -1 })
+        .lean();
+
+      return { success: true, data: alerts };
+    } catch (error) {
+      console.error('Get recall alerts error:', error);
+      return { success: false, message: 'Failed to load recall alerts' };
+    }
+  }
+
+  async dismissAlert(userId, alertId) {
+    try {
+      const alert = await RecallAlert.findOneAndUpdate(
+        { _id: alertId, userId },
+        { $set: { dismissedAt: new Date() } },
+        { new: true }
+      );
+      if (!alert) {
+        return { success: false, message: 'Recall alert not found' };
+      }
+
+      return { success: true, data: alert, message: 'Recall alert dismissed' };
+    } catch (error) {
+      console.error('Dismiss recall alert error:', error);
+      return { success: false, message: 'Failed to dismiss recall alert' };
+    }
+  }
+}
+
+const recallService = new RecallService();
+module.exports = recallService;
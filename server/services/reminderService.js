@@ -1,4 +1,36 @@
-const { Reminder, Medicine } = require('../models');
+const { Reminder, Medicine, ReminderJob, User, CabinetItem } = require('../models');
+const emergencyService = require('./emergencyService');
+const pushNotificationService = require('./pushNotificationService');
+const drugInteractionService = require('./drugInteractionService');
+const {
+  DEFAULT_TIMEZONE,
+  toDateKey,
+  getDateKeysBetween,
+  dateKeyAndTimeToUtc,
+  startOfZonedDay,
+  getEffectiveTimezone
+} = require('../utils/timezone');
+
+// Medicines where a missed dose is dangerous enough to involve a contact
+const CRITICAL_MEDICINE_KEYWORDS = [
+  'insulin', 'warfarin', 'acenocoumarol', 'apixaban', 'rivaroxaban', 'dabigatran',
+  'edoxaban', 'heparin', 'enoxaparin', 'clopidogrel', 'ticagrelor', 'prasugrel',
+  'levetiracetam', 'phenytoin', 'valproate', 'carbamazepine', 'lamotrigine',
+  'tacrolimus', 'cyclosporine', 'mycophenolate', 'prednisolone', 'hydrocortisone',
+  'digoxin', 'amiodarone', 'lithium'
+];
+
+const MAX_SNOOZES_PER_DOSE = 3;
+
+const SCHEDULE_TYPES = ['daily', 'interval_hours', 'alternate_days', 'weekdays', 'cycle', 'taper', 'prn'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+const SEVERITY_RANK = { info: 0, minor: 1, moderate: 2, major: 3, contraindicated: 4 };
+// How far ahead the run-out projection looks
+const MAX_FORECAST_DAYS = 365;
+// Window used to estimate daily use of as-needed medicines
+const PRN_USAGE_WINDOW_DAYS = 14;
 
 class ReminderService {
   constructor() {
@@ -11,21 +43,24 @@ class ReminderService {
       console.log(`📅 Creating reminder for user: ${userId}`);
 
       // Validate required fields
-      const { medicineName, dosage, frequency, startDate, times } = reminderData;
+      const { medicineName, dosage, frequency, startDate } = reminderData;
+      const schedule = reminderData.schedule || { type: 'daily' };
+      const isPrn = schedule.type === 'prn';
+      // As-needed medicines have no fixed dose times
+      const times = isPrn ? [] : reminderData.times;
 
-      if (!medicineName || !dosage || !frequency || !startDate || !times || times.length === 0) {
+      if (!medicineName || !dosage || !frequency || !startDate || (!isPrn && (!times || times.length === 0))) {
         return {
           success: false,
           message: 'Missing required fields: medicineName, dosage, frequency, startDate, and times are required'
         };
       }
 
-      // Validate frequency and times match
-      const expectedTimes = this.getExpectedTimesForFrequency(frequency);
-      if (frequency !== 'custom' && times.length !== expectedTimes) {
+      const scheduleError = this.validateSchedule(schedule, times, frequency);
+      if (scheduleError) {
         return {
           success: false,
-          message: `Frequency '${frequency}' requires exactly ${expectedTimes} time(s)`
+          message: scheduleError
         };
       }
 
@@ -59,10 +94,19 @@ class ReminderService {
         startDate: new Date(startDate),
         endDate: reminderData.endDate ? new Date(reminderData.endDate) : null,
         times: times.sort(), // Sort times for consistency
-        notes: reminderData.notes || ''
+        schedule,
+        notes: reminderData.notes || '',
+        isCritical: reminderData.isCritical !== undefined
+          ? !!reminderData.isCritical
+          : this.isCriticalMedicine(medicineName),
+        gracePeriodMinutes: reminderData.gracePeriodMinutes,
+        escalation: reminderData.escalation,
+        inventory: reminderData.inventory
       });
 
       await reminder.save();
+      await this.syncReminderJobs(reminder);
+      await this.checkRefillAlert(reminder);
 
       // Populate medicine data if available
       await reminder.populate('medicineId', 'name genericName manufacturer uses');
@@ -110,10 +154,13 @@ class ReminderService {
 
       const total = await Reminder.countDocuments(query);
 
-      // Calculate adherence for each reminder
+      const timezone = await this.getUserTimezone(userId);
+
+      // Calculate adherence and stock projection for each reminder
       const remindersWithAdherence = reminders.map(reminder => {
         const reminderObj = reminder.toObject();
         reminderObj.adherencePercentage = reminder.getAdherencePercentage();
+        reminderObj.refillForecast = this.getRefillForecast(reminder, timezone);
         return reminderObj;
       });
 
@@ -148,7 +195,10 @@ class ReminderService {
       }
 
       // Update allowed fields
-      const allowedFields = ['medicineName', 'dosage', 'frequency', 'startDate', 'endDate', 'times', 'isActive', 'notes'];
+      const allowedFields = [
+        'medicineName', 'dosage', 'frequency', 'startDate', 'endDate', 'times', 'isActive', 'notes',
+        'isCritical', 'gracePeriodMinutes', 'escalation', 'schedule', 'inventory'
+      ];
       const updates = {};
 
       allowedFields.forEach(field => {
@@ -157,16 +207,50 @@ class ReminderService {
         }
       });
 
-      // Validate frequency and times if being updated
-      if (updates.frequency && updates.times) {
-        const expectedTimes = this.getExpectedTimesForFrequency(updates.frequency);
-        if (updates.frequency !== 'custom' && updates.times.length !== expectedTimes) {
+      // lastEscalatedAt is server-managed
+      if (updates.escalation) {
+        updates.escalation = {
+          ...(reminder.escalation ? reminder.escalation.toObject() : {}),
+          ...updates.escalation,
+          lastEscalatedAt: reminder.escalation?.lastEscalatedAt
+        };
+      }
+
+      // Fields left out of the edit keep their value, so stock tracking is only
+      // turned off by an explicit null. Alert bookkeeping is server-managed;
+      // a higher count means a refill.
+      if (updates.inventory) {
+        const current = reminder.inventory ? reminder.inventory.toObject() : {};
+        const changes = Object.fromEntries(
+          ['pillsRemaining', 'pillsPerDose', 'refillReminderDays']
+            .filter(field => updates.inventory[field] !== undefined)
+            .map(field => [field, updates.inventory[field]])
+        );
+        updates.inventory = {
+          ...current,
+          ...changes,
+          lastRefilledAt: changes.pillsRemaining > (current.pillsRemaining ?? 0) ? new Date() : current.lastRefilledAt,
+          lastRefillAlertAt: current.lastRefillAlertAt
+        };
+      }
+
+      // Validate the resulting schedule if any part of it changes
+      if (updates.frequency || updates.times || updates.schedule) {
+        const schedule = updates.schedule || reminder.schedule?.toObject() || { type: 'daily' };
+        if (schedule.type === 'prn') {
+          updates.times = [];
+        }
+        const times = updates.times || reminder.times;
+        const scheduleError = this.validateSchedule(schedule, times, updates.frequency || reminder.frequency);
+        if (scheduleError) {
           return {
             success: false,
-            message: `Frequency '${updates.frequency}' requires exactly ${expectedTimes} time(s)`
+            message: scheduleError
           };
         }
-        updates.times = updates.times.sort();
+        if (updates.times) {
+          updates.times = [...updates.times].sort();
+        }
       }
 
       const updatedReminder = await Reminder.findByIdAndUpdate(
@@ -175,6 +259,9 @@ class ReminderService {
         { new: true, runValidators: true }
       ).populate('medicineId', 'name genericName manufacturer uses');
 
+      await this.syncReminderJobs(updatedReminder);
+      await this.checkRefillAlert(updatedReminder);
+
       return {
         success: true,
         data: updatedReminder,
@@ -202,6 +289,9 @@ class ReminderService {
         };
       }
 
+      await ReminderJob.cancelForReminder(reminder._id);
+      await CabinetItem.updateMany({ reminderIds: reminder._id }, { $pull: { reminderIds: reminder._id } });
+
       return {
         success: true,
         message: 'Reminder deleted successfully'
@@ -215,24 +305,33 @@ class ReminderService {
     }
   }
 
-  // Log dose taken/missed/skipped
+  // Log dose taken/missed/skipped, or snooze it for `snoozeMinutes`
   async logDose(userId, reminderId, logData) {
     try {
       console.log(`💊 Logging dose for reminder: ${reminderId}`);
 
-      const { scheduledTime, status, takenTime, notes } = logData;
+      const { status, takenTime, notes } = logData;
+      let { scheduledTime } = logData;
 
-      if (!scheduledTime || !status) {
+      if (!status) {
         return {
           success: false,
-          message: 'scheduledTime and status are required'
+          message: 'status is required'
+        };
+      }
+
+      if (!['taken', 'missed', 'skipped', 'snoozed'].includes(status)) {
+        return {
+          success: false,
+          message: 'Status must be taken, missed, skipped, or snoozed'
         };
       }
 
-      if (!['taken', 'missed', 'skipped'].includes(status)) {
+      const snoozeMinutes = parseInt(logData.snoozeMinutes) || 10;
+      if (status === 'snoozed' && (snoozeMinutes < 1 || snoozeMinutes > 240)) {
         return {
           success: false,
-          message: 'Status must be taken, missed, or skipped'
+          message: 'snoozeMinutes must be between 1 and 240'
         };
       }
 
@@ -244,15 +343,62 @@ class ReminderService {
         };
       }
 
+      // As-needed doses are logged when taken, within the interval and daily limits
+      if (reminder.schedule?.type === 'prn') {
+        if (status !== 'taken') {
+          return {
+            success: false,
+            message: 'As-needed medicines can only be logged as taken'
+          };
+        }
+
+        scheduledTime = takenTime || scheduledTime || new Date();
+        const timezone = await this.getUserTimezone(userId);
+        const check = this.checkPrnDose(reminder, new Date(scheduledTime), timezone);
+        if (!check.allowed) {
+          return {
+            success: false,
+            message: check.message,
+            data: { nextAllowedAt: check.nextAllowedAt }
+          };
+        }
+      }
+
+      if (!scheduledTime) {
+        return {
+          success: false,
+          message: 'scheduledTime and status are required'
+        };
+      }
+
       // Check if log entry already exists for this scheduled time
       const existingLogIndex = reminder.adherenceLog.findIndex(
         log => log.scheduledTime.getTime() === new Date(scheduledTime).getTime()
       );
+      const existingLog = existingLogIndex >= 0 ? reminder.adherenceLog[existingLogIndex] : null;
+      const snoozeCount = existingLog?.snoozeCount || 0;
+      const wasTaken = existingLog?.status === 'taken';
+
+      if (status === 'snoozed' && snoozeCount >= MAX_SNOOZES_PER_DOSE) {
+        return {
+          success: false,
+          message: `A dose can be snoozed at most ${MAX_SNOOZES_PER_DOSE} times`
+        };
+      }
+
+      if (status === 'snoozed' && !await ReminderJob.isSnoozable(reminder._id, scheduledTime)) {
+        return {
+          success: false,
+          message: 'This dose has already been missed or answered and can no longer be snoozed'
+        };
+      }
 
       const logEntry = {
         scheduledTime: new Date(scheduledTime),
         takenTime: takenTime ? new Date(takenTime) : (status === 'taken' ? new Date() : null),
         status,
+        snoozedUntil: status === 'snoozed' ? new Date(Date.now() + snoozeMinutes * 60 * 1000) : null,
+        snoozeCount: status === 'snoozed' ? snoozeCount + 1 : snoozeCount,
         notes: notes || ''
       };
 
@@ -264,15 +410,35 @@ class ReminderService {
         reminder.adherenceLog.push(logEntry);
       }
 
+      // Taking a dose uses up pills; correcting a "taken" entry puts them back
+      if (this.isInventoryTracked(reminder) && wasTaken !== (status === 'taken')) {
+        const pillsPerDose = reminder.inventory.pillsPerDose || 1;
+        reminder.inventory.pillsRemaining = Math.max(
+          0,
+          reminder.inventory.pillsRemaining + (status === 'taken' ? -pillsPerDose : pillsPerDose)
+        );
+      }
+
       await reminder.save();
 
+      if (status === 'taken') {
+        await this.checkRefillAlert(reminder);
+      }
+
+      if (status === 'snoozed') {
+        await ReminderJob.snooze(reminder, logEntry.scheduledTime, logEntry.snoozedUntil);
+      } else {
+        await ReminderJob.acknowledge(reminder._id, logEntry.scheduledTime, status);
+      }
+
       return {
         success: true,
         data: {
           logEntry,
-          adherencePercentage: reminder.getAdherencePercentage()
+          adherencePercentage: reminder.getAdherencePercentage(),
+          pillsRemaining: this.isInventoryTracked(reminder) ? reminder.inventory.pillsRemaining : null
         },
-        message: 'Dose logged successfully'
+        message: status === 'snoozed' ? `Dose snoozed for ${snoozeMinutes} minutes` : 'Dose logged successfully'
       };
     } catch (error) {
       console.error('Log dose error:', error);
@@ -283,14 +449,324 @@ class ReminderService {
     }
   }
 
-  // Get today's reminders for a user
-  async getTodaysReminders(userId) {
+  // Mark an unanswered dose missed once its grace window has passed
+  async markDoseMissed(job) {
+    try {
+      const reminder = await Reminder.findById(job.reminderId);
+      if (!reminder) {
+        return { success: false, message: 'Reminder not found' };
+      }
+
+      const existingLogIndex = reminder.adherenceLog.findIndex(
+        log => log.scheduledTime.getTime() === job.scheduledTime.getTime()
+      );
+      const existingLog = existingLogIndex >= 0 ? reminder.adherenceLog[existingLogIndex] : null;
+
+      // The user answered in the meantime
+      if (existingLog && ['taken', 'skipped', 'missed'].includes(existingLog.status)) {
+        await ReminderJob.acknowledge(reminder._id, job.scheduledTime, existingLog.status);
+        return { success: true, data: { alreadyLogged: true } };
+      }
+
+      const logEntry = {
+        scheduledTime: job.scheduledTime,
+        takenTime: null,
+        status: 'missed',
+        snoozeCount: existingLog?.snoozeCount || 0,
+        autoMarked: true,
+        notes: 'Automatically marked missed after the grace period'
+      };
+
+      if (existingLogIndex >= 0) {
+        reminder.adherenceLog[existingLogIndex] = logEntry;
+      } else {
+        reminder.adherenceLog.push(logEntry);
+      }
+
+      await reminder.save();
+
+      console.log(`⏰ Dose of ${reminder.medicineName} at ${job.scheduledTime.toISOString()} marked missed`);
+
+      const escalation = await this.escalateMissedDoses(reminder, job);
+
+      return {
+        success: true,
+        data: { logEntry, escalation }
+      };
+    } catch (error) {
+      console.error('Mark dose missed error:', error);
+      return { success: false, message: 'Failed to mark dose missed' };
+    }
+  }
+
+  // Consecutive missed doses up to and including `until`, since the last escalation
+  countConsecutiveMissed(reminder, until) {
+    const since = reminder.escalation?.lastEscalatedAt || new Date(0);
+
+    const history = reminder.adherenceLog
+      .filter(log => log.scheduledTime <= until && log.status !== 'snoozed')
+      .sort((a, b) => b.scheduledTime - a.scheduledTime);
+
+    let count = 0;
+    for (const log of history) {
+      if (log.status !== 'missed' || log.scheduledTime <= since) break;
+      count++;
+    }
+
+    return count;
+  }
+
+  // Notify the chosen emergency contact when a critical medicine keeps being missed
+  async escalateMissedDoses(reminder, job) {
+    if (!reminder.isCritical || !reminder.escalation?.enabled) return null;
+
+    const missedCount = this.countConsecutiveMissed(reminder, job.scheduledTime);
+    if (missedCount < (reminder.escalation.missedThreshold || 2)) return null;
+
+    const user = await User.findById(reminder.userId).select('name');
+
+    const alert = await emergencyService.sendMissedDoseAlert(reminder.userId, {
+      contactId: reminder.escalation.contactId,
+      userName: user?.name,
+      medicineName: reminder.medicineName,
+      dosage: reminder.dosage,
+      missedCount
+    });
+
+    // Start counting afresh even if the SMS failed, so every later miss doesn't re-alert
+    reminder.escalation.lastEscalatedAt = new Date();
+    await reminder.save();
+
+    await ReminderJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: 'escalated',
+          escalatedAt: new Date(),
+          lastError: alert.success ? null : alert.message
+        }
+      }
+    );
+
+    if (alert.success) {
+      await pushNotificationService.sendToUser(reminder.userId, {
+        type: 'missed_dose_escalation',
+        title: '⚠️ Missed doses',
+        body: `You have missed ${missedCount} doses of ${reminder.medicineName}. We let ${alert.data.contactName} know.`,
+        tag: `escalation-${reminder._id}`,
+        data: { reminderId: reminder._id, url: '/reminders' }
+      });
+    }
+
+    console.log(`🚨 Escalated ${missedCount} missed dose(s) of ${reminder.medicineName}: ${alert.success ? 'sent' : alert.message}`);
+
+    return { missedCount, ...alert };
+  }
+
+  isInventoryTracked(reminder) {
+    return typeof reminder.inventory?.pillsRemaining === 'number';
+  }
+
+  // Project when the pill stock runs out: the first upcoming dose the stock
+  // can no longer cover. As-needed medicines use their recent daily usage.
+  getRefillForecast(reminder, timezone = DEFAULT_TIMEZONE, now = new Date()) {
+    if (!this.isInventoryTracked(reminder)) return null;
+
+    const { pillsRemaining, refillReminderDays = 5 } = reminder.inventory;
+    const pillsPerDose = reminder.inventory.pillsPerDose || 1;
+    const dosesRemaining = Math.floor(pillsRemaining / pillsPerDose);
+    let runOutDate = null;
+
+    if (reminder.schedule?.type === 'prn') {
+      const windowStart = new Date(now.getTime() - PRN_USAGE_WINDOW_DAYS * DAY_MS);
+      const recentDoses = reminder.adherenceLog.filter(log =>
+        log.status === 'taken' && new Date(log.takenTime || log.scheduledTime) >= windowStart
+      ).length;
+      const dosesPerDay = recentDoses / PRN_USAGE_WINDOW_DAYS;
+
+      if (dosesPerDay > 0) {
+        runOutDate = new Date(now.getTime() + (dosesRemaining / dosesPerDay) * DAY_MS);
+      }
+    } else {
+      const todayKey = toDateKey(now, timezone);
+      const dateKeys = getDateKeysBetween(now, new Date(now.getTime() + MAX_FORECAST_DAYS * DAY_MS), timezone);
+      let dosesLeft = dosesRemaining;
+
+      for (const dateKey of dateKeys) {
+        for (const { time } of this.getDoseTimesForDay(reminder, dateKey)) {
+          // Only today's doses can already be in the past
+          if (dateKey === todayKey && dateKeyAndTimeToUtc(dateKey, time, timezone) <= now) continue;
+
+          if (dosesLeft === 0) {
+            runOutDate = dateKeyAndTimeToUtc(dateKey, time, timezone);
+            break;
+          }
+          dosesLeft--;
+        }
+        if (runOutDate) break;
+      }
+    }
+
+    // No run-out date: the course ends (or the horizon passes) before the stock does
+    const daysRemaining = runOutDate ? Math.max(0, Math.floor((runOutDate - now) / DAY_MS)) : null;
+
+    return {
+      pillsRemaining,
+      pillsPerDose,
+      dosesRemaining,
+      runOutDate,
+      daysRemaining,
+      refillReminderDays,
+      needsRefill: daysRemaining !== null && daysRemaining <= refillReminderDays,
+      priceSearchUrl: this.getPriceSearchUrl(reminder.medicineName)
+    };
+  }
+
+  getPriceSearchUrl(medicineName) {
+    return `/api/pharmacy/prices/search?medicine=${encodeURIComponent(medicineName)}`;
+  }
+
+  // Send one "refill soon" notification per supply once the projected
+  // run-out date is within the reminder's refillReminderDays
+  async checkRefillAlert(reminder, timezone = null) {
+    try {
+      if (!reminder || !reminder.isActive || !this.isInventoryTracked(reminder)) return null;
+
+      const { lastRefillAlertAt, lastRefilledAt } = reminder.inventory;
+      if (lastRefillAlertAt && (!lastRefilledAt || lastRefillAlertAt >= lastRefilledAt)) return null;
+
+      const tz = timezone || await this.getUserTimezone(reminder.userId);
+      const forecast = this.getRefillForecast(reminder, tz);
+      if (!forecast?.needsRefill) return null;
+
+      const account = await User.findAccountHolder(reminder.userId, 'preferences.notifications');
+      if (account?.preferences?.notifications?.reminders === false) return null;
+
+      const when = forecast.daysRemaining === 0
+        ? 'today'
+        : `in ${forecast.daysRemaining} day${forecast.daysRemaining === 1 ? '' : 's'}`;
+
+      const result = await pushNotificationService.sendToUser(reminder.userId, {
+        type: 'refill_reminder',
+        title: '💊 Refill soon',
+        body: `${reminder.medicineName}: ${forecast.dosesRemaining} dose(s) left, runs out ${when}. Compare prices before you run out.`,
+        tag: `refill-${reminder._id}`,
+        data: {
+          reminderId: reminder._id,
+          medicineName: reminder.medicineName,
+          runOutDate: forecast.runOutDate,
+          priceSearchUrl: forecast.priceSearchUrl,
+          url: `/price-lookup?medicine=${encodeURIComponent(reminder.medicineName)}`
+        }
+      });
+
+      const alertedAt = new Date();
+      await Reminder.updateOne({ _id: reminder._id }, { $set: { 'inventory.lastRefillAlertAt': alertedAt } });
+      reminder.inventory.lastRefillAlertAt = alertedAt;
+
+      console.log(`🛒 Refill alert for ${reminder.medicineName} (${forecast.daysRemaining} day(s) left): ${result.success ? 'sent' : result.message}`);
+
+      return forecast;
+    } catch (error) {
+      console.error(`Refill alert error for ${reminder?._id}:`, error);
+      return null;
+    }
+  }
+
+  // Add pills after a refill (or set the count outright with `set`)
+  async refillReminder(userId, reminderId, { quantity, set = false }) {
+    try {
+      const amount = Number(quantity);
+      if (!Number.isFinite(amount) || amount < 0) {
+        return {
+          success: false,
+          message: 'quantity must be a non-negative number'
+        };
+      }
+
+      const reminder = await Reminder.findOne({ _id: reminderId, userId });
+      if (!reminder) {
+        return {
+          success: false,
+          message: 'Reminder not found'
+        };
+      }
+
+      const current = this.isInventoryTracked(reminder) ? reminder.inventory.pillsRemaining : 0;
+      reminder.inventory.pillsRemaining = set ? amount : current + amount;
+      reminder.inventory.lastRefilledAt = new Date();
+      await reminder.save();
+
+      const timezone = await this.getUserTimezone(userId);
+
+      return {
+        success: true,
+        data: {
+          inventory: reminder.inventory,
+          refillForecast: this.getRefillForecast(reminder, timezone)
+        },
+        message: 'Stock updated'
+      };
+    } catch (error) {
+      console.error('Refill reminder error:', error);
+      return {
+        success: false,
+        message: 'Failed to update stock'
+      };
+    }
+  }
+
+  // Stock projections for every tracked reminder, soonest run-out first
+  async getRefillForecasts(userId) {
+    try {
+      const timezone = await this.getUserTimezone(userId);
+      const reminders = await Reminder.find({
+        userId,
+        isActive: true,
+        'inventory.pillsRemaining': { $ne: null }
+      });
+
+      const forecasts = reminders
+        .map(reminder => ({
+          reminderId: reminder._id,
+          medicineName: reminder.medicineName,
+          dosage: reminder.dosage,
+          ...this.getRefillForecast(reminder, timezone)
+        }))
+        // No run-out date (not tracked) sorts last
+        .sort((a, b) => (a.runOutDate == null) - (b.runOutDate == null) || a.runOutDate - b.runOutDate);
+
+      return {
+        success: true,
+        data: forecasts
+      };
+    } catch (error) {
+      console.error('Get refill forecasts error:', error);
+      return {
+        success: false,
+        message: 'Failed to get refill forecasts'
+      };
+    }
+  }
+
+  // Whether a medicine name matches a known critical medicine
+  isCriticalMedicine(medicineName) {
+    const name = (medicineName || '').toLowerCase();
+    return CRITICAL_MEDICINE_KEYWORDS.some(keyword => name.includes(keyword));
+  }
+
+  // Get today's reminders for a user, in the user's timezone
+  async getTodaysReminders(userId, timezone = null) {
     try {
       console.log(`📅 Getting today's reminders for user: ${userId}`);
 
+      const tz = timezone || await this.getUserTimezone(userId);
       const today = new Date();
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate(), 23, 59, 59, 999);
+      const todayKey = toDateKey(today, tz);
+      const startOfDay = startOfZonedDay(today, tz);
+      // Zoned days are 23-25h long around DST changes, so step past the next midnight
+      const startOfTomorrow = startOfZonedDay(new Date(startOfDay.getTime() + 36 * 60 * 60 * 1000), tz);
+      const endOfDay = new Date(startOfTomorrow.getTime() - 1);
 
       // Find active reminders that are valid for today
       // startDate <= endOfDay (Started before or today)
@@ -305,16 +781,20 @@ class ReminderService {
 
       // Generate today's schedule
       const todaysSchedule = [];
+      const asNeeded = [];
 
       reminders.forEach(reminder => {
-        // Verify frequency (check if this reminder is actually for today)
-        if (!this.isReminderActiveOnDate(reminder, today)) {
+        if (reminder.schedule?.type === 'prn') {
+          if (this.isWithinDateRange(reminder, todayKey)) {
+            asNeeded.push(this.getPrnStatus(reminder, today, tz));
+          }
           return;
         }
 
-        reminder.times.forEach(time => {
-          const [hours, minutes] = time.split(':').map(Number);
-          const scheduledDateTime = new Date(today.getFullYear(), today.getMonth(), today.getDate(), hours, minutes);
+        // Only the doses this schedule has on today's date
+        this.getDoseTimesForDay(reminder, todayKey).forEach(({ time, dosage }) => {
+          // "HH:MM" is wall-clock time in the user's zone
+          const scheduledDateTime = dateKeyAndTimeToUtc(todayKey, time, tz);
 
           // Check if this dose was already logged
           const logEntry = reminder.adherenceLog.find(
@@ -327,10 +807,14 @@ class ReminderService {
           todaysSchedule.push({
             reminderId: reminder._id,
             medicineName: reminder.medicineName,
-            dosage: reminder.dosage,
+            dosage,
             scheduledTime: scheduledDateTime,
+            localTime: time,
+            scheduleType: reminder.schedule?.type || 'daily',
             status: logEntry ? logEntry.status : 'pending',
             takenTime: logEntry ? logEntry.takenTime : null,
+            snoozedUntil: logEntry ? logEntry.snoozedUntil : null,
+            isCritical: reminder.isCritical,
             notes: logEntry ? logEntry.notes : '',
             medicine: reminder.medicineId,
             isActive: reminder.isActive
@@ -341,10 +825,12 @@ class ReminderService {
       // Sort by scheduled time
       todaysSchedule.sort((a, b) => a.scheduledTime - b.scheduledTime);
 
-      console.log(`✅ Found ${todaysSchedule.length} doses for today`);
+      console.log(`✅ Found ${todaysSchedule.length} doses for today (${tz})`);
       return {
         success: true,
-        data: todaysSchedule
+        data: todaysSchedule,
+        asNeeded,
+        timezone: tz
       };
     } catch (error) {
       console.error('Get today\'s reminders error:', error);
@@ -374,7 +860,13 @@ class ReminderService {
       let totalSkipped = 0;
 
       reminders.forEach(reminder => {
+        // As-needed doses have no schedule to adhere to
+        if (reminder.schedule?.type === 'prn') return;
+
         reminder.adherenceLog.forEach(log => {
+          // Snoozed doses are still open
+          if (log.status === 'snoozed') return;
+
           if (log.scheduledTime >= startDate && log.scheduledTime <= endDate) {
             totalScheduled++;
             switch (log.status) {
@@ -450,8 +942,71 @@ class ReminderService {
     }
   }
 
-  // Check for scheduling conflicts
-  async getSchedulingConflicts(userId) {
+  // Resolve the timezone a user's reminder times are expressed in
+  // Dependent profiles without a zone of their own follow their account holder
+  async getUserTimezone(userId) {
+    const user = await User.findById(userId).select('timezone preferences.travel managedBy');
+    if (user?.managedBy && !user.timezone) {
+      return getEffectiveTimezone(await User.findById(user.managedBy).select('timezone preferences.travel'));
+    }
+    return getEffectiveTimezone(user);
+  }
+
+  // Get every dose of a reminder between two instants as { scheduledTime, dosage }.
+  // Times are wall-clock times in `timezone`; DST gaps and overlaps are
+  // resolved by zonedTimeToUtc.
+  getOccurrencesBetween(reminder, from, to, timezone) {
+    const occurrences = [];
+
+    getDateKeysBetween(from, to, timezone).forEach(dateKey => {
+      this.getDoseTimesForDay(reminder, dateKey).forEach(({ time, dosage }) => {
+        const scheduledTime = dateKeyAndTimeToUtc(dateKey, time, timezone);
+
+        if (scheduledTime >= from && scheduledTime <= to) {
+          occurrences.push({ scheduledTime, dosage });
+        }
+      });
+    });
+
+    return occurrences.sort((a, b) => a.scheduledTime - b.scheduledTime);
+  }
+
+  // Materialize the dispatch queue for a reminder over the next `horizonMs`.
+  // Safe to call repeatedly and from several instances.
+  async syncReminderJobs(reminder, horizonMs = 24 * 60 * 60 * 1000, from = new Date(), timezone = null) {
+    try {
+      if (!reminder.isActive) {
+        await ReminderJob.cancelForReminder(reminder._id);
+        return 0;
+      }
+
+      const tz = timezone || await this.getUserTimezone(reminder.userId);
+      const to = new Date(from.getTime() + horizonMs);
+      const occurrences = this.getOccurrencesBetween(reminder, from, to, tz);
+
+      return await ReminderJob.syncForReminder(reminder, occurrences, from);
+    } catch (error) {
+      console.error(`Sync reminder jobs error for ${reminder._id}:`, error);
+      return 0;
+    }
+  }
+
+  // Rebuild the queue for all of a user's reminders (e.g. after a timezone change)
+  async resyncUserReminderJobs(userId) {
+    const timezone = await this.getUserTimezone(userId);
+    const reminders = await Reminder.find({ userId, isActive: true });
+
+    for (const reminder of reminders) {
+      await this.syncReminderJobs(reminder, undefined, new Date(), timezone);
+    }
+
+    console.log(`🌍 Resynced ${reminders.length} reminder(s) for user ${userId} in ${timezone}`);
+    return reminders.length;
+  }
+
+  // Check scheduling conflicts: interacting medicines, interacting doses
+  // scheduled too close together, and doses sharing a time slot
+  async getSchedulingConflicts(userId, options = {}) {
     try {
       console.log(`🔍 Checking scheduling conflicts for user: ${userId}`);
 
@@ -460,12 +1015,63 @@ class ReminderService {
         isActive: true
       });
 
+      const medications = reminders.map(reminder => ({
+        reminderId: reminder._id,
+        medicineName: reminder.medicineName,
+        dosage: reminder.dosage
+      }));
+      const doseTimes = new Map(reminders.map(reminder => [reminder._id.toString(), this.getTypicalDoseTimes(reminder)]));
+
+      const { interactions, sources } = await drugInteractionService.checkInteractions(medications, options);
+
       const conflicts = [];
-      const timeSlots = {};
+      const pairSeverity = new Map();
+
+      interactions.forEach(interaction => {
+        const [first, second] = interaction.medications;
+        const firstTimes = doseTimes.get(first.reminderId.toString());
+        const secondTimes = doseTimes.get(second.reminderId.toString());
+        pairSeverity.set(this.getPairKey(first.reminderId, second.reminderId), interaction.severity);
+
+        const base = {
+          medications: [first, second],
+          severity: interaction.severity,
+          description: interaction.description,
+          sources: interaction.sources
+        };
+
+        if (interaction.spacingHours) {
+          const minGap = interaction.spacingHours * 60;
+          const closeTimes = this.findCloseDoseTimes(firstTimes, secondTimes, minGap);
+          // Already far enough apart
+          if (closeTimes.length === 0) return;
+
+          conflicts.push({
+            ...base,
+            type: 'spacing',
+            times: closeTimes,
+            spacingHours: interaction.spacingHours,
+            message: `${first.medicineName} and ${second.medicineName} are scheduled less than ${interaction.spacingHours}h apart`,
+            suggestion: drugInteractionService.getSpacingAdvice(interaction),
+            suggestedTimes: this.suggestSpacedTimes(interaction, firstTimes, secondTimes, minGap)
+          });
+          return;
+        }
+
+        conflicts.push({
+          ...base,
+          type: 'interaction',
+          message: `${first.medicineName} interacts with ${second.medicineName}`,
+          suggestion: interaction.severity === 'contraindicated'
+            ? 'These should not be taken together. Talk to your doctor before the next dose.'
+            : 'Check with your doctor or pharmacist that this combination is intended.'
+        });
+      });
 
       // Group reminders by time slots
+      const timeSlots = {};
       reminders.forEach(reminder => {
-        reminder.times.forEach(time => {
+        doseTimes.get(reminder._id.toString()).forEach(time => {
           if (!timeSlots[time]) {
             timeSlots[time] = [];
           }
@@ -477,23 +1083,40 @@ class ReminderService {
         });
       });
 
-      // Find conflicts (multiple medications at same time)
-      Object.entries(timeSlots).forEach(([time, medications]) => {
-        if (medications.length > 1) {
+      // Multiple medications at the same time; only worth more than a note
+      // when some of them interact
+      Object.entries(timeSlots).forEach(([time, slotMedications]) => {
+        if (slotMedications.length > 1) {
+          let severity = 'info';
+          slotMedications.forEach((a, i) => slotMedications.slice(i + 1).forEach(b => {
+            const pairLevel = pairSeverity.get(this.getPairKey(a.reminderId, b.reminderId));
+            if (pairLevel && (severity === 'info' || SEVERITY_RANK[pairLevel] > SEVERITY_RANK[severity])) {
+              severity = pairLevel;
+            }
+          }));
+
           conflicts.push({
+            type: 'same_time',
             time,
-            medications,
-            severity: 'warning', // Could be enhanced to check for drug interactions
-            message: `${medications.length} medications scheduled at ${time}`
+            medications: slotMedications,
+            severity,
+            message: `${slotMedications.length} medications scheduled at ${time}`
           });
         }
       });
 
+      conflicts.sort((a, b) => (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0));
+
       return {
         success: true,
         data: {
           conflicts,
-          totalConflicts: conflicts.length
+          totalConflicts: conflicts.length,
+          interactions: interactions.map(interaction => ({
+            ...interaction,
+            suggestion: drugInteractionService.getSpacingAdvice(interaction)
+          })),
+          sources
         }
       };
     } catch (error) {
@@ -505,6 +1128,85 @@ class ReminderService {
     }
   }
 
+  getPairKey(firstId, secondId) {
+    return [firstId.toString(), secondId.toString()].sort().join('|');
+  }
+
+  // Representative daily dose times of a reminder, for comparing schedules
+  getTypicalDoseTimes(reminder) {
+    const schedule = reminder.schedule || {};
+    const times = reminder.times || [];
+
+    switch (schedule.type) {
+      case 'prn':
+        return [];
+      case 'interval_hours':
+        return this.getIntervalDoseTimes(times[0], schedule.intervalHours, 0);
+      case 'taper':
+        return [...new Set([
+          ...times,
+          ...(schedule.taperSteps || []).flatMap(step => step.times || [])
+        ])].sort();
+      default:
+        return times;
+    }
+  }
+
+  timeToMinutes(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+  }
+
+  minutesToTime(minutes) {
+    const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return `${String(Math.floor(normalized / 60)).padStart(2, '0')}:${String(normalized % 60).padStart(2, '0')}`;
+  }
+
+  // Gap between two times of day, across midnight if shorter
+  getTimeGap(a, b) {
+    const diff = Math.abs(this.timeToMinutes(a) - this.timeToMinutes(b));
+    return Math.min(diff, MINUTES_PER_DAY - diff);
+  }
+
+  // Dose time pairs closer than minGap minutes
+  findCloseDoseTimes(firstTimes, secondTimes, minGap) {
+    const close = [];
+    firstTimes.forEach(first => secondTimes.forEach(second => {
+      if (this.getTimeGap(first, second) < minGap) {
+        close.push({ first, second });
+      }
+    }));
+    return close;
+  }
+
+  // Move the dose that should come later to the nearest half hour that keeps
+  // the required gap from every dose of the other medicine
+  suggestSpacedTimes(interaction, firstTimes, secondTimes, minGap) {
+    const moveFirst = interaction.order === 'b_first';
+    const moving = moveFirst ? interaction.medications[0] : interaction.medications[1];
+    const fixedTimes = moveFirst ? secondTimes : firstTimes;
+    const movingTimes = moveFirst ? firstTimes : secondTimes;
+
+    const suggested = movingTimes.map(time => {
+      if (fixedTimes.every(fixed => this.getTimeGap(fixed, time) >= minGap)) return time;
+
+      for (let step = 1; step < 48; step++) {
+        const candidate = this.minutesToTime(this.timeToMinutes(time) + step * 30);
+        if (fixedTimes.every(fixed => this.getTimeGap(fixed, candidate) >= minGap)) return candidate;
+      }
+      return null;
+    });
+
+    // No slot in the day keeps the gap (e.g. the other medicine is taken every few hours)
+    if (suggested.includes(null)) return null;
+
+    return {
+      reminderId: moving.reminderId,
+      medicineName: moving.medicineName,
+      times: [...new Set(suggested)].sort()
+    };
+  }
+
   // Get adherence data for calendar view
   async getAdherenceData(userId, startDate, endDate) {
     try {
@@ -527,16 +1229,18 @@ class ReminderService {
 
       console.log(`📋 Found ${reminders.length} active reminders for adherence calculation`);
 
+      // Calendar days are the user's days, not the server's
+      const timezone = await this.getUserTimezone(userId);
+
       // Calculate adherence for each day in the range
       const adherenceData = {};
-      const currentDate = new Date(start);
 
-      while (currentDate <= end) {
-        const dateKey = currentDate.toISOString().split('T')[0];
+      for (const dateKey of getDateKeysBetween(start, end, 'UTC')) {
+        const currentDate = dateKeyAndTimeToUtc(dateKey, '00:00', timezone);
 
         // Only calculate for past and current dates
         if (currentDate <= new Date()) {
-          const dayAdherence = await this.calculateDayAdherence(reminders, currentDate);
+          const dayAdherence = await this.calculateDayAdherence(reminders, currentDate, timezone);
           if (dayAdherence.totalExpected > 0) {
             adherenceData[dateKey] = {
               status: this.getAdherenceStatus(dayAdherence.percentage),
@@ -547,8 +1251,6 @@ class ReminderService {
             };
           }
         }
-
-        currentDate.setDate(currentDate.getDate() + 1);
       }
 
       console.log(`📈 Calculated adherence for ${Object.keys(adherenceData).length} days`);
@@ -569,19 +1271,17 @@ class ReminderService {
   }
 
   // Calculate adherence for a specific day
-  async calculateDayAdherence(reminders, date) {
-    const dayOfWeek = date.getDay(); // 0 = Sunday, 1 = Monday, etc.
-    const dateKey = date.toISOString().split('T')[0];
+  async calculateDayAdherence(reminders, date, timezone) {
 
     let totalExpected = 0;
     let totalTaken = 0;
     const details = [];
 
     for (const reminder of reminders) {
-      // Check if reminder is active on this day
-      if (this.isReminderActiveOnDate(reminder, date)) {
-        const expectedDoses = this.getExpectedDosesForDay(reminder, date);
-        const takenDoses = this.getTakenDosesForDay(reminder, date);
+      // Check if reminder has doses on this day (never true for as-needed medicines)
+      if (this.isReminderActiveOnDate(reminder, date, timezone)) {
+        const expectedDoses = this.getExpectedDosesForDay(reminder, date, timezone);
+        const takenDoses = this.getTakenDosesForDay(reminder, date, timezone);
 
         totalExpected += expectedDoses;
         totalTaken += takenDoses;
@@ -606,53 +1306,239 @@ class ReminderService {
     };
   }
 
-  // Check if reminder is active on a specific date
-  isReminderActiveOnDate(reminder, date) {
-    const reminderStart = new Date(reminder.startDate);
-    const reminderEnd = reminder.endDate ? new Date(reminder.endDate) : null;
-
-    // Check if date is within reminder range
-    if (date < reminderStart) return false;
-    if (reminderEnd && date > reminderEnd) return false;
-
-    // Check frequency-specific rules
-    switch (reminder.frequency) {
-      case 'daily':
-        return true;
-      case 'weekly':
-        // Check if it's the right day of the week
-        return reminder.daysOfWeek && reminder.daysOfWeek.includes(date.getDay());
-      case 'monthly':
-        // Check if it's the right day of the month
-        return reminder.dayOfMonth === date.getDate();
-      case 'custom':
-        // For custom frequency, check interval
-        const daysSinceStart = Math.floor((date - reminderStart) / (1000 * 60 * 60 * 24));
-        return daysSinceStart % (reminder.intervalDays || 1) === 0;
+  // Check if reminder has scheduled doses on the user's calendar day containing `date`
+  isReminderActiveOnDate(reminder, date, timezone = DEFAULT_TIMEZONE) {
+    return this.getDoseTimesForDay(reminder, toDateKey(date, timezone)).length > 0;
+  }
+
+  // Get expected doses for a specific day
+  getExpectedDosesForDay(reminder, date, timezone = DEFAULT_TIMEZONE) {
+    return this.getDoseTimesForDay(reminder, toDateKey(date, timezone)).length;
+  }
+
+  // Doses a reminder's schedule puts on a "YYYY-MM-DD" calendar day,
+  // as [{ time: "HH:MM", dosage }]. As-needed medicines have none.
+  getDoseTimesForDay(reminder, dateKey) {
+    if (!this.isWithinDateRange(reminder, dateKey)) return [];
+
+    const schedule = reminder.schedule || {};
+    const times = reminder.times || [];
+    const dayIndex = this.getDayIndex(reminder, dateKey);
+    const withDosage = time => ({ time, dosage: reminder.dosage });
+
+    switch (schedule.type) {
+      case 'prn':
+        return [];
+      case 'interval_hours':
+        return this.getIntervalDoseTimes(times[0], schedule.intervalHours, dayIndex).map(withDosage);
+      case 'alternate_days':
+        return dayIndex % (schedule.intervalDays || 2) === 0 ? times.map(withDosage) : [];
+      case 'weekdays': {
+        const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+        return (schedule.daysOfWeek || []).includes(weekday) ? times.map(withDosage) : [];
+      }
+      case 'cycle': {
+        const daysOn = schedule.cycle?.daysOn || 1;
+        const daysOff = schedule.cycle?.daysOff || 0;
+        return dayIndex % (daysOn + daysOff) < daysOn ? times.map(withDosage) : [];
+      }
+      case 'taper': {
+        const step = this.getTaperStep(schedule.taperSteps, dayIndex);
+        if (!step) return [];
+        const stepTimes = step.times && step.times.length > 0 ? step.times : times;
+        return stepTimes.map(time => ({ time, dosage: step.dosage }));
+      }
       default:
-        return true;
+        return times.map(withDosage);
     }
   }
 
-  // Get expected doses for a specific day
-  getExpectedDosesForDay(reminder, date) {
-    if (!this.isReminderActiveOnDate(reminder, date)) return 0;
+  // startDate/endDate are calendar dates (stored as UTC midnight)
+  isWithinDateRange(reminder, dateKey) {
+    if (dateKey < this.toCalendarKey(reminder.startDate)) return false;
+    if (reminder.endDate && dateKey > this.toCalendarKey(reminder.endDate)) return false;
+    return true;
+  }
+
+  toCalendarKey(date) {
+    return new Date(date).toISOString().split('T')[0];
+  }
+
+  // Days since the reminder's start date (0 on the start date)
+  getDayIndex(reminder, dateKey) {
+    const start = new Date(`${this.toCalendarKey(reminder.startDate)}T00:00:00Z`);
+    return Math.round((new Date(`${dateKey}T00:00:00Z`) - start) / DAY_MS);
+  }
+
+  // Dose times on day `dayIndex` of an "every N hours" schedule whose
+  // first dose is at `firstTime` on the start date. Intervals that don't
+  // divide 24 drift across days (every 36h: 08:00, then 20:00 next day).
+  getIntervalDoseTimes(firstTime = '08:00', intervalHours, dayIndex) {
+    if (!intervalHours || intervalHours < 1) return [];
+
+    const [hour, minute] = firstTime.split(':').map(Number);
+    const first = hour * 60 + minute;
+    const interval = intervalHours * 60;
+    const dayStart = dayIndex * MINUTES_PER_DAY;
+    const dayEnd = dayStart + MINUTES_PER_DAY;
+
+    const times = [];
+    for (let k = Math.max(0, Math.ceil((dayStart - first) / interval)); first + k * interval < dayEnd; k++) {
+      times.push(this.minutesToTime(first + k * interval - dayStart));
+    }
+
+    return times;
+  }
+
+  // The taper step covering day `dayIndex`, or null once the taper is over
+  getTaperStep(steps = [], dayIndex) {
+    let stepStart = 0;
+    for (const step of steps) {
+      if (dayIndex < stepStart + step.days) return step;
+      stepStart += step.days;
+    }
+    return null;
+  }
+
+  // Whether an as-needed dose may be taken at `at`, honouring the minimum
+  // interval since the last dose and the maximum doses per calendar day
+  checkPrnDose(reminder, at, timezone) {
+    const prn = reminder.schedule?.prn || {};
+    const takenLogs = reminder.adherenceLog
+      .filter(log => log.status === 'taken')
+      .map(log => new Date(log.takenTime || log.scheduledTime))
+      .filter(time => time <= at)
+      .sort((a, b) => b - a);
+
+    const minIntervalMs = (prn.minIntervalHours || 0) * 60 * 60 * 1000;
+    if (takenLogs.length > 0 && at - takenLogs[0] < minIntervalMs) {
+      const nextAllowedAt = new Date(takenLogs[0].getTime() + minIntervalMs);
+      return {
+        allowed: false,
+        message: `Wait at least ${prn.minIntervalHours} hour(s) between doses`,
+        nextAllowedAt
+      };
+    }
+
+    const dateKey = toDateKey(at, timezone);
+    const takenToday = takenLogs.filter(time => toDateKey(time, timezone) === dateKey).length;
+    if (prn.maxDailyDoses && takenToday >= prn.maxDailyDoses) {
+      const tomorrow = startOfZonedDay(new Date(startOfZonedDay(at, timezone).getTime() + 36 * 60 * 60 * 1000), timezone);
+      return {
+        allowed: false,
+        message: `Daily maximum of ${prn.maxDailyDoses} dose(s) reached`,
+        nextAllowedAt: tomorrow
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  // Today's summary of an as-needed medicine for the schedule view
+  getPrnStatus(reminder, now, timezone) {
+    const prn = reminder.schedule?.prn || {};
+    const dateKey = toDateKey(now, timezone);
+    const takenToday = reminder.adherenceLog.filter(log =>
+      log.status === 'taken' && toDateKey(new Date(log.takenTime || log.scheduledTime), timezone) === dateKey
+    );
+    const check = this.checkPrnDose(reminder, now, timezone);
+
+    return {
+      reminderId: reminder._id,
+      medicineName: reminder.medicineName,
+      dosage: reminder.dosage,
+      scheduleType: 'prn',
+      takenToday: takenToday.length,
+      lastTakenAt: takenToday.length > 0
+        ? new Date(Math.max(...takenToday.map(log => new Date(log.takenTime || log.scheduledTime))))
+        : null,
+      maxDailyDoses: prn.maxDailyDoses || null,
+      minIntervalHours: prn.minIntervalHours || 0,
+      canTakeNow: check.allowed,
+      nextAllowedAt: check.nextAllowedAt || null,
+      isCritical: reminder.isCritical
+    };
+  }
+
+  // Validate a schedule against its dose times; returns an error message or null
+  validateSchedule(schedule, times = [], frequency = 'custom') {
+    const type = schedule.type || 'daily';
+
+    if (!SCHEDULE_TYPES.includes(type)) {
+      return `Schedule type must be one of: ${SCHEDULE_TYPES.join(', ')}`;
+    }
+
+    if (times.some(time => !TIME_PATTERN.test(time))) {
+      return 'Times must be in HH:MM format';
+    }
+
+    // Fixed daily frequencies only make sense for day-based schedules
+    const expectedTimes = this.getExpectedTimesForFrequency(frequency);
+    if (!['interval_hours', 'prn'].includes(type) && frequency !== 'custom' && times.length !== expectedTimes) {
+      return `Frequency '${frequency}' requires exactly ${expectedTimes} time(s)`;
+    }
+
+    switch (type) {
+      case 'interval_hours':
+        if (!(schedule.intervalHours >= 1 && schedule.intervalHours <= 72)) {
+          return 'Every-N-hours schedules need intervalHours between 1 and 72';
+        }
+        break;
+      case 'alternate_days':
+        if (schedule.intervalDays !== undefined && !(schedule.intervalDays >= 2 && schedule.intervalDays <= 30)) {
+          return 'intervalDays must be between 2 and 30';
+        }
+        break;
+      case 'weekdays':
+        if (!Array.isArray(schedule.daysOfWeek) || schedule.daysOfWeek.length === 0 ||
+            schedule.daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+          return 'Weekday schedules need daysOfWeek (0 = Sunday to 6 = Saturday)';
+        }
+        break;
+      case 'cycle':
+        if (!(schedule.cycle?.daysOn >= 1) || !(schedule.cycle?.daysOff >= 0)) {
+          return 'Cycle schedules need daysOn (at least 1) and daysOff';
+        }
+        break;
+      case 'taper':
+        if (!Array.isArray(schedule.taperSteps) || schedule.taperSteps.length === 0) {
+          return 'Tapering schedules need at least one step';
+        }
+        for (const step of schedule.taperSteps) {
+          if (!(step.days >= 1) || !step.dosage) {
+            return 'Each taper step needs days (at least 1) and a dosage';
+          }
+          if ((step.times || []).some(time => !TIME_PATTERN.test(time))) {
+            return 'Taper step times must be in HH:MM format';
+          }
+        }
+        break;
+      case 'prn':
+        if (schedule.prn?.maxDailyDoses !== undefined && schedule.prn.maxDailyDoses !== null &&
+            !(schedule.prn.maxDailyDoses >= 1)) {
+          return 'maxDailyDoses must be at least 1';
+        }
+        if (schedule.prn?.minIntervalHours !== undefined && !(schedule.prn.minIntervalHours >= 0)) {
+          return 'minIntervalHours cannot be negative';
+        }
+        break;
+    }
 
-    // Return the number of times per day for this reminder
-    return reminder.times ? reminder.times.length : 1;
+    return null;
   }
 
   // Get taken doses for a specific day
-  getTakenDosesForDay(reminder, date) {
-    const dateKey = date.toISOString().split('T')[0];
+  getTakenDosesForDay(reminder, date, timezone) {
+    const dateKey = toDateKey(date, timezone);
 
     // Count logs for this date (using adherenceLog from the model)
     const dayLogs = reminder.adherenceLog?.filter(log => {
-      const logDate = new Date(log.scheduledTime).toISOString().split('T')[0];
+      const logDate = toDateKey(new Date(log.scheduledTime), timezone);
       return logDate === dateKey && log.status === 'taken';
     }) || [];
 
-    return dayLogs.length;
+    // Extra doses never push a day above 100%
+    return Math.min(dayLogs.length, this.getExpectedDosesForDay(reminder, date, timezone));
   }
 
   // Determine adherence status based on percentage
@@ -1,5 +1,5 @@
-const geminiService = require('./geminiService');
-const nvidiaService = require('./nvidiaService');
+const aiProviderRegistry = require('./aiProviderRegistry');
+const pdfService = require('./pdfService');
 const fs = require('fs-extra');
 
 class ReportAnalysisService {
@@ -15,13 +15,13 @@ class ReportAnalysisService {
     };
   }
 
-  // Main analysis function using Gemini AI
+  // Main analysis function (OCR, then structured extraction)
   async analyzeReport(filePath, options = {}) {
     try {
-      console.log('📊 Analyzing medical report with Gemini AI...');
+      console.log('📊 Analyzing medical report with AI...');
 
-      // Use Gemini for OCR and DeepSeek for analysis
-      const aiResult = await this.analyzeWithAI(filePath);
+      // OCR and analysis are routed by aiProviderRegistry
+      const aiResult = await this.analyzeWithAI(filePath, options.mimeType);
 
       if (aiResult.success) {
         return {
@@ -42,44 +42,32 @@ class ReportAnalysisService {
     }
   }
 
-  async extractText(filePath) {
-    console.log('🔄 Extracting text from medical report with NVIDIA...');
-    const imageBuffer = await fs.readFile(filePath);
-    const base64Image = imageBuffer.toString('base64');
-    
-    const ocrPrompt = "Extract ALL text from this medical report image. Preserve the layout exactly.";
-    
-    try {
-      const nvidiaResult = await nvidiaService.client.chat.completions.create({
-        model: nvidiaService.model,
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: ocrPrompt },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/jpeg;base64,${base64Image}`,
-                },
-              },
-            ],
-          },
-        ],
-        max_tokens: 4096,
-      });
-      return nvidiaResult.choices[0].message.content;
-    } catch (error) {
-      console.warn('⚠️ NVIDIA OCR failed, falling back to Gemini...', error.message);
-      const imageData = {
-        inlineData: {
-          data: base64Image,
-          mimeType: 'image/jpeg'
-        }
-      };
-      const ocrResult = await geminiService.generateContentWithFallback([ocrPrompt, imageData]);
-      return (await ocrResult.response).text();
+  // Page-numbered text of a report, e.g. "--- Page 1 ---\n..."
+  async extractText(filePath, mimeType) {
+    const pages = await this.extractPages(filePath, mimeType);
+    return pdfService.formatPages(pages);
+  }
+
+  // [{ page, method: 'text' | 'ocr', text }]. PDFs are read page by page; images are a single page.
+  async extractPages(filePath, mimeType) {
+    if (pdfService.isPdf(filePath, mimeType)) {
+      console.log('🔄 Extracting text from PDF report page by page...');
+      return await pdfService.extractPages(filePath, (image) => this.ocrImage(image, 'image/png'));
     }
+
+    const imageBuffer = await fs.readFile(filePath);
+    const text = await this.ocrImage(imageBuffer, mimeType && mimeType.startsWith('image/') ? mimeType : 'image/jpeg');
+    return [{ page: 1, method: 'ocr', text }];
+  }
+
+  async ocrImage(imageBuffer, mimeType) {
+    console.log('🔄 Extracting text from medical report...');
+    const { text } = await aiProviderRegistry.vision('ocr', {
+      prompt: "Extract ALL text from this medical report image. Preserve the layout exactly.",
+      images: [{ data: imageBuffer.toString('base64'), mimeType }],
+      maxTokens: 4096
+    });
+    return text;
   }
 
   async analyzeBasic(rawText) {
@@ -91,94 +79,39 @@ class ReportAnalysisService {
         "patient_details": { "name": string, "age": string, "gender": string },
         "summary": "Short 2-sentence summary"
       }`;
-    return await this.callAI(prompt);
+    return await this.callAI(prompt, 'report_basic');
   }
 
   async analyzeDetailed(rawText) {
     const prompt = `Extract detailed clinical data from this medical report text: ${rawText}
+      The text is split into pages by "--- Page N ---" markers; set "page" to the page number each value was read from.
       JSON Structure:
       {
-        "vitals": [ { "name": string, "value": string, "unit": string, "interpretation": string } ],
+        "vitals": [ { "name": string, "value": string, "unit": string, "interpretation": string, "page": number } ],
         "investigations": {
-          "results": [ { "name": string, "value": string, "unit": string, "normal_range": string, "interpretation": string, "is_abnormal": boolean } ]
+          "results": [ { "name": string, "value": string, "unit": string, "normal_range": string, "interpretation": string, "is_abnormal": boolean, "page": number } ]
         },
         "medications": [ { "name": string, "dosage": string, "frequency": string } ],
         "advice": [ { "title": string, "description": string, "category": string } ]
       }`;
-    return await this.callAI(prompt);
+    return await this.callAI(prompt, 'report_detailed');
   }
 
-  async callAI(prompt) {
-    let data;
-    let fallbackToSamba = false;
-
-    console.log(`🤖 Attempting analysis with NVIDIA (${nvidiaService.model})...`);
-    try {
-      const nvidiaResult = await nvidiaService.client.chat.completions.create({
-        model: nvidiaService.model,
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.2,
-        top_p: 0.95,
-        max_tokens: 4096,
-        response_format: { type: "json_object" }
-      });
-      
-      const content = nvidiaResult.choices[0].message.content;
-      data = geminiService._extractJson(content);
-      if (!data || Object.keys(data).length === 0) {
-        throw new Error('Invalid JSON response from NVIDIA');
-      }
-    } catch (error) {
-      console.warn('⚠️ NVIDIA analysis failed, falling back to SambaNova...', error.message);
-      fallbackToSamba = true;
-    }
-
-    if (fallbackToSamba) {
-      if (geminiService.sambaNovaClients && geminiService.sambaNovaClients.length > 0) {
-        try {
-          const samba = geminiService._getAvailableSambaClient();
-          if (samba) {
-            console.log(`🤖 Attempting analysis with SambaNova (${geminiService.sambaNovaModel})...`);
-            const completion = await samba.client.chat.completions.create({
-              model: geminiService.sambaNovaModel,
-              messages: [{ role: "user", content: prompt }],
-              response_format: { type: "json_object" }
-            });
-            
-            const content = completion.choices[0].message.content;
-            data = geminiService._extractJson(content);
-            if (!data || Object.keys(data).length === 0) {
-              throw new Error('Invalid JSON response from SambaNova');
-            }
-          } else {
-            throw new Error('No SambaNova clients available');
-          }
-        } catch (error) {
-          console.warn('⚠️ SambaNova fallback failed, falling back to Gemini...', error.message);
-          const result = await geminiService.model.generateContent(prompt);
-          const text = (await result.response).text();
-          data = geminiService._extractJson(text);
-          if (!data || Object.keys(data).length === 0) {
-            throw new Error('Could not extract JSON from Gemini response');
-          }
-        }
-      } else {
-        console.log('🤖 Falling back to Google Gemini for clinical analysis...');
-        const result = await geminiService.model.generateContent(prompt);
-        const text = (await result.response).text();
-        data = geminiService._extractJson(text);
-        if (!data || Object.keys(data).length === 0) {
-          throw new Error('Could not extract JSON from Gemini response');
-        }
-      }
-    }
-
+  // The registry rejects answers that don't match `schema` (data/aiSchemas.json)
+  async callAI(prompt, schema) {
+    const { data, provider } = await aiProviderRegistry.completeJson('report_analysis', {
+      prompt,
+      temperature: 0.2,
+      maxTokens: 4096,
+      schema
+    });
+    console.log(`🤖 Report analysis completed with ${provider}`);
     return data;
   }
 
-  async analyzeWithAI(filePath) {
+  async analyzeWithAI(filePath, mimeType) {
     try {
-      const rawText = await this.extractText(filePath);
+      const rawText = await this.extractText(filePath, mimeType);
       const basic = await this.analyzeBasic(rawText);
       const detailed = await this.analyzeDetailed(rawText);
       return { success: true, data: { ...basic, ...detailed } };
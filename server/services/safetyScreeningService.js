@@ -0,0 +1,204 @@
+const drugInteractionService = require('./drugInteractionService');
+const screeningTable = require('../data/contraindications.json');
+
+const SEVERITY_RANK = { minor: 1, moderate: 2, major: 3, contraindicated: 4 };
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const normalize = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+// "Penicillin allergy" / "allergic to sulfa" -> "penicillin" / "sulfa"
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+const normalizeAllergy = (value) => normalize(normalize(value).replace(/\b(allergic to|allergy|allergies|intolerance|sensitivity)\b/g, ''));
+
+// Screens an identified medicine against the user's allergies and chronic
+// conditions using the local contraindication table. Purely rule-based, so
+// the same scan and profile always give the same answer.
+class SafetyScreeningService {
+  constructor() {
+    this.aliases = Object.entries(screeningTable.aliases);
+    this.classes = Object.entries(screeningTable.classes).map(([id, drugClass]) => ({ id, ...drugClass }));
+    this.crossSensitivity = screeningTable.crossSensitivity;
+    this.conditions = screeningTable.conditions;
+    console.log(`🛡️ Safety screening service initialized (${this.classes.length} drug classes, ${this.conditions.length} conditions)`);
+  }
+
+  // Screen a scan result (pillInfo / medicineInfo) for a user profile
+  screenScanResult(scanResult, user) {
+    const info = scanResult?.pillInfo || scanResult?.medicineInfo || scanResult || {};
+    return this.screen(this.getMedicineTerms(info), user);
+  }
+
+  // terms: medicine names and ingredient strings; user: { allergies, chronicConditions }
+  screen(terms, user) {
+    const allergies = (user?.allergies || []).map(normalizeAllergy).filter(Boolean);
+    const conditions = (user?.chronicConditions || []).map(normalize).filter(Boolean);
+
+    const text = this.getMatchText(terms);
+    const medicineClasses = this.getMedicineClasses(text);
+
+    const allergyAlerts = allergies.flatMap(allergy => this.checkAllergy(allergy, text, medicineClasses));
+    const conditionAlerts = conditions.flatMap(condition => this.checkCondition(condition, text, medicineClasses));
+
+    const bySeverity = (a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity];
+    allergyAlerts.sort(bySeverity);
+    conditionAlerts.sort(bySeverity);
+
+    const highest = [...allergyAlerts, ...conditionAlerts]
+      .reduce((max, alert) => Math.max(max, SEVERITY_RANK[alert.severity]), 0);
+
+    return {
+      checked: true,
+      status: highest >= SEVERITY_RANK.major ? 'avoid' : highest > 0 ? 'caution' : 'clear',
+      profile: {
+        allergies: allergies.length,
+        conditions: conditions.length
+      },
+      recognized: terms.length > 0,
+      drugClasses: medicineClasses.map(({ drugClass }) => drugClass.label),
+      allergyAlerts,
+      conditionAlerts
+    };
+  }
+
+  checkAllergy(allergy, text, medicineClasses) {
+    const allergyClasses = this.getAllergyClasses(allergy);
+    const namesClass = allergyClasses.some(entry => entry.namedClass);
+
+    // Direct ingredient (or brand) match
+    if (!namesClass && this.matchesAny([allergy], text)) {
+      return [{
+        allergy,
+        matchType: 'ingredient',
+        ingredient: allergy,
+        drugClass: null,
+        severity: 'contraindicated',
+        description: `This medicine contains ${allergy}, which is listed in your allergies.`
+      }];
+    }
+
+    const alerts = [];
+
+    medicineClasses.forEach(({ drugClass, ingredient }) => {
+      const allergyClass = allergyClasses.find(entry => entry.drugClass.id === drugClass.id);
+
+      if (allergyClass) {
+        alerts.push({
+          allergy,
+          matchType: 'class',
+          ingredient,
+          drugClass: drugClass.label,
+          // Naming the class itself is a stronger statement than one member of it
+          severity: allergyClass.namedClass ? 'contraindicated' : 'major',
+          description: allergyClass.namedClass
+            ? `${capitalize(ingredient)} belongs to the ${drugClass.label}, which you are allergic to.`
+            : `${capitalize(ingredient)} is in the same class as ${allergy} (${drugClass.label}), which you are allergic to.`
+        });
+        return;
+      }
+
+      const rule = this.crossSensitivity.find(entry =>
+        entry.to === drugClass.id && allergyClasses.some(({ drugClass: from }) => from.id === entry.from)
+      );
+
+      if (rule) {
+        alerts.push({
+          allergy,
+          matchType: 'cross_sensitivity',
+          ingredient,
+          drugClass: drugClass.label,
+          severity: rule.severity,
+          description: rule.description
+        });
+      }
+    });
+
+    return alerts;
+  }
+
+  checkCondition(condition, text, medicineClasses) {
+    const alerts = [];
+
+    this.conditions
+      .filter(rule => this.matchesAny(rule.match, condition))
+      .forEach(rule => {
+        rule.avoid.forEach(entry => {
+          const classMatch = medicineClasses.find(({ drugClass }) => (entry.classes || []).includes(drugClass.id));
+          const ingredient = classMatch
+            ? classMatch.ingredient
+            : (entry.ingredients || []).find(keyword => this.matchesAny([keyword], text));
+
+          if (!ingredient) return;
+
+          alerts.push({
+            condition,
+            conditionLabel: rule.label,
+            ingredient,
+            drugClass: classMatch ? classMatch.drugClass.label : null,
+            severity: entry.severity,
+            description: entry.description
+          });
+        });
+      });
+
+    return alerts;
+  }
+
+  // Classes the allergy refers to, either by name ("penicillin") or through a member ("amoxicillin")
+  getAllergyClasses(allergy) {
+    return this.classes
+      .map(drugClass => {
+        if (drugClass.aliases.some(alias => normalize(alias) === allergy)) {
+          return { drugClass, namedClass: true };
+        }
+        if (this.matchesAny(drugClass.members, allergy)) {
+          return { drugClass, namedClass: false };
+        }
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  // Each class the medicine belongs to, with the ingredient that placed it there
+  getMedicineClasses(text) {
+    return this.classes
+      .map(drugClass => {
+        const ingredient = drugClass.members.find(member => this.matchesAny([member], text));
+        return ingredient ? { drugClass, ingredient } : null;
+      })
+      .filter(Boolean);
+  }
+
+  // Names and ingredients from an AI identification result
+  getMedicineTerms(info) {
+    const name = info.medicineName || info.name;
+    const terms = typeof name === 'object' && name !== null
+      ? [name.primaryName, name.brandName, name.genericName]
+      : [name];
+
+    terms.push(info.genericName, info.brandName);
+
+    (info.activeIngredients || info.ingredients || []).forEach(ingredient => {
+      terms.push(typeof ingredient === 'string' ? ingredient : ingredient?.name);
+    });
+
+    return [...new Set(terms.map(normalize).filter(Boolean))];
+  }
+
+  // Lower-cased names plus the generic ingredients of any known brand in them
+  getMatchText(terms) {
+    const text = terms.map(term => drugInteractionService.getMatchText(term)).join(' ');
+    const ingredients = this.aliases
+      .filter(([alias]) => new RegExp(`\\b${escapeRegExp(alias)}\\b`).test(text))
+      .flatMap(([, generics]) => generics);
+
+    return [text, ...ingredients].join(' ');
+  }
+
+  matchesAny(keywords, text) {
+    return keywords.some(keyword => new RegExp(`\\b${escapeRegExp(normalize(keyword))}`).test(text));
+  }
+}
+
+// Create singleton instance
+const safetyScreeningService = new SafetyScreeningService();
+
+module.exports = safetyScreeningService;
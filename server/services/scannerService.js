@@ -1,4 +1,7 @@
+const mongoose = require('mongoose');
 const { Medicine, ScanHistory } = require('../models');
+const medicineService = require('./medicineService');
+const { parseBarcode, gtinVariants } = require('../utils/gs1');
 const sharp = require('sharp');
 const fs = require('fs-extra');
 const path = require('path');
@@ -9,30 +12,56 @@ class ScannerService {
     this.maxImageSize = 10 * 1024 * 1024; // 10MB
   }
 
-  // Scan barcode and use AI to get medicine information
+  // Scan a barcode or GS1 DataMatrix. The code is decoded locally and
+  // matched against the medicine database first; AI is only asked about
+  // products we don't know.
   async scanBarcode(barcode, userId = null) {
+    const parsed = parseBarcode(barcode);
+
     try {
-      console.log(`🔍 Processing barcode with AI (NVIDIA Primary): ${barcode}`);
-      
-      // Use Gemini AI to get medicine information from barcode
-      let geminiService;
-      try {
-        geminiService = require('./geminiService');
-      } catch (error) {
-        console.error('❌ Failed to load Gemini service:', error.message);
-        throw new Error('AI service unavailable');
+      console.log(`🔍 Processing ${parsed.format} barcode: ${barcode}`);
+
+      if (parsed.errors.length > 0) {
+        console.warn(`⚠️ Rejected barcode ${barcode}: ${parsed.errors.join('; ')}`);
+        return {
+          success: false,
+          message: 'Barcode could not be read reliably. Please scan it again.',
+          data: this.buildBarcodeResult(barcode, parsed, { confidence: 0, found: false, error: parsed.errors.join('; ') })
+        };
       }
 
-      const aiResult = await geminiService.getMedicineInfoFromBarcode(barcode);
-      
-      const scanResult = {
-        type: 'barcode',
-        data: barcode,
-        timestamp: new Date(),
-        confidence: aiResult.success ? aiResult.data.confidence * 10 : 0,
-        found: aiResult.success && aiResult.data.identified,
-        medicineInfo: aiResult.success ? aiResult.data : null
-      };
+      let scanResult;
+      const localMatch = await this.findMedicineByCode(parsed);
+
+      if (localMatch) {
+        console.log(`✅ Barcode matched ${localMatch.medicineInfo.medicineName.primaryName} in the local database`);
+        scanResult = this.buildBarcodeResult(barcode, parsed, {
+          confidence: 100,
+          found: true,
+          source: 'local',
+          medicine: localMatch.medicine,
+          medicineInfo: localMatch.medicineInfo
+        });
+      } else {
+        // Use Gemini AI to get medicine information from barcode
+        let geminiService;
+        try {
+          geminiService = require('./geminiService');
+        } catch (error) {
+          console.error('❌ Failed to load Gemini service:', error.message);
+          throw new Error('AI service unavailable');
+        }
+
+        // Ask about the product code rather than the whole DataMatrix payload
+        const aiResult = await geminiService.getMedicineInfoFromBarcode(parsed.gtin || parsed.ndc || barcode);
+
+        scanResult = this.buildBarcodeResult(barcode, parsed, {
+          confidence: aiResult.success ? aiResult.data.confidence * 10 : 0,
+          found: aiResult.success && aiResult.data.identified,
+          source: 'ai',
+          medicineInfo: aiResult.success ? aiResult.data : null
+        });
+      }
 
       // Log scan history if user is provided
       if (userId) {
@@ -42,23 +71,91 @@ class ScannerService {
       return {
         success: true,
         data: scanResult,
-        message: aiResult.success ? 'Barcode processed successfully' : 'Barcode not recognized'
+        message: scanResult.medicineInfo ? 'Barcode processed successfully' : 'Barcode not recognized'
       };
     } catch (error) {
       console.error('Barcode scan error:', error);
       return {
         success: false,
         message: 'Failed to process barcode scan',
-        data: {
-          type: 'barcode',
-          data: barcode,
-          timestamp: new Date(),
-          confidence: 0,
-          found: false,
-          error: error.message
+        data: this.buildBarcodeResult(barcode, parsed, { confidence: 0, found: false, error: error.message })
+      };
+    }
+  }
+
+  buildBarcodeResult(barcode, parsed, fields) {
+    return {
+      type: 'barcode',
+      data: barcode,
+      timestamp: new Date(),
+      parsed: {
+        format: parsed.format,
+        gtin: parsed.gtin,
+        ndc: parsed.ndc,
+        batch: parsed.batch,
+        expiry: parsed.expiry,
+        productionDate: parsed.productionDate,
+        serial: parsed.serial
+      },
+      ...fields
+    };
+  }
+
+  // Exact lookup of a decoded code: GTIN against Medicine.barcode, then NDC
+  // against the bundled medicine data
+  async findMedicineByCode(parsed) {
+    if (parsed.gtin && mongoose.connection.readyState === 1) {
+      const medicine = await Medicine.findOne({ barcode: { $in: gtinVariants(parsed.gtin) }, isActive: true });
+      if (medicine) {
+        return {
+          medicine: { id: medicine._id },
+          medicineInfo: {
+            identified: true,
+            confidence: 10,
+            medicineName: {
+              brandName: medicine.name,
+              genericName: medicine.genericName || null,
+              primaryName: medicine.name
+            },
+            barcodeInfo: {
+              type: parsed.format.toUpperCase(),
+              manufacturer: medicine.manufacturer || null
+            },
+            dosageInformation: medicine.dosage ? { strength: medicine.dosage } : undefined,
+            uses: medicine.uses,
+            reasoning: 'Exact GTIN match in the medicine database'
+          }
+        };
+      }
+    }
+
+    const local = parsed.ndc ? medicineService.findLocalByNdc(parsed.ndc) : null;
+    if (local) {
+      return {
+        medicine: null,
+        medicineInfo: {
+          identified: true,
+          confidence: 10,
+          medicineName: {
+            brandName: local.brandName,
+            genericName: local.genericName || null,
+            primaryName: local.brandName
+          },
+          barcodeInfo: {
+            type: parsed.format === 'ndc' ? 'NDC' : parsed.format.toUpperCase(),
+            country: 'United States',
+            manufacturer: local.manufacturer || null
+          },
+          activeIngredients: local.activeIngredient ? [local.activeIngredient] : [],
+          dosageInformation: { strength: local.strength, form: local.dosageForm },
+          storageInstructions: local.storageInstructions,
+          manufacturerInfo: local.manufacturer,
+          reasoning: `Exact NDC ${local.ndc} match in the medicine database`
         }
       };
     }
+
+    return null;
   }
 
   // Process QR code data using AI
@@ -412,6 +509,7 @@ class ScannerService {
         scanType: scanResult.type,
         scanResult: {
           data: scanResult.data,
+          parsed: scanResult.parsed,
           confidence: scanResult.confidence,
           timestamp: scanResult.timestamp
         },
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { User, Reminder, Report, ShareGrant } = require('../models');
+const reminderService = require('./reminderService');
+
+const SCOPES = ['profile', 'reminders', 'adherence', 'reports', 'visit_summary'];
+const MAX_EXPIRY_HOURS = 90 * 24;
+const MAX_ACCESS_LOG = 500;
+const ADHERENCE_LOG_DAYS = 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getStatus = (grant) => {
+  if (grant.revokedAt) return 'revoked';
+  if (new Date(grant.expiresAt) <= new Date()) return 'expired';
+  return 'active';
+};
+
+// Scoped, expiring read-only links to a user's data for caregivers and
+// clinicians. Every redemption is written to the grant's access log.
+class ShareService {
+  constructor() {
+    console.log('🔗 Share service initialized');
+  }
+
+  // Returns the grant and its link token; only the token's hash is stored
+  async createGrant(userId, { label, recipientType, scopes, reportId, range, expiresInHours, kind = 'link' }) {
+    try {
+      const validScopes = [...new Set(scopes || [])].filter(scope => SCOPES.includes(scope));
+      if (validScopes.length === 0) {
+        return { success: false, message: `Choose at least one of: ${SCOPES.join(', ')}` };
+      }
+
+      const hours = Number(expiresInHours);
+      if (!Number.isFinite(hours) || hours < 1 || hours > MAX_EXPIRY_HOURS) {
+        return { success: false, message: `Links can last between 1 hour and ${MAX_EXPIRY_HOURS / 24} days` };
+      }
+
+      if (reportId) {
+        const report = await Report.exists({ _id: reportId, userId });
+        if (!report) {
+          return { success: false, message: 'Report not found' };
+        }
+      }
+
+      if (validScopes.includes('visit_summary') && !(range?.from && range?.to)) {
+        return { success: false, message: 'A visit summary share needs a date range' };
+      }
+
+      const token = crypto.randomBytes(24).toString('base64url');
+      const grant = await ShareGrant.create({
+        userId,
+        tokenHash: hashToken(token),
+        label,
+        recipientType,
+        scopes: validScopes,
+        reportId: reportId || undefined,
+        range: validScopes.includes('visit_summary') ? range : undefined,
+        kind,
+        expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+      });
+
+      console.log(`🔗 Share grant ${grant._id} created for user ${userId}: ${validScopes.join(', ')} for ${hours}h`);
+
+      return { success: true, data: { ...this.describeGrant(grant.toObject()), token } };
+    } catch (error) {
+      console.error('Create share grant error:', error);
+      return { success: false, message: 'Failed to create share link' };
+    }
+  }
+
+  async listGrants(userId) {
+    try {
+      // One QR grant is made per PDF download, so finished ones are hidden
+      const grants = await ShareGrant.find({
+        userId,
+        $or: [
+          { kind: { $ne: 'visit_summary_qr' } },
+          { expiresAt: { $gt: new Date() }, revokedAt: null }
+        ]
+      })
+        .select('-tokenHash -accessLog')
+        .sort({ createdAt: -1 })
+        .lean();
+
+      return { success: true, data: grants.map(grant => this.describeGrant(grant)) };
+    } catch (error) {
+      console.error('List share grants error:', error);
+      return { success: false, message: 'Failed to load share links' };
+    }
+  }
+
+  async getAccessLog(userId, grantId) {
+    try {
+      const grant = await ShareGrant.findOne({ _id: grantId, userId }).select('accessLog').lean();
+      if (!grant) {
+        return { success: false, message: 'Share link not found' };
+      }
+
+      return { success: true, data: [...grant.accessLog].reverse() };
+    } catch (error) {
+      console.error('Get share access log error:', error);
+      return { success: false, message: 'Failed to load access log' };
+    }
+  }
+
+  async revokeGrant(userId, grantId) {
+    try {
+      const grant = await ShareGrant.findOneAndUpdate(
+        { _id: grantId, userId, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      ).select('-tokenHash -accessLog').lean();
+
+      if (!grant) {
+        return { success: false, message: 'Share link not found or already revoked' };
+      }
+
+      console.log(`🔗 Share grant ${grantId} revoked by user ${userId}`);
+
+      return { success: true, data: this.describeGrant(grant) };
+    } catch (error) {
+      console.error('Revoke share grant error:', error);
+      return { success: false, message: 'Failed to revoke share link' };
+    }
+  }
+
+  // Look up the grant for a link token and log the attempt. Returns the grant
+  // when it's active and covers `scope`, otherwise { error, status }.
+  async redeem(token, scope, { resource, ip, userAgent } = {}) {
+    const grant = token && await ShareGrant.findOne({ tokenHash: hashToken(token) }).select('-accessLog').lean();
+    if (!grant) {
+      return { error: 'This link is invalid', status: 404 };
+    }
+
+    const status = getStatus(grant);
+    const outcome = status !== 'active' ? status
+      : scope && !grant.scopes.includes(scope) ? 'out_of_scope'
+        : 'granted';
+
+    await ShareGrant.updateOne({ _id: grant._id }, {
+      $push: {
+        accessLog: {
+          $each: [{ resource, outcome, ip, userAgent: userAgent?.slice(0, 200) }],
+          $slice: -MAX_ACCESS_LOG
+        }
+      },
+      ...(outcome === 'granted' && { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } })
+    });
+
+    if (outcome === 'revoked') return { error: 'This link has been revoked', status: 410 };
+    if (outcome === 'expired') return { error: 'This link has expired', status: 410 };
+    if (outcome === 'out_of_scope') return { error: 'This link does not include that information', status: 403 };
+
+    return { grant };
+  }
+
+  // Everything the grant's scopes cover, except the visit summary PDF
+  async getSharedData(grant) {
+    const { userId, scopes } = grant;
+    const owner = await User.findById(userId)
+      .select('name dateOfBirth gender bloodGroup height weight allergies chronicConditions')
+      .lean();
+
+    const data = {
+      share: {
+        ownerName: owner?.name || null,
+        label: grant.label || null,
+        scopes,
+        reportId: grant.reportId || null,
+        range: grant.range?.from ? grant.range : null,
+        expiresAt: grant.expiresAt
+      }
+    };
+
+    if (scopes.includes('profile') && owner) {
+      data.profile = {
+        name: owner.name,
+        dateOfBirth: owner.dateOfBirth || null,
+        gender: owner.gender || null,
+        bloodGroup: owner.bloodGroup || null,
+        height: owner.height || null,
+        weight: owner.weight || null,
+        allergies: owner.allergies || [],
+        chronicConditions: owner.chronicConditions || []
+      };
+    }
+
+    if (scopes.includes('reminders')) {
+      data.reminders = await Reminder.find({
+        userId,
+        isActive: true,
+        $or: [{ endDate: null }, { endDate: { $gte: new Date() } }]
+      })
+        .select('medicineName dosage frequency times schedule.type startDate endDate')
+        .sort({ medicineName: 1 })
+        .lean();
+    }
+
+    if (scopes.includes('adherence')) {
+      data.adherence = await this.getAdherence(userId);
+    }
+
+    if (scopes.includes('reports')) {
+      data.reports = await Report.find({
+        userId,
+        processingStatus: 'processed',
+        ...(grant.reportId && { _id: grant.reportId })
+      })
+        .select('fileName reportType summary createdAt healthMetrics')
+        .populate('healthMetrics', 'testDate metrics abnormalFlags summary')
+        .sort({ createdAt: -1 })
+        .lean();
+    }
+
+    return data;
+  }
+
+  // 7- and 30-day adherence, plus each medicine's doses over the last week
+  async getAdherence(userId) {
+    const since = new Date(Date.now() - ADHERENCE_LOG_DAYS * 24 * 60 * 60 * 1000);
+    const [week, month, reminders] = await Promise.all([
+      reminderService.getAdherenceStats(userId, ADHERENCE_LOG_DAYS),
+      reminderService.getAdherenceStats(userId, 30),
+      Reminder.find({ userId, isActive: true, 'schedule.type': { $ne: 'prn' } })
+        .select('medicineName dosage adherenceLog')
+        .lean()
+    ]);
+
+    return {
+      week: week.success ? week.data : null,
+      month: month.success ? month.data : null,
+      medicines: reminders.map(reminder => ({
+        medicineName: reminder.medicineName,
+        dosage: reminder.dosage,
+        doses: (reminder.adherenceLog || [])
+          .filter(log => log.scheduledTime >= since && log.scheduledTime <= new Date() && log.status !== 'snoozed')
+          .sort((a, b) => a.scheduledTime - b.scheduledTime)
+          .map(log => ({ scheduledTime: log.scheduledTime, status: log.status, takenTime: log.takenTime }))
+      }))
+    };
+  }
+
+  describeGrant(grant) {
+    const { tokenHash, accessLog, ...rest } = grant;
+    return { ...rest, status: getStatus(grant) };
+  }
+}
+
+// Create singleton instance
+const shareService = new ShareService();
+
+module.exports = shareService;
@@ -0,0 +1,326 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { User, Reminder, HealthMetrics, SymptomCheck } = require('../models');
+const reminderService = require('./reminderService');
+const labTrendService = require('./labTrendService');
+
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 730;
+const ADHERENCE_DAYS = 30;
+const MAX_ABNORMAL_RESULTS = 25;
+const MAX_SYMPTOM_CHECKS = 10;
+
+const COLORS = { text: '#111827', muted: '#6b7280', accent: '#2563eb', danger: '#dc2626', rule: '#e5e7eb' };
+const FLAG_LABELS = { low: 'Low', high: 'High', critical_low: 'Critical low', critical_high: 'Critical high' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+const formatRange = (range) => {
+  if (!range || (range.min == null && range.max == null)) return '';
+  if (range.min == null) return `< ${range.max}`;
+  if (range.max == null) return `> ${range.min}`;
+  return `${range.min} - ${range.max}`;
+};
+
+// One-page-per-visit PDF summary a user can hand their doctor, with a QR
+// code that opens the same summary for a limited time
+class VisitSummaryService {
+  constructor() {
+    console.log('🩺 Visit summary service initialized');
+  }
+
+  // { from, to } from query strings (YYYY-MM-DD); defaults to the last 90 days
+  parseRange(fromText, toText) {
+    const to = toText ? new Date(toText) : new Date();
+    const from = fromText ? new Date(fromText) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return { error: 'Invalid date range' };
+    }
+
+    // A bare date covers the whole day
+    if (toText && /^\d{4}-\d{2}-\d{2}$/.test(toText)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+
+    if (from > to) {
+      return { error: 'The start date must be before the end date' };
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+      return { error: `The date range can be at most ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { from, to };
+  }
+
+  async getSummary(userId, { from, to }) {
+    const now = new Date();
+    const [user, reminders, adherence, healthMetrics, symptomChecks] = await Promise.all([
+      User.findById(userId).select('name dateOfBirth gender bloodGroup height weight allergies chronicConditions emergencyContacts').lean(),
+      Reminder.find({
+        userId,
+        isActive: true,
+        $or: [{ endDate: null }, { endDate: { $gte: now } }]
+      }).select('medicineName dosage frequency times schedule startDate notes').sort({ medicineName: 1 }).lean(),
+      reminderService.getAdherenceStats(userId, ADHERENCE_DAYS),
+      HealthMetrics.find({ userId, testDate: { $gte: from, $lte: to } })
+        .select('reportId testDate createdAt providerInfo.reportDate metrics')
+        .sort({ testDate: -1 })
+        .lean(),
+      SymptomCheck.find({ userId, checkDate: { $gte: from, $lte: to } })
+        .sort({ checkDate: -1 })
+        .limit(MAX_SYMPTOM_CHECKS)
+        .lean()
+    ]);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const abnormalResults = healthMetrics
+      .flatMap(record => (record.metrics || [])
+        .filter(metric => metric.isNormal === false)
+        .map(metric => ({
+          name: metric.displayName || metric.name,
+          value: metric.value,
+          unit: metric.unit,
+          normalRange: metric.normalRange,
+          flag: metric.flag,
+          date: labTrendService.getRecordDate(record)
+        })))
+      .slice(0, MAX_ABNORMAL_RESULTS);
+
+    const primaryContact = (user.emergencyContacts || []).find(contact => contact.isPrimary) || user.emergencyContacts?.[0];
+
+    return {
+      range: { from, to },
+      generatedAt: now,
+      patient: {
+        name: user.name,
+        age: user.dateOfBirth ? Math.floor((now - new Date(user.dateOfBirth)) / (365.25 * DAY_MS)) : null,
+        dateOfBirth: user.dateOfBirth || null,
+        gender: user.gender || null,
+        bloodGroup: user.bloodGroup || null,
+        height: user.height || null,
+        weight: user.weight || null,
+        allergies: user.allergies || [],
+        chronicConditions: user.chronicConditions || [],
+        emergencyContact: primaryContact
+          ? { name: primaryContact.name, phone: primaryContact.phone, relationship: primaryContact.relationship }
+          : null
+      },
+      medications: reminders.map(reminder => ({
+        name: reminder.medicineName,
+        dosage: reminder.dosage,
+        schedule: reminder.schedule?.type === 'prn'
+          ? 'As needed'
+          : `${reminder.frequency.replace('_', ' ')}${reminder.times?.length ? ` (${reminder.times.join(', ')})` : ''}`,
+        since: reminder.startDate
+      })),
+      adherence: adherence.success ? adherence.data : null,
+      abnormalResults,
+      symptomChecks: symptomChecks.map(check => ({
+        date: check.checkDate,
+        symptoms: check.symptoms.map(symptom => `${symptom.name} (${symptom.severity})`),
+        likelyCondition: check.possibleConditions?.[0]?.name || null,
+        emergency: check.recommendations?.emergencyWarning?.isEmergency || false
+      }))
+    };
+  }
+
+  // Render the summary; a share link adds the QR code to the header
+  async renderPdf(summary, share = null) {
+    const qrImage = share
+      ? await QRCode.toBuffer(share.url, { margin: 1, width: 240, errorCorrectionLevel: 'M' })
+      : null;
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 48,
+      info: {
+        Title: `Visit summary - ${summary.patient.name}`,
+        Subject: `Health summary ${formatDate(summary.range.from)} to ${formatDate(summary.range.to)}`
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    this.drawHeader(doc, summary, qrImage, share);
+    this.drawPatient(doc, summary.patient);
+    this.drawMedications(doc, summary.medications, summary.adherence);
+    this.drawAbnormalResults(doc, summary.abnormalResults);
+    this.drawSymptomChecks(doc, summary.symptomChecks);
+
+    doc.moveDown(1.5)
+      .fontSize(8)
+      .fillColor(COLORS.muted)
+      .text('Generated by MediOT from information entered and uploaded by the patient. Lab flags are based on the reported reference ranges. This summary is not a diagnosis.', { align: 'center' });
+
+    doc.end();
+    return done;
+  }
+
+  drawHeader(doc, summary, qrImage, share) {
+    const top = doc.y;
+    const textWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right - (qrImage ? 110 : 0);
+
+    doc.fontSize(20).fillColor(COLORS.text).font('Helvetica-Bold').text('Visit Summary', { width: textWidth });
+    doc.fontSize(10).fillColor(COLORS.muted).font('Helvetica')
+      .text(`${formatDate(summary.range.from)} to ${formatDate(summary.range.to)}`, { width: textWidth })
+      .text(`Generated ${formatDate(summary.generatedAt)}`, { width: textWidth });
+
+    if (qrImage) {
+      const x = doc.page.width - doc.page.margins.right - 90;
+      doc.image(qrImage, x, top, { width: 90 });
+      doc.fontSize(7).fillColor(COLORS.muted)
+        .text(`Scan to view online\nuntil ${formatDate(share.expiresAt)}`, x - 10, top + 92, { width: 110, align: 'center' });
+      doc.x = doc.page.margins.left;
+      doc.y = Math.max(doc.y, top + 115);
+    }
+
+    doc.moveDown(0.5);
+    this.drawRule(doc);
+  }
+
+  drawPatient(doc, patient) {
+    this.drawSectionTitle(doc, 'Patient');
+
+    const details = [
+      ['Name', patient.name],
+      ['Age', patient.age !== null ? `${patient.age} years (born ${formatDate(patient.dateOfBirth)})` : null],
+      ['Sex', patient.gender],
+      ['Blood group', patient.bloodGroup],
+      ['Height / weight', patient.height || patient.weight
+        ? `${patient.height ? `${patient.height} cm` : '-'} / ${patient.weight ? `${patient.weight} kg` : '-'}`
+        : null],
+      ['Emergency contact', patient.emergencyContact
+        ? `${patient.emergencyContact.name}${patient.emergencyContact.relationship ? ` (${patient.emergencyContact.relationship})` : ''}, ${patient.emergencyContact.phone}`
+        : null]
+    ].filter(([, value]) => value);
+
+    details.forEach(([label, value]) => this.drawField(doc, label, value));
+
+    doc.moveDown(0.3);
+    this.drawField(doc, 'Allergies', patient.allergies.length > 0 ? patient.allergies.join(', ') : 'None recorded',
+      patient.allergies.length > 0 ? COLORS.danger : COLORS.text);
+    this.drawField(doc, 'Conditions', patient.chronicConditions.length > 0 ? patient.chronicConditions.join(', ') : 'None recorded');
+  }
+
+  drawMedications(doc, medications, adherence) {
+    this.drawSectionTitle(doc, 'Current medications');
+
+    if (adherence && adherence.totalScheduled > 0) {
+      doc.fontSize(9).fillColor(COLORS.muted).font('Helvetica')
+        .text(`${ADHERENCE_DAYS}-day adherence: ${adherence.adherencePercentage}% (${adherence.totalTaken} of ${adherence.totalScheduled} doses taken, ${adherence.totalMissed} missed, ${adherence.totalSkipped} skipped)`);
+      doc.moveDown(0.4);
+    }
+
+    if (medications.length === 0) {
+      this.drawEmpty(doc, 'No active medications.');
+      return;
+    }
+
+    this.drawTable(doc, ['Medicine', 'Dose', 'Schedule', 'Since'], [0.3, 0.2, 0.32, 0.18],
+      medications.map(medication => [medication.name, medication.dosage, medication.schedule, formatDate(medication.since)]));
+  }
+
+  drawAbnormalResults(doc, results) {
+    this.drawSectionTitle(doc, 'Abnormal lab results');
+
+    if (results.length === 0) {
+      this.drawEmpty(doc, 'No out-of-range results in this period.');
+      return;
+    }
+
+    this.drawTable(doc, ['Test', 'Result', 'Reference', 'Flag', 'Date'], [0.3, 0.17, 0.18, 0.15, 0.2],
+      results.map(result => [
+        result.name,
+        `${result.value}${result.unit ? ` ${result.unit}` : ''}`,
+        formatRange(result.normalRange),
+        FLAG_LABELS[result.flag] || 'Abnormal',
+        formatDate(result.date)
+      ]),
+      row => row[3].startsWith('Critical') ? COLORS.danger : COLORS.text);
+  }
+
+  drawSymptomChecks(doc, checks) {
+    this.drawSectionTitle(doc, 'Recent symptom checks');
+
+    if (checks.length === 0) {
+      this.drawEmpty(doc, 'No symptom checks in this period.');
+      return;
+    }
+
+    this.drawTable(doc, ['Date', 'Symptoms', 'Most likely'], [0.18, 0.5, 0.32],
+      checks.map(check => [
+        formatDate(check.date),
+        check.symptoms.join(', '),
+        `${check.likelyCondition || '-'}${check.emergency ? ' (emergency warning)' : ''}`
+      ]),
+      row => row[2].includes('emergency') ? COLORS.danger : COLORS.text);
+  }
+
+  drawSectionTitle(doc, title) {
+    this.ensureSpace(doc, 60);
+    doc.moveDown(0.8)
+      .fontSize(12).fillColor(COLORS.accent).font('Helvetica-Bold')
+      .text(title.toUpperCase(), doc.page.margins.left, doc.y, { characterSpacing: 0.5 });
+    doc.moveDown(0.3).font('Helvetica');
+  }
+
+  drawField(doc, label, value, color = COLORS.text) {
+    doc.fontSize(10).font('Helvetica-Bold').fillColor(COLORS.muted).text(`${label}: `, { continued: true })
+      .font('Helvetica').fillColor(color).text(String(value));
+  }
+
+  drawEmpty(doc, text) {
+    doc.fontSize(10).fillColor(COLORS.muted).font('Helvetica-Oblique').text(text).font('Helvetica');
+  }
+
+  drawTable(doc, headers, widths, rows, rowColor = () => COLORS.text) {
+    const left = doc.page.margins.left;
+    const tableWidth = doc.page.width - left - doc.page.margins.right;
+    const columns = widths.map(width => width * tableWidth);
+
+    const drawRow = (cells, { bold = false, color = COLORS.text } = {}) => {
+      doc.fontSize(9).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell ?? ''), { width: columns[i] - 6 }))) + 6;
+      this.ensureSpace(doc, height);
+
+      const y = doc.y;
+      let x = left;
+      cells.forEach((cell, i) => {
+        doc.fillColor(bold ? COLORS.muted : color).text(String(cell ?? ''), x + 3, y + 3, { width: columns[i] - 6 });
+        x += columns[i];
+      });
+
+      doc.y = y + height;
+      doc.moveTo(left, doc.y).lineTo(left + tableWidth, doc.y).strokeColor(COLORS.rule).lineWidth(0.5).stroke();
+    };
+
+    drawRow(headers, { bold: true });
+    rows.forEach(row => drawRow(row, { color: rowColor(row) }));
+    doc.x = left;
+  }
+
+  drawRule(doc) {
+    const left = doc.page.margins.left;
+    doc.moveTo(left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y).strokeColor(COLORS.rule).lineWidth(1).stroke();
+  }
+
+  ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+  }
+}
+
+// Create singleton instance
+const visitSummaryService = new VisitSummaryService();
+
+module.exports = visitSummaryService;
@@ -0,0 +1,47 @@
+// Parsing for model output that should be JSON but may arrive wrapped in
+// markdown fences, <thought> blocks or prose
+
+const stripWrapping = (text) => text
+  .replace(/<thought>[\s\S]*?<\/thought>/g, '')
+  .replace(/```json\s*/gi, '')
+  .replace(/```\s*/g, '')
+  .trim();
+
+// Loosen the usual near-JSON mistakes: trailing commas, bare keys, single quotes
+const deepClean = (jsonStr) => jsonStr
+  .replace(/,\s*([\]}])/g, '$1')
+  .replace(/([{,]\s*)(\w+)\s*:/g, '$1"$2":')
+  .replace(/'/g, '"');
+
+const tryParse = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// The JSON object or array in a model response, or null if there is none
+function parseJson(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const cleaned = stripWrapping(text);
+  const direct = tryParse(cleaned);
+  if (direct !== undefined && direct !== null && typeof direct === 'object') return direct;
+
+  // Take the outermost {...} or [...], whichever opens first
+  const objectStart = cleaned.indexOf('{');
+  const arrayStart = cleaned.indexOf('[');
+  const useArray = arrayStart !== -1 && (objectStart === -1 || arrayStart < objectStart);
+  const start = useArray ? arrayStart : objectStart;
+  const end = cleaned.lastIndexOf(useArray ? ']' : '}');
+  if (start === -1 || end <= start) return null;
+
+  const candidate = cleaned.substring(start, end + 1);
+  const parsed = tryParse(candidate) ?? tryParse(deepClean(candidate));
+  return parsed && typeof parsed === 'object' ? parsed : null;
+}
+
+module.exports = {
+  parseJson
+};
@@ -0,0 +1,207 @@
+// Exact decoding of the codes printed on medicine packs, so a scan can be
+// matched against known products before anything is guessed by AI:
+// EAN/UPC/GTIN-14 barcodes, GS1 element strings from DataMatrix and GS1-128
+// (GTIN, batch, expiry, serial) and US NDCs, either typed or carried in a UPC.
+
+const GROUP_SEPARATOR = '\u001d';
+
+// Application identifiers found on pharmaceutical packs. `length` is fixed;
+// `maxLength` marks a variable-length field ended by a group separator.
+const APPLICATION_IDENTIFIERS = {
+  '01': { key: 'gtin', length: 14 },
+  '02': { key: 'contentGtin', length: 14 },
+  '10': { key: 'batch', maxLength: 20 },
+  '11': { key: 'productionDate', length: 6, date: true },
+  '17': { key: 'expiry', length: 6, date: true },
+  '21': { key: 'serial', maxLength: 20 },
+  '30': { key: 'count', maxLength: 8 },
+  '240': { key: 'additionalId', maxLength: 30 },
+  '710': { key: 'nationalCode', maxLength: 20 },
+  '711': { key: 'nationalCode', maxLength: 20 },
+  '712': { key: 'nationalCode', maxLength: 20 },
+  '713': { key: 'nationalCode', maxLength: 20 },
+  '714': { key: 'nationalCode', maxLength: 20 }
+};
+
+const PLAIN_FORMATS = { 8: 'ean-8', 12: 'upc-a', 13: 'ean-13', 14: 'gtin-14' };
+
+// GS1 mod-10 check digit for the digits preceding it
+function checkDigit(digits) {
+  const sum = digits.split('').reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+function isValidGtin(code) {
+  return /^\d{8}$|^\d{12,14}$/.test(code) && checkDigit(code.slice(0, -1)) === code.slice(-1);
+}
+
+// Every GTIN form left-padded to 14 digits, the way GS1 compares them
+const toGtin14 = (code) => code.padStart(14, '0');
+
+// The shorter spellings of a GTIN-14 that may be stored against a product
+function gtinVariants(gtin14) {
+  const variants = [gtin14];
+  for (const length of [13, 12, 8]) {
+    const zeros = 14 - length;
+    if (/^0+$/.test(gtin14.slice(0, zeros))) variants.push(gtin14.slice(zeros));
+  }
+  return variants;
+}
+
+// US drug UPCs are number system 3 followed by the 10-digit NDC
+function ndcFromGtin(gtin14) {
+  return gtin14.startsWith('003') ? gtin14.slice(3, 13) : null;
+}
+
+// YYMMDD to YYYY-MM-DD; day 00 means the last day of the month
+function parseGs1Date(value) {
+  const year = 2000 + Number(value.slice(0, 2));
+  const month = Number(value.slice(2, 4));
+  let day = Number(value.slice(4, 6));
+  if (month < 1 || month > 12) return null;
+
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (day === 0) day = lastDay;
+  if (day > lastDay) return null;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// "(01)0890...(17)270331(10)AB12" as printed under the symbol
+function splitBracketed(text) {
+  const fields = [];
+  const pattern = /\((\d{2,4})\)([^(]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    fields.push({ ai: match[1], value: match[2].trim() });
+  }
+  return fields;
+}
+
+// The raw scanner output, with group separators between variable fields
+function splitElementString(text) {
+  const fields = [];
+  let rest = text;
+
+  while (rest.length > 0) {
+    if (rest[0] === GROUP_SEPARATOR) {
+      rest = rest.slice(1);
+      continue;
+    }
+
+    const ai = [2, 3, 4].map(length => rest.slice(0, length)).find(prefix => APPLICATION_IDENTIFIERS[prefix]);
+    if (!ai) throw new Error(`Unknown GS1 application identifier at "${rest.slice(0, 4)}"`);
+
+    const definition = APPLICATION_IDENTIFIERS[ai];
+    rest = rest.slice(ai.length);
+
+    let value;
+    if (definition.length) {
+      value = rest.slice(0, definition.length);
+      rest = rest.slice(definition.length);
+    } else {
+      const end = rest.indexOf(GROUP_SEPARATOR);
+      value = end === -1 ? rest : rest.slice(0, end);
+      rest = end === -1 ? '' : rest.slice(end + 1);
+    }
+    fields.push({ ai, value });
+  }
+
+  return fields;
+}
+
+const looksLikeElementString = (text) =>
+  text.startsWith('(') || text.includes(GROUP_SEPARATOR) || /^01\d{14}\d+/.test(text);
+
+function parseElementString(text, result) {
+  const fields = text.startsWith('(') ? splitBracketed(text) : splitElementString(text);
+
+  for (const { ai, value } of fields) {
+    const definition = APPLICATION_IDENTIFIERS[ai];
+    if (!definition) throw new Error(`Unknown GS1 application identifier (${ai})`);
+    if (definition.length && (value.length !== definition.length || !/^\d+$/.test(value))) {
+      throw new Error(`GS1 field (${ai}) should be ${definition.length} digits`);
+    }
+    if (definition.maxLength && value.length > definition.maxLength) {
+      throw new Error(`GS1 field (${ai}) is longer than ${definition.maxLength} characters`);
+    }
+
+    if (definition.date) {
+      const date = parseGs1Date(value);
+      if (!date) throw new Error(`GS1 field (${ai}) is not a valid date`);
+      result[definition.key] = date;
+    } else {
+      result[definition.key] = value;
+    }
+  }
+}
+
+/**
+ * Decode a scanned code.
+ * @param {string} raw - Scanner output: digits, an NDC or a GS1 element string
+ * @returns {Object} { raw, format, gtin, ndc, batch, expiry, productionDate,
+ *   serial, nationalCode, errors } where gtin is 14 digits, ndc is 10 digits
+ *   and dates are YYYY-MM-DD. A non-empty `errors` means the scan is unreliable.
+ */
+function parseBarcode(raw) {
+  const result = {
+    raw,
+    format: 'unknown',
+    gtin: null,
+    ndc: null,
+    batch: null,
+    expiry: null,
+    productionDate: null,
+    serial: null,
+    nationalCode: null,
+    errors: []
+  };
+
+  // Scanners prefix GS1 symbols with a symbology identifier such as ]d2
+  const text = String(raw || '').trim().replace(/^\][A-Za-z]\d/, '');
+  const compact = text.replace(/[\s-]/g, '');
+
+  if (/^\d{4,5}-\d{3,4}-\d{1,2}$/.test(text) && compact.length === 10) {
+    result.format = 'ndc';
+    result.ndc = compact;
+    return result;
+  }
+
+  if (/^\d+$/.test(compact) && PLAIN_FORMATS[compact.length]) {
+    result.format = PLAIN_FORMATS[compact.length];
+    result.gtin = toGtin14(compact);
+  } else if (looksLikeElementString(text)) {
+    result.format = 'gs1';
+    try {
+      parseElementString(text, result);
+    } catch (error) {
+      result.errors.push(error.message);
+      return result;
+    }
+  } else {
+    return result;
+  }
+
+  if (result.gtin) {
+    if (!isValidGtin(result.gtin)) {
+      result.errors.push('GTIN check digit is invalid');
+    } else {
+      result.ndc = ndcFromGtin(result.gtin);
+    }
+  }
+
+  return result;
+}
+
+// Digits of an NDC in any of its hyphenated 10-digit layouts
+const normalizeNdc = (ndc) => String(ndc || '').replace(/\D/g, '');
+
+module.exports = {
+  parseBarcode,
+  checkDigit,
+  isValidGtin,
+  gtinVariants,
+  ndcFromGtin,
+  normalizeNdc
+};
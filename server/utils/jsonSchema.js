@@ -0,0 +1,128 @@
+// The JSON Schema subset used for AI output (data/aiSchemas.json): type
+// (including "null" and type lists), enum, properties, required, items,
+// minItems/maxItems, minimum/maximum, minLength, default and local $refs
+// into "definitions".
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const typesOf = (schema) => [].concat(schema.type || []);
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isObject(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+// Inline every {"$ref": "#/definitions/name"} so validation never has to look them up
+function resolveRefs(schema, definitions = {}) {
+  if (Array.isArray(schema)) return schema.map(item => resolveRefs(item, definitions));
+  if (!isObject(schema)) return schema;
+
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/definitions/', '');
+    if (!definitions[name]) throw new Error(`Unknown schema reference ${schema.$ref}`);
+    const { $ref, ...overrides } = schema;
+    return resolveRefs({ ...definitions[name], ...overrides }, definitions);
+  }
+
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, resolveRefs(value, definitions)]));
+}
+
+// Problems with `value`, as readable messages; empty when it is valid
+function validate(schema, value, path = '$', errors = []) {
+  const types = typesOf(schema);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push(`${path} should be ${types.join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, index) => validate(schema.items, item, `${path}[${index}]`, errors));
+  }
+
+  if (isObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) validate(propertySchema, value[key], `${path}.${key}`, errors);
+    }
+  }
+
+  return errors;
+}
+
+// Fix the mistakes models make most often without another round trip:
+// numbers and booleans sent as strings, a single item where a list belongs,
+// enum values in the wrong case, over-long lists and missing fields that
+// have a default
+function repair(schema, value) {
+  const types = typesOf(schema);
+
+  if (value === undefined || (value === null && !types.includes('null'))) {
+    return schema.default !== undefined ? JSON.parse(JSON.stringify(schema.default)) : value;
+  }
+
+  if (types.includes('array') && !Array.isArray(value)) {
+    value = [value];
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if ((types.includes('number') || types.includes('integer')) && !types.includes('string') && trimmed !== '' && !Number.isNaN(Number(trimmed))) {
+      value = Number(trimmed);
+    } else if (types.includes('boolean') && !types.includes('string') && /^(true|false|yes|no)$/i.test(trimmed)) {
+      value = /^(true|yes)$/i.test(trimmed);
+    } else if (schema.enum) {
+      value = schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === trimmed.toLowerCase()) ?? value;
+    }
+  } else if ((typeof value === 'number' || typeof value === 'boolean') && types.includes('string') && !types.includes(typeof value)) {
+    value = String(value);
+  }
+
+  if (types.includes('integer') && typeof value === 'number' && !Number.isInteger(value)) {
+    value = Math.round(value);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.items) value = value.map(item => repair(schema.items, item)).filter(item => item !== undefined);
+    if (schema.maxItems !== undefined) value = value.slice(0, schema.maxItems);
+  }
+
+  if (isObject(value) && schema.properties) {
+    const repaired = { ...value };
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      const fixed = repair(propertySchema, repaired[key]);
+      if (fixed !== undefined) repaired[key] = fixed;
+    }
+    value = repaired;
+  }
+
+  return value;
+}
+
+module.exports = {
+  resolveRefs,
+  validate,
+  repair
+};
@@ -0,0 +1,148 @@
+// IANA timezone helpers built on Intl, so reminder times ("HH:MM") are
+// interpreted as wall-clock times in the user's zone rather than the server's.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatterCache = new Map();
+
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Wall-clock components of an instant in a timezone
+function getZonedParts(date, timezone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+// Offset of the zone from UTC at an instant, in milliseconds (IST = +19800000)
+function getOffsetMs(date, timezone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Instant at which the given wall-clock time occurs in a timezone.
+// DST gap (e.g. 02:30 on spring-forward day): moves forward by the gap.
+// DST overlap (e.g. 01:30 on fall-back day): the earlier of the two instants.
+function zonedTimeToUtc(year, month, day, hour, minute, timezone = DEFAULT_TIMEZONE) {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // Transitions happen at most once a day, so these bracket any change
+  const offsetBefore = getOffsetMs(new Date(wallAsUtc - DAY_MS), timezone);
+  const offsetAfter = getOffsetMs(new Date(wallAsUtc + DAY_MS), timezone);
+
+  const candidates = [...new Set([wallAsUtc - offsetBefore, wallAsUtc - offsetAfter])]
+    .filter(instant => getOffsetMs(new Date(instant), timezone) === wallAsUtc - instant);
+
+  if (candidates.length > 0) {
+    return new Date(Math.min(...candidates));
+  }
+
+  return new Date(wallAsUtc - offsetBefore);
+}
+
+// "YYYY-MM-DD" of an instant in a timezone
+function toDateKey(date, timezone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(date, timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// "HH:MM" of an instant in a timezone
+function toTimeString(date, timezone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(date, timezone);
+  return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+// Calendar date keys covering [from, to] in a timezone
+function getDateKeysBetween(from, to, timezone = DEFAULT_TIMEZONE) {
+  const keys = [];
+  const start = getZonedParts(from, timezone);
+  const cursor = new Date(Date.UTC(start.year, start.month - 1, start.day));
+  const lastKey = toDateKey(to, timezone);
+
+  for (;;) {
+    const key = cursor.toISOString().split('T')[0];
+    keys.push(key);
+    if (key >= lastKey) break;
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return keys;
+}
+
+// Instant of "HH:MM" on a "YYYY-MM-DD" calendar day in a timezone
+function dateKeyAndTimeToUtc(dateKey, time, timezone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  return zonedTimeToUtc(year, month, day, hour, minute, timezone);
+}
+
+// Midnight at the start of the calendar day containing `date`
+function startOfZonedDay(date, timezone = DEFAULT_TIMEZONE) {
+  return dateKeyAndTimeToUtc(toDateKey(date, timezone), '00:00', timezone);
+}
+
+// The zone reminders should follow: home zone, or the device's current zone
+// while travelling with "follow local time" enabled
+function getEffectiveTimezone(user) {
+  if (!user) return DEFAULT_TIMEZONE;
+
+  const travel = user.preferences?.travel;
+  if (travel?.mode === 'local' && isValidTimezone(travel.currentTimezone)) {
+    return travel.currentTimezone;
+  }
+
+  return isValidTimezone(user.timezone) ? user.timezone : DEFAULT_TIMEZONE;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  getOffsetMs,
+  zonedTimeToUtc,
+  toDateKey,
+  toTimeString,
+  getDateKeysBetween,
+  dateKeyAndTimeToUtc,
+  startOfZonedDay,
+  getEffectiveTimezone
+};